@@ -18,6 +18,13 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('cancelBtn').addEventListener('click', closeModal);
     document.querySelector('.close').addEventListener('click', closeModal);
     document.getElementById('refreshExperimentsBtn').addEventListener('click', loadExperimentResults);
+    document.getElementById('recomputeKpisBtn').addEventListener('click', recomputeProductKpis);
+    document.getElementById('kpiCohortType').addEventListener('change', loadKpiTrend);
+    document.getElementById('kpiSelect').addEventListener('change', (e) => {
+        selectedKpiId = e.target.value;
+        document.querySelectorAll('.kpi-card').forEach(card => card.classList.toggle('selected', card.dataset.kpi === selectedKpiId));
+        loadKpiTrend();
+    });
 
     // Tab switching
     document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -57,6 +64,9 @@ function switchTab(tabName) {
     } else if (tabName === 'experiments') {
         document.getElementById('experimentsTab').classList.add('active');
         loadExperimentResults();
+    } else if (tabName === 'kpis') {
+        document.getElementById('kpisTab').classList.add('active');
+        loadProductKpis();
     }
 }
 
@@ -400,7 +410,7 @@ async function loadExperimentResults() {
         }
 
         if (!data.success || !data.experiments || data.experiments.length === 0) {
-            msgEl.textContent = 'No experiment data yet. Run the simulation (npm run simulate-ab) or use the experiment dashboard to generate exposure and event logs.';
+            msgEl.textContent = 'No experiments yet. Create one with POST /api/experiments, or run the migrations to load the default experiments.';
             updatedEl.textContent = '—';
             return;
         }
@@ -441,22 +451,40 @@ async function loadExperimentResults() {
         }
 
         data.experiments.forEach(exp => {
-            const r = exp.results || {};
-            const a = r.A || { exposures: 0, events: 0, conversion_rate: 0 };
-            const b = r.B || { exposures: 0, events: 0, conversion_rate: 0 };
-            const labelA = (exp.variants && exp.variants.A) || 'A';
-            const labelB = (exp.variants && exp.variants.B) || 'B';
-            const rateA = (a.conversion_rate * 100).toFixed(2);
-            const rateB = (b.conversion_rate * 100).toFixed(2);
-            const leadingRate = a.conversion_rate >= b.conversion_rate ? a.conversion_rate : b.conversion_rate;
+            const results = exp.results || {};
+            const variantKeys = Object.keys(exp.variants || results);
+            const rates = variantKeys.map(key => (results[key] || {}).conversion_rate || 0);
+            const leadingRate = Math.max(0, ...rates);
+
+            const rows = variantKeys.map((key, index) => {
+                const r = results[key] || { exposures: 0, events: 0, conversion_rate: 0 };
+                const label = (exp.variants && exp.variants[key]) || key;
+                const badgeClass = index === 0 ? 'variant-badge-a' : 'variant-badge-b';
+                const rate = (r.conversion_rate * 100).toFixed(2);
+                const comparison = exp.analysis?.primary?.variants?.[key]?.comparison;
+                const lift = comparison && comparison.relativeLift !== null ? `${(comparison.relativeLift * 100).toFixed(1)}%` : '—';
+                const beat = comparison && comparison.probabilityToBeatControl !== null ? `${(comparison.probabilityToBeatControl * 100).toFixed(1)}%` : '—';
+                const pValue = comparison && comparison.sequentialPValue !== null ? comparison.sequentialPValue.toFixed(3) : '—';
+                return `
+                            <tr>
+                                <td><span class="variant-badge ${badgeClass}">${escapeHtml(key)} · ${escapeHtml(label)}</span></td>
+                                <td>${r.exposures.toLocaleString()}</td>
+                                <td>${r.events.toLocaleString()}</td>
+                                <td class="conversion-cell ${r.conversion_rate === leadingRate && leadingRate > 0 ? 'leading' : 'trailing'}">${rate}%</td>
+                                <td>${lift}</td>
+                                <td>${beat}</td>
+                                <td>${pValue}</td>
+                            </tr>`;
+            }).join('');
 
             html += `
                 <div class="experiment-card">
                     <h3 class="experiment-card-title">
-                        <span class="test-id">${escapeHtml(exp.test_id)}</span>
+                        <span class="test-id">${escapeHtml(exp.test_id)}</span>${exp.status ? ` (${escapeHtml(exp.status)})` : ''}
                     </h3>
                     <p class="experiment-card-desc">${escapeHtml(exp.description || '')}</p>
                     <p class="experiment-card-target"><strong>Target event:</strong> ${escapeHtml(exp.target_event || '—')}</p>
+                    ${exp.analysis ? `<p class="experiment-card-target"><strong>Decision:</strong> ${escapeHtml(exp.analysis.decision.message)}</p>` : ''}
                     <table class="experiments-variant-table">
                         <thead>
                             <tr>
@@ -464,21 +492,12 @@ async function loadExperimentResults() {
                                 <th>Exposures</th>
                                 <th>Events</th>
                                 <th>Conversion rate</th>
+                                <th>Lift vs control</th>
+                                <th>P(beat control)</th>
+                                <th>Sequential p</th>
                             </tr>
                         </thead>
-                        <tbody>
-                            <tr>
-                                <td><span class="variant-badge variant-badge-a">${escapeHtml(labelA)}</span></td>
-                                <td>${a.exposures.toLocaleString()}</td>
-                                <td>${a.events.toLocaleString()}</td>
-                                <td class="conversion-cell ${a.conversion_rate === leadingRate && leadingRate > 0 ? 'leading' : 'trailing'}">${rateA}%</td>
-                            </tr>
-                            <tr>
-                                <td><span class="variant-badge variant-badge-b">${escapeHtml(labelB)}</span></td>
-                                <td>${b.exposures.toLocaleString()}</td>
-                                <td>${b.events.toLocaleString()}</td>
-                                <td class="conversion-cell ${b.conversion_rate === leadingRate && leadingRate > 0 ? 'leading' : 'trailing'}">${rateB}%</td>
-                            </tr>
+                        <tbody>${rows}
                         </tbody>
                     </table>
                 </div>
@@ -493,6 +512,204 @@ async function loadExperimentResults() {
     }
 }
 
+let productKpis = [];
+let selectedKpiId = null;
+
+function formatKpiValue(value, unit) {
+    if (value === null || value === undefined) return '—';
+    if (unit === 'percent') return `${value.toFixed(1)}%`;
+    if (unit === 'users') return Math.round(value).toLocaleString();
+    return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+function kpiSparkline(values) {
+    const points = values.filter(v => v.value !== null);
+    if (points.length < 2) return '';
+
+    const numbers = points.map(v => v.value);
+    const min = Math.min(...numbers);
+    const range = (Math.max(...numbers) - min) || 1;
+    const coords = points.map((v, i) => {
+        const x = (i / (points.length - 1)) * 116 + 2;
+        const y = 30 - ((v.value - min) / range) * 28;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    return `<svg class="kpi-sparkline" viewBox="0 0 120 32"><polyline points="${coords}"></polyline></svg>`;
+}
+
+async function loadProductKpis() {
+    const token = localStorage.getItem('token');
+    const msgEl = document.getElementById('kpisMessage');
+    const cardsEl = document.getElementById('kpisCards');
+
+    msgEl.textContent = 'Loading product KPIs…';
+    msgEl.style.display = 'block';
+
+    try {
+        const response = await fetch('/api/admin/kpis', {
+            headers: {
+                'Authorization': `Bearer ${token}`,
+            },
+        });
+
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            msgEl.textContent = data.message || 'Failed to load product KPIs.';
+            return;
+        }
+
+        productKpis = data.data.kpis;
+        const computed = productKpis.filter(kpi => kpi.computed);
+        if (!selectedKpiId && computed.length > 0) {
+            selectedKpiId = computed[0].kpiId;
+        }
+
+        const select = document.getElementById('kpiSelect');
+        select.innerHTML = computed.map(kpi =>
+            `<option value="${escapeHtml(kpi.kpiId)}" ${kpi.kpiId === selectedKpiId ? 'selected' : ''}>${escapeHtml(kpi.name)}</option>`
+        ).join('');
+
+        cardsEl.innerHTML = productKpis.map(kpi => {
+            if (!kpi.computed) {
+                return `
+                <div class="experiments-summary-card" title="${escapeHtml(kpi.definition)}">
+                    <div class="label">${escapeHtml(kpi.name)}</div>
+                    <div class="value">—</div>
+                    <div class="change">No data source yet</div>
+                </div>`;
+            }
+
+            const current = kpi.current ? kpi.current.value : null;
+            const previous = kpi.previous ? kpi.previous.value : null;
+            const change = current !== null && previous !== null
+                ? `${current >= previous ? '▲' : '▼'} ${formatKpiValue(Math.abs(current - previous), kpi.unit)} vs previous week`
+                : 'No previous week';
+
+            return `
+                <div class="experiments-summary-card kpi-card ${kpi.kpiId === selectedKpiId ? 'selected' : ''}" data-kpi="${escapeHtml(kpi.kpiId)}" title="${escapeHtml(kpi.definition)}">
+                    <div class="label">${escapeHtml(kpi.name)}</div>
+                    <div class="value">${formatKpiValue(current, kpi.unit)}</div>
+                    <div class="change">${change}</div>
+                </div>`;
+        }).join('');
+
+        cardsEl.querySelectorAll('.kpi-card').forEach(card => {
+            card.addEventListener('click', () => {
+                selectedKpiId = card.dataset.kpi;
+                select.value = selectedKpiId;
+                cardsEl.querySelectorAll('.kpi-card').forEach(c => c.classList.toggle('selected', c === card));
+                loadKpiTrend();
+            });
+        });
+
+        msgEl.style.display = 'none';
+        loadKpiTrend();
+    } catch (error) {
+        console.error('Error loading product KPIs:', error);
+        msgEl.textContent = 'Failed to load product KPIs. Check the console.';
+    }
+}
+
+async function loadKpiTrend() {
+    const token = localStorage.getItem('token');
+    const trendEl = document.getElementById('kpiTrend');
+    const cohortType = document.getElementById('kpiCohortType').value;
+
+    if (!selectedKpiId) {
+        trendEl.innerHTML = '';
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/admin/kpis/${encodeURIComponent(selectedKpiId)}?cohortType=${cohortType}&weeks=12`, {
+            headers: {
+                'Authorization': `Bearer ${token}`,
+            },
+        });
+
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            trendEl.innerHTML = `<p class="experiments-message">${escapeHtml(data.message || 'Failed to load KPI trend.')}</p>`;
+            return;
+        }
+
+        const { kpi, weeks, cohorts } = data.data;
+        if (cohorts.length === 0) {
+            trendEl.innerHTML = '<p class="experiments-message">No values computed yet. Click <strong>Recompute now</strong> to compute them.</p>';
+            return;
+        }
+
+        const header = weeks.map(week => `<th>${escapeHtml(week.slice(5))}</th>`).join('');
+        const rows = cohorts.map(({ cohort, values }) => {
+            const byWeek = Object.fromEntries(values.map(v => [v.periodStart, v]));
+            const cells = weeks.map(week => {
+                const point = byWeek[week];
+                if (!point) return '<td>—</td>';
+                const title = point.denominator !== null ? ` title="${point.numerator ?? ''} / ${point.denominator}"` : '';
+                return `<td class="${point.partial ? 'kpi-partial' : ''}"${title}>${formatKpiValue(point.value, kpi.unit)}</td>`;
+            }).join('');
+
+            return `
+                            <tr>
+                                <td class="variant-name">${escapeHtml(cohort)}</td>
+                                <td>${kpiSparkline(values)}</td>${cells}
+                            </tr>`;
+        }).join('');
+
+        trendEl.innerHTML = `
+            <div class="experiment-card">
+                <h3 class="experiment-card-title">${escapeHtml(kpi.name)}</h3>
+                <p class="experiment-card-desc">${escapeHtml(kpi.definition)}</p>
+                <p class="experiment-card-target"><strong>How measured:</strong> ${escapeHtml(kpi.howMeasured || '—')} <strong>Unit:</strong> ${escapeHtml(kpi.unit || '—')}</p>
+                <div style="overflow-x: auto;">
+                    <table class="experiments-variant-table">
+                        <thead>
+                            <tr>
+                                <th>Cohort</th>
+                                <th>Trend</th>${header}
+                            </tr>
+                        </thead>
+                        <tbody>${rows}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading KPI trend:', error);
+        trendEl.innerHTML = '<p class="experiments-message">Failed to load KPI trend. Check the console.</p>';
+    }
+}
+
+async function recomputeProductKpis() {
+    const token = localStorage.getItem('token');
+    const button = document.getElementById('recomputeKpisBtn');
+    button.disabled = true;
+
+    try {
+        const response = await fetch('/api/admin/kpis/recompute', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+            },
+        });
+
+        const data = await response.json();
+        if (!data.success) {
+            alert(data.message || 'Recompute failed');
+        }
+        await loadProductKpis();
+    } catch (error) {
+        console.error('Error recomputing KPIs:', error);
+        alert('Failed to recompute KPIs');
+    } finally {
+        button.disabled = false;
+    }
+}
+
 async function approveUser(userId) {
     if (!confirm('Are you sure you want to approve this user?')) {
         return;
@@ -1,10 +1,19 @@
 document.addEventListener('DOMContentLoaded', () => {
     const loginForm = document.getElementById('loginForm');
+    const twoFactorForm = document.getElementById('twoFactorForm');
+    const setupStep = document.getElementById('setupStep');
+    const setupForm = document.getElementById('setupForm');
+    const recoveryStep = document.getElementById('recoveryStep');
     const errorMessage = document.getElementById('errorMessage');
 
+    // Set by the password step when a second step follows
+    let challengeToken = null;
+    let useRecoveryCode = false;
+
     // Check if coming from logout
     const urlParams = new URLSearchParams(window.location.search);
     const fromLogout = urlParams.get('logout');
+    const inviteToken = urlParams.get('invite');
 
     // If coming from logout, clear any stale auth data and show success message
     if (fromLogout) {
@@ -30,22 +39,26 @@ document.addEventListener('DOMContentLoaded', () => {
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ username, password }),
+                body: JSON.stringify({ username, password, inviteToken: inviteToken || undefined }),
             });
 
             const data = await response.json();
 
             if (response.ok && data.success) {
-                // Store token in localStorage
-                localStorage.setItem('token', data.token);
-                localStorage.setItem('user', JSON.stringify(data.user));
+                challengeToken = data.challengeToken || null;
 
-                // Redirect based on user role
-                if (data.user.role === 'admin') {
-                    window.location.href = '/admin';
-                } else {
-                    window.location.href = '/dashboard';
+                if (data.twoFactorRequired) {
+                    showStep(twoFactorForm);
+                    document.getElementById('twoFactorCode').focus();
+                    return;
                 }
+
+                if (data.twoFactorSetupRequired) {
+                    await startSetup(data.message);
+                    return;
+                }
+
+                await finishLogin(data);
             } else {
                 showError(data.message || 'Login failed');
             }
@@ -55,6 +68,165 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Second step: authenticator code or recovery code
+    document.getElementById('toggleRecoveryCode').addEventListener('click', (e) => {
+        e.preventDefault();
+        useRecoveryCode = !useRecoveryCode;
+
+        const codeInput = document.getElementById('twoFactorCode');
+        codeInput.value = '';
+        codeInput.placeholder = useRecoveryCode ? 'xxxxx-xxxxx' : '123456';
+        codeInput.inputMode = useRecoveryCode ? 'text' : 'numeric';
+        document.getElementById('twoFactorLabel').textContent = useRecoveryCode ? 'Recovery code' : 'Authentication code';
+        document.getElementById('twoFactorHint').textContent = useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.';
+        e.target.textContent = useRecoveryCode ? 'Use an authenticator code instead' : 'Use a recovery code instead';
+    });
+
+    twoFactorForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const value = document.getElementById('twoFactorCode').value.trim();
+        const body = useRecoveryCode
+            ? { challengeToken, recoveryCode: value }
+            : { challengeToken, code: value };
+
+        await submitStep('/api/auth/login/2fa', body);
+    });
+
+    setupForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const code = document.getElementById('setupCode').value.trim();
+        await submitStep('/api/auth/login/2fa/enable', { challengeToken, code });
+    });
+
+    document.getElementById('recoveryContinue').addEventListener('click', () => {
+        redirectAfterLogin(JSON.parse(localStorage.getItem('user') || '{}'));
+    });
+
+    // Show one step of the login card and hide the others
+    function showStep(step) {
+        [loginForm, twoFactorForm, setupStep, recoveryStep].forEach((el) => {
+            el.classList.toggle('hidden', el !== step);
+        });
+    }
+
+    async function startSetup(message) {
+        try {
+            const response = await fetch('/api/auth/login/2fa/setup', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ challengeToken }),
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                showError(data.message || 'Could not start two-factor setup');
+                return;
+            }
+
+            document.getElementById('setupHint').textContent = message;
+            document.getElementById('setupSecret').textContent = data.data.secret.match(/.{1,4}/g).join(' ');
+            document.getElementById('otpauthLink').href = data.data.otpauthUri;
+            showStep(setupStep);
+            document.getElementById('setupCode').focus();
+        } catch (error) {
+            showError('An error occurred. Please try again.');
+            console.error('Two-factor setup error:', error);
+        }
+    }
+
+    async function submitStep(url, body) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(body),
+            });
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                await finishLogin(data);
+            } else if (response.status === 401) {
+                // The challenge expired; start over with the password
+                showStep(loginForm);
+                showError(data.message || 'Please log in again');
+            } else {
+                showError(data.message || 'Verification failed');
+            }
+        } catch (error) {
+            showError('An error occurred. Please try again.');
+            console.error('Two-factor login error:', error);
+        }
+    }
+
+    async function finishLogin(data) {
+        // Store token in localStorage
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('user', JSON.stringify(data.user));
+
+        if (data.recoveryCodes) {
+            const list = document.getElementById('recoveryCodes');
+            list.innerHTML = '';
+            data.recoveryCodes.forEach((code) => {
+                const item = document.createElement('span');
+                item.textContent = code;
+                list.appendChild(item);
+            });
+            showStep(recoveryStep);
+            return;
+        }
+
+        if (data.recoveryCodesRemaining !== undefined && data.recoveryCodesRemaining <= 2) {
+            alert(`You have ${data.recoveryCodesRemaining} recovery codes left. Generate a new set soon.`);
+        }
+
+        await redirectAfterLogin(data.user);
+    }
+
+    async function redirectAfterLogin(user) {
+        if (inviteToken) {
+            await acceptInvite(localStorage.getItem('token'));
+            return;
+        }
+
+        // Redirect based on user role
+        if (user.role === 'admin') {
+            window.location.href = '/admin';
+        } else {
+            window.location.href = '/dashboard';
+        }
+    }
+
+    // Accept the workspace invitation from the link, then open the dashboard
+    async function acceptInvite(token) {
+        try {
+            const response = await fetch(`/api/invites/${encodeURIComponent(inviteToken)}/accept`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                },
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                showError(data.message || 'Could not accept the invitation');
+                return;
+            }
+
+            window.location.href = '/dashboard';
+        } catch (error) {
+            showError('Could not accept the invitation. Please try again.');
+            console.error('Accept invite error:', error);
+        }
+    }
+
     function showError(message) {
         errorMessage.textContent = message;
         errorMessage.classList.add('show');
@@ -88,6 +260,11 @@ document.addEventListener('DOMContentLoaded', () => {
             });
 
             if (response.ok) {
+                if (inviteToken) {
+                    await acceptInvite(token);
+                    return;
+                }
+
                 // Redirect based on user role
                 if (user.role === 'admin') {
                     window.location.href = '/admin';
@@ -3,6 +3,12 @@ document.addEventListener('DOMContentLoaded', () => {
     const errorMessage = document.getElementById('errorMessage');
     const successMessage = document.getElementById('successMessage');
 
+    // Invite links carry a token; the invited email is fixed and needs no admin approval
+    const inviteToken = new URLSearchParams(window.location.search).get('invite');
+    if (inviteToken) {
+        loadInvite(inviteToken);
+    }
+
     registerForm.addEventListener('submit', async (e) => {
         e.preventDefault();
 
@@ -38,6 +44,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     contactPerson,
                     phone,
                     customerType: 'b2b',
+                    inviteToken: inviteToken || undefined,
                 }),
             });
 
@@ -49,7 +56,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 // Redirect to login after 5 seconds (give time to read the message)
                 setTimeout(() => {
-                    window.location.href = '/admin/login';
+                    // Workspaces that require 2FA are joined from the login page, after setting it up
+                    if (data.twoFactorRequired) {
+                        window.location.href = `/login?invite=${encodeURIComponent(inviteToken)}`;
+                        return;
+                    }
+                    window.location.href = inviteToken ? '/login' : '/admin/login';
                 }, 5000);
             } else {
                 showError(data.message || 'Registration failed');
@@ -60,6 +72,36 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    async function loadInvite(token) {
+        try {
+            const response = await fetch(`/api/invites/${encodeURIComponent(token)}`);
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                showError(data.message || 'This invitation is no longer valid');
+                return;
+            }
+
+            const invite = data.data;
+            if (invite.hasAccount) {
+                window.location.href = `/login?invite=${encodeURIComponent(token)}`;
+                return;
+            }
+
+            const emailInput = document.getElementById('email');
+            emailInput.value = invite.email;
+            emailInput.readOnly = true;
+            document.getElementById('companyName').required = false;
+
+            const infoBox = document.querySelector('.info-box');
+            if (infoBox) {
+                infoBox.textContent = `${invite.invitedBy || 'A workspace admin'} invited you to join ${invite.workspaceName} as ${invite.role}. Your account will be active as soon as you register.`;
+            }
+        } catch (error) {
+            console.error('Invite lookup error:', error);
+        }
+    }
+
     function showError(message) {
         errorMessage.textContent = message;
         errorMessage.classList.add('show');
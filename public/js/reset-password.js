@@ -0,0 +1,100 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const requestState = document.getElementById('requestState');
+    const resetState = document.getElementById('resetState');
+    const requestForm = document.getElementById('requestForm');
+    const resetForm = document.getElementById('resetForm');
+    const successMessage = document.getElementById('successMessage');
+    const errorMessage = document.getElementById('errorMessage');
+
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    if (token) {
+        requestState.classList.add('hidden');
+        resetState.classList.remove('hidden');
+    }
+
+    // Ask for a reset link
+    requestForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideMessages();
+
+        const email = document.getElementById('email').value;
+
+        try {
+            const response = await fetch('/api/auth/forgot-password', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email }),
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                requestForm.reset();
+                showSuccess(data.message);
+            } else {
+                showError(data.message || 'Failed to send reset link');
+            }
+        } catch (error) {
+            showError('An error occurred. Please try again.');
+            console.error('Forgot password error:', error);
+        }
+    });
+
+    // Set the new password with the token from the email
+    resetForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideMessages();
+
+        const password = document.getElementById('password').value;
+        const confirmPassword = document.getElementById('confirmPassword').value;
+
+        if (password !== confirmPassword) {
+            showError('Passwords do not match');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/auth/reset-password', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ token, password }),
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                // Any stored token belongs to a session that was just signed out
+                localStorage.removeItem('token');
+                localStorage.removeItem('user');
+                resetForm.classList.add('hidden');
+                showSuccess(data.message);
+                window.history.replaceState({}, '', '/reset-password');
+            } else {
+                showError(data.message || 'Password reset failed');
+            }
+        } catch (error) {
+            showError('An error occurred. Please try again.');
+            console.error('Reset password error:', error);
+        }
+    });
+
+    function showSuccess(message) {
+        successMessage.textContent = message;
+        successMessage.classList.add('show');
+    }
+
+    function showError(message) {
+        errorMessage.textContent = message;
+        errorMessage.classList.add('show');
+    }
+
+    function hideMessages() {
+        successMessage.classList.remove('show');
+        errorMessage.classList.remove('show');
+    }
+});
@@ -0,0 +1,49 @@
+// Keeps the login alive: access tokens are short-lived, so when an API call
+// comes back 401 the session is refreshed once (refresh token cookie) and the
+// call is retried. Load this before any script that calls the API.
+(function () {
+    const originalFetch = window.fetch.bind(window);
+    const NO_RETRY = ['/api/auth/login', '/api/auth/refresh', '/api/auth/logout', '/api/auth/register'];
+    let refreshing = null;
+
+    function pathOf(input) {
+        const url = typeof input === 'string' ? input : input.url;
+        return new URL(url, window.location.origin).pathname;
+    }
+
+    // One refresh at a time; concurrent 401s wait for the same one
+    function refreshSession() {
+        if (!refreshing) {
+            refreshing = originalFetch('/api/auth/refresh', { method: 'POST', credentials: 'include' })
+                .then(async (response) => {
+                    if (!response.ok) return null;
+                    const data = await response.json();
+                    if (localStorage.getItem('token')) {
+                        localStorage.setItem('token', data.token);
+                    }
+                    return data.token;
+                })
+                .catch(() => null)
+                .finally(() => { refreshing = null; });
+        }
+        return refreshing;
+    }
+
+    window.fetch = async function (input, init = {}) {
+        const response = await originalFetch(input, init);
+        const path = pathOf(input);
+
+        if (response.status !== 401 || !path.startsWith('/api/') || NO_RETRY.includes(path)) {
+            return response;
+        }
+
+        const token = await refreshSession();
+        if (!token) return response;
+
+        const headers = new Headers(init.headers || (typeof input === 'string' ? undefined : input.headers));
+        if (headers.has('Authorization')) {
+            headers.set('Authorization', `Bearer ${token}`);
+        }
+        return originalFetch(input, { ...init, headers, credentials: init.credentials || 'include' });
+    };
+})();
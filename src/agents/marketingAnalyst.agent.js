@@ -1,22 +1,40 @@
-const {
-  get_kpis,
-  compare_periods,
-  get_timeseries,
-  detect_anomalies,
-} = require('../tools/analyticsTools');
-const {
-  getRealKPIs,
-  comparePeriods: compareRealPeriods,
-  getTimeSeries: getRealTimeSeries,
-} = require('../tools/realDataLoader');
-const { generate } = require('../ai/geminiClient');
+const { createScopedTools } = require('../tools/realDataLoader');
+const { getAdapter } = require('../tools/adapters');
+const { InsufficientDataError } = require('../utils/errors');
+const llm = require('../ai/providers');
+const { callTool, getFunctionDeclarations } = require('../ai/geminiTools');
 const config = require('../config/config');
 const { enforceEvidenceBinding } = require('./finalResponse.validator');
 
+// Rows of a tool result sent back to the model; the full result stays server-side
+const MAX_TOOL_RESULT_ROWS = 60;
+
+// Gemini deadline, leaving a buffer for Heroku's 30s request limit
+const ANALYZE_TIMEOUT_MS = 25000;
+
+const FINAL_RESPONSE_FORMAT = `{
+  "status": "ok",
+  "findings": [
+    {"title": "...", "detail": "...", "impact": "high|medium|low", "supporting_metrics": ["metric1"]}
+  ],
+  "actions": [
+    {"priority": "high|medium|low", "action": "...", "rationale": "...", "expected_impact": "...", "supporting_metrics": ["metric1"]}
+  ],
+  "exec_summary": {
+    "headline": "One sentence summary answering the question",
+    "what_changed": ["bullet1", "bullet2"],
+    "why": ["reason1"],
+    "what_to_do_next": ["action1", "action2"]
+  }
+}`;
+
 function validateScopeInput(scope) {
   if (!scope) return 'Scope is required. Select an analytics account or custom data source.';
   if (!scope.source) return 'Scope source is required.';
   if (scope.source === 'meta_ads' && !scope.accountId) return 'Select a Meta Ads account.';
+  if (['google_ads', 'tiktok_ads', 'linkedin_ads'].includes(scope.source) && !scope.accountId) {
+    return `Select a ${getAdapter(scope.source).label} account.`;
+  }
   if (scope.source === 'search_console' && !scope.propertyUrl) return 'Select a Search Console property.';
   if (scope.source === 'custom_data' && !scope.accountId) return 'Select a custom data source.';
   return null;
@@ -31,6 +49,8 @@ function describeScope(scope) {
     segments.push(`Search Console property ${scope.propertyUrl || 'unspecified'}`);
   } else if (scope.source === 'custom_data') {
     segments.push(`Custom data ${scope.accountId || 'source'}`);
+  } else if (getAdapter(scope.source)) {
+    segments.push(`${getAdapter(scope.source).label} account ${scope.accountId || 'unspecified'}`);
   } else {
     segments.push(`${scope.source}`);
   }
@@ -40,7 +60,7 @@ function describeScope(scope) {
   return segments.join(' • ');
 }
 
-function createScopeErrorResponse(question, reason) {
+function createScopeErrorResponse(question, reason, headline = 'Insufficient data: scope missing') {
   return {
     status: 'insufficient_data',
     objective: question,
@@ -49,7 +69,7 @@ function createScopeErrorResponse(question, reason) {
     evidence: [],
     dashboard_spec: {},
     exec_summary: {
-      headline: 'Insufficient data: scope missing',
+      headline,
       what_changed: [],
       why: [reason],
       what_to_do_next: [
@@ -61,21 +81,46 @@ function createScopeErrorResponse(question, reason) {
   };
 }
 
-function buildScopeFilters(scope) {
-  if (!scope) return {};
-  const filters = { source: scope.source };
-  if (scope.accountId) filters.accountId = scope.accountId;
-  if (scope.propertyUrl) filters.propertyUrl = scope.propertyUrl;
-  return filters;
+// Returned instead of sample data when the scope has no adapter or no reachable data
+function createInsufficientDataResponse(question, reason) {
+  return createScopeErrorResponse(question, reason, 'Insufficient data: no data available for this scope');
+}
+
+// Prior turns of an analysis thread ({ question, dateRange, response }, oldest first)
+// so a follow-up question can refer to earlier findings and evidence
+function buildConversationContext(history) {
+  if (!history || history.length === 0) return '';
+
+  const turns = history.map((turn, index) => {
+    const lines = [`Turn ${index + 1} (${turn.dateRange.start} to ${turn.dateRange.end}): ${turn.question}`];
+    const response = turn.response || {};
+    if (response.exec_summary && response.exec_summary.headline) {
+      lines.push(`  Answer: ${response.exec_summary.headline}`);
+    }
+    (response.findings || []).slice(0, 3).forEach(finding => {
+      lines.push(`  Finding: ${finding.title} - ${finding.detail}`);
+    });
+    (response.evidence || []).flatMap(item => item.key_results || []).slice(0, 6).forEach(result => {
+      lines.push(`  Evidence: ${result}`);
+    });
+    return lines.join('\n');
+  });
+
+  return `
+CONVERSATION SO FAR (the question may refer to it; fetch fresh data rather than reusing these numbers):
+${turns.join('\n')}
+`;
 }
 
 function deterministicSummary(kpis, comparisons, series, anomalies, question, scopeDescription = '') {
+  // Sources without spend (e.g. Search Console) report zero instead of failing
+  const spend = kpis.metrics.spend || 0;
+  const revenue = kpis.metrics.revenue || 0;
+  const { current, previous } = comparisons.metrics;
   const findings = [];
   findings.push({
     title: 'Core KPI snapshot',
-    detail: `Spend $${kpis.metrics.spend.toFixed(0)}, revenue $${kpis.metrics.revenue.toFixed(
-      0
-    )}, ROAS ${(kpis.metrics.roas || 0).toFixed(2)}x over the selected range.`,
+    detail: `Spend $${spend.toFixed(0)}, revenue $${revenue.toFixed(0)}, ROAS ${(kpis.metrics.roas || 0).toFixed(2)}x over the selected range.`,
     impact: 'Baseline performance',
     supporting_metrics: ['spend', 'revenue', 'roas'],
   });
@@ -83,8 +128,8 @@ function deterministicSummary(kpis, comparisons, series, anomalies, question, sc
   findings.push({
     title: 'Comparative view',
     detail: `Compared to the prior window, spend changed by $${(
-      comparisons.metrics.current.spend - comparisons.metrics.previous.spend
-    ).toFixed(0)} and revenue by $${(comparisons.metrics.current.revenue - comparisons.metrics.previous.revenue).toFixed(0)}.`,
+      (current.spend || 0) - (previous.spend || 0)
+    ).toFixed(0)} and revenue by $${((current.revenue || 0) - (previous.revenue || 0)).toFixed(0)}.`,
     impact: 'Trend insight',
     supporting_metrics: ['spend', 'revenue'],
   });
@@ -104,8 +149,8 @@ function deterministicSummary(kpis, comparisons, series, anomalies, question, sc
   const dashboard_spec = {
     title: 'Auto-generated summary',
     tiles: [
-      { type: 'kpi', title: 'Spend', value: `$${kpis.metrics.spend.toFixed(0)}`, unit: 'USD' },
-      { type: 'kpi', title: 'Revenue', value: `$${kpis.metrics.revenue.toFixed(0)}`, unit: 'USD' },
+      { type: 'kpi', title: 'Spend', value: `$${spend.toFixed(0)}`, unit: 'USD' },
+      { type: 'kpi', title: 'Revenue', value: `$${revenue.toFixed(0)}`, unit: 'USD' },
       { type: 'kpi', title: 'ROAS', value: `${(kpis.metrics.roas || 0).toFixed(2)}x`, unit: 'ratio' },
       {
         type: 'trend',
@@ -129,10 +174,10 @@ function deterministicSummary(kpis, comparisons, series, anomalies, question, sc
     {
       id: 'deterministic-kpi',
       tool: 'get_kpis',
-      params_summary: 'sample data',
+      params_summary: scopeDescription || 'selected scope',
       key_results: [
-        `metric=spend value=${kpis.metrics.spend.toFixed(0)}`,
-        `metric=revenue value=${kpis.metrics.revenue.toFixed(0)}`,
+        `metric=spend value=${spend.toFixed(0)}`,
+        `metric=revenue value=${revenue.toFixed(0)}`,
       ],
     },
   ];
@@ -158,22 +203,275 @@ async function runAgent(input) {
   if (scopeError) {
     return createScopeErrorResponse(question, scopeError);
   }
-  const filters = buildScopeFilters(scope);
   const scopeDescription = describeScope(scope);
-  const kpis = await get_kpis(workspaceId, dateRange, filters, null, ['spend', 'revenue', 'conversions', 'roas']);
   const previousRange = {
     start: new Date(new Date(dateRange.start).setDate(new Date(dateRange.start).getDate() - 7)).toISOString().split('T')[0],
     end: new Date(new Date(dateRange.end).setDate(new Date(dateRange.end).getDate() - 7)).toISOString().split('T')[0],
   };
-  const comparisons = await compare_periods(workspaceId, dateRange, previousRange, ['spend', 'revenue', 'conversions']);
-  const series = await get_timeseries(workspaceId, dateRange, 'daily', ['spend', 'revenue'], null, filters);
-  const anomalies = await detect_anomalies(workspaceId, dateRange, primaryKpi);
-  return deterministicSummary(kpis, comparisons, series, anomalies, question, scopeDescription);
+
+  try {
+    const tools = createScopedTools(scope);
+    const kpis = await tools.get_kpis(workspaceId, dateRange, {}, null, ['spend', 'revenue', 'conversions', 'roas']);
+    const comparisons = await tools.compare_periods(workspaceId, dateRange, previousRange, ['spend', 'revenue', 'conversions'], 'campaign');
+    const series = await tools.get_timeseries(workspaceId, dateRange, 'daily', ['spend', 'revenue']);
+    const anomalies = await tools.detect_anomalies(workspaceId, dateRange, primaryKpi, 'daily');
+    return deterministicSummary(kpis, comparisons, series, anomalies, question, scopeDescription);
+  } catch (err) {
+    if (err instanceof InsufficientDataError) {
+      return createInsufficientDataResponse(question, err.message);
+    }
+    throw err;
+  }
+}
+
+function buildToolLoopPrompt({ question, dateRange, primaryKpi = 'roas', history }, { scopeDescription, previousRange, metrics }) {
+  return `You are a marketing analyst with access to analytics tools. Answer the user's question using data you fetch with the tools.
+
+USER QUESTION: ${question}
+SCOPE: ${scopeDescription}
+DATE RANGE: ${dateRange.start} to ${dateRange.end}
+PREVIOUS PERIOD: ${previousRange.start} to ${previousRange.end}
+PRIMARY KPI: ${primaryKpi}
+${buildConversationContext(history)}
+HOW TO WORK:
+- Call tools to gather the data you need; you may call several tools per turn and refine over several turns.
+- Use granularity, groupBy (e.g. campaign, platform) and filters to drill into the question instead of guessing.
+- Metrics available for this scope: ${metrics.join(', ')}.
+- Every supporting_metrics entry must be a metric returned by a tool call.
+
+When you have enough data, reply with ONLY valid JSON in this exact format (no markdown, no explanation):
+${FINAL_RESPONSE_FORMAT}`;
+}
+
+// Run a tool for the agent. The workspace comes from the request and the tools are
+// bound to the selected scope, so the model cannot read outside the selected source.
+async function executeAgentTool(name, args, { workspaceId, tools }) {
+  return callTool(name, { ...args, workspaceId }, tools);
+}
+
+function summarizeToolArgs(args) {
+  return Object.entries(args)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+}
+
+function formatEvidenceValue(value) {
+  return typeof value === 'number' ? Number(value.toFixed(2)) : value;
+}
+
+// Evidence key_results use "metric=<name>" so enforceEvidenceBinding can bind findings to them
+function buildToolEvidence(id, name, args, result) {
+  const keyResults = [];
+
+  switch (name) {
+    case 'get_kpis':
+      Object.entries(result.metrics || {}).forEach(([metric, value]) => {
+        keyResults.push(`metric=${metric} value=${formatEvidenceValue(value)}`);
+      });
+      (result.groups || []).slice(0, 5).forEach(group => {
+        const label = (result.groupBy || []).map(dimension => `${dimension}:${group[dimension]}`).join(',');
+        Object.entries(group.metrics).forEach(([metric, value]) => {
+          keyResults.push(`metric=${metric} value=${formatEvidenceValue(value)} group=${label}`);
+        });
+      });
+      break;
+    case 'compare_periods': {
+      const { current = {}, previous = {} } = result.metrics || {};
+      Object.keys(current).forEach(metric => {
+        keyResults.push(
+          `metric=${metric} current=${formatEvidenceValue(current[metric])} previous=${formatEvidenceValue(previous[metric])}`
+        );
+      });
+      break;
+    }
+    case 'get_timeseries': {
+      const points = result.data || [];
+      if (points.length > 0) {
+        Object.keys(points[0]).filter(key => typeof points[0][key] === 'number').forEach(metric => {
+          const peak = points.reduce((best, point) => (point[metric] > best[metric] ? point : best));
+          keyResults.push(`metric=${metric} points=${points.length} peak=${peak.date}:${formatEvidenceValue(peak[metric])}`);
+        });
+      }
+      break;
+    }
+    case 'detect_anomalies':
+      (result.anomalies || []).slice(0, 5).forEach(anomaly => {
+        const group = (result.groupBy || []).map(dimension => ` ${dimension}=${anomaly[dimension]}`).join('');
+        keyResults.push(
+          `metric=${anomaly.metric} date=${anomaly.date} value=${formatEvidenceValue(anomaly.value)} threshold=${anomaly.threshold}${group}`
+        );
+      });
+      if (keyResults.length === 0) {
+        keyResults.push(`metric=${result.metric} anomalies=0`);
+      }
+      break;
+    default:
+      break;
+  }
+
+  return {
+    id,
+    tool: name,
+    params_summary: summarizeToolArgs(args),
+    key_results: keyResults.length > 0 ? keyResults : ['no data returned'],
+  };
+}
+
+function compactToolResult(result) {
+  const compact = {};
+  Object.entries(result || {}).forEach(([key, value]) => {
+    compact[key] = Array.isArray(value) ? value.slice(0, MAX_TOOL_RESULT_ROWS) : value;
+  });
+  return compact;
+}
+
+function textFromParts(parts) {
+  return parts.filter(part => part.text && !part.thought).map(part => part.text).join('');
+}
+
+/**
+ * Multi-step tool loop: the model picks tools and arguments, the server runs them and
+ * feeds results back, until the model answers or the step/time budget runs out.
+ * Every call is recorded in trace.tool_calls, emitted as a progress event and
+ * becomes an evidence entry.
+ */
+async function runToolLoop(input, context, trace) {
+  const started = Date.now();
+  const { maxSteps } = config.agent;
+  const timeBudgetMs = context.timeBudgetMs || config.agent.timeBudgetMs;
+  const { emit } = context;
+  const declarations = getFunctionDeclarations();
+  const contents = [{ role: 'user', parts: [{ text: buildToolLoopPrompt(input, context) }] }];
+  const evidence = [];
+  const results = [];
+  let finalText = null;
+
+  for (let step = 1; step <= maxSteps; step++) {
+    if (context.signal) context.signal.throwIfAborted();
+    const remaining = timeBudgetMs - (Date.now() - started);
+    if (remaining <= 0) {
+      trace.validation.push('time_budget_exhausted');
+      break;
+    }
+
+    const { parts } = await llm.generateWithTools('analyst', contents, declarations, {
+      timeout: remaining,
+      workspaceId: context.workspaceId,
+      signal: context.signal,
+    });
+    const calls = parts.filter(part => part.functionCall).map(part => part.functionCall);
+
+    if (calls.length === 0) {
+      finalText = textFromParts(parts);
+      break;
+    }
+
+    // Echo the model turn verbatim so function calls keep their thought signatures
+    contents.push({ role: 'model', parts });
+    trace.plan_steps.push(`step_${step}: ${calls.map(call => call.name).join(', ')}`);
+    emit('plan_step', { step, tools: calls.map(call => call.name) });
+
+    const responseParts = [];
+    for (const call of calls) {
+      const args = call.args || {};
+      const id = `ev_${step}_${responseParts.length + 1}`;
+      const callStarted = Date.now();
+
+      try {
+        const result = await executeAgentTool(call.name, args, context);
+        const item = buildToolEvidence(id, call.name, args, result);
+        evidence.push(item);
+        results.push({ name: call.name, args, result });
+        const toolCall = {
+          step,
+          name: call.name,
+          args_summary: item.params_summary,
+          result_summary: item.key_results.join(', '),
+          evidence_id: id,
+          duration_ms: Date.now() - callStarted,
+        };
+        trace.tool_calls.push(toolCall);
+        emit('tool_call', toolCall);
+        responseParts.push({ functionResponse: { name: call.name, response: { evidence_id: id, result: compactToolResult(result) } } });
+      } catch (err) {
+        // Missing accounts or credentials will not resolve on another step
+        if (err instanceof InsufficientDataError) throw err;
+        const toolCall = {
+          step,
+          name: call.name,
+          args_summary: summarizeToolArgs(args),
+          error: err.message,
+          duration_ms: Date.now() - callStarted,
+        };
+        trace.tool_calls.push(toolCall);
+        emit('tool_call', toolCall);
+        responseParts.push({ functionResponse: { name: call.name, response: { error: err.message } } });
+      }
+    }
+
+    contents.push({ role: 'user', parts: responseParts });
+  }
+
+  if (finalText === null) {
+    if (!trace.validation.includes('time_budget_exhausted')) {
+      trace.validation.push('step_budget_exhausted');
+    }
+    contents.push({
+      role: 'user',
+      parts: [{ text: 'Tool budget reached. Answer now using only the data gathered so far, in the required JSON format.' }],
+    });
+    const { parts } = await llm.generateWithTools('analyst', contents, declarations, {
+      allowTools: false,
+      workspaceId: context.workspaceId,
+      signal: context.signal,
+    });
+    finalText = textFromParts(parts);
+  }
+
+  if (evidence.length === 0) {
+    throw new Error('Model answered without gathering any data');
+  }
+
+  return { finalText, evidence, results };
+}
+
+function buildToolLoopDashboard(results) {
+  const latest = name => results.filter(r => r.name === name && !(r.result.groupBy || []).length).pop();
+  const kpis = latest('get_kpis');
+  const series = latest('get_timeseries');
+  const tiles = [];
+
+  if (kpis) {
+    const metrics = kpis.result.metrics || {};
+    if (metrics.spend !== undefined) tiles.push({ type: 'kpi', title: 'Spend', value: `$${(metrics.spend || 0).toFixed(0)}`, unit: 'USD' });
+    if (metrics.revenue !== undefined) tiles.push({ type: 'kpi', title: 'Revenue', value: `$${(metrics.revenue || 0).toFixed(0)}`, unit: 'USD' });
+    if (metrics.roas !== undefined) tiles.push({ type: 'kpi', title: 'ROAS', value: `${(metrics.roas || 0).toFixed(2)}x`, unit: 'ratio' });
+  }
+
+  if (series && (series.result.data || []).length > 0) {
+    const points = series.result.data;
+    tiles.push({
+      type: 'trend',
+      title: 'Performance Trend',
+      series: Object.keys(points[0])
+        .filter(key => typeof points[0][key] === 'number')
+        .map(metric => ({ name: metric, data: points.map(p => ({ x: p.date, y: p[metric] })) })),
+    });
+  }
+
+  return { title: 'AI Analysis', tiles };
 }
 
+/**
+ * Gemini analyst: tool loop first, single-pass prompt as fallback
+ * @param {Object} options - { debug, onEvent(event, data), timeBudgetMs, signal }
+ *   onEvent receives plan_step, tool_call and finding progress events; an aborted
+ *   signal stops the agent between model calls and cancels the pending one
+ */
 async function runGeminiAgent(input, options = {}) {
-  if (!config.useGemini) throw new Error('Gemini disabled');
+  if (!llm.supportsTools('analyst')) throw new Error('No tool-calling AI provider configured');
   const debugMode = options.debug === true;
+  const emit = options.onEvent || (() => {});
   const scopeError = validateScopeInput(input.scope);
   if (scopeError) {
     return createScopeErrorResponse(input.question, scopeError);
@@ -181,7 +479,6 @@ async function runGeminiAgent(input, options = {}) {
 
   const { workspaceId, question, dateRange, primaryKpi = 'roas', scope } = input;
   const scopeDescription = describeScope(scope);
-  const filters = buildScopeFilters(scope);
 
   // Calculate previous period for comparison
   const daysDiff = Math.ceil((new Date(dateRange.end) - new Date(dateRange.start)) / (1000 * 60 * 60 * 24));
@@ -194,29 +491,70 @@ async function runGeminiAgent(input, options = {}) {
     end: prevEnd.toISOString().split('T')[0],
   };
 
-  // Step 1: Gather REAL data from Meta Ads API (not sample data)
-  let kpis, comparisons, series;
+  const trace = {
+    plan_steps: [],
+    tool_calls: [],
+    validation: [],
+  };
+
+  const insufficient = (reason) => {
+    trace.validation.push(`insufficient_data: ${reason}`);
+    const response = createInsufficientDataResponse(question, reason);
+    return debugMode ? { result: response, trace } : response;
+  };
 
-  if (scope.source === 'meta_ads' && scope.accountId) {
-    // Use real Meta Ads API data
-    console.log(`[AI Agent] Fetching real Meta Ads data for account ${scope.accountId}`);
-    [kpis, comparisons, series] = await Promise.all([
-      getRealKPIs(workspaceId, dateRange, filters),
-      compareRealPeriods(workspaceId, dateRange, previousRange, filters),
-      getRealTimeSeries(workspaceId, dateRange, filters),
-    ]);
-  } else {
-    // Fallback to sample data for other sources
-    console.log('[AI Agent] Using sample data (non-Meta source)');
-    [kpis, comparisons, series] = await Promise.all([
-      get_kpis(workspaceId, dateRange, filters, null, ['spend', 'revenue', 'conversions', 'roas', 'cpa', 'ctr', 'impressions', 'clicks']),
-      compare_periods(workspaceId, dateRange, previousRange, ['spend', 'revenue', 'conversions', 'roas', 'cpa']),
-      get_timeseries(workspaceId, dateRange, 'daily', ['spend', 'revenue', 'roas'], null, filters),
-    ]);
+  let tools, metrics;
+  try {
+    tools = createScopedTools(scope);
+    metrics = await tools.listMetrics(workspaceId);
+  } catch (err) {
+    if (err instanceof InsufficientDataError) return insufficient(err.message);
+    throw err;
   }
 
-  // Anomaly detection (keep using sample for now)
-  const anomalies = await detect_anomalies(workspaceId, dateRange, primaryKpi);
+  // Step 1: Let the model drive the tools
+  try {
+    const loop = await runToolLoop(
+      input,
+      {
+        workspaceId, tools, metrics, scopeDescription, previousRange, emit,
+        timeBudgetMs: options.timeBudgetMs,
+        signal: options.signal,
+      },
+      trace
+    );
+    let finalResponse = safeParseJson(loop.finalText, 'AI analysis');
+
+    finalResponse.objective = scopeDescription ? `${scopeDescription} · ${question}` : question;
+    finalResponse.evidence = loop.evidence;
+    finalResponse.dashboard_spec = buildToolLoopDashboard(loop.results);
+
+    trace.validation.push('ai_response_parsed');
+    finalResponse = enforceEvidenceBinding(finalResponse);
+    trace.validation.push('evidence_binding_enforced');
+    (finalResponse.findings || []).forEach(finding => emit('finding', finding));
+
+    return debugMode ? { result: finalResponse, trace } : finalResponse;
+  } catch (err) {
+    if (err instanceof InsufficientDataError) return insufficient(err.message);
+    if (options.signal && options.signal.aborted) throw err;
+    console.error('Agent tool loop failed, using single-pass analysis:', err.message);
+    trace.validation.push(`tool_loop_failed: ${err.message}`);
+  }
+
+  // Fallback: gather a fixed set of datasets and make a single prompt call
+  let kpis, comparisons, series, anomalies;
+  try {
+    [kpis, comparisons, series, anomalies] = await Promise.all([
+      tools.get_kpis(workspaceId, dateRange, {}, null, metrics),
+      tools.compare_periods(workspaceId, dateRange, previousRange, metrics, 'campaign'),
+      tools.get_timeseries(workspaceId, dateRange, 'daily', metrics),
+      tools.detect_anomalies(workspaceId, dateRange, metrics.includes(primaryKpi) ? primaryKpi : metrics[0], 'daily'),
+    ]);
+  } catch (err) {
+    if (err instanceof InsufficientDataError) return insufficient(err.message);
+    throw err;
+  }
 
   // Build evidence from gathered data
   const evidence = [
@@ -254,7 +592,7 @@ async function runGeminiAgent(input, options = {}) {
 USER QUESTION: ${question}
 SCOPE: ${scopeDescription}
 DATE RANGE: ${dateRange.start} to ${dateRange.end}
-
+${buildConversationContext(input.history)}
 DATA:
 - KPIs: ${JSON.stringify(kpis.metrics)}
 - Period Comparison: Current=${JSON.stringify(comparisons.metrics?.current)}, Previous=${JSON.stringify(comparisons.metrics?.previous)}
@@ -262,30 +600,14 @@ DATA:
 - Timeseries points: ${series.data?.length || 0} days
 
 Return ONLY valid JSON in this exact format (no markdown, no explanation):
-{
-  "status": "ok",
-  "findings": [
-    {"title": "...", "detail": "...", "impact": "high|medium|low", "supporting_metrics": ["metric1"]}
-  ],
-  "actions": [
-    {"priority": "high|medium|low", "action": "...", "rationale": "...", "expected_impact": "...", "supporting_metrics": ["metric1"]}
-  ],
-  "exec_summary": {
-    "headline": "One sentence summary answering the question",
-    "what_changed": ["bullet1", "bullet2"],
-    "why": ["reason1"],
-    "what_to_do_next": ["action1", "action2"]
-  }
-}`;
+${FINAL_RESPONSE_FORMAT}`;
 
-  const trace = {
-    plan_steps: ['gather_data', 'analyze_with_ai'],
-    tool_calls: evidence.map(e => ({ name: e.tool, args_summary: e.params_summary, result_summary: e.key_results.join(', ') })),
-    validation: [],
-  };
+  trace.plan_steps.push('gather_data', 'analyze_with_ai');
+  trace.tool_calls.push(...evidence.map(e => ({ name: e.tool, args_summary: e.params_summary, result_summary: e.key_results.join(', ') })));
+  emit('plan_step', { step: 'single_pass', tools: evidence.map(e => e.tool) });
 
   try {
-    const aiResponse = await generate(analysisPrompt);
+    const { text: aiResponse } = await llm.generateText('analyst', { prompt: analysisPrompt, workspaceId });
     let finalResponse = safeParseJson(aiResponse, 'AI analysis');
 
     // Add required fields
@@ -311,6 +633,7 @@ Return ONLY valid JSON in this exact format (no markdown, no explanation):
     trace.validation.push('ai_response_parsed');
     finalResponse = enforceEvidenceBinding(finalResponse);
     trace.validation.push('evidence_binding_enforced');
+    (finalResponse.findings || []).forEach(finding => emit('finding', finding));
 
     return debugMode ? { result: finalResponse, trace } : finalResponse;
   } catch (err) {
@@ -324,8 +647,73 @@ Return ONLY valid JSON in this exact format (no markdown, no explanation):
   }
 }
 
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Gemini timeout - falling back to fast mode')), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run the analyst in the configured mode. The Gemini agent gets a deadline and
+ * falls back to the deterministic agent when it fails or times out.
+ * @param {Object} input - { workspaceId, question, dateRange, primaryKpi, scope, history }
+ * @param {Object} options - { onEvent(event, data), timeoutMs, timeBudgetMs, signal }
+ *   onEvent receives mode and fallback events in addition to the agent's progress events.
+ *   Aborting the signal (e.g. when the client disconnects) stops the agent without a fallback run.
+ * @returns {Object} { result, trace, mode }
+ */
+async function analyze(input, options = {}) {
+  const emit = options.onEvent || (() => {});
+  const scopeError = validateScopeInput(input.scope);
+  if (scopeError) {
+    return {
+      result: createScopeErrorResponse(input.question, scopeError),
+      trace: { validation: ['scope_missing'], plan_steps: [], tool_calls: [] },
+      mode: null,
+    };
+  }
+
+  if (llm.supportsTools('analyst')) {
+    const timeoutMs = options.timeoutMs || ANALYZE_TIMEOUT_MS;
+    console.log(`AI analyze mode: gemini (with ${timeoutMs / 1000}s timeout)`);
+    emit('mode', { mode: 'gemini' });
+    // A timed-out agent keeps running; drop its events once the fallback has started
+    let agentActive = true;
+    const agentEmit = (event, data) => agentActive && emit(event, data);
+    try {
+      const { result, trace } = await withTimeout(
+        runGeminiAgent(input, {
+          debug: true, onEvent: agentEmit, timeBudgetMs: options.timeBudgetMs, signal: options.signal,
+        }),
+        timeoutMs
+      );
+      return { result, trace, mode: 'gemini' };
+    } catch (err) {
+      agentActive = false;
+      if (options.signal && options.signal.aborted) throw err;
+      console.warn('Gemini agent failed or timed out, falling back to fast mode:', err.message);
+      emit('fallback', { mode: 'deterministic', reason: err.message });
+      const result = await runAgent(input);
+      return { result, trace: { validation: ['deterministic_fallback'], plan_steps: [], tool_calls: [] }, mode: 'deterministic' };
+    }
+  }
+
+  console.log('AI analyze mode: deterministic');
+  emit('mode', { mode: 'deterministic' });
+  const result = await runAgent(input);
+  return { result, trace: { validation: ['deterministic_mode'], plan_steps: [], tool_calls: [] }, mode: 'deterministic' };
+}
+
 function safeParseJson(text, label) {
-  const cleaned = text.replace(/```json|```/gi, '').trim();
+  const stripped = text.replace(/```json|```/gi, '').trim();
+  // Models sometimes wrap the JSON in a sentence; keep the outermost object
+  const start = stripped.indexOf('{');
+  const end = stripped.lastIndexOf('}');
+  const cleaned = start !== -1 && end > start ? stripped.slice(start, end + 1) : stripped;
   try {
     return JSON.parse(cleaned);
   } catch (err) {
@@ -334,8 +722,10 @@ function safeParseJson(text, label) {
 }
 
 module.exports = {
+  analyze,
   runGeminiAgent,
   runAgent,
   createScopeErrorResponse,
+  createInsufficientDataResponse,
   validateScopeInput,
 };
@@ -1,31 +1,60 @@
-const {
-  get_kpis,
-  compare_periods,
-  get_timeseries,
-  detect_anomalies,
-} = require('../tools/analyticsTools');
+const analyticsTools = require('../tools/analyticsTools');
+
+const { granularities } = analyticsTools;
+
+const dateRangeSchema = {
+  type: 'object',
+  properties: {
+    start: { type: 'string', format: 'date' },
+    end: { type: 'string', format: 'date' },
+  },
+  required: ['start', 'end'],
+};
+
+const granularitySchema = {
+  type: 'string',
+  enum: granularities,
+  default: 'daily',
+  description: 'Time bucket size; weekly buckets start on Monday',
+};
+
+const groupBySchema = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Dimensions to break results down by, e.g. ["platform"] or ["campaign", "platform"]',
+};
+
+const filtersSchema = {
+  type: 'array',
+  description: 'Row filters applied before aggregation',
+  items: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', description: 'Dimension or metric, e.g. platform, campaign, spend' },
+      op: { type: 'string', enum: ['eq', 'neq', 'in', 'range', 'gt', 'gte', 'lt', 'lte'] },
+      value: { type: 'string', description: 'Operand for eq, neq, gt, gte, lt and lte' },
+      values: { type: 'array', items: { type: 'string' }, description: 'Operands for in, or [min, max] for range' },
+    },
+    required: ['field', 'op'],
+  },
+};
 
 const tools = [
   {
     name: 'get_kpis',
-    description: 'Retrieve core KPI aggregates for a workspace over a date range',
+    description: 'Retrieve core KPI aggregates for a workspace over a date range, optionally grouped by dimension',
     parameters: {
       type: 'object',
       properties: {
         workspaceId: { type: 'string' },
-        dateRange: {
-          type: 'object',
-          properties: {
-            start: { type: 'string', format: 'date' },
-            end: { type: 'string', format: 'date' },
-          },
-          required: ['start', 'end'],
-        },
+        dateRange: dateRangeSchema,
         metrics: {
           type: 'array',
           items: { type: 'string' },
           default: ['spend', 'revenue', 'conversions'],
         },
+        groupBy: groupBySchema,
+        filters: filtersSchema,
       },
       required: ['workspaceId', 'dateRange'],
     },
@@ -37,66 +66,50 @@ const tools = [
       type: 'object',
       properties: {
         workspaceId: { type: 'string' },
-        currentRange: {
-          type: 'object',
-          properties: {
-            start: { type: 'string', format: 'date' },
-            end: { type: 'string', format: 'date' },
-          },
-          required: ['start', 'end'],
-        },
-        previousRange: {
-          type: 'object',
-          properties: {
-            start: { type: 'string', format: 'date' },
-            end: { type: 'string', format: 'date' },
-          },
-          required: ['start', 'end'],
-        },
+        currentRange: dateRangeSchema,
+        previousRange: dateRangeSchema,
         metrics: {
           type: 'array',
           items: { type: 'string' },
           default: ['spend', 'revenue'],
         },
+        filters: filtersSchema,
       },
       required: ['workspaceId', 'currentRange', 'previousRange'],
     },
   },
   {
     name: 'get_timeseries',
-    description: 'Return daily time series for key metrics',
+    description: 'Return an hourly, daily, weekly or monthly time series for key metrics, optionally per dimension',
     parameters: {
       type: 'object',
       properties: {
         workspaceId: { type: 'string' },
-        dateRange: {
-          type: 'object',
-          properties: {
-            start: { type: 'string', format: 'date' },
-            end: { type: 'string', format: 'date' },
-          },
-          required: ['start', 'end'],
+        dateRange: dateRangeSchema,
+        granularity: granularitySchema,
+        metrics: {
+          type: 'array',
+          items: { type: 'string' },
+          default: ['spend', 'revenue'],
         },
+        groupBy: groupBySchema,
+        filters: filtersSchema,
       },
       required: ['workspaceId', 'dateRange'],
     },
   },
   {
     name: 'detect_anomalies',
-    description: 'Find date-level anomalies for a metric',
+    description: 'Find anomalies for a metric per time bucket, optionally per dimension',
     parameters: {
       type: 'object',
       properties: {
         workspaceId: { type: 'string' },
-        dateRange: {
-          type: 'object',
-          properties: {
-            start: { type: 'string', format: 'date' },
-            end: { type: 'string', format: 'date' },
-          },
-          required: ['start', 'end'],
-        },
+        dateRange: dateRangeSchema,
         metric: { type: 'string' },
+        granularity: granularitySchema,
+        groupBy: groupBySchema,
+        filters: filtersSchema,
         sensitivity: { type: 'number', default: 1.5 },
       },
       required: ['workspaceId', 'dateRange'],
@@ -104,16 +117,53 @@ const tools = [
   },
 ];
 
-async function callTool(name, params) {
+// Gemini's function-declaration schema is an OpenAPI subset without defaults or
+// date formats. workspaceId is omitted because the server always supplies it.
+function toDeclarationSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toDeclarationSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const result = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === 'default') return;
+    if (key === 'format' && value !== 'date-time') return;
+    if (key === 'properties') {
+      result.properties = {};
+      Object.entries(value).forEach(([prop, propSchema]) => {
+        if (prop !== 'workspaceId') result.properties[prop] = toDeclarationSchema(propSchema);
+      });
+      return;
+    }
+    if (key === 'required') {
+      result.required = value.filter(prop => prop !== 'workspaceId');
+      return;
+    }
+    result[key] = toDeclarationSchema(value);
+  });
+  return result;
+}
+
+function getFunctionDeclarations() {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    parameters: toDeclarationSchema(tool.parameters),
+  }));
+}
+
+// toolset defaults to the sample-data tools; pass createScopedTools(scope) for real data
+async function callTool(name, params, toolset = analyticsTools) {
   switch (name) {
     case 'get_kpis':
-      return await get_kpis(params.workspaceId, params.dateRange, {}, null, params.metrics);
+      return await toolset.get_kpis(params.workspaceId, params.dateRange, params.filters, params.groupBy, params.metrics);
     case 'compare_periods':
-      return await compare_periods(params.workspaceId, params.currentRange, params.previousRange, params.metrics);
+      return await toolset.compare_periods(params.workspaceId, params.currentRange, params.previousRange, params.metrics, 'campaign', params.filters);
     case 'get_timeseries':
-      return await get_timeseries(params.workspaceId, params.dateRange);
+      return await toolset.get_timeseries(params.workspaceId, params.dateRange, params.granularity, params.metrics, params.groupBy, params.filters);
     case 'detect_anomalies':
-      return await detect_anomalies(params.workspaceId, params.dateRange, params.metric, 'daily', null, params.sensitivity);
+      return await toolset.detect_anomalies(
+        params.workspaceId, params.dateRange, params.metric, params.granularity, params.groupBy, params.sensitivity, params.filters
+      );
     default:
       throw new Error(`Unknown tool: ${name}`);
   }
@@ -122,4 +172,5 @@ async function callTool(name, params) {
 module.exports = {
   tools,
   callTool,
+  getFunctionDeclarations,
 };
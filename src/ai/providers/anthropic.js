@@ -0,0 +1,49 @@
+const config = require('../../config/config');
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    const Anthropic = require('@anthropic-ai/sdk');
+    client = new Anthropic({ apiKey: config.anthropic.apiKey });
+  }
+  return client;
+}
+
+module.exports = {
+  name: 'anthropic',
+  supportsTools: false,
+
+  isConfigured() {
+    return Boolean(config.anthropic?.apiKey);
+  },
+
+  defaultModel() {
+    return config.anthropic.model;
+  },
+
+  async generate({ prompt, system, model, maxTokens = 4096, temperature, timeout }) {
+    const params = {
+      model,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: prompt }],
+    };
+    if (system) params.system = system;
+    if (temperature !== undefined) params.temperature = temperature;
+
+    const message = await getClient().messages.create(params, { timeout });
+
+    const text = message.content[0]?.text;
+    if (!text) {
+      throw new Error('Anthropic response missing text');
+    }
+    return {
+      text,
+      model,
+      usage: {
+        inputTokens: message.usage?.input_tokens || 0,
+        outputTokens: message.usage?.output_tokens || 0,
+      },
+    };
+  },
+};
@@ -0,0 +1,124 @@
+const axios = require('axios');
+const config = require('../../config/config');
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Sleep helper for retry delays
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function toUsage(data) {
+  const metadata = data?.usageMetadata || {};
+  return {
+    inputTokens: metadata.promptTokenCount || 0,
+    outputTokens: metadata.candidatesTokenCount || 0,
+  };
+}
+
+/**
+ * POST a generateContent payload, retrying temporary rate limits
+ * A 429 with a zero quota limit means the daily quota is gone; it is thrown as
+ * GEMINI_QUOTA_EXHAUSTED (isQuotaExhausted) without retrying.
+ * @param {Object} options - { timeout, signal }; an aborted signal cancels the request
+ */
+async function post(model, payload, { timeout, signal } = {}, retries = 1) {
+  const url = `${API_BASE}/${model}:generateContent`;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      console.log(`Gemini request: model=${model}, attempt=${attempt + 1}`);
+      const response = await axios.post(url, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': config.geminiApiKey,
+        },
+        timeout,
+        signal,
+      });
+      return response.data;
+    } catch (err) {
+      if (err.response?.status === 429) {
+        const data = err.response.data;
+        console.error('Gemini quota exceeded:', JSON.stringify(data?.error?.message || data).slice(0, 200));
+
+        // Check if this is a daily quota issue (limit: 0)
+        const isQuotaExhausted = JSON.stringify(data).includes('limit: 0') ||
+                                  JSON.stringify(data).includes('limit":0');
+
+        if (isQuotaExhausted) {
+          // Daily quota exhausted - don't retry, throw special error
+          const quotaError = new Error('GEMINI_QUOTA_EXHAUSTED');
+          quotaError.isQuotaExhausted = true;
+          throw quotaError;
+        }
+
+        // Temporary rate limit - retry after delay
+        if (attempt < retries) {
+          console.log('Rate limited, waiting 5s before retry...');
+          await sleep(5000);
+          continue;
+        }
+      }
+      throw err;
+    }
+  }
+}
+
+module.exports = {
+  name: 'gemini',
+  supportsTools: true,
+
+  isConfigured() {
+    return config.useGemini && Boolean(config.geminiApiKey);
+  },
+
+  defaultModel() {
+    return config.geminiModel || 'gemini-3-flash-preview';
+  },
+
+  async generate({ prompt, system, model, maxTokens = 4096, temperature = 0.2, timeout }) {
+    const payload = {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: { temperature, maxOutputTokens: maxTokens },
+    };
+    if (system) {
+      payload.systemInstruction = { parts: [{ text: system }] };
+    }
+
+    const data = await post(model, payload, { timeout });
+    const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      throw new Error('Gemini response missing text');
+    }
+    return { text, model, usage: toUsage(data) };
+  },
+
+  /**
+   * Run one turn with function calling enabled
+   * @param {Object[]} contents - Conversation so far ({ role, parts })
+   * @param {Object[]} functionDeclarations - Tool schemas the model may call
+   * @param {Object} options - { model, allowTools: false forces a text answer, timeout, signal }
+   * @returns {Object} { parts, model, usage } where parts may contain functionCall entries
+   */
+  async generateWithTools(contents, functionDeclarations, { model, allowTools, timeout, signal }) {
+    const payload = {
+      contents,
+      tools: [{ functionDeclarations }],
+      toolConfig: {
+        functionCallingConfig: { mode: allowTools === false ? 'NONE' : 'AUTO' },
+      },
+      generationConfig: {
+        temperature: 0.2,
+        maxOutputTokens: 4096,
+      },
+    };
+
+    const data = await post(model, payload, { timeout, signal });
+    const parts = data?.candidates?.[0]?.content?.parts;
+    if (!parts || parts.length === 0) {
+      throw new Error('Gemini response missing content');
+    }
+    return { parts, model, usage: toUsage(data) };
+  },
+};
@@ -0,0 +1,136 @@
+/**
+ * LLM provider registry
+ * Every AI feature calls generateText/generateWithTools with its feature name; the
+ * provider order and models come from config.llm, failures fall through to the next
+ * provider and every call is recorded for token and cost accounting, against the
+ * workspace it ran for when the caller passes workspaceId.
+ *
+ * Provider interface: { name, supportsTools, isConfigured(), defaultModel(),
+ *   generate({ prompt, system, model, maxTokens, temperature, timeout, feature })
+ *     -> { text, model, usage: { inputTokens, outputTokens } },
+ *   generateWithTools(contents, declarations, options) -> { parts, model, usage } }
+ */
+
+const config = require('../../config/config');
+const usage = require('./usage');
+
+const providers = {
+  gemini: require('./gemini'),
+  anthropic: require('./anthropic'),
+  openai: require('./openaiCompatible'),
+  mock: require('./mock'),
+};
+
+function getProvider(name) {
+  return providers[name] || null;
+}
+
+/**
+ * Configured providers for a feature, in fallback order, with the model to use for each
+ * @returns {Object[]} [{ provider, model }]
+ */
+function resolveProviders(feature) {
+  const featureConfig = config.llm.features[feature] || {};
+  const order = featureConfig.providers && featureConfig.providers.length > 0
+    ? featureConfig.providers
+    : config.llm.providers;
+
+  return order
+    .map(getProvider)
+    .filter(provider => provider && provider.isConfigured())
+    .map(provider => ({
+      provider,
+      model: (featureConfig.models || {})[provider.name] || provider.defaultModel(),
+    }));
+}
+
+function isAvailable(feature) {
+  return resolveProviders(feature).length > 0;
+}
+
+function supportsTools(feature) {
+  return resolveProviders(feature).some(({ provider }) => provider.supportsTools);
+}
+
+async function runWithFallback(feature, { workspaceId, signal }, candidates, call) {
+  if (candidates.length === 0) {
+    throw new Error(`No AI provider configured for ${feature}. Set LLM_PROVIDERS or a provider API key.`);
+  }
+
+  let lastError;
+  for (const { provider, model } of candidates) {
+    const started = Date.now();
+    try {
+      const result = await call(provider, model);
+      const durationMs = Date.now() - started;
+      const costUsd = await usage.recordSuccess(feature, provider.name, result.model, result.usage, durationMs, workspaceId);
+      return { ...result, provider: provider.name, costUsd, durationMs };
+    } catch (err) {
+      await usage.recordFailure(feature, provider.name, model, Date.now() - started, workspaceId);
+      // A cancelled request is not retried on the next provider
+      if (signal && signal.aborted) throw err;
+      console.warn(`[LLM] ${provider.name} (${model}) failed for ${feature}: ${err.message}`);
+      lastError = err;
+    }
+  }
+
+  if (lastError.isQuotaExhausted) {
+    throw new Error('AI service daily quota exhausted. Please try again tomorrow or upgrade your plan.');
+  }
+  throw lastError;
+}
+
+/**
+ * Generate text for a feature
+ * @param {string} feature - Key of config.llm.features (e.g. 'dashboard', 'customData')
+ * @param {Object} request - { prompt, system, maxTokens, temperature, timeout, workspaceId }
+ * @returns {Object} { text, provider, model, usage, costUsd, durationMs }
+ */
+async function generateText(feature, { workspaceId = null, ...request }) {
+  return runWithFallback(feature, { workspaceId }, resolveProviders(feature), (provider, model) =>
+    provider.generate({ timeout: config.llm.timeoutMs, ...request, model, feature })
+  );
+}
+
+/**
+ * Run one function-calling turn (Gemini-style contents and declarations)
+ * Only providers that support tools are tried.
+ * @param {Object} options - { allowTools, timeout, workspaceId, signal }; an aborted signal cancels the call
+ * @returns {Object} { parts, provider, model, usage, costUsd, durationMs }
+ */
+async function generateWithTools(feature, contents, functionDeclarations, { workspaceId = null, ...options } = {}) {
+  const candidates = resolveProviders(feature).filter(({ provider }) => provider.supportsTools);
+  return runWithFallback(feature, { workspaceId, signal: options.signal }, candidates, (provider, model) =>
+    provider.generateWithTools(contents, functionDeclarations, { timeout: config.llm.timeoutMs, ...options, model, feature })
+  );
+}
+
+/**
+ * Provider availability per feature, for status endpoints
+ */
+function getStatus() {
+  const features = {};
+  Object.keys(config.llm.features).forEach(feature => {
+    features[feature] = resolveProviders(feature).map(({ provider, model }) => ({ provider: provider.name, model }));
+  });
+  return {
+    providers: Object.values(providers).map(provider => ({
+      name: provider.name,
+      configured: provider.isConfigured(),
+      supportsTools: provider.supportsTools,
+    })),
+    features,
+  };
+}
+
+module.exports = {
+  getProvider,
+  resolveProviders,
+  isAvailable,
+  supportsTools,
+  generateText,
+  generateWithTools,
+  getStatus,
+  getUsageSummary: usage.getUsageSummary,
+  resetUsage: usage.resetUsage,
+};
@@ -0,0 +1,138 @@
+/**
+ * Deterministic local provider for offline runs and tests (LLM_PROVIDERS=mock)
+ * Returns a fixed, parseable response per feature; tests can script responses
+ * with setResponse(feature, response).
+ */
+
+const DEFAULT_RESPONSES = {
+  analyst: {
+    status: 'ok',
+    findings: [],
+    actions: [],
+    exec_summary: {
+      headline: 'Mock analysis: no model was called',
+      what_changed: [],
+      why: [],
+      what_to_do_next: [],
+    },
+  },
+  // Covers dashboard generation, recommendations and improvement suggestions
+  dashboard: {
+    name: 'Mock Dashboard',
+    description: 'Generated by the mock LLM provider',
+    widgets: [],
+    insights: [],
+    recommendations: [],
+    suggestions: [],
+    overallScore: 0,
+    summary: 'Mock response',
+  },
+  insights: { insights: [] },
+  widgetAnalysis: {
+    status: 'good',
+    statusDescription: 'Mock analysis: no model was called',
+    criticalInsights: [],
+    riskAlerts: [],
+    recommendations: [],
+  },
+  // Covers schema detection, visualization suggestions, quality analysis and NL queries
+  customData: {
+    columns: [],
+    primaryDateColumn: null,
+    confidence: 0,
+    warnings: [],
+    suggestions: [],
+    widgets: [],
+    overallQuality: 'good',
+    qualityScore: 0,
+    issues: [],
+    strengths: [],
+    summary: 'Mock response',
+    metric: null,
+    aggregation: 'sum',
+    groupBy: [],
+    filters: [],
+    interpretation: 'Mock response',
+  },
+  websiteAudit: {
+    overallScore: 0,
+    executiveSummary: 'Mock audit: no model was called',
+    criticalIssues: [],
+    platformResults: {},
+    actionChecklist: [],
+    lostOpportunities: {},
+    complianceIssues: [],
+  },
+};
+DEFAULT_RESPONSES.widgetDeepAnalysis = DEFAULT_RESPONSES.widgetAnalysis;
+
+const scripted = new Map();
+
+// Rough token estimate so usage accounting has deterministic numbers to record
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function resolveResponse(feature, request) {
+  let response = scripted.has(feature) ? scripted.get(feature) : DEFAULT_RESPONSES[feature] || { text: 'Mock response' };
+  if (typeof response === 'function') {
+    response = response(request);
+  }
+  return response;
+}
+
+const toText = response => (typeof response === 'string' ? response : JSON.stringify(response));
+
+module.exports = {
+  name: 'mock',
+  supportsTools: true,
+
+  isConfigured() {
+    return true;
+  },
+
+  defaultModel() {
+    return 'mock';
+  },
+
+  async generate(request) {
+    const text = toText(resolveResponse(request.feature, request));
+    return {
+      text,
+      model: request.model,
+      usage: {
+        inputTokens: estimateTokens(`${request.system || ''}${request.prompt}`),
+        outputTokens: estimateTokens(text),
+      },
+    };
+  },
+
+  /**
+   * Without a scripted response the mock answers immediately without calling tools
+   * A scripted function may return an array of parts (e.g. functionCall entries).
+   */
+  async generateWithTools(contents, functionDeclarations, options) {
+    const response = resolveResponse(options.feature, { contents, functionDeclarations, ...options });
+    const parts = Array.isArray(response) ? response : [{ text: toText(response) }];
+    return {
+      parts,
+      model: options.model,
+      usage: {
+        inputTokens: estimateTokens(JSON.stringify(contents)),
+        outputTokens: estimateTokens(JSON.stringify(parts)),
+      },
+    };
+  },
+
+  /**
+   * Script the response for a feature: a string, an object (sent as JSON) or a
+   * function(request) returning either
+   */
+  setResponse(feature, response) {
+    scripted.set(feature, response);
+  },
+
+  clearResponses() {
+    scripted.clear();
+  },
+};
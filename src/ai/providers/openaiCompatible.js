@@ -0,0 +1,49 @@
+const axios = require('axios');
+const config = require('../../config/config');
+
+/**
+ * OpenAI-compatible chat completions provider
+ * Points at a self-hosted server (Ollama, vLLM, llama.cpp, LM Studio) via LLM_OPENAI_BASE_URL.
+ */
+module.exports = {
+  name: 'openai',
+  supportsTools: false,
+
+  isConfigured() {
+    return Boolean(config.llm.openai.baseUrl);
+  },
+
+  defaultModel() {
+    return config.llm.openai.model;
+  },
+
+  async generate({ prompt, system, model, maxTokens = 4096, temperature = 0.2, timeout }) {
+    const messages = [];
+    if (system) messages.push({ role: 'system', content: system });
+    messages.push({ role: 'user', content: prompt });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.llm.openai.apiKey) {
+      headers.Authorization = `Bearer ${config.llm.openai.apiKey}`;
+    }
+
+    const response = await axios.post(
+      `${config.llm.openai.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+      { model, messages, max_tokens: maxTokens, temperature, stream: false },
+      { headers, timeout }
+    );
+
+    const text = response.data?.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error('OpenAI-compatible response missing text');
+    }
+    return {
+      text,
+      model: response.data.model || model,
+      usage: {
+        inputTokens: response.data.usage?.prompt_tokens || 0,
+        outputTokens: response.data.usage?.completion_tokens || 0,
+      },
+    };
+  },
+};
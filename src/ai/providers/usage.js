@@ -0,0 +1,149 @@
+/**
+ * LLM usage and cost accounting
+ * Every call is stored in llm_usage with the workspace it ran for, so totals survive
+ * restarts and add up across server instances.
+ */
+
+const { query } = require('../../config/database');
+
+// USD per million tokens [input, output]; unlisted models (local servers, mock) cost nothing
+const MODEL_PRICING = {
+  'gemini-3-flash-preview': [0.5, 3],
+  'gemini-2.5-flash': [0.3, 2.5],
+  'gemini-2.5-pro': [1.25, 10],
+  'claude-sonnet-4-5-20250929': [3, 15],
+  'claude-haiku-4-5-20251001': [1, 5],
+  'claude-3-5-haiku-20241022': [0.8, 4],
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function estimateCost(model, usage) {
+  const [inputPrice, outputPrice] = MODEL_PRICING[model] || [0, 0];
+  return (usage.inputTokens * inputPrice + usage.outputTokens * outputPrice) / 1e6;
+}
+
+/**
+ * Store one call. Never throws, so accounting cannot fail the call it describes.
+ */
+async function record({ workspaceId, feature, provider, model, succeeded, usage, costUsd, durationMs }) {
+  try {
+    await query(
+      `INSERT INTO llm_usage
+         (workspace_id, feature, provider, model, succeeded, input_tokens, output_tokens, cost_usd, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        // Calls outside a real workspace (e.g. the demo's 'demo' id) are stored without one
+        UUID_PATTERN.test(String(workspaceId || '')) ? workspaceId : null,
+        feature,
+        provider,
+        model || 'unknown',
+        succeeded,
+        usage.inputTokens || 0,
+        usage.outputTokens || 0,
+        costUsd,
+        Math.round(durationMs),
+      ]
+    );
+  } catch (error) {
+    console.error('Error recording LLM usage:', error.message);
+  }
+}
+
+/**
+ * Record a successful call
+ * @returns {Promise<number>} Estimated cost of the call in USD
+ */
+async function recordSuccess(feature, provider, model, usage, durationMs, workspaceId = null) {
+  const costUsd = estimateCost(model, usage);
+  await record({ workspaceId, feature, provider, model, succeeded: true, usage, costUsd, durationMs });
+  return costUsd;
+}
+
+async function recordFailure(feature, provider, model, durationMs, workspaceId = null) {
+  await record({
+    workspaceId, feature, provider, model, succeeded: false, usage: {}, costUsd: 0, durationMs,
+  });
+}
+
+/**
+ * Usage totals and a breakdown per workspace, feature, provider and model
+ * @param {Object} [filters] - { from, to, workspaceId }; from and to are Dates
+ */
+async function getUsageSummary({ from = null, to = null, workspaceId = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (from) {
+    params.push(from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`created_at < $${params.length}`);
+  }
+  if (workspaceId) {
+    params.push(workspaceId);
+    conditions.push(`workspace_id = $${params.length}`);
+  }
+
+  const result = await query(
+    `SELECT workspace_id, feature, provider, model,
+            COUNT(*) as requests,
+            COUNT(*) FILTER (WHERE NOT succeeded) as failures,
+            SUM(input_tokens) as input_tokens,
+            SUM(output_tokens) as output_tokens,
+            SUM(cost_usd) as cost_usd,
+            AVG(duration_ms) as avg_duration_ms,
+            MIN(created_at) as first_call_at
+     FROM llm_usage
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     GROUP BY workspace_id, feature, provider, model
+     ORDER BY SUM(cost_usd) DESC, COUNT(*) DESC`,
+    params
+  );
+
+  // COUNT, SUM and AVG come back from pg as strings
+  const rows = result.rows.map(row => ({
+    workspaceId: row.workspace_id,
+    feature: row.feature,
+    provider: row.provider,
+    model: row.model,
+    requests: Number(row.requests),
+    failures: Number(row.failures),
+    inputTokens: Number(row.input_tokens),
+    outputTokens: Number(row.output_tokens),
+    costUsd: Number(Number(row.cost_usd).toFixed(6)),
+    avgDurationMs: Math.round(Number(row.avg_duration_ms)),
+  }));
+
+  const totals = rows.reduce((acc, row) => ({
+    requests: acc.requests + row.requests,
+    failures: acc.failures + row.failures,
+    inputTokens: acc.inputTokens + row.inputTokens,
+    outputTokens: acc.outputTokens + row.outputTokens,
+    costUsd: acc.costUsd + row.costUsd,
+  }), { requests: 0, failures: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+  totals.costUsd = Number(totals.costUsd.toFixed(6));
+
+  // Without a from date, totals run from the earliest stored call
+  const firstCalls = result.rows.map(row => new Date(row.first_call_at).getTime());
+  const since = from || (firstCalls.length > 0 ? new Date(Math.min(...firstCalls)) : null);
+
+  return { since: since ? since.toISOString() : null, until: to ? to.toISOString() : null, totals, breakdown: rows };
+}
+
+/**
+ * Delete the stored usage, so totals start over
+ */
+async function resetUsage() {
+  await query('DELETE FROM llm_usage');
+}
+
+module.exports = {
+  MODEL_PRICING,
+  estimateCost,
+  recordSuccess,
+  recordFailure,
+  getUsageSummary,
+  resetUsage,
+};
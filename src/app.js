@@ -63,6 +63,10 @@ app.get('/verify-email', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/verify-email.html'));
 });
 
+app.get('/reset-password', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/reset-password.html'));
+});
+
 app.get('/dashboard', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/dashboard-v2.html'));
 });
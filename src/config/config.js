@@ -1,13 +1,37 @@
 const dotenv = require('dotenv');
+const os = require('os');
+const path = require('path');
 
 dotenv.config();
 
+const parseList = value => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(item => item.length > 0);
+
+const DEFAULT_ANTHROPIC_MODEL = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5-20250929';
+
+// Per-feature LLM settings: LLM_<FEATURE>_PROVIDERS overrides the provider order,
+// LLM_<FEATURE>_<PROVIDER>_MODEL overrides the model used with that provider
+function llmFeature(name, models = {}) {
+  const prefix = `LLM_${name}`;
+  return {
+    providers: parseList(process.env[`${prefix}_PROVIDERS`]),
+    models: {
+      gemini: process.env[`${prefix}_GEMINI_MODEL`] || models.gemini,
+      anthropic: process.env[`${prefix}_ANTHROPIC_MODEL`] || models.anthropic,
+      openai: process.env[`${prefix}_OPENAI_MODEL`] || models.openai,
+    },
+  };
+}
+
 module.exports = {
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
   corsOrigin: process.env.CORS_ORIGIN || '*',
   jwtSecret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-  jwtExpire: process.env.JWT_EXPIRE || '7d',
+  // Lifetime of access tokens; sessions are kept alive with refresh tokens
+  jwtExpire: process.env.JWT_EXPIRE || '15m',
   adminUsername: process.env.ADMIN_USERNAME || 'admin',
   adminPassword: process.env.ADMIN_PASSWORD || 'admin123',
   adminEmails: (process.env.ADMIN_EMAILS || process.env.ADMIN_EMAIL || 'admin@adsdata.com')
@@ -16,6 +40,48 @@ module.exports = {
     .filter(email => email.length > 0),
   appUrl: process.env.APP_URL || 'http://localhost:3000',
 
+  // Email invitations to workspaces
+  invitations: {
+    expiryDays: parseInt(process.env.WORKSPACE_INVITE_EXPIRY_DAYS || '7'),
+  },
+
+  // Login sessions and their rotating refresh tokens
+  sessions: {
+    // A session lapses after this many days without a refresh
+    refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS || '30'),
+    // A just-rotated refresh token presented again within this window (e.g. two tabs
+    // refreshing at once) is rejected without treating it as theft
+    reuseGraceSeconds: parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS || '10'),
+  },
+
+  // Forgot-password requests allowed per window, counted per email and per IP address
+  passwordReset: {
+    windowMinutes: 60,
+    maxRequestsPerEmail: 3,
+    maxRequestsPerIp: 10,
+  },
+
+  // TOTP two-factor authentication
+  twoFactor: {
+    // Shown as the account name's prefix in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Reasonly Studio',
+    // Key for encrypting TOTP secrets at rest; derived from JWT_SECRET when unset
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || null,
+    // Time between the password step and the code step of a login
+    challengeMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES || '5'),
+    recoveryCodeCount: 10,
+    // Wrong codes allowed per account per 15 minutes
+    maxFailedAttempts: 5,
+  },
+
+  // Workspace API keys for scripts and ETL jobs
+  apiKeys: {
+    defaultExpiryDays: parseInt(process.env.API_KEY_DEFAULT_EXPIRY_DAYS || '90'),
+    maxExpiryDays: parseInt(process.env.API_KEY_MAX_EXPIRY_DAYS || '365'),
+    // last_used_at is written at most this often per key
+    lastUsedIntervalSeconds: parseInt(process.env.API_KEY_LAST_USED_INTERVAL_SECONDS || '60'),
+  },
+
   // Meta Ads OAuth
   meta: {
     appId: process.env.META_APP_ID,
@@ -61,6 +127,30 @@ module.exports = {
   // Anthropic AI
   anthropic: {
     apiKey: process.env.ANTHROPIC_API_KEY,
+    model: DEFAULT_ANTHROPIC_MODEL,
+  },
+
+  // LLM provider registry (src/ai/providers)
+  llm: {
+    // Tried in order; providers without credentials are skipped, failures fall through to the next
+    providers: parseList(process.env.LLM_PROVIDERS || 'gemini,anthropic'),
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '45000'),
+    // Any server exposing the OpenAI chat completions API (Ollama, vLLM, llama.cpp, LM Studio)
+    openai: {
+      baseUrl: process.env.LLM_OPENAI_BASE_URL || '',
+      apiKey: process.env.LLM_OPENAI_API_KEY || '',
+      model: process.env.LLM_OPENAI_MODEL || 'llama3.1',
+    },
+    features: {
+      analyst: llmFeature('ANALYST'),
+      dashboard: llmFeature('DASHBOARD'),
+      insights: llmFeature('INSIGHTS'),
+      // Single-widget analysis favours latency
+      widgetAnalysis: llmFeature('WIDGET_ANALYSIS', { anthropic: 'claude-3-5-haiku-20241022' }),
+      widgetDeepAnalysis: llmFeature('WIDGET_DEEP_ANALYSIS'),
+      customData: llmFeature('CUSTOM_DATA'),
+      websiteAudit: llmFeature('WEBSITE_AUDIT'),
+    },
   },
 
   // Email configuration
@@ -72,6 +162,60 @@ module.exports = {
     password: process.env.EMAIL_PASSWORD,
     from: process.env.EMAIL_FROM || 'AdsData Platform <noreply@adsdata.com>',
   },
+
+  // Threshold alert evaluation
+  alerts: {
+    evaluationSchedule: process.env.ALERT_EVALUATION_CRON || '0 * * * *',
+    cooldownMinutes: parseInt(process.env.ALERT_COOLDOWN_MINUTES || '1440'),
+    customRuleSchedule: process.env.CUSTOM_ALERT_CRON || '*/5 * * * *',
+    webhookTimeoutMs: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS || '10000'),
+  },
+
+  // Statistical anomaly detection
+  anomalies: {
+    detectionSchedule: process.env.ANOMALY_DETECTION_CRON || '0 6 * * *',
+    defaultMetrics: (process.env.ANOMALY_DEFAULT_METRICS || 'spend,clicks,ctr,cpc,conversions')
+      .split(',')
+      .map(metric => metric.trim())
+      .filter(metric => metric.length > 0),
+  },
+
+  // Platform metrics warehouse sync
+  warehouse: {
+    syncSchedule: process.env.WAREHOUSE_SYNC_CRON || '15 * * * *',
+    backfillDays: parseInt(process.env.WAREHOUSE_BACKFILL_DAYS || '90'),
+    lookbackDays: parseInt(process.env.WAREHOUSE_LOOKBACK_DAYS || '3'),
+    syncHourly: process.env.WAREHOUSE_SYNC_HOURLY !== 'false',
+  },
+
+  // Weekly product KPI computation from product_events
+  productAnalytics: {
+    schedule: process.env.PRODUCT_KPI_CRON || '30 * * * *',
+    backfillWeeks: parseInt(process.env.PRODUCT_KPI_BACKFILL_WEEKS || '12'),
+  },
+
+  // Chunked uploads and background imports of large custom data files
+  // Chunks are stored in Postgres; uploadDir is local scratch space for the file while it is read
+  customDataImport: {
+    uploadDir: process.env.CUSTOM_DATA_UPLOAD_DIR || path.join(os.tmpdir(), 'reasonly-uploads'),
+    maxFileSizeMb: parseInt(process.env.CUSTOM_DATA_MAX_FILE_MB || '2048'),
+    chunkSizeMb: parseInt(process.env.CUSTOM_DATA_CHUNK_MB || '8'),
+    batchSize: parseInt(process.env.CUSTOM_DATA_IMPORT_BATCH_SIZE || '2000'),
+    concurrency: parseInt(process.env.CUSTOM_DATA_IMPORT_CONCURRENCY || '2'),
+    schedule: process.env.CUSTOM_DATA_IMPORT_CRON || '* * * * *',
+    staleMinutes: parseInt(process.env.CUSTOM_DATA_IMPORT_STALE_MINUTES || '5'),
+    uploadTtlHours: parseInt(process.env.CUSTOM_DATA_UPLOAD_TTL_HOURS || '48'),
+  },
+
+  // AI analyst tool-calling loop budgets
+  agent: {
+    maxSteps: parseInt(process.env.AGENT_MAX_STEPS || '6'),
+    timeBudgetMs: parseInt(process.env.AGENT_TIME_BUDGET_MS || '15000'),
+    threadContextTurns: parseInt(process.env.AGENT_THREAD_CONTEXT_TURNS || '5'),
+    // Streaming (SSE) requests are not bound by the 30s router timeout
+    streamTimeBudgetMs: parseInt(process.env.AGENT_STREAM_TIME_BUDGET_MS || '60000'),
+    streamTimeoutMs: parseInt(process.env.AGENT_STREAM_TIMEOUT_MS || '120000'),
+  },
   // Gemini AI Configuration - Primary AI for Gemini 3 Hackathon
   // Model: gemini-3-flash-preview (Gemini 3 Flash - required for hackathon)
   useGemini: process.env.USE_GEMINI !== 'false', // Enabled by default
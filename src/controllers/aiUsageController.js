@@ -0,0 +1,67 @@
+const llm = require('../ai/providers');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function parseDateParam(value) {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Get LLM provider status and token/cost usage (admin only)
+// Usage is stored per call in llm_usage, so totals cover every instance and survive
+// restarts. Optional filters: ?from=&to= (ISO dates, to is exclusive) and ?workspaceId=
+const getAIUsage = async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    const { workspaceId } = req.query;
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates',
+      });
+    }
+    if (workspaceId !== undefined && !UUID_PATTERN.test(workspaceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'workspaceId must be a valid id',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...llm.getStatus(),
+        usage: await llm.getUsageSummary({ from, to, workspaceId }),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Delete the stored LLM usage, so totals start over (admin only)
+const resetAIUsage = async (req, res) => {
+  try {
+    await llm.resetUsage();
+    res.json({
+      success: true,
+      message: 'Stored AI usage deleted',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAIUsage,
+  resetAIUsage,
+};
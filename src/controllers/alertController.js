@@ -1,17 +1,11 @@
 const Alert = require('../models/Alert');
-const Workspace = require('../models/Workspace');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 
 // Get all alerts for a workspace
 const getWorkspaceAlerts = async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Verify access
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    if (!workspaces.some(w => w.id === workspaceId)) {
-      return res.status(403).json({ success: false, message: 'Access denied' });
-    }
-
     const alerts = await Alert.findByWorkspaceId(workspaceId);
     res.json({ success: true, data: alerts });
   } catch (error) {
@@ -30,10 +24,7 @@ const createAlert = async (req, res) => {
     }
 
     // Verify access
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    if (!workspaces.some(w => w.id === workspaceId)) {
-      return res.status(403).json({ success: false, message: 'Access denied' });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'alert', 'create'))) return;
 
     const alert = await Alert.create({
       workspaceId,
@@ -66,10 +57,7 @@ const updateAlert = async (req, res) => {
     }
 
     // Verify access
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    if (!workspaces.some(w => w.id === alert.workspace_id)) {
-      return res.status(403).json({ success: false, message: 'Access denied' });
-    }
+    if (!(await authorizeWorkspace(req, res, alert.workspace_id, 'alert', 'update'))) return;
 
     const updatedAlert = await Alert.update(id, req.body);
     res.json({ success: true, message: 'Alert updated successfully', data: updatedAlert });
@@ -90,10 +78,7 @@ const deleteAlert = async (req, res) => {
     }
 
     // Verify access
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    if (!workspaces.some(w => w.id === alert.workspace_id)) {
-      return res.status(403).json({ success: false, message: 'Access denied' });
-    }
+    if (!(await authorizeWorkspace(req, res, alert.workspace_id, 'alert', 'delete'))) return;
 
     await Alert.delete(id);
     res.json({ success: true, message: 'Alert deleted successfully' });
@@ -107,6 +92,15 @@ const deleteAlert = async (req, res) => {
 const getAlertHistory = async (req, res) => {
   try {
     const { id } = req.params;
+    const alert = await Alert.findById(id);
+
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    // Verify access
+    if (!(await authorizeWorkspace(req, res, alert.workspace_id, 'alert', 'read'))) return;
+
     const history = await Alert.getHistory(id);
     res.json({ success: true, data: history });
   } catch (error) {
@@ -120,12 +114,6 @@ const getRecentAlerts = async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Verify access
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    if (!workspaces.some(w => w.id === workspaceId)) {
-      return res.status(403).json({ success: false, message: 'Access denied' });
-    }
-
     const alerts = await Alert.getRecentAlerts(workspaceId);
     res.json({ success: true, data: alerts });
   } catch (error) {
@@ -138,12 +126,17 @@ const getRecentAlerts = async (req, res) => {
 const acknowledgeAlert = async (req, res) => {
   try {
     const { historyId } = req.params;
-    const result = await Alert.acknowledgeAlert(historyId, req.user.id);
+    const entry = await Alert.findHistoryById(historyId);
 
-    if (!result) {
+    if (!entry) {
       return res.status(404).json({ success: false, message: 'Alert history not found' });
     }
 
+    // Verify access
+    if (!(await authorizeWorkspace(req, res, entry.workspace_id, 'alert', 'acknowledge'))) return;
+
+    const result = await Alert.acknowledgeAlert(historyId, req.user.id);
+
     res.json({ success: true, message: 'Alert acknowledged', data: result });
   } catch (error) {
     console.error('Acknowledge alert error:', error);
@@ -0,0 +1,213 @@
+/**
+ * Analysis Thread Controller
+ * Multi-turn AI analyst conversations. Threads belong to a workspace and are shared
+ * with its members; each turn carries the thread's scope, date range and prior
+ * findings into the next prompt.
+ */
+
+const config = require('../config/config');
+const AnalysisThread = require('../models/AnalysisThread');
+const { analyze } = require('../agents/marketingAnalyst.agent');
+const productAnalytics = require('../services/productAnalytics');
+const { authorizeWorkspace, can } = require('../services/workspacePermissions');
+
+const MAX_TITLE_LENGTH = 120;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Malformed ids are treated as not found rather than reaching the uuid column
+async function findThread(threadId) {
+  return UUID_PATTERN.test(String(threadId || '')) ? AnalysisThread.findById(threadId) : null;
+}
+
+function validateDateRange(dateRange) {
+  return Boolean(dateRange && dateRange.start && dateRange.end);
+}
+
+/**
+ * Run one analyst turn with the thread's recent history and store it
+ * A failed run is stored as a 'failed' turn so the thread shows the attempt.
+ */
+async function runTurn(thread, userId, { question, scope, dateRange, primaryKpi }) {
+  const previousTurns = await AnalysisThread.getTurns(thread.id, config.agent.threadContextTurns);
+  const history = previousTurns
+    .filter(turn => turn.status !== 'failed')
+    .map(turn => ({ question: turn.question, dateRange: turn.date_range, response: turn.response }));
+
+  const input = {
+    workspaceId: thread.workspace_id,
+    question,
+    dateRange,
+    primaryKpi: primaryKpi || thread.primary_kpi,
+    scope,
+    history,
+  };
+
+  try {
+    const { result, trace, mode } = await analyze(input);
+    const turn = await AnalysisThread.addTurn(thread.id, {
+      userId, question, scope, dateRange, status: result.status, mode, response: result, trace,
+    });
+    productAnalytics.track('ai_analysis', {
+      userId,
+      workspaceId: thread.workspace_id,
+      properties: { source: 'analyst_thread', threadId: thread.id, status: result.status },
+    });
+    return turn;
+  } catch (error) {
+    await AnalysisThread.addTurn(thread.id, {
+      userId, question, scope, dateRange, status: 'failed', trace: { error: error.message },
+    });
+    throw error;
+  }
+}
+
+/**
+ * List analysis threads in a workspace
+ */
+const getThreads = async (req, res) => {
+  try {
+    const { workspaceId } = req.query;
+    if (!workspaceId) {
+      return res.status(400).json({ success: false, message: 'workspaceId is required' });
+    }
+
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'analysis', 'run'))) return;
+
+    const threads = await AnalysisThread.findByWorkspaceId(workspaceId, {
+      limit: Math.min(parseInt(req.query.limit || '50'), 100),
+      offset: parseInt(req.query.offset || '0'),
+    });
+
+    res.json({ success: true, data: threads });
+  } catch (error) {
+    console.error('Get analysis threads error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch analysis threads', error: error.message });
+  }
+};
+
+/**
+ * Get a thread with all of its turns
+ */
+const getThread = async (req, res) => {
+  try {
+    const thread = await findThread(req.params.threadId);
+    if (!thread) {
+      return res.status(404).json({ success: false, message: 'Analysis thread not found' });
+    }
+
+    if (!(await authorizeWorkspace(req, res, thread.workspace_id, 'analysis', 'run'))) return;
+
+    const turns = await AnalysisThread.getTurns(thread.id);
+    res.json({ success: true, data: { ...thread, turns } });
+  } catch (error) {
+    console.error('Get analysis thread error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch analysis thread', error: error.message });
+  }
+};
+
+/**
+ * Start a thread and run its first turn
+ */
+const createThread = async (req, res) => {
+  try {
+    const { workspaceId, question, scope, dateRange, primaryKpi, title } = req.body;
+
+    if (!workspaceId || !question || typeof question !== 'string' || !scope) {
+      return res.status(400).json({ success: false, message: 'workspaceId, question and scope are required' });
+    }
+    if (!validateDateRange(dateRange)) {
+      return res.status(400).json({ success: false, message: 'dateRange.start and end are required' });
+    }
+
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'analysis', 'run'))) return;
+
+    const thread = await AnalysisThread.create({
+      workspaceId,
+      createdBy: req.user.id,
+      title: (title || question).slice(0, MAX_TITLE_LENGTH),
+      scope,
+      dateRange,
+      primaryKpi,
+    });
+
+    const turn = await runTurn(thread, req.user.id, { question, scope, dateRange, primaryKpi });
+    const updated = await AnalysisThread.findById(thread.id);
+
+    res.status(201).json({ success: true, data: { thread: updated, turn } });
+  } catch (error) {
+    console.error('Create analysis thread error:', error);
+    res.status(500).json({ success: false, message: 'Failed to run analysis', error: error.message });
+  }
+};
+
+/**
+ * Ask a follow-up question
+ * Scope and date range default to the thread's current context; passing either
+ * replaces it for this and later turns.
+ */
+const continueThread = async (req, res) => {
+  try {
+    const { question, scope, dateRange, primaryKpi } = req.body;
+
+    if (!question || typeof question !== 'string') {
+      return res.status(400).json({ success: false, message: 'question is required' });
+    }
+    if (dateRange && !validateDateRange(dateRange)) {
+      return res.status(400).json({ success: false, message: 'dateRange.start and end are required' });
+    }
+
+    const thread = await findThread(req.params.threadId);
+    if (!thread) {
+      return res.status(404).json({ success: false, message: 'Analysis thread not found' });
+    }
+
+    if (!(await authorizeWorkspace(req, res, thread.workspace_id, 'analysis', 'run'))) return;
+
+    const turn = await runTurn(thread, req.user.id, {
+      question,
+      scope: scope || thread.scope,
+      dateRange: dateRange || thread.date_range,
+      primaryKpi,
+    });
+    const updated = await AnalysisThread.findById(thread.id);
+
+    res.status(201).json({ success: true, data: { thread: updated, turn } });
+  } catch (error) {
+    console.error('Continue analysis thread error:', error);
+    res.status(500).json({ success: false, message: 'Failed to run analysis', error: error.message });
+  }
+};
+
+/**
+ * Delete a thread (its creator or a workspace owner/admin)
+ */
+const deleteThread = async (req, res) => {
+  try {
+    const thread = await findThread(req.params.threadId);
+    if (!thread) {
+      return res.status(404).json({ success: false, message: 'Analysis thread not found' });
+    }
+
+    const role = await authorizeWorkspace(req, res, thread.workspace_id, 'analysis', 'run');
+    if (!role) return;
+
+    if (thread.created_by !== req.user.id && !can(role, 'analysis', 'moderate')) {
+      return res.status(403).json({ success: false, message: 'Only the creator or a workspace admin can delete this thread' });
+    }
+
+    await AnalysisThread.delete(thread.id);
+    res.json({ success: true, message: 'Analysis thread deleted' });
+  } catch (error) {
+    console.error('Delete analysis thread error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete analysis thread', error: error.message });
+  }
+};
+
+module.exports = {
+  getThreads,
+  getThread,
+  createThread,
+  continueThread,
+  deleteThread,
+};
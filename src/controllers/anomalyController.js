@@ -1,4 +1,8 @@
 const { query } = require('../config/database');
+const anomalyDetector = require('../services/anomalyDetector');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
+
+const VALID_SENSITIVITIES = ['low', 'medium', 'high'];
 
 // Get anomalies for a workspace
 const getAnomalies = async (req, res) => {
@@ -15,17 +19,7 @@ const getAnomalies = async (req, res) => {
     } = req.query;
 
     // Verify user has access to workspace
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'anomaly', 'read'))) return;
 
     // Build query with filters
     let queryStr = `
@@ -145,17 +139,7 @@ const updateAnomalyStatus = async (req, res) => {
 
     const workspaceId = anomalyCheck.rows[0].workspace_id;
 
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'anomaly', 'update'))) return;
 
     // Update anomaly
     const updateResult = await query(
@@ -343,17 +327,7 @@ const getAnomalyStats = async (req, res) => {
     const { days = 30 } = req.query;
 
     // Verify user has access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'anomaly', 'read'))) return;
 
     // Get stats
     const startDate = new Date();
@@ -407,6 +381,242 @@ const getAnomalyStats = async (req, res) => {
   }
 };
 
+// Get anomaly detection configs for a workspace
+const getDetectionConfigs = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { adAccountId } = req.query;
+
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'anomaly', 'read'))) return;
+
+    let queryStr = `
+      SELECT adc.*, aa.account_name, aa.platform
+      FROM anomaly_detection_config adc
+      JOIN ad_accounts aa ON aa.id = adc.ad_account_id
+      WHERE aa.workspace_id = $1
+    `;
+    const queryParams = [workspaceId];
+
+    if (adAccountId) {
+      queryStr += ` AND adc.ad_account_id = $2`;
+      queryParams.push(adAccountId);
+    }
+
+    queryStr += ` ORDER BY aa.account_name ASC, adc.metric ASC`;
+
+    const result = await query(queryStr, queryParams);
+
+    res.json({
+      success: true,
+      data: result.rows,
+    });
+  } catch (error) {
+    console.error('Get detection configs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch anomaly detection configs',
+      error: error.message,
+    });
+  }
+};
+
+// Create (or replace) an anomaly detection config for an account metric
+const createDetectionConfig = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const {
+      adAccountId,
+      metric,
+      enabled = true,
+      sensitivity = 'medium',
+      thresholdPercent = 20,
+      baselinePeriodDays = 14,
+      minDataPoints = 7,
+    } = req.body;
+
+    if (!adAccountId || !metric) {
+      return res.status(400).json({
+        success: false,
+        message: 'adAccountId and metric are required',
+      });
+    }
+
+    if (!VALID_SENSITIVITIES.includes(sensitivity)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sensitivity must be one of: ${VALID_SENSITIVITIES.join(', ')}`,
+      });
+    }
+
+    if (parseInt(minDataPoints) > parseInt(baselinePeriodDays)) {
+      return res.status(400).json({
+        success: false,
+        message: 'minDataPoints cannot exceed baselinePeriodDays',
+      });
+    }
+
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'anomaly', 'configure'))) return;
+
+    const accountCheck = await query(
+      `SELECT 1 FROM ad_accounts WHERE id = $1 AND workspace_id = $2`,
+      [adAccountId, workspaceId]
+    );
+
+    if (accountCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ad account not found',
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO anomaly_detection_config (
+         ad_account_id, metric, enabled, sensitivity, threshold_percent, baseline_period_days, min_data_points
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (ad_account_id, metric) DO UPDATE
+       SET enabled = EXCLUDED.enabled,
+           sensitivity = EXCLUDED.sensitivity,
+           threshold_percent = EXCLUDED.threshold_percent,
+           baseline_period_days = EXCLUDED.baseline_period_days,
+           min_data_points = EXCLUDED.min_data_points
+       RETURNING *`,
+      [adAccountId, metric, enabled, sensitivity, thresholdPercent, baselinePeriodDays, minDataPoints]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Anomaly detection config saved successfully',
+      data: result.rows[0],
+    });
+  } catch (error) {
+    console.error('Create detection config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save anomaly detection config',
+      error: error.message,
+    });
+  }
+};
+
+// Update an anomaly detection config
+const updateDetectionConfig = async (req, res) => {
+  try {
+    const { configId } = req.params;
+    const { enabled, sensitivity, thresholdPercent, baselinePeriodDays, minDataPoints } = req.body;
+
+    if (sensitivity !== undefined && !VALID_SENSITIVITIES.includes(sensitivity)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sensitivity must be one of: ${VALID_SENSITIVITIES.join(', ')}`,
+      });
+    }
+
+    const configCheck = await query(
+      `SELECT adc.*, aa.workspace_id
+       FROM anomaly_detection_config adc
+       JOIN ad_accounts aa ON aa.id = adc.ad_account_id
+       WHERE adc.id = $1`,
+      [configId]
+    );
+
+    if (configCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Anomaly detection config not found',
+      });
+    }
+
+    if (!(await authorizeWorkspace(req, res, configCheck.rows[0].workspace_id, 'anomaly', 'configure'))) return;
+
+    const updateResult = await query(
+      `UPDATE anomaly_detection_config
+       SET enabled = COALESCE($1, enabled),
+           sensitivity = COALESCE($2, sensitivity),
+           threshold_percent = COALESCE($3, threshold_percent),
+           baseline_period_days = COALESCE($4, baseline_period_days),
+           min_data_points = COALESCE($5, min_data_points)
+       WHERE id = $6
+       RETURNING *`,
+      [enabled, sensitivity, thresholdPercent, baselinePeriodDays, minDataPoints, configId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Anomaly detection config updated successfully',
+      data: updateResult.rows[0],
+    });
+  } catch (error) {
+    console.error('Update detection config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update anomaly detection config',
+      error: error.message,
+    });
+  }
+};
+
+// Delete an anomaly detection config
+const deleteDetectionConfig = async (req, res) => {
+  try {
+    const { configId } = req.params;
+
+    const configCheck = await query(
+      `SELECT aa.workspace_id
+       FROM anomaly_detection_config adc
+       JOIN ad_accounts aa ON aa.id = adc.ad_account_id
+       WHERE adc.id = $1`,
+      [configId]
+    );
+
+    if (configCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Anomaly detection config not found',
+      });
+    }
+
+    if (!(await authorizeWorkspace(req, res, configCheck.rows[0].workspace_id, 'anomaly', 'configure'))) return;
+
+    await query(`DELETE FROM anomaly_detection_config WHERE id = $1`, [configId]);
+
+    res.json({
+      success: true,
+      message: 'Anomaly detection config deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete detection config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete anomaly detection config',
+      error: error.message,
+    });
+  }
+};
+
+// Run anomaly detection for a workspace on demand
+const runDetection = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'anomaly', 'detect'))) return;
+
+    const result = await anomalyDetector.runDetection(workspaceId);
+
+    res.json({
+      success: true,
+      message: `${result.anomaliesDetected} new anomalies detected`,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Run anomaly detection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run anomaly detection',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getAnomalies,
   updateAnomalyStatus,
@@ -415,4 +625,9 @@ module.exports = {
   markAllNotificationsRead,
   deleteNotification,
   getAnomalyStats,
+  getDetectionConfigs,
+  createDetectionConfig,
+  updateDetectionConfig,
+  deleteDetectionConfig,
+  runDetection,
 };
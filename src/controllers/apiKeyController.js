@@ -0,0 +1,122 @@
+const WorkspaceApiKey = require('../models/WorkspaceApiKey');
+const { API_KEY_SCOPES, createApiKey, formatApiKey } = require('../services/apiKeys');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
+const { APIError } = require('../utils/errors');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function handleApiKeyError(res, error, message) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      errors: error.errors,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+}
+
+/**
+ * List a workspace's API keys (active and expired; revoked ones with ?includeRevoked=true)
+ * GET /api/workspaces/:id/api-keys
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await authorizeWorkspace(req, res, id, 'apiKey', 'read'))) return;
+
+    const apiKeys = await WorkspaceApiKey.findByWorkspaceId(id, {
+      includeRevoked: req.query.includeRevoked === 'true',
+    });
+
+    res.json({
+      success: true,
+      count: apiKeys.length,
+      scopes: API_KEY_SCOPES,
+      data: apiKeys.map(formatApiKey),
+    });
+  } catch (error) {
+    handleApiKeyError(res, error, 'Failed to fetch API keys');
+  }
+};
+
+/**
+ * Create an API key; the key is in the response once and cannot be retrieved later
+ * POST /api/workspaces/:id/api-keys { name, scopes, expiresInDays }
+ */
+const createWorkspaceApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!(await authorizeWorkspace(req, res, id, 'apiKey', 'create'))) return;
+
+    const { apiKey, key } = await createApiKey({
+      workspaceId: id,
+      name,
+      scopes,
+      expiresInDays,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      data: {
+        ...formatApiKey(apiKey),
+        key,
+      },
+    });
+  } catch (error) {
+    handleApiKeyError(res, error, 'Failed to create API key');
+  }
+};
+
+/**
+ * Revoke an API key; requests with it are rejected immediately
+ * DELETE /api/workspaces/:id/api-keys/:keyId
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+
+    if (!(await authorizeWorkspace(req, res, id, 'apiKey', 'revoke'))) return;
+
+    const apiKey = UUID_PATTERN.test(keyId) ? await WorkspaceApiKey.findById(keyId) : null;
+    if (!apiKey || apiKey.workspace_id !== id) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    const revoked = await WorkspaceApiKey.revoke(keyId, req.user.id);
+    if (!revoked) {
+      return res.status(409).json({
+        success: false,
+        message: 'This API key has already been revoked',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: formatApiKey(revoked),
+    });
+  } catch (error) {
+    handleApiKeyError(res, error, 'Failed to revoke API key');
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createWorkspaceApiKey,
+  revokeApiKey,
+};
@@ -1,13 +1,57 @@
-const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 const User = require('../models/User');
 const emailService = require('../services/emailService');
 const Workspace = require('../models/Workspace');
+const UserSession = require('../models/UserSession');
+const PasswordResetRequest = require('../models/PasswordResetRequest');
+const { resolveInviteToken, acceptInvitation, normalizeEmail } = require('../services/workspaceInvitations');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const { APIError, AuthenticationError } = require('../utils/errors');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function handleAuthError(res, error, message) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      errors: error.errors,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+}
+
+// Same minimum as the registration form
+const MIN_PASSWORD_LENGTH = 6;
+
+// Security notice after a password reset or change; a mail failure must not undo the change
+const notifyPasswordChanged = async (user, req, reset) => {
+  try {
+    await emailService.sendPasswordChangedNotification({
+      to: user.email,
+      username: user.username,
+      reset,
+      device: sessions.describeDevice(req.headers['user-agent'] || ''),
+      ipAddress: req.ip,
+    });
+  } catch (emailError) {
+    console.error('Error sending password change notification:', emailError);
+  }
+};
 
 // Register new user (Supports both B2B and B2C)
+// With an inviteToken the invited email is already proven, so the account skips
+// verification and admin approval and joins the inviting workspace.
 const register = async (req, res) => {
   try {
-    const { username, email, password, companyName, contactPerson, phone, customerType } = req.body;
+    const { username, email, password, companyName, contactPerson, phone, customerType, inviteToken } = req.body;
 
     // Determine customer type (default to B2B for backward compatibility)
     const type = customerType || 'b2b';
@@ -20,7 +64,26 @@ const register = async (req, res) => {
       });
     }
 
-    if (type === 'b2b' && !companyName) {
+    let invitation = null;
+    if (inviteToken) {
+      try {
+        invitation = await resolveInviteToken(inviteToken);
+      } catch (inviteError) {
+        return res.status(inviteError.statusCode || 400).json({
+          success: false,
+          message: inviteError.message,
+        });
+      }
+
+      if (normalizeEmail(email) !== invitation.email) {
+        return res.status(400).json({
+          success: false,
+          message: `This invitation was sent to ${invitation.email}. Register with that email address.`,
+        });
+      }
+    }
+
+    if (type === 'b2b' && !companyName && !invitation) {
       return res.status(400).json({
         success: false,
         message: 'Company name is required for business accounts',
@@ -32,7 +95,9 @@ const register = async (req, res) => {
     if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: 'User with this email already exists',
+        message: invitation
+          ? 'You already have an account. Log in to accept the invitation.'
+          : 'User with this email already exists',
       });
     }
 
@@ -53,10 +118,36 @@ const register = async (req, res) => {
       contactPerson,
       phone,
       role: 'user',
-      status: 'unverified',
+      status: invitation ? 'approved' : 'unverified',
       customerType: type,
+      emailVerified: Boolean(invitation),
     });
 
+    // New accounts have no second factor yet; they join after setting it up at first login
+    if (invitation && invitation.workspace_requires_two_factor) {
+      return res.status(201).json({
+        success: true,
+        message: `Registration successful! ${invitation.workspace_name} requires two-factor authentication. Log in to set it up and join.`,
+        user: newUser,
+        twoFactorRequired: true,
+      });
+    }
+
+    if (invitation) {
+      const member = await acceptInvitation(invitation, newUser);
+
+      return res.status(201).json({
+        success: true,
+        message: `Registration successful! You joined ${invitation.workspace_name} and can now log in.`,
+        user: newUser,
+        workspace: {
+          id: invitation.workspace_id,
+          name: invitation.workspace_name,
+          role: member.role,
+        },
+      });
+    }
+
     // Generate verification token
     const verificationToken = await User.generateVerificationToken(newUser.id);
 
@@ -86,10 +177,53 @@ const register = async (req, res) => {
   }
 };
 
+// Names of workspaces that require the user to have 2FA, plus the workspace of a
+// pending invitation being accepted with this login (an invalid invite is ignored here)
+const twoFactorRequiredBy = async (userId, inviteToken) => {
+  const names = (await twoFactor.getRequiringWorkspaces(userId)).map(workspace => workspace.name);
+
+  if (inviteToken) {
+    try {
+      const invitation = await resolveInviteToken(inviteToken);
+      if (invitation.workspace_requires_two_factor && !names.includes(invitation.workspace_name)) {
+        names.push(invitation.workspace_name);
+      }
+    } catch (inviteError) {
+      // Reported when the invitation itself is accepted
+    }
+  }
+
+  return names;
+};
+
+// Start a session: short-lived access token plus a rotating refresh token
+const completeLogin = async (req, res, user, extra = {}) => {
+  await User.updateLastLogin(user.id);
+
+  const { accessToken, refreshToken } = await sessions.createSession(user, req);
+  sessions.setAuthCookies(res, { accessToken, refreshToken });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token: accessToken,
+    refreshToken,
+    expiresIn: sessions.ACCESS_TOKEN_TTL_SECONDS,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      companyName: user.company_name,
+    },
+    ...extra,
+  });
+};
+
 // Login
 const login = async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    const { username, email, password, inviteToken } = req.body;
 
     // Accept either username or email
     const loginIdentifier = username || email;
@@ -146,36 +280,64 @@ const login = async (req, res) => {
       });
     }
 
-    // Update last login timestamp
-    await User.updateLastLogin(user.id);
+    // With 2FA on, the password only earns a challenge for the code step
+    if (user.two_factor_enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: twoFactor.signChallenge(user.id, 'verify'),
+        message: 'Enter the code from your authenticator app',
+      });
+    }
 
-    // Create token
-    const token = jwt.sign(
-      { id: user.id, username: user.username, email: user.email, role: user.role },
-      config.jwtSecret,
-      { expiresIn: config.jwtExpire }
-    );
+    // Workspaces that require 2FA (including one the user is accepting an invite to) make them set it up first
+    const requiring = await twoFactorRequiredBy(user.id, inviteToken);
+    if (requiring.length > 0) {
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        challengeToken: twoFactor.signChallenge(user.id, 'setup'),
+        message: `${requiring.join(', ')} requires two-factor authentication. Set it up to continue.`,
+      });
+    }
 
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: config.nodeEnv === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    await completeLogin(req, res, user);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
     });
+  }
+};
+
+// Exchange a refresh token (cookie, or body for non-browser clients) for new tokens
+// Clients that send the refresh token in the body get the rotated one back in the body;
+// browsers only ever see it as an httpOnly cookie.
+const refresh = async (req, res) => {
+  try {
+    const fromBody = Boolean(req.body?.refreshToken);
+    const presented = fromBody ? req.body.refreshToken : req.cookies?.[sessions.REFRESH_COOKIE];
+
+    const { accessToken, refreshToken } = await sessions.refreshSession(presented, req);
+    sessions.setAuthCookies(res, { accessToken, refreshToken });
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        companyName: user.company_name,
-      },
+      token: accessToken,
+      expiresIn: sessions.ACCESS_TOKEN_TTL_SECONDS,
+      ...(fromBody ? { refreshToken } : {}),
     });
   } catch (error) {
+    if (error instanceof AuthenticationError) {
+      sessions.clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Refresh session error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -184,13 +346,160 @@ const login = async (req, res) => {
   }
 };
 
-// Logout
-const logout = (req, res) => {
-  res.clearCookie('token');
-  res.json({
-    success: true,
-    message: 'Logout successful',
-  });
+// Second login step: the code (or a recovery code) for a password-verified challenge
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = twoFactor.verifyChallenge(challengeToken, 'verify');
+    const { recoveryCodesRemaining } = await twoFactor.verifySecondFactor(userId, { code, recoveryCode });
+
+    const user = await User.findById(userId);
+    if (!user || ['unverified', 'pending', 'rejected'].includes(user.status)) {
+      throw new AuthenticationError('This account can no longer sign in.');
+    }
+
+    await completeLogin(req, res, user, recoveryCodesRemaining === null ? {} : { recoveryCodesRemaining });
+  } catch (error) {
+    handleAuthError(res, error, 'Two-factor login failed');
+  }
+};
+
+// Enrollment during login, for users a workspace requires 2FA from
+const loginTwoFactorSetup = async (req, res) => {
+  try {
+    const userId = twoFactor.verifyChallenge(req.body.challengeToken, 'setup');
+    const { secret, otpauthUri } = await twoFactor.beginEnrollment(userId);
+
+    res.json({
+      success: true,
+      data: { secret, otpauthUri },
+    });
+  } catch (error) {
+    handleAuthError(res, error, 'Failed to start two-factor setup');
+  }
+};
+
+// Finish enrollment during login; the session starts once the first code is verified
+const loginTwoFactorEnable = async (req, res) => {
+  try {
+    const userId = twoFactor.verifyChallenge(req.body.challengeToken, 'setup');
+    const recoveryCodes = await twoFactor.completeEnrollment(userId, req.body.code);
+
+    const user = await User.findById(userId);
+    await completeLogin(req, res, user, { recoveryCodes });
+  } catch (error) {
+    handleAuthError(res, error, 'Failed to enable two-factor authentication');
+  }
+};
+
+// Logout: revoke this session server-side and clear the cookies
+// Works with an expired access token, so a session can always be ended
+const logout = async (req, res) => {
+  try {
+    const bearer = req.headers.authorization?.split(' ')[1];
+    const sessionId = await sessions.findSessionIdForLogout({
+      refreshToken: req.body?.refreshToken || req.cookies?.[sessions.REFRESH_COOKIE],
+      accessToken: req.cookies?.token || bearer,
+    });
+
+    if (sessionId) {
+      await sessions.revokeSession(sessionId, 'logout');
+    }
+
+    sessions.clearAuthCookies(res);
+    res.json({
+      success: true,
+      message: 'Logout successful',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// Log out everywhere: revoke every session of the current user, this one included
+const logoutAll = async (req, res) => {
+  try {
+    const count = await sessions.revokeAllSessions(req.user.id);
+
+    sessions.clearAuthCookies(res);
+    res.json({
+      success: true,
+      message: `Logged out of ${count} session${count === 1 ? '' : 's'}`,
+      count,
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// List the current user's active sessions
+const getSessions = async (req, res) => {
+  try {
+    const active = await UserSession.findActiveByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      count: active.length,
+      data: active.map(session => sessions.formatSession(session, req.user.sid)),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+// Sign out one of the current user's sessions, e.g. a lost laptop
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = UUID_PATTERN.test(sessionId) ? await UserSession.findById(sessionId) : null;
+    if (!session || session.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    const revoked = await sessions.revokeSession(sessionId, 'revoked');
+    if (!revoked) {
+      return res.status(409).json({
+        success: false,
+        message: 'This session has already been signed out',
+      });
+    }
+
+    if (sessionId === req.user.sid) {
+      sessions.clearAuthCookies(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
 };
 
 // Get current user
@@ -213,6 +522,7 @@ const getMe = async (req, res) => {
         role: user.role,
         companyName: user.company_name,
         status: user.status,
+        twoFactorEnabled: Boolean(user.two_factor_enabled),
       },
     });
   } catch (error) {
@@ -351,11 +661,184 @@ const resendVerification = async (req, res) => {
   }
 };
 
+// Forgot password: email a single-use reset link
+// The response is the same whether or not the email has an account, so it cannot be used to probe for accounts.
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required',
+      });
+    }
+
+    // Counted whether or not the account exists, so the response reveals nothing about it
+    const { windowMinutes, maxRequestsPerEmail, maxRequestsPerIp } = config.passwordReset;
+    const recent = await PasswordResetRequest.recordAndCount(normalizeEmail(email).slice(0, 255), req.ip, windowMinutes);
+    if (recent.byEmail > maxRequestsPerEmail || recent.byIp > maxRequestsPerIp) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many password reset requests. Please try again later.',
+        retryAfter: windowMinutes * 60,
+      });
+    }
+
+    const user = await User.findByEmail(String(email).trim());
+
+    if (user && user.status !== 'rejected') {
+      const resetToken = await User.generatePasswordResetToken(user.id);
+
+      try {
+        await emailService.sendPasswordResetEmail({
+          to: user.email,
+          username: user.username,
+          resetToken,
+        });
+      } catch (emailError) {
+        console.error('Error sending password reset email:', emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link is on its way.',
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start password reset. Please try again.',
+      error: error.message,
+    });
+  }
+};
+
+// Reset password with the emailed token; signs out every session of the account
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token and new password are required',
+      });
+    }
+
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const user = await User.resetPassword(token, String(password));
+
+    await sessions.revokeAllSessions(user.id, 'password_reset');
+    sessions.clearAuthCookies(res);
+    await notifyPasswordChanged(user, req, true);
+
+    res.json({
+      success: true,
+      message: 'Your password has been reset. Please log in with your new password.',
+    });
+  } catch (error) {
+    if (error.message === 'Invalid password reset token') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or already used reset link. Please request a new one.',
+      });
+    }
+
+    if (error.message === 'Password reset token has expired') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link has expired. Please request a new one.',
+      });
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Password reset failed. Please try again.',
+      error: error.message,
+    });
+  }
+};
+
+// Change password while signed in; other sessions are signed out, this one stays
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required',
+      });
+    }
+
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const user = await User.findByIdWithPassword(req.user.id);
+    // 400 rather than 401: a 401 means the session itself was rejected
+    if (!(await User.verifyPassword(user, String(currentPassword)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password',
+      });
+    }
+
+    await User.changePassword(user.id, String(newPassword));
+    const signedOut = await sessions.revokeAllSessions(user.id, 'password_changed', {
+      exceptSessionId: req.user.sid,
+    });
+    await notifyPasswordChanged(user, req, false);
+
+    res.json({
+      success: true,
+      message: 'Password changed',
+      signedOutSessions: signedOut,
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password. Please try again.',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  loginTwoFactor,
+  loginTwoFactorSetup,
+  loginTwoFactorEnable,
+  refresh,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
   getMe,
   verifyEmail,
   resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
 };
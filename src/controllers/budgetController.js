@@ -1,4 +1,5 @@
 const { query } = require('../config/database');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 const { getPlatformService } = require('../services/platforms');
 const config = require('../config/config');
 
@@ -130,17 +131,7 @@ const getBudgetConfig = async (req, res) => {
     const account = accountResult.rows[0];
 
     // Verify user has access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [account.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, account.workspace_id, 'budget', 'read'))) return;
 
     res.json({
       success: true,
@@ -187,17 +178,7 @@ const updateBudgetConfig = async (req, res) => {
     const account = accountResult.rows[0];
 
     // Verify user has access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [account.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, account.workspace_id, 'budget', 'update'))) return;
 
     // Update budget configuration
     const updateResult = await query(
@@ -259,17 +240,7 @@ const getBudgetPacing = async (req, res) => {
     const account = accountResult.rows[0];
 
     // Verify user has access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [account.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, account.workspace_id, 'budget', 'read'))) return;
 
     // Calculate current month date range
     const today = new Date();
@@ -421,17 +392,7 @@ const getBudgetAlerts = async (req, res) => {
     const account = accountResult.rows[0];
 
     // Verify user has access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [account.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, account.workspace_id, 'budget', 'read'))) return;
 
     // Get alerts
     const alertsResult = await query(
@@ -471,6 +432,24 @@ const acknowledgeBudgetAlert = async (req, res) => {
   try {
     const { alertId } = req.params;
 
+    const alertResult = await query(
+      `SELECT aa.workspace_id
+       FROM budget_alerts ba
+       JOIN ad_accounts aa ON aa.id = ba.ad_account_id
+       WHERE ba.id = $1`,
+      [alertId]
+    );
+
+    if (alertResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found',
+      });
+    }
+
+    // Verify user has access
+    if (!(await authorizeWorkspace(req, res, alertResult.rows[0].workspace_id, 'budget', 'acknowledge'))) return;
+
     // Update alert
     const updateResult = await query(
       `UPDATE budget_alerts
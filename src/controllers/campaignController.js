@@ -1,5 +1,6 @@
 const { query } = require('../config/database');
 const { getPlatformService } = require('../services/platforms');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 
 /**
  * Get all campaigns for an ad account with performance metrics
@@ -28,17 +29,7 @@ const getCampaigns = async (req, res) => {
     const account = accountResult.rows[0];
 
     // Verify user has access to workspace
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [account.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, account.workspace_id, 'metrics', 'read'))) return;
 
     // Get campaigns from database
     const campaignsResult = await query(
@@ -96,17 +87,7 @@ const getCampaignDetails = async (req, res) => {
     const campaign = campaignResult.rows[0];
 
     // Verify user has access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [campaign.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, campaign.workspace_id, 'metrics', 'read'))) return;
 
     res.json({
       success: true,
@@ -148,17 +129,7 @@ const getAdSets = async (req, res) => {
     const campaign = campaignResult.rows[0];
 
     // Verify user has access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [campaign.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, campaign.workspace_id, 'metrics', 'read'))) return;
 
     // Get ad sets
     const adSetsResult = await query(
@@ -216,17 +187,7 @@ const getAds = async (req, res) => {
     const adSet = adSetResult.rows[0];
 
     // Verify user has access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [adSet.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, adSet.workspace_id, 'metrics', 'read'))) return;
 
     // Get ads
     const adsResult = await query(
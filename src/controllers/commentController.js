@@ -4,6 +4,7 @@
  */
 
 const { query } = require('../config/database');
+const { authorizeWorkspace, can } = require('../services/workspacePermissions');
 
 /**
  * Get comments for an entity
@@ -13,19 +14,6 @@ const getComments = async (req, res) => {
     const { workspaceId } = req.params;
     const { entity_type, entity_id } = req.query;
 
-    // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     let queryText = `
       SELECT c.*, u.username, u.email
       FROM comments c
@@ -101,19 +89,6 @@ const createComment = async (req, res) => {
       mentions,
     } = req.body;
 
-    // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     // Validate required fields
     if (!entity_type || !entity_id || !comment_text) {
       return res.status(400).json({
@@ -188,6 +163,9 @@ const updateComment = async (req, res) => {
     const comment = commentResult.rows[0];
 
     // Only owner can update comment text, anyone in workspace can resolve
+    const action = comment_text ? 'update' : 'resolve';
+    if (!(await authorizeWorkspace(req, res, comment.workspace_id, 'comment', action))) return;
+
     if (comment_text && comment.user_id !== req.user.id) {
       return res.status(403).json({
         success: false,
@@ -264,11 +242,14 @@ const deleteComment = async (req, res) => {
 
     const comment = commentResult.rows[0];
 
-    // Only owner can delete
-    if (comment.user_id !== req.user.id) {
+    const role = await authorizeWorkspace(req, res, comment.workspace_id, 'comment', 'delete');
+    if (!role) return;
+
+    // Authors delete their own comments; admins can remove anyone's
+    if (comment.user_id !== req.user.id && !can(role, 'comment', 'moderate')) {
       return res.status(403).json({
         success: false,
-        message: 'Only the author can delete this comment',
+        message: 'Only the author or a workspace admin can delete this comment',
       });
     }
 
@@ -4,6 +4,8 @@
  */
 
 const { query } = require('../config/database');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
+const customAlertEngine = require('../services/customAlertEngine');
 
 /**
  * Get all custom alert rules for a workspace
@@ -12,19 +14,6 @@ const getCustomAlerts = async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     const result = await query(
       `SELECT car.*, u.username as created_by_name
        FROM custom_alert_rules car
@@ -73,17 +62,7 @@ const getCustomAlert = async (req, res) => {
     const alert = result.rows[0];
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [alert.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, alert.workspace_id, 'alert', 'read'))) return;
 
     res.json({
       success: true,
@@ -113,24 +92,28 @@ const createCustomAlert = async (req, res) => {
       frequency,
     } = req.body;
 
-    // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
+    // Validate required fields
+    if (!name || !conditions || conditions.length === 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied',
+        message: 'Missing required fields: name, conditions',
       });
     }
 
-    // Validate required fields
-    if (!name || !conditions || conditions.length === 0) {
+    const channels = alert_channels || [{ type: 'in-app', config: {} }];
+    const validationErrors = [
+      ...customAlertEngine.validateConditions(conditions),
+      ...customAlertEngine.validateChannels(channels),
+    ];
+    if (validationErrors.length === 0) {
+      validationErrors.push(...(await customAlertEngine.validateRecipients(workspaceId, channels)));
+    }
+
+    if (validationErrors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: name, conditions',
+        message: 'Invalid custom alert rule',
+        errors: validationErrors,
       });
     }
 
@@ -145,7 +128,7 @@ const createCustomAlert = async (req, res) => {
         name,
         description,
         JSON.stringify(conditions),
-        JSON.stringify(alert_channels || [{ type: 'in-app', config: {} }]),
+        JSON.stringify(customAlertEngine.ensureWebhookSecrets(channels)),
         frequency || 'immediate',
         req.user.id,
       ]
@@ -189,15 +172,21 @@ const updateCustomAlert = async (req, res) => {
     const alert = alertResult.rows[0];
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [alert.workspace_id, req.user.id]
-    );
+    if (!(await authorizeWorkspace(req, res, alert.workspace_id, 'alert', 'update'))) return;
+
+    const validationErrors = [
+      ...(updates.conditions !== undefined ? customAlertEngine.validateConditions(updates.conditions) : []),
+      ...(updates.alert_channels !== undefined ? customAlertEngine.validateChannels(updates.alert_channels) : []),
+    ];
+    if (validationErrors.length === 0 && updates.alert_channels !== undefined) {
+      validationErrors.push(...(await customAlertEngine.validateRecipients(alert.workspace_id, updates.alert_channels)));
+    }
 
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied',
+        message: 'Invalid custom alert rule',
+        errors: validationErrors,
       });
     }
 
@@ -217,7 +206,10 @@ const updateCustomAlert = async (req, res) => {
 
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.includes(key)) {
-        if (['conditions', 'alert_channels'].includes(key)) {
+        if (key === 'alert_channels') {
+          updateFields.push(`${key} = $${paramIndex}`);
+          values.push(JSON.stringify(customAlertEngine.ensureWebhookSecrets(value)));
+        } else if (key === 'conditions') {
           updateFields.push(`${key} = $${paramIndex}`);
           values.push(JSON.stringify(value));
         } else {
@@ -282,29 +274,72 @@ const deleteCustomAlert = async (req, res) => {
     const alert = alertResult.rows[0];
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [alert.workspace_id, req.user.id]
+    if (!(await authorizeWorkspace(req, res, alert.workspace_id, 'alert', 'delete'))) return;
+
+    await query('DELETE FROM custom_alert_rules WHERE id = $1', [alertId]);
+
+    res.json({
+      success: true,
+      message: 'Custom alert deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete custom alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete custom alert',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Dry-run a custom alert rule
+ * Evaluates the stored conditions (or conditions from the request body) against
+ * current data and returns the per-condition results without delivering anything
+ */
+const dryRunCustomAlert = async (req, res) => {
+  try {
+    const { alertId } = req.params;
+
+    const alertResult = await query(
+      `SELECT * FROM custom_alert_rules WHERE id = $1`,
+      [alertId]
     );
 
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
+    if (alertResult.rows.length === 0) {
+      return res.status(404).json({
         success: false,
-        message: 'Access denied',
+        message: 'Custom alert not found',
       });
     }
 
-    await query('DELETE FROM custom_alert_rules WHERE id = $1', [alertId]);
+    const alert = alertResult.rows[0];
+
+    // Verify workspace access
+    if (!(await authorizeWorkspace(req, res, alert.workspace_id, 'alert', 'read'))) return;
+
+    const conditions = req.body.conditions || alert.conditions;
+    const validationErrors = customAlertEngine.validateConditions(conditions);
+
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid custom alert rule',
+        errors: validationErrors,
+      });
+    }
+
+    const evaluation = await customAlertEngine.evaluateConditions(alert.workspace_id, conditions);
 
     res.json({
       success: true,
-      message: 'Custom alert deleted successfully',
+      data: evaluation,
     });
   } catch (error) {
-    console.error('Delete custom alert error:', error);
+    console.error('Dry-run custom alert error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete custom alert',
+      message: 'Failed to evaluate custom alert',
       error: error.message,
     });
   }
@@ -316,4 +351,5 @@ module.exports = {
   createCustomAlert,
   updateCustomAlert,
   deleteCustomAlert,
+  dryRunCustomAlert,
 };
@@ -1,10 +1,25 @@
 const multer = require('multer');
+const config = require('../config/config');
 const CustomDataSource = require('../models/CustomDataSource');
+const CustomDataUpload = require('../models/CustomDataUpload');
 const CustomDataParser = require('../services/customDataParser');
 const AICustomData = require('../services/aiCustomData');
-const Workspace = require('../models/Workspace');
 const { fetchCustomData, queryCustomData, invalidateSourceCache } = require('../services/widgetDataService');
 const GoogleSheetsSyncService = require('../services/googleSheetsSync');
+const CustomDataQuestions = require('../services/customDataQuestions');
+const { getSourceColumns } = require('../services/customDataQuery');
+const customDataImporter = require('../services/customDataImporter');
+const CustomDataSchema = require('../services/customDataSchema');
+const CustomDataSchemaVersion = require('../models/CustomDataSchemaVersion');
+const CustomDataQuality = require('../services/customDataQuality');
+const CustomDataQuarantine = require('../models/CustomDataQuarantine');
+const CustomDataQualityScore = require('../models/CustomDataQualityScore');
+const llm = require('../ai/providers');
+const { ValidationError } = require('../utils/errors');
+
+const MAX_QUESTION_LENGTH = 500;
+const MB = 1024 * 1024;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -15,18 +30,11 @@ const upload = multer({
     fileSize: 50 * 1024 * 1024, // 50MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedMimeTypes = [
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'text/csv',
-      'application/csv'
-    ];
-
-    if (allowedMimeTypes.includes(file.mimetype) ||
-        file.originalname.match(/\.(xlsx|xls|csv)$/i)) {
+    try {
+      CustomDataParser.detectFormat(file.originalname, file.mimetype);
       cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only Excel (.xlsx, .xls) and CSV files are allowed.'));
+    } catch (formatError) {
+      cb(new Error(formatError.message));
     }
   }
 });
@@ -46,6 +54,58 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
+/**
+ * Detect the schema of sample rows with AI, falling back to regex-based detection
+ * @returns {Object} { detectedSchema, aiSuggestions }
+ */
+const detectPreviewSchema = async (sampleData, filename, workspaceId) => {
+  // Basic type detection (regex-based)
+  const basicDetection = CustomDataParser.detectColumnTypes(sampleData);
+
+  // AI-powered schema detection (enhanced)
+  let aiSchemaResult = null;
+  let aiVisualizationSuggestions = null;
+
+  try {
+    // Run AI schema detection
+    aiSchemaResult = await AICustomData.detectSchema(
+      sampleData,
+      filename,
+      basicDetection,
+      workspaceId
+    );
+
+    // Get visualization suggestions based on detected schema
+    if (aiSchemaResult.success) {
+      aiVisualizationSuggestions = await AICustomData.suggestVisualizations(
+        aiSchemaResult.schema,
+        sampleData,
+        '',
+        workspaceId
+      );
+    }
+  } catch (aiError) {
+    console.error('AI schema detection failed, falling back to basic detection:', aiError);
+    // Continue with basic detection if AI fails
+  }
+
+  // Use AI-detected schema if available, otherwise fall back to basic detection
+  const detectedSchema = aiSchemaResult?.success
+    ? aiSchemaResult.schema
+    : {
+        columns: basicDetection.columns,
+        confidence: basicDetection.confidence,
+        primaryDateColumn: null,
+        warnings: [],
+        suggestions: []
+      };
+
+  return {
+    detectedSchema,
+    aiSuggestions: aiVisualizationSuggestions?.recommendations || null,
+  };
+};
+
 /**
  * Upload and preview Excel/CSV file
  * POST /api/workspaces/:workspaceId/custom-data/upload
@@ -53,13 +113,6 @@ const handleMulterError = (err, req, res, next) => {
 const uploadFile = async (req, res) => {
   try {
     const { workspaceId } = req.params;
-    const userId = req.user.id;
-
-    // Verify workspace access
-    const workspace = await Workspace.findByUserIdAndWorkspaceId(userId, workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ error: 'Workspace not found or access denied' });
-    }
 
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -84,43 +137,7 @@ const uploadFile = async (req, res) => {
     // Get sample data
     const sampleData = CustomDataParser.getSampleData(parsedData.rows);
 
-    // Basic type detection (regex-based)
-    const basicDetection = CustomDataParser.detectColumnTypes(sampleData);
-
-    // AI-powered schema detection (enhanced)
-    let aiSchemaResult = null;
-    let aiVisualizationSuggestions = null;
-
-    try {
-      // Run AI schema detection
-      aiSchemaResult = await AICustomData.detectSchema(
-        sampleData,
-        req.file.originalname,
-        basicDetection
-      );
-
-      // Get visualization suggestions based on detected schema
-      if (aiSchemaResult.success) {
-        aiVisualizationSuggestions = await AICustomData.suggestVisualizations(
-          aiSchemaResult.schema,
-          sampleData
-        );
-      }
-    } catch (aiError) {
-      console.error('AI schema detection failed, falling back to basic detection:', aiError);
-      // Continue with basic detection if AI fails
-    }
-
-    // Use AI-detected schema if available, otherwise fall back to basic detection
-    const detectedSchema = aiSchemaResult?.success
-      ? aiSchemaResult.schema
-      : {
-          columns: basicDetection.columns,
-          confidence: basicDetection.confidence,
-          primaryDateColumn: null,
-          warnings: [],
-          suggestions: []
-        };
+    const { detectedSchema, aiSuggestions } = await detectPreviewSchema(sampleData, req.file.originalname, workspaceId);
 
     // Prepare preview response
     const preview = {
@@ -129,7 +146,7 @@ const uploadFile = async (req, res) => {
       headers: parsedData.headers,
       sampleData,
       detectedSchema,
-      aiSuggestions: aiVisualizationSuggestions?.recommendations || null,
+      aiSuggestions,
       warnings: validation.warnings.concat(detectedSchema.warnings || []),
       fileSize: req.file.size
     };
@@ -166,15 +183,10 @@ const confirmImport = async (req, res) => {
       fileSize,
       syncEnabled,
       syncFrequency,
-      aiSuggestions
+      aiSuggestions,
+      qualityRules
     } = req.body;
 
-    // Verify workspace access
-    const workspace = await Workspace.findByUserIdAndWorkspaceId(userId, workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ error: 'Workspace not found or access denied' });
-    }
-
     // Validate input
     if (!sourceName || !detectedSchema || !parsedRows || parsedRows.length === 0) {
       return res.status(400).json({
@@ -182,6 +194,10 @@ const confirmImport = async (req, res) => {
       });
     }
 
+    const rules = qualityRules === undefined
+      ? []
+      : CustomDataQuality.validateRules(qualityRules, { detected_schema: detectedSchema });
+
     // Extract column information from schema
     const dateColumn = detectedSchema.primaryDateColumn || null;
     const metricColumns = detectedSchema.columns
@@ -195,7 +211,7 @@ const confirmImport = async (req, res) => {
     const source = await CustomDataSource.create({
       workspaceId,
       userId,
-      sourceType: filename.endsWith('.csv') ? 'csv' : 'excel',
+      sourceType: CustomDataParser.detectFormat(filename),
       sourceName,
       description: description || null,
       originalFilename: filename,
@@ -209,13 +225,24 @@ const confirmImport = async (req, res) => {
       metricColumns,
       dimensionColumns,
       aiSuggestions: aiSuggestions || {},
-      recommendedVisualizations: aiSuggestions?.recommendedWidgets || []
+      recommendedVisualizations: aiSuggestions?.recommendedWidgets || [],
+      qualityRules: rules
     });
 
+    // Create sync job record
+    const syncJob = await CustomDataSource.createSyncJob({
+      sourceId: source.id,
+      jobType: 'initial_import',
+      totalRows: parsedRows.length
+    });
+
+    // Rows failing the quality rules are quarantined instead of imported
+    const quality = await CustomDataQuality.screenRows(source, parsedRows, syncJob.id);
+
     // Transform rows into records format
     const records = CustomDataParser.transformRowsToRecords(
-      parsedRows,
-      detectedSchema,
+      quality.rows,
+      CustomDataSchema.keyedSchema(detectedSchema),
       source.id
     );
 
@@ -238,23 +265,17 @@ const confirmImport = async (req, res) => {
     // Update row count
     await CustomDataSource.updateRowCount(source.id, insertedCount);
 
-    // Create sync job record
-    const syncJob = await CustomDataSource.createSyncJob({
-      sourceId: source.id,
-      jobType: 'initial_import',
-      totalRows: parsedRows.length
-    });
-
     // Update sync job with results
     await CustomDataSource.updateSyncJob(syncJob.id, {
       status: failedCount > 0 ? 'completed_with_errors' : 'completed',
-      processedRows: insertedCount + failedCount,
+      processedRows: insertedCount + failedCount + quality.quarantinedRows,
       newRows: insertedCount,
-      failedRows: failedCount
+      failedRows: failedCount,
+      quarantinedRows: quality.quarantinedRows
     });
 
     // Run AI data quality analysis in background (non-blocking)
-    AICustomData.analyzeDataQuality(parsedRows, detectedSchema)
+    AICustomData.analyzeDataQuality(parsedRows, detectedSchema, workspaceId)
       .then(async (qualityResult) => {
         if (qualityResult.success) {
           // Store AI analysis in sync job
@@ -282,15 +303,24 @@ const confirmImport = async (req, res) => {
         totalRows: parsedRows.length,
         insertedRows: insertedCount,
         failedRows: failedCount,
+        quarantinedRows: quality.quarantinedRows,
+        qualityScore: quality.score,
         syncJobId: syncJob.id
       },
       aiSuggestions: aiSuggestions || null,
-      message: failedCount > 0
+      message: (failedCount > 0
         ? `Import completed with ${failedCount} failed rows. ${insertedCount} rows successfully imported.`
-        : `Successfully imported ${insertedCount} rows.`
+        : `Successfully imported ${insertedCount} rows.`)
+        + (quality.quarantinedRows > 0 ? ` ${quality.quarantinedRows} rows were quarantined for review.` : '')
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: error.message,
+        details: error.errors,
+      });
+    }
     console.error('Confirm import error:', error);
     res.status(500).json({
       error: 'Failed to confirm import',
@@ -299,21 +329,477 @@ const confirmImport = async (req, res) => {
   }
 };
 
+const missingChunks = (upload) => {
+  const received = new Set(upload.received_chunks || []);
+  return Array.from({ length: upload.total_chunks }, (_, index) => index).filter(index => !received.has(index));
+};
+
+const formatUpload = (upload) => ({
+  id: upload.id,
+  filename: upload.filename,
+  fileSize: Number(upload.file_size),
+  chunkSize: upload.chunk_size,
+  totalChunks: upload.total_chunks,
+  receivedChunks: upload.received_chunks || [],
+  missingChunks: missingChunks(upload),
+  status: upload.status,
+  createdAt: upload.created_at,
+});
+
+const formatImportJob = (job) => {
+  let progress = null;
+  if (job.status === 'completed' || job.status === 'completed_with_errors') {
+    progress = 100;
+  } else if (job.total_rows > 0) {
+    // The row total is an estimate until the job finishes
+    progress = Math.min(99, Math.round((job.processed_rows / job.total_rows) * 100));
+  }
+
+  return {
+    id: job.id,
+    sourceId: job.source_id,
+    status: job.status,
+    progress,
+    totalRows: job.total_rows,
+    processedRows: job.processed_rows,
+    newRows: job.new_rows,
+    updatedRows: job.updated_rows,
+    failedRows: job.failed_rows,
+    quarantinedRows: job.quarantined_rows,
+    cancelRequested: job.cancel_requested,
+    errorMessage: job.error_message,
+    errorDetails: job.error_details,
+    startedAt: job.started_at,
+    heartbeatAt: job.heartbeat_at,
+    completedAt: job.completed_at,
+  };
+};
+
 /**
- * Get all custom data sources for workspace
- * GET /api/workspaces/:workspaceId/custom-data/sources
+ * Load an upload of the request's workspace; sends the 404 response and returns null otherwise
  */
-const getSources = async (req, res) => {
+const findWorkspaceUpload = async (req, res) => {
+  const { workspaceId, uploadId } = req.params;
+
+  const upload = await CustomDataUpload.findById(uploadId);
+  if (!upload || upload.workspace_id !== workspaceId) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+
+  return upload;
+};
+
+/**
+ * Load an import job of the request's workspace; sends the 404 response and returns null otherwise
+ */
+const findWorkspaceImportJob = async (req, res) => {
+  const { workspaceId, jobId } = req.params;
+
+  const job = await CustomDataSource.findSyncJobById(jobId);
+  const source = job && job.upload_id ? await CustomDataSource.findById(job.source_id) : null;
+  if (!source || source.workspace_id !== workspaceId) {
+    res.status(404).json({ error: 'Import job not found' });
+    return null;
+  }
+
+  return job;
+};
+
+/**
+ * Start a chunked upload for a large file
+ * POST /api/workspaces/:workspaceId/custom-data/uploads
+ * The client then PUTs each chunk, completes the upload for a preview and starts the import.
+ */
+const createUpload = async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const userId = req.user.id;
+    const { filename, fileSize, mimeType } = req.body;
+
+    if (!filename || !Number.isInteger(fileSize) || fileSize <= 0) {
+      return res.status(400).json({ error: 'filename and fileSize (in bytes) are required' });
+    }
 
-    // Verify workspace access
-    const workspace = await Workspace.findByUserIdAndWorkspaceId(userId, workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ error: 'Workspace not found or access denied' });
+    try {
+      CustomDataParser.detectFormat(filename, mimeType);
+    } catch (formatError) {
+      return res.status(400).json({ error: formatError.message });
+    }
+
+    const { maxFileSizeMb, chunkSizeMb } = config.customDataImport;
+    if (fileSize > maxFileSizeMb * MB) {
+      return res.status(400).json({ error: `File too large. Maximum file size is ${maxFileSizeMb}MB.` });
     }
 
+    const chunkSize = chunkSizeMb * MB;
+    const upload = await CustomDataUpload.create({
+      workspaceId,
+      userId,
+      filename,
+      mimeType,
+      fileSize,
+      chunkSize,
+      totalChunks: Math.ceil(fileSize / chunkSize),
+    });
+
+    res.status(201).json({
+      success: true,
+      upload: formatUpload(upload)
+    });
+
+  } catch (error) {
+    console.error('Create upload error:', error);
+    res.status(500).json({
+      error: 'Failed to start upload',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Get upload state; missingChunks tells a client which chunks to resend after an interruption
+ * GET /api/workspaces/:workspaceId/custom-data/uploads/:uploadId
+ */
+const getUpload = async (req, res) => {
+  try {
+    const upload = await findWorkspaceUpload(req, res);
+    if (!upload) return;
+
+    res.json({
+      success: true,
+      upload: formatUpload(upload)
+    });
+
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch upload',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Receive one chunk (raw request body); chunks may arrive in any order and be resent
+ * PUT /api/workspaces/:workspaceId/custom-data/uploads/:uploadId/chunks/:chunkIndex
+ */
+const uploadChunk = async (req, res) => {
+  try {
+    const upload = await findWorkspaceUpload(req, res);
+    if (!upload) return;
+
+    if (upload.status !== 'uploading') {
+      return res.status(409).json({ error: 'Upload is already complete' });
+    }
+
+    const chunkIndex = parseInt(req.params.chunkIndex, 10);
+    if (!(chunkIndex >= 0 && chunkIndex < upload.total_chunks)) {
+      return res.status(400).json({ error: `chunkIndex must be between 0 and ${upload.total_chunks - 1}` });
+    }
+
+    const offset = chunkIndex * upload.chunk_size;
+    const expectedSize = Math.min(upload.chunk_size, Number(upload.file_size) - offset);
+    if (!Buffer.isBuffer(req.body) || req.body.length !== expectedSize) {
+      return res.status(400).json({
+        error: 'Invalid chunk size',
+        message: `Chunk ${chunkIndex} must be ${expectedSize} bytes sent as application/octet-stream`
+      });
+    }
+
+    // Chunks are stored in Postgres, so any instance can receive them and read the file
+    await CustomDataUpload.saveChunk(upload.id, chunkIndex, req.body);
+    const updated = await CustomDataUpload.markChunkReceived(upload.id, chunkIndex);
+
+    res.json({
+      success: true,
+      upload: formatUpload(updated)
+    });
+
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({
+      error: 'Failed to store chunk',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Finish a chunked upload and preview it (sample rows and detected schema)
+ * POST /api/workspaces/:workspaceId/custom-data/uploads/:uploadId/complete
+ */
+const completeUpload = async (req, res) => {
+  try {
+    const upload = await findWorkspaceUpload(req, res);
+    if (!upload) return;
+
+    if (upload.status !== 'uploading' && upload.status !== 'uploaded') {
+      return res.status(409).json({ error: `Upload is ${upload.status}` });
+    }
+
+    const missing = missingChunks(upload);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Upload incomplete',
+        missingChunks: missing
+      });
+    }
+
+    const storedSize = await CustomDataUpload.getStoredSize(upload.id);
+    if (storedSize !== Number(upload.file_size)) {
+      return res.status(400).json({
+        error: 'Uploaded file does not match the declared size',
+        message: `Expected ${upload.file_size} bytes, received ${storedSize}`
+      });
+    }
+
+    const filePath = await customDataImporter.stageLocalCopy(upload);
+    let sampleData;
+    let headers;
+    let totalRows;
+    try {
+      ({ rows: sampleData, headers } = await CustomDataParser.readSample(filePath, upload.filename, upload.mime_type));
+      totalRows = sampleData.length > 0
+        ? await CustomDataParser.estimateRowCount(filePath, upload.filename, upload.mime_type)
+        : 0;
+    } finally {
+      await customDataImporter.removeLocalCopy(filePath);
+    }
+
+    if (sampleData.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid file data',
+        details: ['No data rows found in file']
+      });
+    }
+
+    const { detectedSchema, aiSuggestions } = await detectPreviewSchema(sampleData, upload.filename, upload.workspace_id);
+
+    await CustomDataUpload.markUploaded(upload.id, sampleData);
+
+    res.json({
+      success: true,
+      preview: {
+        uploadId: upload.id,
+        filename: upload.filename,
+        totalRows,
+        totalRowsEstimated: true,
+        headers,
+        sampleData,
+        detectedSchema,
+        aiSuggestions,
+        warnings: detectedSchema.warnings || [],
+        fileSize: Number(upload.file_size)
+      },
+      message: 'File uploaded. Review the detected schema and start the import.'
+    });
+
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    res.status(500).json({
+      error: 'Failed to process file',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Create the data source and import the uploaded file in the background
+ * POST /api/workspaces/:workspaceId/custom-data/uploads/:uploadId/import
+ * Responds 202 with the job to poll at /import-jobs/:jobId.
+ */
+const startImport = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const userId = req.user.id;
+    const {
+      sourceName,
+      description,
+      detectedSchema,
+      syncEnabled,
+      syncFrequency,
+      aiSuggestions,
+      qualityRules
+    } = req.body;
+
+    const upload = await findWorkspaceUpload(req, res);
+    if (!upload) return;
+
+    if (!sourceName || !detectedSchema || !detectedSchema.columns) {
+      return res.status(400).json({
+        error: 'Missing required fields: sourceName, detectedSchema'
+      });
+    }
+
+    const rules = qualityRules === undefined
+      ? []
+      : CustomDataQuality.validateRules(qualityRules, { detected_schema: detectedSchema });
+
+    if (upload.status !== 'uploaded') {
+      return res.status(409).json({
+        error: upload.status === 'uploading'
+          ? 'Complete the upload before importing'
+          : `Upload is ${upload.status}`
+      });
+    }
+
+    const { metrics, dimensions, dateColumn } = getSourceColumns({ detected_schema: detectedSchema });
+    const sampleData = upload.sample_data || [];
+
+    let source;
+    try {
+      source = await CustomDataSource.create({
+        workspaceId,
+        userId,
+        sourceType: CustomDataParser.detectFormat(upload.filename, upload.mime_type),
+        sourceName,
+        description: description || null,
+        originalFilename: upload.filename,
+        fileSize: Number(upload.file_size),
+        detectedSchema,
+        columnMappings: {},
+        sampleData,
+        syncEnabled: syncEnabled || false,
+        syncFrequency: syncFrequency || null,
+        dateColumn,
+        metricColumns: metrics,
+        dimensionColumns: dimensions,
+        aiSuggestions: aiSuggestions || {},
+        recommendedVisualizations: aiSuggestions?.recommendedWidgets || [],
+        qualityRules: rules
+      });
+    } catch (createError) {
+      if (createError.code === '23505') {
+        return res.status(409).json({ error: `A data source named "${sourceName}" already exists` });
+      }
+      throw createError;
+    }
+
+    // The stored chunks now belong to this import
+    await CustomDataUpload.updateStatus(upload.id, 'imported');
+    const job = await customDataImporter.enqueue({ source, upload });
+
+    res.status(202).json({
+      success: true,
+      source: {
+        id: source.id,
+        name: source.source_name,
+        type: source.source_type,
+        dateColumn,
+        metricColumns: metrics,
+        dimensionColumns: dimensions
+      },
+      import: formatImportJob(job),
+      message: 'Import started. Poll the import job for progress.'
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: error.message,
+        details: error.errors,
+      });
+    }
+    console.error('Start import error:', error);
+    res.status(500).json({
+      error: 'Failed to start import',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Get import job progress
+ * GET /api/workspaces/:workspaceId/custom-data/import-jobs/:jobId
+ */
+const getImportJob = async (req, res) => {
+  try {
+    const job = await findWorkspaceImportJob(req, res);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      job: formatImportJob(job)
+    });
+
+  } catch (error) {
+    console.error('Get import job error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch import job',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a queued or running import; rows already imported are kept
+ * POST /api/workspaces/:workspaceId/custom-data/import-jobs/:jobId/cancel
+ */
+const cancelImportJob = async (req, res) => {
+  try {
+    const job = await findWorkspaceImportJob(req, res);
+    if (!job) return;
+
+    const updated = await customDataImporter.cancel(job.id);
+    if (!updated) {
+      return res.status(409).json({ error: `Import job is already ${job.status}` });
+    }
+
+    res.json({
+      success: true,
+      job: formatImportJob(updated),
+      message: updated.status === 'cancelled'
+        ? 'Import cancelled.'
+        : 'Cancellation requested. The import stops after the current batch.'
+    });
+
+  } catch (error) {
+    console.error('Cancel import job error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel import job',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Resume a cancelled or failed import from its last checkpoint
+ * POST /api/workspaces/:workspaceId/custom-data/import-jobs/:jobId/resume
+ */
+const resumeImportJob = async (req, res) => {
+  try {
+    const job = await findWorkspaceImportJob(req, res);
+    if (!job) return;
+
+    const updated = await customDataImporter.resume(job.id);
+    if (!updated) {
+      return res.status(409).json({ error: 'Only cancelled or failed imports can be resumed' });
+    }
+
+    res.status(202).json({
+      success: true,
+      job: formatImportJob(updated),
+      message: `Import resumes after row ${updated.processed_rows}.`
+    });
+
+  } catch (error) {
+    console.error('Resume import job error:', error);
+    res.status(500).json({
+      error: 'Failed to resume import job',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Get all custom data sources for workspace
+ * GET /api/workspaces/:workspaceId/custom-data/sources
+ */
+const getSources = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
     const sources = await CustomDataSource.findByWorkspaceId(workspaceId);
 
     res.json({
@@ -338,13 +824,6 @@ const getSources = async (req, res) => {
 const getSource = async (req, res) => {
   try {
     const { workspaceId, sourceId } = req.params;
-    const userId = req.user.id;
-
-    // Verify workspace access
-    const workspace = await Workspace.findByUserIdAndWorkspaceId(userId, workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ error: 'Workspace not found or access denied' });
-    }
 
     const source = await CustomDataSource.findById(sourceId);
     if (!source || source.workspace_id !== workspaceId) {
@@ -382,7 +861,6 @@ const getSource = async (req, res) => {
 const updateSource = async (req, res) => {
   try {
     const { workspaceId, sourceId } = req.params;
-    const userId = req.user.id;
     const {
       sourceName,
       description,
@@ -391,12 +869,6 @@ const updateSource = async (req, res) => {
       syncFrequency
     } = req.body;
 
-    // Verify workspace access
-    const workspace = await Workspace.findByUserIdAndWorkspaceId(userId, workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ error: 'Workspace not found or access denied' });
-    }
-
     const source = await CustomDataSource.findById(sourceId);
     if (!source || source.workspace_id !== workspaceId) {
       return res.status(404).json({ error: 'Custom data source not found' });
@@ -434,13 +906,6 @@ const updateSource = async (req, res) => {
 const deleteSource = async (req, res) => {
   try {
     const { workspaceId, sourceId } = req.params;
-    const userId = req.user.id;
-
-    // Verify workspace access
-    const workspace = await Workspace.findByUserIdAndWorkspaceId(userId, workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ error: 'Workspace not found or access denied' });
-    }
 
     const source = await CustomDataSource.findById(sourceId);
     if (!source || source.workspace_id !== workspaceId) {
@@ -474,7 +939,6 @@ const deleteSource = async (req, res) => {
 const getMetrics = async (req, res) => {
   try {
     const { workspaceId, sourceId } = req.params;
-    const userId = req.user.id;
     const {
       metric,
       startDate,
@@ -485,12 +949,6 @@ const getMetrics = async (req, res) => {
       dateRange = 'last_30_days'
     } = req.query;
 
-    // Verify workspace access
-    const workspace = await Workspace.findByUserIdAndWorkspaceId(userId, workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ error: 'Workspace not found or access denied' });
-    }
-
     const source = await CustomDataSource.findById(sourceId);
     if (!source || source.workspace_id !== workspaceId) {
       return res.status(404).json({ error: 'Custom data source not found' });
@@ -529,7 +987,6 @@ const getMetrics = async (req, res) => {
       aggregation,
       filters: parsedFilters,
       groupBy: parsedGroupBy,
-      dateColumn: source.date_column,
     };
 
     // Determine date range
@@ -552,6 +1009,13 @@ const getMetrics = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: 'Invalid metrics request',
+        message: error.message,
+        details: error.errors,
+      });
+    }
     console.error('Get metrics error:', error);
     res.status(500).json({
       error: 'Failed to fetch metrics',
@@ -567,7 +1031,6 @@ const getMetrics = async (req, res) => {
 const queryData = async (req, res) => {
   try {
     const { workspaceId, sourceId } = req.params;
-    const userId = req.user.id;
     const {
       select = [],
       filters = {},
@@ -578,12 +1041,6 @@ const queryData = async (req, res) => {
       dateRange = null,
     } = req.body;
 
-    // Verify workspace access
-    const workspace = await Workspace.findByUserIdAndWorkspaceId(userId, workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ error: 'Workspace not found or access denied' });
-    }
-
     const source = await CustomDataSource.findById(sourceId);
     if (!source || source.workspace_id !== workspaceId) {
       return res.status(404).json({ error: 'Custom data source not found' });
@@ -633,6 +1090,13 @@ const queryData = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: error.message,
+        details: error.errors,
+      });
+    }
     console.error('Query data error:', error);
     res.status(500).json({
       error: 'Failed to query data',
@@ -641,6 +1105,61 @@ const queryData = async (req, res) => {
   }
 };
 
+/**
+ * Answer a natural-language question about a custom data source
+ * POST /api/workspaces/:workspaceId/custom-data/sources/:sourceId/ask
+ * Returns the result rows, the AI interpretation and a widget config that can be
+ * saved to a dashboard.
+ */
+const askQuestion = async (req, res) => {
+  try {
+    const { workspaceId, sourceId } = req.params;
+    const { question } = req.body;
+
+    if (!question || typeof question !== 'string' || !question.trim()) {
+      return res.status(400).json({ error: 'question is required' });
+    }
+    if (question.length > MAX_QUESTION_LENGTH) {
+      return res.status(400).json({ error: `question must be at most ${MAX_QUESTION_LENGTH} characters` });
+    }
+
+    const source = await CustomDataSource.findById(sourceId);
+    if (!source || source.workspace_id !== workspaceId) {
+      return res.status(404).json({ error: 'Custom data source not found' });
+    }
+
+    if (!llm.isAvailable('customData')) {
+      return res.status(503).json({ error: 'AI query service not configured' });
+    }
+
+    const answer = await CustomDataQuestions.askQuestion(source, question.trim());
+
+    res.json({
+      success: true,
+      question: question.trim(),
+      ...answer,
+      source: {
+        id: source.id,
+        name: source.source_name,
+        type: source.source_type,
+      },
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({
+        error: error.message,
+        details: error.errors,
+      });
+    }
+    console.error('Ask question error:', error);
+    res.status(500).json({
+      error: 'Failed to answer question',
+      details: error.message
+    });
+  }
+};
+
 /**
  * Trigger manual sync for Google Sheet
  * POST /api/workspaces/:workspaceId/custom-data/sources/:sourceId/sync
@@ -648,13 +1167,6 @@ const queryData = async (req, res) => {
 const triggerSync = async (req, res) => {
   try {
     const { workspaceId, sourceId } = req.params;
-    const userId = req.user.id;
-
-    // Verify workspace access
-    const workspace = await Workspace.findByUserIdAndWorkspaceId(userId, workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ error: 'Workspace not found or access denied' });
-    }
 
     const source = await CustomDataSource.findById(sourceId);
     if (!source || source.workspace_id !== workspaceId) {
@@ -669,6 +1181,14 @@ const triggerSync = async (req, res) => {
       });
     }
 
+    if (source.sync_status === 'paused') {
+      return res.status(409).json({
+        error: 'Sync paused',
+        message: 'The sheet columns changed. Review and approve the schema change to resume syncing.',
+        pendingSchemaChange: source.pending_schema_change
+      });
+    }
+
     // Check if sync is already running
     if (source.sync_status === 'syncing') {
       return res.status(409).json({
@@ -709,15 +1229,8 @@ const triggerSync = async (req, res) => {
 const getSyncHistory = async (req, res) => {
   try {
     const { workspaceId, sourceId } = req.params;
-    const userId = req.user.id;
     const { limit = 10 } = req.query;
 
-    // Verify workspace access
-    const workspace = await Workspace.findByUserIdAndWorkspaceId(userId, workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ error: 'Workspace not found or access denied' });
-    }
-
     const source = await CustomDataSource.findById(sourceId);
     if (!source || source.workspace_id !== workspaceId) {
       return res.status(404).json({ error: 'Custom data source not found' });
@@ -747,6 +1260,313 @@ const getSyncHistory = async (req, res) => {
   }
 };
 
+/**
+ * Get the current schema, pending schema change and schema history of a source
+ * GET /api/workspaces/:workspaceId/custom-data/sources/:sourceId/schema
+ */
+const getSchema = async (req, res) => {
+  try {
+    const { workspaceId, sourceId } = req.params;
+    const { limit = 20 } = req.query;
+
+    const source = await CustomDataSource.findById(sourceId);
+    if (!source || source.workspace_id !== workspaceId) {
+      return res.status(404).json({ error: 'Custom data source not found' });
+    }
+
+    const versions = await CustomDataSchemaVersion.findBySourceId(sourceId, Math.min(parseInt(limit) || 20, 100));
+
+    res.json({
+      success: true,
+      schema: {
+        version: source.schema_version,
+        columns: CustomDataSchema.schemaColumns(source.detected_schema),
+        columnMappings: source.column_mappings || {},
+        dateColumn: source.date_column,
+      },
+      pendingChange: source.pending_schema_change,
+      versions: versions.map(version => ({
+        version: version.version,
+        changeType: version.change_type,
+        diff: version.schema_diff,
+        columnMappings: version.column_mappings,
+        syncJobId: version.sync_job_id,
+        approvedBy: version.approved_by,
+        createdAt: version.created_at,
+      })),
+    });
+
+  } catch (error) {
+    console.error('Get schema error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch schema',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Approve the pending schema change of a source and resume syncing
+ * POST /api/workspaces/:workspaceId/custom-data/sources/:sourceId/schema/approve
+ * Body: { mapping: { "<new column>": "<removed column>" | null } }; defaults to the suggested mapping
+ */
+const approveSchemaChange = async (req, res) => {
+  try {
+    const { workspaceId, sourceId } = req.params;
+    const userId = req.user.id;
+    const { mapping } = req.body;
+
+    const source = await CustomDataSource.findById(sourceId);
+    if (!source || source.workspace_id !== workspaceId) {
+      return res.status(404).json({ error: 'Custom data source not found' });
+    }
+
+    if (mapping !== undefined && (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping))) {
+      return res.status(400).json({
+        error: 'Invalid mapping',
+        message: 'mapping must be an object of new column names to removed column names or null'
+      });
+    }
+
+    const result = await CustomDataSchema.approveSchemaChange(source, mapping, userId);
+
+    // Resume syncing with the new schema
+    GoogleSheetsSyncService.triggerManualSync(sourceId)
+      .catch(error => {
+        console.error(`❌ Sync after schema approval failed for source ${sourceId}:`, error);
+      });
+
+    res.json({
+      success: true,
+      schemaVersion: result.version,
+      affectedWidgets: result.affectedWidgets,
+      message: 'Schema change approved. Sync resumed.'
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: 'Invalid schema change approval',
+        message: error.message,
+      });
+    }
+    console.error('Approve schema change error:', error);
+    res.status(500).json({
+      error: 'Failed to approve schema change',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Load a source of the request's workspace; sends the 404 response and returns null otherwise
+ */
+const findWorkspaceSource = async (req, res) => {
+  const { workspaceId, sourceId } = req.params;
+
+  const source = await CustomDataSource.findById(sourceId);
+  if (!source || source.workspace_id !== workspaceId) {
+    res.status(404).json({ error: 'Custom data source not found' });
+    return null;
+  }
+
+  return source;
+};
+
+/**
+ * Quarantine entry ids from the request body; sends the 400 response and returns null when invalid
+ */
+const quarantineIdsFromBody = (req, res) => {
+  const { ids } = req.body;
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > 1000 || ids.some(id => !UUID_PATTERN.test(id))) {
+    res.status(400).json({ error: 'ids must be an array of 1 to 1000 quarantine entry ids' });
+    return null;
+  }
+  return ids;
+};
+
+/**
+ * Get quality rules, quality score history and quarantine counts of a source
+ * GET /api/workspaces/:workspaceId/custom-data/sources/:sourceId/quality
+ */
+const getQuality = async (req, res) => {
+  try {
+    const source = await findWorkspaceSource(req, res);
+    if (!source) return;
+
+    const { limit = 30 } = req.query;
+    const [scores, quarantined, readmitted, discarded] = await Promise.all([
+      CustomDataQualityScore.findBySourceId(source.id, Math.min(parseInt(limit) || 30, 365)),
+      CustomDataQuarantine.countBySourceId(source.id, 'quarantined'),
+      CustomDataQuarantine.countBySourceId(source.id, 'readmitted'),
+      CustomDataQuarantine.countBySourceId(source.id, 'discarded'),
+    ]);
+
+    res.json({
+      success: true,
+      rules: source.quality_rules || [],
+      latestScore: scores[0] ? Number(scores[0].score) : null,
+      scores: scores.map(score => ({
+        score: Number(score.score),
+        checkedRows: score.checked_rows,
+        passedRows: score.passed_rows,
+        quarantinedRows: score.quarantined_rows,
+        ruleFailures: score.rule_failures,
+        syncJobId: score.sync_job_id,
+        createdAt: score.created_at,
+      })),
+      quarantine: { quarantined, readmitted, discarded },
+    });
+
+  } catch (error) {
+    console.error('Get quality error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch data quality',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Replace the quality rules of a source; they apply from the next import or sync
+ * PUT /api/workspaces/:workspaceId/custom-data/sources/:sourceId/quality-rules
+ */
+const updateQualityRules = async (req, res) => {
+  try {
+    const source = await findWorkspaceSource(req, res);
+    if (!source) return;
+
+    const rules = CustomDataQuality.validateRules(req.body.rules, source);
+    const updated = await CustomDataSource.updateQualityRules(source.id, rules);
+
+    res.json({
+      success: true,
+      rules: updated.quality_rules
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: error.message,
+        details: error.errors,
+      });
+    }
+    console.error('Update quality rules error:', error);
+    res.status(500).json({
+      error: 'Failed to update quality rules',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * List quarantined rows of a source
+ * GET /api/workspaces/:workspaceId/custom-data/sources/:sourceId/quarantine
+ */
+const getQuarantine = async (req, res) => {
+  try {
+    const source = await findWorkspaceSource(req, res);
+    if (!source) return;
+
+    const { status = 'quarantined', limit = 50, offset = 0 } = req.query;
+    if (!['quarantined', 'readmitted', 'discarded'].includes(status)) {
+      return res.status(400).json({ error: 'status must be quarantined, readmitted or discarded' });
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 500);
+    const start = Math.max(parseInt(offset) || 0, 0);
+    const [rows, total] = await Promise.all([
+      CustomDataQuarantine.findBySourceId(source.id, { status, limit: pageSize, offset: start }),
+      CustomDataQuarantine.countBySourceId(source.id, status),
+    ]);
+
+    res.json({
+      success: true,
+      rows: rows.map(row => ({
+        id: row.id,
+        rowNumber: row.row_number,
+        data: row.raw_data,
+        reasons: row.reasons,
+        status: row.status,
+        syncJobId: row.sync_job_id,
+        firstSeenAt: row.created_at,
+        lastSeenAt: row.last_seen_at,
+        resolvedAt: row.resolved_at,
+      })),
+      pagination: {
+        limit: pageSize,
+        offset: start,
+        total,
+        hasMore: start + rows.length < total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quarantine error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch quarantined rows',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Import quarantined rows despite their rule failures; later syncs no longer quarantine them
+ * POST /api/workspaces/:workspaceId/custom-data/sources/:sourceId/quarantine/readmit
+ */
+const readmitQuarantined = async (req, res) => {
+  try {
+    const source = await findWorkspaceSource(req, res);
+    if (!source) return;
+
+    const ids = quarantineIdsFromBody(req, res);
+    if (!ids) return;
+
+    const result = await CustomDataQuality.readmitRows(source, ids, req.user.id);
+
+    res.json({
+      success: true,
+      ...result,
+      message: `${result.readmitted} rows readmitted.`
+    });
+
+  } catch (error) {
+    console.error('Readmit quarantined rows error:', error);
+    res.status(500).json({
+      error: 'Failed to readmit rows',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Close quarantined rows without importing them
+ * POST /api/workspaces/:workspaceId/custom-data/sources/:sourceId/quarantine/discard
+ */
+const discardQuarantined = async (req, res) => {
+  try {
+    const source = await findWorkspaceSource(req, res);
+    if (!source) return;
+
+    const ids = quarantineIdsFromBody(req, res);
+    if (!ids) return;
+
+    const discarded = await CustomDataQuarantine.resolve(source.id, ids, 'discarded', req.user.id);
+
+    res.json({
+      success: true,
+      discarded: discarded.length
+    });
+
+  } catch (error) {
+    console.error('Discard quarantined rows error:', error);
+    res.status(500).json({
+      error: 'Failed to discard rows',
+      details: error.message
+    });
+  }
+};
+
 /**
  * Handle Google Drive webhook notifications
  * POST /api/webhooks/google-drive
@@ -799,13 +1619,29 @@ module.exports = {
   handleMulterError,
   uploadFile,
   confirmImport,
+  createUpload,
+  getUpload,
+  uploadChunk,
+  completeUpload,
+  startImport,
+  getImportJob,
+  cancelImportJob,
+  resumeImportJob,
   getSources,
   getSource,
   updateSource,
   deleteSource,
   getMetrics,
   queryData,
+  askQuestion,
   triggerSync,
   getSyncHistory,
+  getSchema,
+  approveSchemaChange,
+  getQuality,
+  updateQualityRules,
+  getQuarantine,
+  readmitQuarantined,
+  discardQuarantined,
   handleGoogleDriveWebhook
 };
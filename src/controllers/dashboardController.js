@@ -1,25 +1,22 @@
 const Dashboard = require('../models/Dashboard');
-const Workspace = require('../models/Workspace');
 const widgetDataService = require('../services/widgetDataService');
-const { startAIAnalysisJob, getJobStatus } = require('../services/backgroundJobs');
+const { startAIAnalysisJob, getJobStatus, subscribeToJob } = require('../services/backgroundJobs');
 const aiWidgetAnalysis = require('../services/aiWidgetAnalysis');
+const productAnalytics = require('../services/productAnalytics');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
+const { openEventStream } = require('../utils/sse');
 const crypto = require('crypto');
 
+// How often a job stream re-checks job status (covers jobs running in another process)
+const JOB_STREAM_POLL_MS = 2000;
+
 // Get all dashboards for a workspace
 const getWorkspaceDashboards = async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Verify user has access to workspace
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    const hasAccess = workspaces.some(w => w.id === workspaceId);
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this workspace',
-      });
-    }
+    // Verify the user's workspace role allows this
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'dashboard', 'read'))) return;
 
     const dashboards = await Dashboard.findByWorkspaceId(workspaceId);
 
@@ -51,16 +48,8 @@ const getDashboard = async (req, res) => {
       });
     }
 
-    // Verify user has access to workspace
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    const hasAccess = workspaces.some(w => w.id === dashboard.workspace_id);
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this dashboard',
-      });
-    }
+    // Verify the user's workspace role allows this
+    if (!(await authorizeWorkspace(req, res, dashboard.workspace_id, 'dashboard', 'read'))) return;
 
     res.json({
       success: true,
@@ -88,16 +77,8 @@ const createDashboard = async (req, res) => {
       });
     }
 
-    // Verify user has access to workspace
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    const hasAccess = workspaces.some(w => w.id === workspaceId);
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this workspace',
-      });
-    }
+    // Verify the user's workspace role allows this
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'dashboard', 'create'))) return;
 
     const dashboard = await Dashboard.create({
       name,
@@ -105,6 +86,11 @@ const createDashboard = async (req, res) => {
       createdBy: req.user.id,
       description,
     });
+    productAnalytics.track('dashboard_created', {
+      userId: req.user.id,
+      workspaceId,
+      properties: { dashboardId: dashboard.id, source: 'blank' },
+    });
 
     res.status(201).json({
       success: true,
@@ -136,16 +122,8 @@ const updateDashboard = async (req, res) => {
       });
     }
 
-    // Verify user has access to workspace
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    const hasAccess = workspaces.some(w => w.id === dashboard.workspace_id);
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this dashboard',
-      });
-    }
+    // Verify the user's workspace role allows this
+    if (!(await authorizeWorkspace(req, res, dashboard.workspace_id, 'dashboard', 'update'))) return;
 
     const updatedDashboard = await Dashboard.update(id, {
       name,
@@ -181,16 +159,8 @@ const deleteDashboard = async (req, res) => {
       });
     }
 
-    // Verify user has access to workspace
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    const hasAccess = workspaces.some(w => w.id === dashboard.workspace_id);
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this dashboard',
-      });
-    }
+    // Verify the user's workspace role allows this
+    if (!(await authorizeWorkspace(req, res, dashboard.workspace_id, 'dashboard', 'delete'))) return;
 
     await Dashboard.delete(id);
 
@@ -230,16 +200,8 @@ const addWidget = async (req, res) => {
       });
     }
 
-    // Verify user has access to workspace
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    const hasAccess = workspaces.some(w => w.id === dashboard.workspace_id);
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this dashboard',
-      });
-    }
+    // Verify the user's workspace role allows this
+    if (!(await authorizeWorkspace(req, res, dashboard.workspace_id, 'widget', 'create'))) return;
 
     const widget = await Dashboard.addWidget(dashboardId, {
       widgetType,
@@ -250,6 +212,11 @@ const addWidget = async (req, res) => {
       chartConfig,
       filters,
     });
+    productAnalytics.track('widget_added', {
+      userId: req.user.id,
+      workspaceId: dashboard.workspace_id,
+      properties: { dashboardId, widgetType },
+    });
 
     res.status(201).json({
       success: true,
@@ -272,6 +239,16 @@ const updateWidget = async (req, res) => {
     const { widgetId } = req.params;
     const { widgetType, title, description, position, dataSource, chartConfig, filters } = req.body;
 
+    const workspaceId = await Dashboard.getWidgetWorkspaceId(widgetId);
+    if (!workspaceId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Widget not found',
+      });
+    }
+
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'widget', 'update'))) return;
+
     const widget = await Dashboard.updateWidget(widgetId, {
       widgetType,
       title,
@@ -289,6 +266,11 @@ const updateWidget = async (req, res) => {
       });
     }
 
+    productAnalytics.track('widget_updated', {
+      userId: req.user.id,
+      properties: { dashboardId: widget.dashboard_id, widgetType: widget.widget_type },
+    });
+
     res.json({
       success: true,
       message: 'Widget updated successfully',
@@ -309,6 +291,16 @@ const deleteWidget = async (req, res) => {
   try {
     const { widgetId } = req.params;
 
+    const workspaceId = await Dashboard.getWidgetWorkspaceId(widgetId);
+    if (!workspaceId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Widget not found',
+      });
+    }
+
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'widget', 'delete'))) return;
+
     const widget = await Dashboard.deleteWidget(widgetId);
 
     if (!widget) {
@@ -347,16 +339,8 @@ const createShareLink = async (req, res) => {
       });
     }
 
-    // Verify user has access to workspace
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    const hasAccess = workspaces.some(w => w.id === dashboard.workspace_id);
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this dashboard',
-      });
-    }
+    // Verify the user's workspace role allows this
+    if (!(await authorizeWorkspace(req, res, dashboard.workspace_id, 'dashboard', 'share'))) return;
 
     const shareLink = await Dashboard.createShareLink(dashboardId, req.user.id, {
       expiresAt,
@@ -393,16 +377,8 @@ const getShareLinks = async (req, res) => {
       });
     }
 
-    // Verify user has access to workspace
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    const hasAccess = workspaces.some(w => w.id === dashboard.workspace_id);
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this dashboard',
-      });
-    }
+    // Verify the user's workspace role allows this
+    if (!(await authorizeWorkspace(req, res, dashboard.workspace_id, 'dashboard', 'share'))) return;
 
     const shareLinks = await Dashboard.getShareLinks(dashboardId);
 
@@ -467,6 +443,16 @@ const deleteShareLink = async (req, res) => {
   try {
     const { shareId } = req.params;
 
+    const workspaceId = await Dashboard.getShareLinkWorkspaceId(shareId);
+    if (!workspaceId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found',
+      });
+    }
+
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'dashboard', 'share'))) return;
+
     const result = await Dashboard.deleteShareLink(shareId);
 
     if (!result) {
@@ -496,6 +482,16 @@ const toggleShareLink = async (req, res) => {
     const { shareId } = req.params;
     const { isActive } = req.body;
 
+    const workspaceId = await Dashboard.getShareLinkWorkspaceId(shareId);
+    if (!workspaceId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found',
+      });
+    }
+
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'dashboard', 'share'))) return;
+
     const result = await Dashboard.toggleShareLink(shareId, isActive);
 
     if (!result) {
@@ -552,11 +548,8 @@ const createFromTemplate = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Template ID, workspace ID, and name are required' });
     }
 
-    // Verify access
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    if (!workspaces.some(w => w.id === workspaceId)) {
-      return res.status(403).json({ success: false, message: 'Access denied to this workspace' });
-    }
+    // Verify the user's workspace role allows this
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'dashboard', 'create'))) return;
 
     // Get template
     const template = getTemplateById(templateId);
@@ -571,6 +564,11 @@ const createFromTemplate = async (req, res) => {
       createdBy: req.user.id,
       description: `Created from ${template.name} template`,
     });
+    productAnalytics.track('dashboard_created', {
+      userId: req.user.id,
+      workspaceId,
+      properties: { dashboardId: dashboard.id, source: 'template', templateId },
+    });
 
     // Create widgets from template
     for (const widgetDef of template.widgets) {
@@ -616,19 +614,8 @@ const generateAIDashboard = async (req, res) => {
       });
     }
 
-    // Verify user has access to workspace
-    console.log('[AI Dashboard] Checking workspace access for user:', req.user?.id);
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    console.log('[AI Dashboard] User workspaces:', workspaces.map(w => w.id));
-    const hasAccess = workspaces.some(w => w.id === workspaceId);
-
-    if (!hasAccess) {
-      console.log('[AI Dashboard] Access denied - workspace not found in user workspaces');
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this workspace',
-      });
-    }
+    // Verify the user's workspace role allows this
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'dashboard', shouldCreate ? 'create' : 'read'))) return;
 
     // Generate dashboard configuration using AI
     console.log('[AI Dashboard] Starting AI generation with prompt:', prompt.substring(0, 100) + '...');
@@ -649,6 +636,11 @@ const generateAIDashboard = async (req, res) => {
         createdBy: req.user.id,
         description: dashboardConfig.description,
       });
+      productAnalytics.track('dashboard_created', {
+        userId: req.user.id,
+        workspaceId,
+        properties: { dashboardId: dashboard.id, source: 'ai' },
+      });
 
       // Create widgets from AI configuration
       for (const widgetDef of dashboardConfig.widgets) {
@@ -711,16 +703,8 @@ const getAIRecommendations = async (req, res) => {
       });
     }
 
-    // Verify user has access to workspace
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    const hasAccess = workspaces.some(w => w.id === dashboard.workspace_id);
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this dashboard',
-      });
-    }
+    // Verify the user's workspace role allows this
+    if (!(await authorizeWorkspace(req, res, dashboard.workspace_id, 'dashboard', 'read'))) return;
 
     // Get metrics data for the dashboard (mock for now - would fetch real data)
     const metricsData = {
@@ -733,7 +717,7 @@ const getAIRecommendations = async (req, res) => {
       })),
     };
 
-    const recommendations = await generateRecommendations(dashboardId, metricsData);
+    const recommendations = await generateRecommendations(dashboardId, metricsData, dashboard.workspace_id);
 
     res.json({
       success: true,
@@ -764,20 +748,13 @@ const getAIImprovements = async (req, res) => {
       });
     }
 
-    // Verify user has access to workspace
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    const hasAccess = workspaces.some(w => w.id === dashboard.workspace_id);
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this dashboard',
-      });
-    }
+    // Verify the user's workspace role allows this
+    if (!(await authorizeWorkspace(req, res, dashboard.workspace_id, 'dashboard', 'read'))) return;
 
     const suggestions = await suggestDashboardImprovements(
       dashboard.widgets || [],
-      goals || 'Improve overall dashboard effectiveness'
+      goals || 'Improve overall dashboard effectiveness',
+      dashboard.workspace_id
     );
 
     res.json({
@@ -805,83 +782,147 @@ const getAIOptions = async (req, res) => {
   });
 };
 
-// Analyze widget with AI
-const analyzeWidgetWithAI = async (req, res) => {
-  try {
-    const { widgetId } = req.params;
-    const { includeHistorical = false } = req.body;
+/**
+ * Load a widget and its current data for AI analysis
+ * Sends the error response and returns null when the widget cannot be analyzed.
+ */
+const prepareWidgetAnalysis = async (req, res) => {
+  const { widgetId } = req.params;
 
-    console.log(`[AI Analysis] Starting analysis for widget ${widgetId}`);
+  console.log(`[AI Analysis] Starting analysis for widget ${widgetId}`);
 
-    // Check if AI service is available before proceeding
-    if (!aiWidgetAnalysis.isAvailable()) {
-      console.log(`[AI Analysis] AI service not available - API key not configured`);
-      return res.status(503).json({
-        success: false,
-        message: 'AI analysis service is not configured. Please contact support.',
-      });
-    }
+  // Check if AI service is available before proceeding
+  if (!aiWidgetAnalysis.isAvailable()) {
+    console.log(`[AI Analysis] AI service not available - API key not configured`);
+    res.status(503).json({
+      success: false,
+      message: 'AI analysis service is not configured. Please contact support.',
+    });
+    return null;
+  }
 
-    // Get widget
-    const widget = await Dashboard.getWidget(widgetId);
+  // Get widget
+  const widget = await Dashboard.getWidget(widgetId);
 
-    if (!widget) {
-      console.log(`[AI Analysis] Widget ${widgetId} not found`);
-      return res.status(404).json({
-        success: false,
-        message: 'Widget not found',
-      });
-    }
+  if (!widget) {
+    console.log(`[AI Analysis] Widget ${widgetId} not found`);
+    res.status(404).json({
+      success: false,
+      message: 'Widget not found',
+    });
+    return null;
+  }
 
-    console.log(`[AI Analysis] Widget found: ${widget.title} (${widget.widget_type})`);
+  console.log(`[AI Analysis] Widget found: ${widget.title} (${widget.widget_type})`);
 
-    // Get dashboard to verify access
-    const dashboard = await Dashboard.findById(widget.dashboard_id);
+  // Get dashboard to verify access
+  const dashboard = await Dashboard.findById(widget.dashboard_id);
 
-    if (!dashboard) {
-      console.log(`[AI Analysis] Dashboard ${widget.dashboard_id} not found`);
-      return res.status(404).json({
-        success: false,
-        message: 'Dashboard not found',
-      });
-    }
+  if (!dashboard) {
+    console.log(`[AI Analysis] Dashboard ${widget.dashboard_id} not found`);
+    res.status(404).json({
+      success: false,
+      message: 'Dashboard not found',
+    });
+    return null;
+  }
 
-    // Verify user has access to workspace
-    const workspaces = await Workspace.findByUserId(req.user.id);
-    const hasAccess = workspaces.some(w => w.id === dashboard.workspace_id);
+  // Verify the user's workspace role allows this
+  if (!(await authorizeWorkspace(req, res, dashboard.workspace_id, 'widget', 'analyze'))) {
+    console.log(`[AI Analysis] Access denied for user ${req.user.id} to workspace ${dashboard.workspace_id}`);
+    return null;
+  }
 
-    if (!hasAccess) {
-      console.log(`[AI Analysis] Access denied for user ${req.user.id} to workspace ${dashboard.workspace_id}`);
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this widget',
-      });
-    }
+  console.log(`[AI Analysis] Access verified. Fetching widget data...`);
 
-    console.log(`[AI Analysis] Access verified. Fetching widget data...`);
+  // Fetch current metrics data
+  const metricsData = await widgetDataService.fetchWidgetData(
+    widget,
+    widget.data_source?.dateRange || 'last_30_days'
+  );
 
-    // Fetch current metrics data
-    const metricsData = await widgetDataService.fetchWidgetData(
-      widget,
-      widget.data_source?.dateRange || 'last_30_days'
-    );
+  if (!metricsData) {
+    console.log(`[AI Analysis] No metrics data returned for widget ${widgetId}`);
+    res.status(400).json({
+      success: false,
+      message: 'Unable to fetch widget data. Please ensure the widget is configured correctly.',
+    });
+    return null;
+  }
 
-    if (!metricsData) {
-      console.log(`[AI Analysis] No metrics data returned for widget ${widgetId}`);
-      return res.status(400).json({
-        success: false,
-        message: 'Unable to fetch widget data. Please ensure the widget is configured correctly.',
-      });
+  console.log(`[AI Analysis] Metrics data fetched. Type: ${metricsData.type || 'value'}, Has timeSeries: ${!!metricsData.timeSeries}`);
+
+  return { widget, dashboard, metricsData };
+};
+
+/**
+ * Forward a job's events to an SSE stream until it completes or fails
+ * Live events come from this process; status polling picks up jobs running
+ * elsewhere and jobs that finished before the stream was opened.
+ */
+const streamJob = (jobId, stream) => new Promise((resolve) => {
+  let lastProgress = null;
+  let done = false;
+  let poll = null;
+  let unsubscribe = () => {};
+
+  const finish = () => {
+    if (done) return;
+    done = true;
+    clearInterval(poll);
+    unsubscribe();
+    stream.close();
+    resolve();
+  };
+
+  const forward = ({ event, data }) => {
+    if (done) return;
+    if (event === 'progress') {
+      if (data.message === lastProgress) return;
+      lastProgress = data.message;
+    }
+    stream.send(event, data);
+    if (event === 'completed' || event === 'failed') finish();
+  };
+
+  const checkStatus = async () => {
+    if (stream.isClosed()) return finish();
+    try {
+      const job = await getJobStatus(jobId);
+      if (job.status === 'processing') forward({ event: 'progress', data: { message: job.progress } });
+      if (job.status === 'completed') forward({ event: 'completed', data: { data: job.data } });
+      if (job.status === 'failed') forward({ event: 'failed', data: { error: job.error } });
+      if (job.status === 'not_found') forward({ event: 'failed', data: { error: job.message } });
+    } catch (error) {
+      console.error(`[AI Job Stream] Status check failed for job ${jobId}:`, error.message);
     }
+  };
+
+  unsubscribe = subscribeToJob(jobId, forward);
+  poll = setInterval(checkStatus, JOB_STREAM_POLL_MS);
+  checkStatus();
+});
+
+// Analyze widget with AI
+const analyzeWidgetWithAI = async (req, res) => {
+  try {
+    const { includeHistorical = false } = req.body;
 
-    console.log(`[AI Analysis] Metrics data fetched. Type: ${metricsData.type || 'value'}, Has timeSeries: ${!!metricsData.timeSeries}`);
+    const prepared = await prepareWidgetAnalysis(req, res);
+    if (!prepared) return;
+    const { widget, dashboard, metricsData } = prepared;
 
     // Generate unique job ID
     const jobId = crypto.randomBytes(16).toString('hex');
 
     // Start background job (Sonnet takes 60-120s, exceeds Heroku 30s timeout)
     console.log(`[AI Analysis] Starting background job ${jobId} with Sonnet 4.5...`);
-    startAIAnalysisJob(jobId, widget, metricsData, { includeHistorical });
+    startAIAnalysisJob(jobId, widget, metricsData, { includeHistorical, workspaceId: dashboard.workspace_id });
+    productAnalytics.track('ai_analysis', {
+      userId: req.user.id,
+      workspaceId: dashboard.workspace_id,
+      properties: { source: 'widget', dashboardId: dashboard.id, widgetId: widget.id },
+    });
 
     // Return job ID immediately (client will poll for results)
     res.json({
@@ -903,6 +944,43 @@ const analyzeWidgetWithAI = async (req, res) => {
   }
 };
 
+/**
+ * Analyze widget with AI and stream progress as Server-Sent Events
+ * Sends a job event first, so a client that loses the stream can fall back to
+ * polling /api/dashboards/ai-jobs/:jobId, then progress, insight and completed/failed.
+ */
+const streamWidgetAnalysis = async (req, res) => {
+  try {
+    const { includeHistorical = false } = req.body;
+
+    const prepared = await prepareWidgetAnalysis(req, res);
+    if (!prepared) return;
+    const { widget, dashboard, metricsData } = prepared;
+
+    const jobId = crypto.randomBytes(16).toString('hex');
+    const stream = openEventStream(res);
+    stream.send('job', { jobId });
+
+    startAIAnalysisJob(jobId, widget, metricsData, { includeHistorical, workspaceId: dashboard.workspace_id });
+    productAnalytics.track('ai_analysis', {
+      userId: req.user.id,
+      workspaceId: dashboard.workspace_id,
+      properties: { source: 'widget', dashboardId: dashboard.id, widgetId: widget.id },
+    });
+    await streamJob(jobId, stream);
+  } catch (error) {
+    console.error('[AI Analysis] Stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to analyze widget',
+        error: error.message,
+      });
+    }
+    res.end();
+  }
+};
+
 /**
  * Get AI analysis job status and results
  */
@@ -925,6 +1003,14 @@ const getAIJobStatus = async (req, res) => {
   }
 };
 
+/**
+ * Stream an existing AI analysis job as Server-Sent Events
+ */
+const streamAIJobStatus = async (req, res) => {
+  const stream = openEventStream(res);
+  await streamJob(req.params.jobId, stream);
+};
+
 module.exports = {
   getWorkspaceDashboards,
   getDashboard,
@@ -946,5 +1032,7 @@ module.exports = {
   getAIImprovements,
   getAIOptions,
   analyzeWidgetWithAI,
+  streamWidgetAnalysis,
   getAIJobStatus,
+  streamAIJobStatus,
 };
@@ -0,0 +1,318 @@
+/**
+ * Experiment Controller
+ * Admin CRUD for experiments and layers, lifecycle actions and results
+ */
+
+const Experiment = require('../models/Experiment');
+const ExperimentLayer = require('../models/ExperimentLayer');
+const { getResults, prepareExperiment, invalidateExperimentCache } = require('../services/experimentStore');
+const { isLive, BUCKETS } = require('../services/experimentAssignment');
+const { ValidationError } = require('../utils/errors');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/i;
+
+// Allowed lifecycle transitions: action -> statuses it can start from
+const TRANSITIONS = {
+  start: { from: ['draft', 'paused'], to: 'running' },
+  pause: { from: ['running'], to: 'paused' },
+  complete: { from: ['draft', 'running', 'paused'], to: 'completed' },
+};
+
+function formatExperiment(experiment) {
+  return {
+    id: experiment.id,
+    key: experiment.key,
+    name: experiment.name,
+    description: experiment.description,
+    changeType: experiment.change_type,
+    targetEvent: experiment.target_event,
+    status: experiment.status,
+    live: isLive(experiment),
+    startsAt: experiment.starts_at,
+    endsAt: experiment.ends_at,
+    variants: experiment.variants,
+    trafficPercentage: Number(experiment.traffic_percentage),
+    targeting: experiment.targeting || {},
+    analysis: experiment.analysis || {},
+    guardrailKpis: experiment.guardrail_kpis || [],
+    salt: experiment.salt,
+    layer: experiment.layer_id
+      ? {
+        id: experiment.layer_id,
+        key: experiment.layer_key,
+        name: experiment.layer_name,
+        bucketStart: experiment.layer_bucket_start,
+        bucketEnd: experiment.layer_bucket_end,
+      }
+      : null,
+    createdAt: experiment.created_at,
+    updatedAt: experiment.updated_at,
+  };
+}
+
+function formatLayer(layer) {
+  return {
+    id: layer.id,
+    key: layer.key,
+    name: layer.name,
+    description: layer.description,
+    experimentCount: layer.experiment_count !== undefined ? parseInt(layer.experiment_count) : undefined,
+    allocatedPercentage: layer.allocated_buckets !== undefined
+      ? Number(layer.allocated_buckets) / (BUCKETS / 100)
+      : undefined,
+    createdAt: layer.created_at,
+  };
+}
+
+function handleValidationError(res, error) {
+  return res.status(400).json({ error: error.message, details: error.errors });
+}
+
+async function findExperiment(req, res) {
+  const { experimentId } = req.params;
+  const experiment = UUID_PATTERN.test(experimentId) ? await Experiment.findById(experimentId) : null;
+  if (!experiment) {
+    res.status(404).json({ error: 'Experiment not found' });
+    return null;
+  }
+  return experiment;
+}
+
+/**
+ * GET /api/experiments?status=running
+ */
+async function listExperiments(req, res) {
+  try {
+    const experiments = await Experiment.findAll({ status: req.query.status });
+    res.json({ success: true, experiments: experiments.map(formatExperiment) });
+  } catch (error) {
+    console.error('Error listing experiments:', error);
+    res.status(500).json({ error: 'Failed to list experiments', message: error.message });
+  }
+}
+
+/**
+ * GET /api/experiments/:experimentId
+ */
+async function getExperiment(req, res) {
+  try {
+    const experiment = await findExperiment(req, res);
+    if (!experiment) return;
+
+    res.json({ success: true, experiment: formatExperiment(experiment) });
+  } catch (error) {
+    console.error('Error getting experiment:', error);
+    res.status(500).json({ error: 'Failed to get experiment', message: error.message });
+  }
+}
+
+/**
+ * POST /api/experiments
+ */
+async function createExperiment(req, res) {
+  try {
+    const data = await prepareExperiment(req.body || {});
+    const experiment = await Experiment.create({ ...data, createdBy: req.user.id });
+    invalidateExperimentCache();
+
+    res.status(201).json({ success: true, experiment: formatExperiment(experiment) });
+  } catch (error) {
+    if (error instanceof ValidationError) return handleValidationError(res, error);
+    console.error('Error creating experiment:', error);
+    res.status(500).json({ error: 'Failed to create experiment', message: error.message });
+  }
+}
+
+/**
+ * PATCH /api/experiments/:experimentId
+ */
+async function updateExperiment(req, res) {
+  try {
+    const existing = await findExperiment(req, res);
+    if (!existing) return;
+
+    const data = await prepareExperiment(req.body || {}, existing);
+    const experiment = await Experiment.update(existing.id, data);
+    invalidateExperimentCache();
+
+    res.json({ success: true, experiment: formatExperiment(experiment) });
+  } catch (error) {
+    if (error instanceof ValidationError) return handleValidationError(res, error);
+    console.error('Error updating experiment:', error);
+    res.status(500).json({ error: 'Failed to update experiment', message: error.message });
+  }
+}
+
+/**
+ * POST /api/experiments/:experimentId/(start|pause|complete)
+ * Start also accepts { startsAt, endsAt } to schedule the run window.
+ */
+function transitionExperiment(action) {
+  const { from, to } = TRANSITIONS[action];
+
+  return async (req, res) => {
+    try {
+      const existing = await findExperiment(req, res);
+      if (!existing) return;
+
+      if (!from.includes(existing.status)) {
+        return res.status(409).json({
+          error: `Cannot ${action} an experiment that is ${existing.status}`,
+        });
+      }
+
+      const schedule = {};
+      if (action === 'start') {
+        const { startsAt, endsAt } = req.body || {};
+        Object.assign(schedule, await prepareExperiment({ startsAt, endsAt }, { ...existing, status: 'draft' }));
+      }
+
+      const experiment = await Experiment.update(existing.id, { ...schedule, status: to });
+      invalidateExperimentCache();
+
+      res.json({ success: true, experiment: formatExperiment(experiment) });
+    } catch (error) {
+      if (error instanceof ValidationError) return handleValidationError(res, error);
+      console.error(`Error running experiment action ${action}:`, error);
+      res.status(500).json({ error: `Failed to ${action} experiment`, message: error.message });
+    }
+  };
+}
+
+/**
+ * DELETE /api/experiments/:experimentId
+ * Deletes the experiment with its exposures; running experiments must be paused or completed first.
+ */
+async function deleteExperiment(req, res) {
+  try {
+    const existing = await findExperiment(req, res);
+    if (!existing) return;
+
+    if (existing.status === 'running') {
+      return res.status(409).json({ error: 'Pause or complete the experiment before deleting it' });
+    }
+
+    await Experiment.delete(existing.id);
+    invalidateExperimentCache();
+
+    res.json({ success: true, message: 'Experiment deleted' });
+  } catch (error) {
+    console.error('Error deleting experiment:', error);
+    res.status(500).json({ error: 'Failed to delete experiment', message: error.message });
+  }
+}
+
+/**
+ * GET /api/experiments/results?status=running
+ */
+async function getExperimentResults(req, res) {
+  try {
+    const data = await getResults({ status: req.query.status });
+    res.json({ success: true, ...data });
+  } catch (error) {
+    console.error('Error getting experiment results:', error);
+    res.status(500).json({ error: 'Failed to get experiment results', message: error.message });
+  }
+}
+
+/**
+ * GET /api/experiments/layers
+ */
+async function listLayers(req, res) {
+  try {
+    const layers = await ExperimentLayer.findAll();
+    res.json({ success: true, layers: layers.map(formatLayer) });
+  } catch (error) {
+    console.error('Error listing experiment layers:', error);
+    res.status(500).json({ error: 'Failed to list experiment layers', message: error.message });
+  }
+}
+
+/**
+ * POST /api/experiments/layers
+ * Body: { key, name, description? }
+ */
+async function createLayer(req, res) {
+  try {
+    const { key, name, description } = req.body || {};
+    if (!KEY_PATTERN.test(String(key || '')) || !name) {
+      return res.status(400).json({
+        error: 'key and name are required; key must be letters, digits, "_" or "-"',
+      });
+    }
+
+    const layer = await ExperimentLayer.create({ key, name, description, createdBy: req.user.id });
+    res.status(201).json({ success: true, layer: formatLayer(layer) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `A layer with key "${req.body.key}" already exists` });
+    }
+    console.error('Error creating experiment layer:', error);
+    res.status(500).json({ error: 'Failed to create experiment layer', message: error.message });
+  }
+}
+
+/**
+ * PATCH /api/experiments/layers/:layerId
+ * Body: { name?, description? }; the key is part of the hash and cannot change
+ */
+async function updateLayer(req, res) {
+  try {
+    const { layerId } = req.params;
+    const { name, description } = req.body || {};
+    const layer = UUID_PATTERN.test(layerId) ? await ExperimentLayer.update(layerId, { name, description }) : null;
+
+    if (!layer) {
+      return res.status(404).json({ error: 'Experiment layer not found' });
+    }
+
+    res.json({ success: true, layer: formatLayer(layer) });
+  } catch (error) {
+    console.error('Error updating experiment layer:', error);
+    res.status(500).json({ error: 'Failed to update experiment layer', message: error.message });
+  }
+}
+
+/**
+ * DELETE /api/experiments/layers/:layerId
+ * Only layers without draft, running or paused experiments can be deleted.
+ */
+async function deleteLayer(req, res) {
+  try {
+    const { layerId } = req.params;
+    if (!UUID_PATTERN.test(layerId) || !(await ExperimentLayer.findById(layerId))) {
+      return res.status(404).json({ error: 'Experiment layer not found' });
+    }
+
+    const experiments = await Experiment.findByLayerId(layerId);
+    if (experiments.length > 0) {
+      return res.status(409).json({
+        error: 'Layer still has experiments that are not completed',
+        details: experiments.map((experiment) => experiment.key),
+      });
+    }
+
+    await ExperimentLayer.delete(layerId);
+    res.json({ success: true, message: 'Experiment layer deleted' });
+  } catch (error) {
+    console.error('Error deleting experiment layer:', error);
+    res.status(500).json({ error: 'Failed to delete experiment layer', message: error.message });
+  }
+}
+
+module.exports = {
+  listExperiments,
+  getExperiment,
+  createExperiment,
+  updateExperiment,
+  startExperiment: transitionExperiment('start'),
+  pauseExperiment: transitionExperiment('pause'),
+  completeExperiment: transitionExperiment('complete'),
+  deleteExperiment,
+  getExperimentResults,
+  listLayers,
+  createLayer,
+  updateLayer,
+  deleteLayer,
+};
@@ -4,6 +4,7 @@
  */
 
 const { query } = require('../config/database');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 
 /**
  * Export data to CSV
@@ -14,17 +15,7 @@ const exportToCSV = async (req, res) => {
     const { entity_type, entity_id, columns, filters } = req.body;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'export', 'create'))) return;
 
     // Create export record
     const exportRecord = await query(
@@ -90,17 +81,7 @@ const getExportHistory = async (req, res) => {
     const { limit = 20 } = req.query;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'export', 'read'))) return;
 
     const result = await query(
       `SELECT eh.*, u.username
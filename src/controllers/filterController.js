@@ -4,6 +4,7 @@
  */
 
 const { query } = require('../config/database');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 
 /**
  * Get all saved filters for a workspace
@@ -13,19 +14,6 @@ const getSavedFilters = async (req, res) => {
     const { workspaceId } = req.params;
     const { filterType } = req.query;
 
-    // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     let queryText = `
       SELECT sf.*, u.username as created_by_name
       FROM saved_filters sf
@@ -82,6 +70,8 @@ const getSavedFilter = async (req, res) => {
 
     const filter = result.rows[0];
 
+    if (!(await authorizeWorkspace(req, res, filter.workspace_id, 'filter', 'read'))) return;
+
     // Verify access (owner or shared)
     if (filter.user_id !== req.user.id && !filter.is_shared) {
       return res.status(403).json({
@@ -125,19 +115,6 @@ const createSavedFilter = async (req, res) => {
       is_shared,
     } = req.body;
 
-    // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     // Validate required fields
     if (!name || !filter_type || !filter_config) {
       return res.status(400).json({
@@ -211,6 +188,8 @@ const updateSavedFilter = async (req, res) => {
 
     const filter = filterResult.rows[0];
 
+    if (!(await authorizeWorkspace(req, res, filter.workspace_id, 'filter', 'update'))) return;
+
     // Only owner can update
     if (filter.user_id !== req.user.id) {
       return res.status(403).json({
@@ -308,6 +287,8 @@ const deleteSavedFilter = async (req, res) => {
 
     const filter = filterResult.rows[0];
 
+    if (!(await authorizeWorkspace(req, res, filter.workspace_id, 'filter', 'delete'))) return;
+
     // Only owner can delete
     if (filter.user_id !== req.user.id) {
       return res.status(403).json({
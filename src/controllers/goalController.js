@@ -4,6 +4,7 @@
  */
 
 const { query } = require('../config/database');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 
 /**
  * Get all goals for a workspace
@@ -13,19 +14,6 @@ const getGoals = async (req, res) => {
     const { workspaceId } = req.params;
     const { status, campaign_id } = req.query;
 
-    // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     let queryText = `
       SELECT cg.*, u.username as created_by_name,
              CASE
@@ -98,17 +86,7 @@ const getGoal = async (req, res) => {
     const goal = result.rows[0];
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [goal.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, goal.workspace_id, 'goal', 'read'))) return;
 
     // Get progress history
     const historyResult = await query(
@@ -153,19 +131,6 @@ const createGoal = async (req, res) => {
       platform,
     } = req.body;
 
-    // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     // Validate required fields
     if (!goal_name || !goal_type || !target_value || !start_date || !end_date) {
       return res.status(400).json({
@@ -232,17 +197,7 @@ const updateGoal = async (req, res) => {
     const goal = goalResult.rows[0];
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [goal.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, goal.workspace_id, 'goal', 'update'))) return;
 
     // Build update query
     const allowedFields = [
@@ -335,17 +290,7 @@ const deleteGoal = async (req, res) => {
     const goal = goalResult.rows[0];
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [goal.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, goal.workspace_id, 'goal', 'delete'))) return;
 
     await query('DELETE FROM campaign_goals WHERE id = $1', [goalId]);
 
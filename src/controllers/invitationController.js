@@ -0,0 +1,215 @@
+const User = require('../models/User');
+const WorkspaceInvitation = require('../models/WorkspaceInvitation');
+const {
+  inviteByEmail,
+  resolveInviteToken,
+  acceptInvitation,
+  formatInvitation,
+} = require('../services/workspaceInvitations');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
+const { APIError } = require('../utils/errors');
+
+const INVITE_STATUSES = ['pending', 'accepted', 'declined', 'revoked', 'expired'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function handleInvitationError(res, error, message) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      errors: error.errors,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+}
+
+/**
+ * Invite someone to a workspace by email
+ * POST /api/workspaces/:id/invites { email, role }
+ */
+const createWorkspaceInvite = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { email, role } = req.body;
+
+    if (!(await authorizeWorkspace(req, res, id, 'member', 'invite'))) return;
+
+    const { invitation, emailSent } = await inviteByEmail({
+      workspaceId: id,
+      email,
+      role,
+      invitedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: emailSent
+        ? `Invitation sent to ${invitation.email}`
+        : `Invitation created, but the email to ${invitation.email} could not be sent. Try again to resend it.`,
+      emailSent,
+      data: formatInvitation(invitation),
+    });
+  } catch (error) {
+    handleInvitationError(res, error, 'Failed to create invitation');
+  }
+};
+
+/**
+ * List a workspace's invitations (outstanding ones by default)
+ * GET /api/workspaces/:id/invites?status=pending|accepted|declined|revoked|expired|all
+ */
+const getWorkspaceInvites = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const status = req.query.status || 'pending';
+
+    if (!(await authorizeWorkspace(req, res, id, 'member', 'invite'))) return;
+
+    if (status !== 'all' && !INVITE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: all, ${INVITE_STATUSES.join(', ')}`,
+      });
+    }
+
+    const invitations = await WorkspaceInvitation.findByWorkspaceId(id, {
+      status: status === 'all' ? null : status,
+    });
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      data: invitations.map(formatInvitation),
+    });
+  } catch (error) {
+    handleInvitationError(res, error, 'Failed to fetch invitations');
+  }
+};
+
+/**
+ * Revoke a pending invitation; its link stops working immediately
+ * DELETE /api/workspaces/:id/invites/:inviteId
+ */
+const revokeWorkspaceInvite = async (req, res) => {
+  try {
+    const { id, inviteId } = req.params;
+
+    if (!(await authorizeWorkspace(req, res, id, 'member', 'invite'))) return;
+
+    const invitation = UUID_PATTERN.test(inviteId) ? await WorkspaceInvitation.findById(inviteId) : null;
+    if (!invitation || invitation.workspace_id !== id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+      });
+    }
+
+    const revoked = await WorkspaceInvitation.respond(inviteId, 'revoked');
+    if (!revoked) {
+      return res.status(409).json({
+        success: false,
+        message: `This invitation has already been ${invitation.status}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      data: formatInvitation(revoked),
+    });
+  } catch (error) {
+    handleInvitationError(res, error, 'Failed to revoke invitation');
+  }
+};
+
+/**
+ * Invitation details for the invite link (no login required)
+ * GET /api/invites/:token
+ */
+const getInvite = async (req, res) => {
+  try {
+    const invitation = await resolveInviteToken(req.params.token);
+    const existingUser = await User.findByEmail(invitation.email);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatInvitation(invitation),
+        hasAccount: Boolean(existingUser),
+      },
+    });
+  } catch (error) {
+    handleInvitationError(res, error, 'Failed to fetch invitation');
+  }
+};
+
+/**
+ * Accept an invitation as the signed-in user
+ * POST /api/invites/:token/accept
+ */
+const acceptInvite = async (req, res) => {
+  try {
+    const invitation = await resolveInviteToken(req.params.token);
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const member = await acceptInvitation(invitation, user);
+
+    res.json({
+      success: true,
+      message: `You joined ${invitation.workspace_name}`,
+      data: {
+        workspaceId: invitation.workspace_id,
+        workspaceName: invitation.workspace_name,
+        role: member.role,
+      },
+    });
+  } catch (error) {
+    handleInvitationError(res, error, 'Failed to accept invitation');
+  }
+};
+
+/**
+ * Decline an invitation; holding the link is enough, no login required
+ * POST /api/invites/:token/decline
+ */
+const declineInvite = async (req, res) => {
+  try {
+    const invitation = await resolveInviteToken(req.params.token);
+    const declined = await WorkspaceInvitation.respond(invitation.id, 'declined');
+    if (!declined) {
+      return res.status(409).json({
+        success: false,
+        message: 'This invitation is no longer pending',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation declined',
+    });
+  } catch (error) {
+    handleInvitationError(res, error, 'Failed to decline invitation');
+  }
+};
+
+module.exports = {
+  createWorkspaceInvite,
+  getWorkspaceInvites,
+  revokeWorkspaceInvite,
+  getInvite,
+  acceptInvite,
+  declineInvite,
+};
@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const { query } = require('../config/database');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 
 const LINKEDIN_AUTH_URL = 'https://www.linkedin.com/oauth/v2/authorization';
 const LINKEDIN_TOKEN_URL = 'https://www.linkedin.com/oauth/v2/accessToken';
@@ -18,17 +19,7 @@ const initiateLinkedInAuth = async (req, res) => {
     const { workspaceId } = req.params;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'connect'))) return;
 
     const clientId = process.env.LINKEDIN_CLIENT_ID;
     const redirectUri = process.env.LINKEDIN_REDIRECT_URI;
@@ -133,17 +124,7 @@ const getLinkedInStatus = async (req, res) => {
     const { workspaceId } = req.params;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'read'))) return;
 
     const result = await query(
       `SELECT
@@ -187,17 +168,7 @@ const disconnectLinkedIn = async (req, res) => {
     const { workspaceId } = req.params;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'disconnect'))) return;
 
     await query(
       `UPDATE platform_credentials
@@ -229,17 +200,7 @@ const syncLinkedInData = async (req, res) => {
     const { startDate, endDate } = req.body;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'sync'))) return;
 
     // Get credentials
     const credResult = await query(
@@ -1,6 +1,8 @@
 const { query } = require('../config/database');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 const config = require('../config/config');
 const { getPlatformService } = require('../services/platforms');
+const metricsWarehouse = require('../services/metricsWarehouse');
 
 // Get metrics for a specific ad account
 const getAccountMetrics = async (req, res) => {
@@ -10,7 +12,8 @@ const getAccountMetrics = async (req, res) => {
 
     // Get ad account details
     const accountResult = await query(
-      `SELECT aa.id, aa.account_id, aa.platform, aa.workspace_id, ot.access_token
+      `SELECT aa.id, aa.account_id, aa.platform, aa.workspace_id, aa.currency, aa.synced_through,
+              ot.access_token
        FROM ad_accounts aa
        JOIN oauth_tokens ot ON ot.workspace_id = aa.workspace_id AND ot.platform = aa.platform
        WHERE aa.id = $1`,
@@ -27,24 +30,16 @@ const getAccountMetrics = async (req, res) => {
     const account = accountResult.rows[0];
 
     // Verify user has access to this workspace
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [account.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this ad account',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, account.workspace_id, 'metrics', 'read'))) return;
 
     // Calculate date range
     const { since, until } = getDateRange(dateRange || 'last_30_days');
 
-    // Fetch metrics based on platform
-    let metricsData;
-    if (account.platform === 'meta') {
+    // Fetch metrics based on platform, preferring the local warehouse for synced accounts
+    let metricsData = await metricsWarehouse.getAccountMetric(account, metric || 'spend', since, until);
+    if (metricsData) {
+      metricsData.servedFrom = 'warehouse';
+    } else if (account.platform === 'meta') {
       metricsData = await fetchMetaAdsMetrics(
         account.account_id,
         account.access_token,
@@ -118,6 +113,10 @@ const getWidgetMetrics = async (req, res) => {
     }
 
     const widget = widgetResult.rows[0];
+
+    // Verify user has access to this workspace
+    if (!(await authorizeWorkspace(req, res, widget.workspace_id, 'widget', 'read'))) return;
+
     const dataSource = widget.data_source || {};
 
     if (!dataSource.adAccountId) {
@@ -130,11 +129,12 @@ const getWidgetMetrics = async (req, res) => {
     // Get ad account with access token
     // Note: adAccountId can be either the internal UUID or external account_id
     const accountResult = await query(
-      `SELECT aa.id, aa.account_id, aa.platform, aa.workspace_id, ot.access_token
+      `SELECT aa.id, aa.account_id, aa.platform, aa.workspace_id, aa.currency, aa.synced_through,
+              ot.access_token
        FROM ad_accounts aa
        JOIN oauth_tokens ot ON ot.workspace_id = aa.workspace_id AND ot.platform = aa.platform
-       WHERE aa.account_id = $1 OR aa.id::text = $1`,
-      [dataSource.adAccountId]
+       WHERE (aa.account_id = $1 OR aa.id::text = $1) AND aa.workspace_id = $2`,
+      [dataSource.adAccountId, widget.workspace_id]
     );
 
     if (accountResult.rows.length === 0) {
@@ -153,9 +153,11 @@ const getWidgetMetrics = async (req, res) => {
     const widgetTitle = widget.title?.toLowerCase() || '';
     const widgetType = widget.widget_type || 'kpi_card';
 
-    // Fetch metrics based on platform
-    let metricsData;
-    if (account.platform === 'meta') {
+    // Fetch metrics based on platform, preferring the local warehouse for synced accounts
+    let metricsData = await metricsWarehouse.getAccountMetric(account, metric || 'spend', since, until);
+    if (metricsData) {
+      metricsData.servedFrom = 'warehouse';
+    } else if (account.platform === 'meta') {
       // Check if this is a pie chart that needs breakdown data
       if (widgetType === 'pie_chart' || widgetType === 'table' || widgetTitle.includes('breakdown') || widgetTitle.includes('device') || widgetTitle.includes('country') || widgetTitle.includes('geographic') || widgetTitle.includes('campaign') || widgetTitle.includes('ad set') || widgetTitle.includes('adset') || widgetTitle.includes('ads') || widgetTitle.includes('creative')) {
         // Return breakdown data for specific widget types
@@ -1538,7 +1540,111 @@ async function fetchMetaAdsCreativeComparison(accountId, accessToken, metric, si
   }
 }
 
+// Trigger a warehouse sync for an ad account
+const syncAccountMetrics = async (req, res) => {
+  try {
+    const { adAccountId } = req.params;
+    const { since, until } = req.body;
+
+    const accountResult = await query(
+      'SELECT id, workspace_id, platform FROM ad_accounts WHERE id = $1',
+      [adAccountId]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ad account not found',
+      });
+    }
+
+    if (!(await authorizeWorkspace(req, res, accountResult.rows[0].workspace_id, 'metrics', 'sync'))) return;
+
+    if (!metricsWarehouse.supportsPlatform(accountResult.rows[0].platform)) {
+      return res.status(400).json({
+        success: false,
+        message: `Warehouse sync is not available for ${accountResult.rows[0].platform} accounts`,
+      });
+    }
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((since && !datePattern.test(since)) || (until && !datePattern.test(until)) || (until && !since)) {
+      return res.status(400).json({
+        success: false,
+        message: 'since and until must be YYYY-MM-DD dates, and until requires since',
+      });
+    }
+
+    const [account] = await metricsWarehouse.getSyncableAccounts(adAccountId);
+    if (!account) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ad account is inactive or has no access token',
+      });
+    }
+
+    const job = await metricsWarehouse.syncAccount(account, { since, until });
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    console.error('Sync account metrics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync account metrics',
+      error: error.message,
+    });
+  }
+};
+
+// Get recent warehouse sync jobs for an ad account
+const getSyncJobs = async (req, res) => {
+  try {
+    const { adAccountId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const accountResult = await query(
+      `SELECT aa.id, aa.last_sync_at, aa.sync_status, aa.sync_error, aa.synced_through
+       FROM ad_accounts aa
+       JOIN workspace_members wm ON wm.workspace_id = aa.workspace_id
+       WHERE aa.id = $1 AND wm.user_id = $2`,
+      [adAccountId, req.user.id]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ad account not found',
+      });
+    }
+
+    const jobs = await query(
+      `SELECT * FROM sync_jobs WHERE ad_account_id = $1 ORDER BY created_at DESC LIMIT $2`,
+      [adAccountId, limit]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        account: accountResult.rows[0],
+        jobs: jobs.rows,
+      },
+    });
+  } catch (error) {
+    console.error('Get sync jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sync jobs',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getAccountMetrics,
   getWidgetMetrics,
+  syncAccountMetrics,
+  getSyncJobs,
 };
@@ -5,6 +5,8 @@ const { GoogleSheetsService } = require('../services/platforms');
 const CustomDataSource = require('../models/CustomDataSource');
 const CustomDataParser = require('../services/customDataParser');
 const AICustomData = require('../services/aiCustomData');
+const productAnalytics = require('../services/productAnalytics');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 
 /** True if value looks like a placeholder (not a real credential) */
 function isPlaceholder(value) {
@@ -17,7 +19,7 @@ function isPlaceholder(value) {
  * Initiate Meta OAuth flow
  * Redirects user to Meta's OAuth consent page
  */
-const initiateMetaOAuth = (req, res) => {
+const initiateMetaOAuth = async (req, res) => {
   try {
     const { workspaceId } = req.query;
 
@@ -28,6 +30,8 @@ const initiateMetaOAuth = (req, res) => {
       });
     }
 
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'connect'))) return;
+
     if (!config.meta.appId || isPlaceholder(config.meta.appId)) {
       return res.status(503).json({
         success: false,
@@ -224,6 +228,11 @@ const fetchAndStoreAdAccounts = async (userId, workspaceId, accessToken) => {
            VALUES ($1, $2, 'meta', $3, $4, $5, $6, $7)`,
           [workspaceId, oauthTokenId, accountId, accountName, currency, timezone, status]
         );
+        productAnalytics.track('account_connected', {
+          userId,
+          workspaceId,
+          properties: { platform: 'meta', accountId },
+        });
       }
     }
 
@@ -242,18 +251,7 @@ const getConnectedAccounts = async (req, res) => {
     const { workspaceId } = req.params;
 
     // Verify user has access to this workspace
-    const workspaceAccess = await query(
-      `SELECT id FROM workspace_members
-       WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have access to this workspace',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'read'))) return;
 
     // Get all ad accounts for this workspace
     const accounts = await query(
@@ -287,22 +285,21 @@ const disconnectAccount = async (req, res) => {
   try {
     const { accountId } = req.params;
 
-    // Verify user has access to this account
-    const accountAccess = await query(
-      `SELECT aa.id, aa.workspace_id
-       FROM ad_accounts aa
-       JOIN workspace_members wm ON wm.workspace_id = aa.workspace_id
-       WHERE aa.id = $1 AND wm.user_id = $2`,
-      [accountId, req.user.id]
+    const accountResult = await query(
+      'SELECT id, workspace_id FROM ad_accounts WHERE id = $1',
+      [accountId]
     );
 
-    if (accountAccess.rows.length === 0) {
-      return res.status(403).json({
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({
         success: false,
-        message: 'You do not have access to this account',
+        message: 'Ad account not found',
       });
     }
 
+    // Verify user has access to this account
+    if (!(await authorizeWorkspace(req, res, accountResult.rows[0].workspace_id, 'integration', 'disconnect'))) return;
+
     // Delete the ad account (cascading will delete related data)
     await query('DELETE FROM ad_accounts WHERE id = $1', [accountId]);
 
@@ -353,12 +350,13 @@ function isPlatformConfigured(platform) {
 /**
  * Initiate Google Search Console OAuth flow
  */
-const initiateSearchConsoleOAuth = (req, res) => {
+const initiateSearchConsoleOAuth = async (req, res) => {
   try {
     const { workspaceId } = req.query;
     if (!workspaceId) {
       return res.status(400).json({ success: false, message: 'Workspace ID is required' });
     }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'connect'))) return;
     if (!config.google?.clientId || isPlaceholder(config.google.clientId)) {
       return res.status(503).json({
         success: false,
@@ -409,12 +407,13 @@ const handleSearchConsoleCallback = async (req, res) => {
 /**
  * Initiate Google OAuth flow
  */
-const initiateGoogleOAuth = (req, res) => {
+const initiateGoogleOAuth = async (req, res) => {
   try {
     const { workspaceId } = req.query;
     if (!workspaceId) {
       return res.status(400).json({ success: false, message: 'Workspace ID is required' });
     }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'connect'))) return;
     if (!config.google?.clientId || isPlaceholder(config.google.clientId)) {
       return res.status(503).json({
         success: false,
@@ -465,12 +464,13 @@ const handleGoogleCallback = async (req, res) => {
 /**
  * Initiate TikTok OAuth flow
  */
-const initiateTikTokOAuth = (req, res) => {
+const initiateTikTokOAuth = async (req, res) => {
   try {
     const { workspaceId } = req.query;
     if (!workspaceId) {
       return res.status(400).json({ success: false, message: 'Workspace ID is required' });
     }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'connect'))) return;
     if (!config.tiktok?.appId) {
       return res.status(500).json({ success: false, message: 'TikTok OAuth is not configured' });
     }
@@ -516,12 +516,13 @@ const handleTikTokCallback = async (req, res) => {
 /**
  * Initiate LinkedIn OAuth flow
  */
-const initiateLinkedInOAuth = (req, res) => {
+const initiateLinkedInOAuth = async (req, res) => {
   try {
     const { workspaceId } = req.query;
     if (!workspaceId) {
       return res.status(400).json({ success: false, message: 'Workspace ID is required' });
     }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'connect'))) return;
     if (!config.linkedin?.clientId) {
       return res.status(500).json({ success: false, message: 'LinkedIn OAuth is not configured' });
     }
@@ -614,6 +615,11 @@ async function storeAdAccounts(userId, workspaceId, platform, accounts) {
          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
         [workspaceId, oauthTokenId, platform, account.accountId, account.accountName, account.currency, account.timezone, account.status]
       );
+      productAnalytics.track('account_connected', {
+        userId,
+        workspaceId,
+        properties: { platform, accountId: account.accountId },
+      });
     }
   }
   console.log(`Stored ${accounts.length} ${platform} ad accounts for workspace ${workspaceId}`);
@@ -623,7 +629,7 @@ async function storeAdAccounts(userId, workspaceId, platform, accounts) {
  * Initiate Google Sheets OAuth flow
  * GET /api/oauth/google-sheets/initiate
  */
-const initiateGoogleSheetsOAuth = (req, res) => {
+const initiateGoogleSheetsOAuth = async (req, res) => {
   try {
     const { workspaceId, googleSheetUrl } = req.query;
 
@@ -641,6 +647,8 @@ const initiateGoogleSheetsOAuth = (req, res) => {
       });
     }
 
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'customData', 'create'))) return;
+
     if (!config.google?.clientId) {
       return res.status(500).json({
         success: false,
@@ -761,14 +769,16 @@ const handleGoogleSheetsCallback = async (req, res) => {
       aiSchemaResult = await AICustomData.detectSchema(
         sampleData,
         metadata.title,
-        basicDetection
+        basicDetection,
+        workspaceId
       );
 
       if (aiSchemaResult.success) {
         aiVisualizationSuggestions = await AICustomData.suggestVisualizations(
           aiSchemaResult.schema,
           sampleData,
-          `Google Sheet: ${metadata.title}`
+          `Google Sheet: ${metadata.title}`,
+          workspaceId
         );
       }
     } catch (aiError) {
@@ -0,0 +1,102 @@
+/**
+ * Product KPI Controller
+ * Admin views of the weekly KPI series computed by the productAnalytics service
+ */
+
+const productAnalytics = require('../services/productAnalytics');
+
+const MAX_WEEKS = 104;
+
+function formatKpi(kpi, latest = []) {
+  return {
+    kpiId: kpi.kpi_id,
+    name: kpi.name,
+    definition: kpi.definition,
+    howMeasured: kpi.how_measured,
+    unit: kpi.unit,
+    computed: kpi.computed,
+    current: latest[0] || null,
+    previous: latest[1] || null,
+  };
+}
+
+// List team KPIs with their latest two weekly values (admin only)
+const getKpis = async (req, res) => {
+  try {
+    const latest = await productAnalytics.getLatest();
+    const kpis = productAnalytics.getKpis().map(kpi => formatKpi(kpi, latest[kpi.kpi_id]));
+
+    res.json({ success: true, data: { kpis } });
+  } catch (error) {
+    console.error('Get product KPIs error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get product KPIs', error: error.message });
+  }
+};
+
+// Weekly series of one KPI, per cohort of the requested cohort type (admin only)
+// GET /api/admin/kpis/:kpiId?cohortType=plan&weeks=12
+const getKpiSeries = async (req, res) => {
+  try {
+    const { kpiId } = req.params;
+    const cohortType = req.query.cohortType || 'all';
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 12, 1), MAX_WEEKS);
+
+    const kpi = productAnalytics.getKpis().find(k => k.kpi_id === kpiId);
+    if (!kpi) {
+      return res.status(404).json({ success: false, message: 'KPI not found' });
+    }
+
+    if (!productAnalytics.COHORT_TYPES.includes(cohortType)) {
+      return res.status(400).json({
+        success: false,
+        message: `cohortType must be one of: ${productAnalytics.COHORT_TYPES.join(', ')}`,
+      });
+    }
+
+    const series = kpi.computed ? await productAnalytics.getSeries(kpiId, { cohortType, weeks }) : [];
+
+    const cohorts = {};
+    series.forEach(({ cohort, ...point }) => {
+      cohorts[cohort] = cohorts[cohort] || [];
+      cohorts[cohort].push(point);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        kpi: formatKpi(kpi),
+        cohortType,
+        weeks: [...new Set(series.map(point => point.periodStart))],
+        cohorts: Object.entries(cohorts).map(([cohort, values]) => ({ cohort, values })),
+      },
+    });
+  } catch (error) {
+    console.error('Get product KPI series error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get KPI series', error: error.message });
+  }
+};
+
+// Recompute the current and previous week now instead of waiting for the schedule (admin only)
+const recomputeKpis = async (req, res) => {
+  try {
+    if (productAnalytics.isComputing) {
+      return res.status(409).json({ success: false, message: 'KPI computation is already in progress' });
+    }
+
+    const weeks = await productAnalytics.computeRecent();
+    if (weeks === null) {
+      return res.status(500).json({ success: false, message: 'KPI computation failed; see server logs' });
+    }
+
+    res.json({ success: true, message: `Recomputed ${weeks} week(s) of KPIs` });
+  } catch (error) {
+    console.error('Recompute product KPIs error:', error);
+    res.status(500).json({ success: false, message: 'Failed to recompute KPIs', error: error.message });
+  }
+};
+
+module.exports = {
+  getKpis,
+  getKpiSeries,
+  recomputeKpis,
+};
@@ -4,6 +4,7 @@
  */
 
 const { query } = require('../config/database');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 const reportScheduler = require('../services/reportScheduler');
 
 /**
@@ -13,19 +14,6 @@ const getScheduledReports = async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     const result = await query(
       `SELECT id, workspace_id, user_id, name, description, report_type, frequency,
               day_of_week, day_of_month, time_of_day, timezone, ad_account_ids,
@@ -77,17 +65,7 @@ const getScheduledReport = async (req, res) => {
     const report = result.rows[0];
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [report.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, report.workspace_id, 'report', 'read'))) return;
 
     res.json({
       success: true,
@@ -128,19 +106,6 @@ const createScheduledReport = async (req, res) => {
       include_recommendations,
     } = req.body;
 
-    // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
-
     // Validate required fields
     if (!name || !report_type || !frequency || !recipients || recipients.length === 0) {
       return res.status(400).json({
@@ -220,17 +185,7 @@ const updateScheduledReport = async (req, res) => {
     const report = reportResult.rows[0];
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [report.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, report.workspace_id, 'report', 'update'))) return;
 
     // Build update query dynamically
     const allowedFields = [
@@ -309,17 +264,7 @@ const deleteScheduledReport = async (req, res) => {
     const report = reportResult.rows[0];
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [report.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, report.workspace_id, 'report', 'delete'))) return;
 
     await query('DELETE FROM scheduled_reports WHERE id = $1', [reportId]);
 
@@ -363,17 +308,7 @@ const triggerReport = async (req, res) => {
     const report = reportResult.rows[0];
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [report.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, report.workspace_id, 'report', 'trigger'))) return;
 
     await reportScheduler.triggerReport(reportId);
 
@@ -418,17 +353,7 @@ const getExecutionHistory = async (req, res) => {
     const report = reportResult.rows[0];
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [report.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, report.workspace_id, 'report', 'read'))) return;
 
     const history = await reportScheduler.getExecutionHistory(reportId, parseInt(limit));
 
@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const { query } = require('../config/database');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 
 const TIKTOK_AUTH_URL = 'https://business-api.tiktok.com/open_api/v1.3/oauth2/authorize/';
 const TIKTOK_TOKEN_URL = 'https://business-api.tiktok.com/open_api/v1.3/oauth2/access_token/';
@@ -18,17 +19,7 @@ const initiateTikTokAuth = async (req, res) => {
     const { workspaceId } = req.params;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'connect'))) return;
 
     const appId = process.env.TIKTOK_APP_ID;
     const redirectUri = process.env.TIKTOK_REDIRECT_URI;
@@ -121,17 +112,7 @@ const getTikTokStatus = async (req, res) => {
     const { workspaceId } = req.params;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'read'))) return;
 
     const result = await query(
       `SELECT
@@ -175,17 +156,7 @@ const disconnectTikTok = async (req, res) => {
     const { workspaceId } = req.params;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'disconnect'))) return;
 
     await query(
       `UPDATE platform_credentials
@@ -217,17 +188,7 @@ const syncTikTokData = async (req, res) => {
     const { startDate, endDate } = req.body;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'integration', 'sync'))) return;
 
     // Get credentials
     const credResult = await query(
@@ -0,0 +1,150 @@
+const User = require('../models/User');
+const UserRecoveryCode = require('../models/UserRecoveryCode');
+const twoFactor = require('../services/twoFactor');
+const { APIError } = require('../utils/errors');
+
+function handleTwoFactorError(res, error, message) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      errors: error.errors,
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+}
+
+/**
+ * Two-factor status of the signed-in user
+ * GET /api/auth/2fa
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.getTwoFactor(req.user.id);
+    const requiredBy = await twoFactor.getRequiringWorkspaces(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(user.two_factor_enabled),
+        enabledAt: user.two_factor_enabled_at,
+        recoveryCodesRemaining: user.two_factor_enabled ? await UserRecoveryCode.countUnused(req.user.id) : 0,
+        requiredBy: requiredBy.map(workspace => ({ id: workspace.id, name: workspace.name })),
+      },
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Failed to fetch two-factor status');
+  }
+};
+
+/**
+ * Start enrollment: a new secret and the otpauth:// URI for authenticator apps
+ * POST /api/auth/2fa/setup
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await twoFactor.beginEnrollment(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Add this account to your authenticator app, then confirm with a code',
+      data: { secret, otpauthUri },
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Failed to start two-factor setup');
+  }
+};
+
+/**
+ * Confirm enrollment with a code; returns recovery codes once
+ * POST /api/auth/2fa/enable { code }
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactor.completeEnrollment(req.user.id, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Failed to enable two-factor authentication');
+  }
+};
+
+/**
+ * Turn 2FA off; needs the password and a current code or recovery code
+ * POST /api/auth/2fa/disable { password, code | recoveryCode }
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.getTwoFactor(req.user.id);
+    if (!user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!password || !(await User.verifyPassword(user, String(password)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect',
+      });
+    }
+
+    await twoFactor.verifySecondFactor(req.user.id, { code, recoveryCode });
+    await twoFactor.disable(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Failed to disable two-factor authentication');
+  }
+};
+
+/**
+ * Replace the recovery codes; the old ones stop working
+ * POST /api/auth/2fa/recovery-codes { code }
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.getTwoFactor(req.user.id);
+    if (!user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    await twoFactor.verifySecondFactor(req.user.id, { code: req.body.code });
+    const recoveryCodes = await twoFactor.issueRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The previous codes no longer work.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Failed to generate recovery codes');
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -4,6 +4,7 @@
  */
 
 const { query } = require('../config/database');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 
 /**
  * Get unified campaign metrics across all platforms
@@ -14,17 +15,7 @@ const getUnifiedCampaigns = async (req, res) => {
     const { startDate, endDate, platform, groupBy = 'day' } = req.query;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'metrics', 'read'))) return;
 
     let whereClause = 'WHERE workspace_id = $1';
     const params = [workspaceId];
@@ -92,17 +83,7 @@ const getPlatformComparison = async (req, res) => {
     const { startDate, endDate } = req.query;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'metrics', 'read'))) return;
 
     let whereClause = 'WHERE workspace_id = $1';
     const params = [workspaceId];
@@ -158,17 +139,7 @@ const getCrossPlatformTrends = async (req, res) => {
     const { startDate, endDate, metric = 'spend' } = req.query;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'metrics', 'read'))) return;
 
     const validMetrics = [
       'spend',
@@ -241,17 +212,7 @@ const getUnifiedSummary = async (req, res) => {
     const { startDate, endDate } = req.query;
 
     // Verify workspace access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [workspaceId, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'metrics', 'read'))) return;
 
     let whereClause = 'WHERE workspace_id = $1';
     const params = [workspaceId];
@@ -2,6 +2,7 @@ const websiteAuditService = require('../services/websiteAuditService');
 const aiWebsiteAuditService = require('../services/aiWebsiteAudit');
 const { getCache, setCache } = require('../config/redis');
 const { query } = require('../config/database');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
 
 /**
  * Website Audit Controller
@@ -30,17 +31,7 @@ const auditWebsite = async (req, res) => {
     }
 
     // Validate workspace access
-    const workspaceCheck = await query(
-      `SELECT id FROM workspaces WHERE id = $1 AND owner_id = $2`,
-      [workspaceId, userId]
-    );
-
-    if (workspaceCheck.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied to this workspace'
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'websiteAudit', 'run'))) return;
 
     // Check rate limit - 5 audits per hour per workspace
     const recentAuditsResult = await query(
@@ -131,7 +122,8 @@ async function processAuditJob(jobId, workspaceId, userId, url, ipAddress, userA
     console.log(`[Job ${jobId}] Starting AI business analysis for:`, url);
     const businessAnalysis = await aiWebsiteAuditService.analyzeBusinessImpact(
       technicalFindings,
-      url
+      url,
+      workspaceId
     );
 
     // Combine results
@@ -198,13 +190,10 @@ async function processAuditJob(jobId, workspaceId, userId, url, ipAddress, userA
 const getJobStatus = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const userId = req.user.id;
 
-    // Get job with workspace validation
     const jobResult = await query(
-      `SELECT aj.*, w.owner_id
+      `SELECT aj.*
        FROM audit_jobs aj
-       JOIN workspaces w ON w.id = aj.workspace_id
        WHERE aj.id = $1`,
       [jobId]
     );
@@ -219,12 +208,7 @@ const getJobStatus = async (req, res) => {
     const job = jobResult.rows[0];
 
     // Verify user has access to this workspace
-    if (job.owner_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied'
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, job.workspace_id, 'websiteAudit', 'read'))) return;
 
     // Return job status
     const response = {
@@ -261,21 +245,10 @@ const getJobStatus = async (req, res) => {
 const getAuditHistory = async (req, res) => {
   try {
     const { workspaceId } = req.params;
-    const userId = req.user.id;
     const { limit = 20, offset = 0 } = req.query;
 
     // Validate workspace access
-    const workspaceCheck = await query(
-      `SELECT id FROM workspaces WHERE id = $1 AND owner_id = $2`,
-      [workspaceId, userId]
-    );
-
-    if (workspaceCheck.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied to this workspace'
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'websiteAudit', 'read'))) return;
 
     // Get audit history
     const historyResult = await query(
@@ -326,20 +299,9 @@ const getAuditHistory = async (req, res) => {
 const getAuditStats = async (req, res) => {
   try {
     const { workspaceId } = req.params;
-    const userId = req.user.id;
 
     // Validate workspace access
-    const workspaceCheck = await query(
-      `SELECT id FROM workspaces WHERE id = $1 AND owner_id = $2`,
-      [workspaceId, userId]
-    );
-
-    if (workspaceCheck.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied to this workspace'
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, workspaceId, 'websiteAudit', 'read'))) return;
 
     // Get statistics using the database function
     const statsResult = await query(
@@ -1,6 +1,12 @@
 const Workspace = require('../models/Workspace');
 const Dashboard = require('../models/Dashboard');
+const User = require('../models/User');
 const { query } = require('../config/database');
+const { authorizeWorkspace } = require('../services/workspacePermissions');
+const { INVITE_ROLES } = require('../services/workspaceInvitations');
+const { revokeAllSessions } = require('../services/sessions');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Get all workspaces for the current user
@@ -13,7 +19,6 @@ const getUserWorkspaces = async (req, res) => {
     if (workspaces.length === 0) {
       console.log(`User ${req.user.id} has no workspaces. Creating default workspace.`);
 
-      const User = require('../models/User');
       const user = await User.findById(req.user.id);
 
       const defaultWorkspace = await Workspace.create({
@@ -120,14 +125,7 @@ const updateWorkspace = async (req, res) => {
     const { name, description, settings } = req.body;
 
     // Check if user has admin access
-    const hasAccess = await Workspace.hasAdminAccess(id, req.user.id);
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to update this workspace',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, id, 'workspace', 'update'))) return;
 
     const workspace = await Workspace.update(id, {
       name,
@@ -158,22 +156,75 @@ const updateWorkspace = async (req, res) => {
 };
 
 /**
- * Delete a workspace
+ * Require (or stop requiring) two-factor authentication for all members
+ * Owners must have 2FA on themselves first. Members without it are signed out
+ * everywhere and asked to set it up at their next login.
  */
-const deleteWorkspace = async (req, res) => {
+const updateTwoFactorRequirement = async (req, res) => {
   try {
     const { id } = req.params;
+    const { required } = req.body;
 
-    // Check if user is owner
-    const workspace = await Workspace.findById(id);
+    if (!(await authorizeWorkspace(req, res, id, 'workspace', 'security'))) return;
 
-    if (!workspace || workspace.owner_id !== req.user.id) {
-      return res.status(403).json({
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({
         success: false,
-        message: 'Only the workspace owner can delete it',
+        message: 'required must be true or false',
       });
     }
 
+    if (required) {
+      const owner = await User.findById(req.user.id);
+      if (!owner.two_factor_enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Turn on two-factor authentication for your own account before requiring it for the workspace',
+        });
+      }
+    }
+
+    const workspace = await Workspace.setRequireTwoFactor(id, required);
+    const members = await Workspace.getMembers(id);
+
+    if (required) {
+      await Promise.all(members
+        .filter(member => !member.two_factor_enabled)
+        .map(member => revokeAllSessions(member.user_id, 'two_factor_required')));
+    }
+
+    res.json({
+      success: true,
+      message: required
+        ? 'Two-factor authentication is now required for this workspace'
+        : 'Two-factor authentication is no longer required for this workspace',
+      data: {
+        ...workspace,
+        membersWithoutTwoFactor: members
+          .filter(member => !member.two_factor_enabled)
+          .map(member => ({ userId: member.user_id, username: member.username, email: member.email })),
+      },
+    });
+  } catch (error) {
+    console.error('Error updating two-factor requirement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update two-factor requirement',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a workspace
+ */
+const deleteWorkspace = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user is owner
+    if (!(await authorizeWorkspace(req, res, id, 'workspace', 'delete'))) return;
+
     await Workspace.delete(id);
 
     res.json({
@@ -198,14 +249,7 @@ const getWorkspaceMembers = async (req, res) => {
     const { id } = req.params;
 
     // Check if user has access to workspace
-    const role = await Workspace.isMember(id, req.user.id);
-
-    if (!role) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have access to this workspace',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, id, 'member', 'read'))) return;
 
     const members = await Workspace.getMembers(id);
 
@@ -233,12 +277,30 @@ const addWorkspaceMember = async (req, res) => {
     const { userId, role } = req.body;
 
     // Check if user has admin access
-    const hasAccess = await Workspace.hasAdminAccess(id, req.user.id);
+    if (!(await authorizeWorkspace(req, res, id, 'member', 'invite'))) return;
+
+    // Ownership is never granted by adding a member
+    if (role !== undefined && !INVITE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${INVITE_ROLES.join(', ')}`,
+      });
+    }
 
-    if (!hasAccess) {
+    const user = UUID_PATTERN.test(String(userId || '')) ? await User.findById(userId) : null;
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Same rule as accepting an invitation
+    const workspace = await Workspace.findById(id);
+    if (workspace.require_two_factor && !user.two_factor_enabled) {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to add members',
+        message: `${workspace.name} requires two-factor authentication. The user must turn it on before joining.`,
       });
     }
 
@@ -267,12 +329,12 @@ const removeWorkspaceMember = async (req, res) => {
     const { id, userId } = req.params;
 
     // Check if user has admin access
-    const hasAccess = await Workspace.hasAdminAccess(id, req.user.id);
+    if (!(await authorizeWorkspace(req, res, id, 'member', 'remove'))) return;
 
-    if (!hasAccess) {
+    if ((await Workspace.isMember(id, userId)) === 'owner') {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to remove members',
+        message: 'The workspace owner cannot be removed',
       });
     }
 
@@ -300,14 +362,7 @@ const getWorkspaceAccounts = async (req, res) => {
     const { id } = req.params;
 
     // Check if user has access to workspace
-    const role = await Workspace.isMember(id, req.user.id);
-
-    if (!role) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have access to this workspace',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, id, 'workspace', 'read'))) return;
 
     // Query ad_accounts table for this workspace
     const result = await query(
@@ -341,14 +396,7 @@ const getWorkspaceDashboards = async (req, res) => {
     const { id } = req.params;
 
     // Check if user has access to workspace
-    const role = await Workspace.isMember(id, req.user.id);
-
-    if (!role) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have access to this workspace',
-      });
-    }
+    if (!(await authorizeWorkspace(req, res, id, 'dashboard', 'read'))) return;
 
     const dashboards = await Dashboard.findByWorkspaceId(id);
 
@@ -373,6 +421,7 @@ module.exports = {
   createWorkspace,
   updateWorkspace,
   deleteWorkspace,
+  updateTwoFactorRequirement,
   getWorkspaceMembers,
   addWorkspaceMember,
   removeWorkspaceMember,
@@ -0,0 +1,14 @@
+-- Anomaly Detection Job - Migration 017
+-- Description: Deduplicate anomalies written by the scheduled detector
+
+-- One anomaly per account/campaign/metric/day so re-runs of the detector are idempotent.
+-- Account-level anomalies have a NULL campaign_id, which is folded to a sentinel UUID.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_anomalies_unique_detection
+  ON anomalies (
+    ad_account_id,
+    (COALESCE(campaign_id, '00000000-0000-0000-0000-000000000000'::uuid)),
+    metric,
+    detection_date
+  );
+
+COMMENT ON INDEX idx_anomalies_unique_detection IS 'Prevents duplicate anomalies when the detector runs more than once per day';
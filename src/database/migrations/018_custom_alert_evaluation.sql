@@ -0,0 +1,16 @@
+-- Custom Alert Evaluation - Migration 018
+-- Description: Track rule evaluation and allow in-app notifications for custom alert rules
+
+ALTER TABLE custom_alert_rules
+ADD COLUMN IF NOT EXISTS last_evaluated_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS last_evaluation_result JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_custom_alert_rules_evaluated ON custom_alert_rules(last_evaluated_at) WHERE is_active = true;
+
+-- Allow custom alert rules to create in-app notifications
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_notification_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_notification_type_check
+  CHECK (notification_type IN ('anomaly', 'budget_alert', 'system', 'campaign_status', 'custom_alert'));
+
+COMMENT ON COLUMN custom_alert_rules.last_evaluated_at IS 'When the rule engine last evaluated the rule (used with frequency)';
+COMMENT ON COLUMN custom_alert_rules.last_evaluation_result IS 'Condition tree with observed values from the last evaluation';
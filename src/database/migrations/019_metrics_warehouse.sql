@@ -0,0 +1,26 @@
+-- Metrics Warehouse - Migration 019
+-- Description: Upsert keys and sync bookkeeping for the platform metrics warehouse
+
+-- One ad_metrics row per account/campaign/ad set/ad and day (or hour).
+-- Rows above ad level leave the lower foreign keys NULL and daily rows leave
+-- metric_hour NULL, so both are folded to sentinels for uniqueness.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ad_metrics_warehouse_key
+  ON ad_metrics (
+    ad_account_id,
+    (COALESCE(campaign_id, '00000000-0000-0000-0000-000000000000'::uuid)),
+    (COALESCE(ad_set_id, '00000000-0000-0000-0000-000000000000'::uuid)),
+    (COALESCE(ad_id, '00000000-0000-0000-0000-000000000000'::uuid)),
+    metric_date,
+    (COALESCE(metric_hour, -1))
+  );
+
+-- Last day fully ingested for an account; incremental syncs resume from here
+ALTER TABLE ad_accounts ADD COLUMN IF NOT EXISTS synced_through DATE;
+
+-- Per-level row counts and options for each sync run
+ALTER TABLE sync_jobs ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_ad_account_created ON sync_jobs(ad_account_id, created_at DESC);
+
+COMMENT ON INDEX idx_ad_metrics_warehouse_key IS 'Upsert key for metrics synced by the metrics warehouse';
+COMMENT ON COLUMN ad_accounts.synced_through IS 'Last date fully ingested into ad_metrics';
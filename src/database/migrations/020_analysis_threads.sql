@@ -0,0 +1,43 @@
+-- Analysis Threads - Migration 020
+-- Description: Persisted multi-turn conversations with the AI analyst, shared within a workspace
+
+CREATE TABLE IF NOT EXISTS analysis_threads (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  title VARCHAR(255) NOT NULL,
+
+  -- Context carried into the next turn; a turn may override and update it
+  scope JSONB NOT NULL,
+  date_range JSONB NOT NULL,
+  primary_kpi VARCHAR(50) DEFAULT 'roas',
+
+  turn_count INTEGER DEFAULT 0,
+  last_turn_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_threads_workspace ON analysis_threads(workspace_id, updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS analysis_turns (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  thread_id UUID NOT NULL REFERENCES analysis_threads(id) ON DELETE CASCADE,
+  turn_index INTEGER NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  question TEXT NOT NULL,
+
+  -- Effective context the turn ran with
+  scope JSONB NOT NULL,
+  date_range JSONB NOT NULL,
+
+  status VARCHAR(50) NOT NULL CHECK (status IN ('ok', 'insufficient_data', 'failed')),
+  mode VARCHAR(50),
+  response JSONB,
+  trace JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(thread_id, turn_index)
+);
+
+COMMENT ON TABLE analysis_threads IS 'AI analyst conversations; visible to every member of the workspace';
+COMMENT ON COLUMN analysis_turns.mode IS 'gemini or deterministic';
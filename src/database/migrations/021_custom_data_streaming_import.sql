@@ -0,0 +1,39 @@
+-- Custom Data Streaming Import - Migration 021
+-- Description: Resumable chunked uploads and background import jobs for large custom data files
+
+CREATE TABLE IF NOT EXISTS custom_data_uploads (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id),
+
+  filename VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(255),
+  file_size BIGINT NOT NULL,
+  chunk_size INTEGER NOT NULL,
+  total_chunks INTEGER NOT NULL,
+  -- Chunk indexes written so far; a client resumes by sending the missing ones
+  received_chunks INTEGER[] DEFAULT '{}',
+  file_path TEXT NOT NULL,
+
+  status VARCHAR(20) DEFAULT 'uploading' CHECK (status IN ('uploading', 'uploaded', 'imported', 'expired')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_uploads_workspace ON custom_data_uploads(workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_custom_uploads_status ON custom_data_uploads(status, updated_at);
+
+-- Background import jobs reuse custom_data_sync_jobs; processed_rows doubles as the resume checkpoint
+ALTER TABLE custom_data_sync_jobs ADD COLUMN IF NOT EXISTS upload_id UUID REFERENCES custom_data_uploads(id) ON DELETE SET NULL;
+ALTER TABLE custom_data_sync_jobs ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN DEFAULT false;
+ALTER TABLE custom_data_sync_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP;
+
+ALTER TABLE custom_data_sync_jobs DROP CONSTRAINT IF EXISTS custom_data_sync_jobs_status_check;
+ALTER TABLE custom_data_sync_jobs ADD CONSTRAINT custom_data_sync_jobs_status_check
+  CHECK (status IN ('pending', 'processing', 'completed', 'completed_with_errors', 'failed', 'cancelled'));
+
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_import_queue ON custom_data_sync_jobs(status, heartbeat_at)
+  WHERE upload_id IS NOT NULL;
+
+COMMENT ON TABLE custom_data_uploads IS 'Chunked file uploads staged on disk before a background import';
+COMMENT ON COLUMN custom_data_sync_jobs.heartbeat_at IS 'Last progress write of a running import; stale jobs are resumed';
@@ -0,0 +1,6 @@
+-- Custom Data File Formats - Migration 022
+-- Description: TSV, JSON, NDJSON and Parquet sources alongside Excel, CSV and Google Sheets
+
+ALTER TABLE custom_data_sources DROP CONSTRAINT IF EXISTS custom_data_sources_source_type_check;
+ALTER TABLE custom_data_sources ADD CONSTRAINT custom_data_sources_source_type_check
+  CHECK (source_type IN ('excel', 'google_sheets', 'csv', 'tsv', 'json', 'ndjson', 'parquet'));
@@ -0,0 +1,58 @@
+-- Custom Data Schema Versions - Migration 023
+-- Description: Schema history per source, drift review for Google Sheets syncs and widget schema flags
+
+-- Sync writes 'active'/'error' and pauses a source while a breaking schema change awaits review
+ALTER TABLE custom_data_sources DROP CONSTRAINT IF EXISTS custom_data_sources_sync_status_check;
+ALTER TABLE custom_data_sources ADD CONSTRAINT custom_data_sources_sync_status_check
+  CHECK (sync_status IN ('pending', 'syncing', 'completed', 'failed', 'active', 'error', 'paused'));
+
+ALTER TABLE custom_data_sources ADD COLUMN IF NOT EXISTS schema_version INTEGER DEFAULT 1;
+ALTER TABLE custom_data_sources ADD COLUMN IF NOT EXISTS pending_schema_change JSONB;
+
+CREATE TABLE IF NOT EXISTS custom_data_schema_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  source_id UUID NOT NULL REFERENCES custom_data_sources(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+
+  detected_schema JSONB NOT NULL,
+  column_mappings JSONB DEFAULT '{}',
+  -- Diff against the previous version; empty for the initial version
+  schema_diff JSONB DEFAULT '{}',
+  change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('initial', 'automatic', 'approved')),
+
+  sync_job_id UUID REFERENCES custom_data_sync_jobs(id) ON DELETE SET NULL,
+  approved_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_source_schema_version UNIQUE(source_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schema_versions_source ON custom_data_schema_versions(source_id, version DESC);
+
+-- Existing sources start at version 1
+INSERT INTO custom_data_schema_versions (source_id, version, detected_schema, column_mappings, change_type, created_at)
+SELECT id, 1, detected_schema, COALESCE(column_mappings, '{}'), 'initial', created_at
+FROM custom_data_sources
+ON CONFLICT (source_id, version) DO NOTHING;
+
+-- Each sync records the schema it ran with and any drift it found
+ALTER TABLE custom_data_sync_jobs ADD COLUMN IF NOT EXISTS schema_version INTEGER;
+ALTER TABLE custom_data_sync_jobs ADD COLUMN IF NOT EXISTS schema_diff JSONB;
+
+ALTER TABLE custom_data_sync_jobs DROP CONSTRAINT IF EXISTS custom_data_sync_jobs_job_type_check;
+ALTER TABLE custom_data_sync_jobs ADD CONSTRAINT custom_data_sync_jobs_job_type_check
+  CHECK (job_type IN ('initial_import', 'scheduled_sync', 'manual_refresh', 'webhook_triggered', 'ai_analysis'));
+
+ALTER TABLE custom_data_sync_jobs DROP CONSTRAINT IF EXISTS custom_data_sync_jobs_status_check;
+ALTER TABLE custom_data_sync_jobs ADD CONSTRAINT custom_data_sync_jobs_status_check
+  CHECK (status IN ('pending', 'processing', 'completed', 'completed_with_errors', 'failed', 'cancelled', 'needs_review'));
+
+-- Why a custom data widget can no longer be rendered after a schema change; NULL when it can
+ALTER TABLE dashboard_widgets ADD COLUMN IF NOT EXISTS schema_issues JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_widgets_custom_source ON dashboard_widgets((data_source->>'customSourceId'))
+  WHERE data_source->>'type' = 'custom_data';
+
+COMMENT ON TABLE custom_data_schema_versions IS 'Schema history of custom data sources';
+COMMENT ON COLUMN custom_data_sources.column_mappings IS 'Incoming column name -> schema column (renames), or null to ignore the column';
+COMMENT ON COLUMN custom_data_sources.pending_schema_change IS 'Breaking schema drift found by a sync, awaiting approval';
@@ -0,0 +1,52 @@
+-- Custom Data Quality - Migration 024
+-- Description: Declarative validation rules per source, quarantine for failing rows and quality score history
+
+-- Rule list, see src/services/customDataQuality.js for the rule types
+ALTER TABLE custom_data_sources ADD COLUMN IF NOT EXISTS quality_rules JSONB DEFAULT '[]';
+
+ALTER TABLE custom_data_sync_jobs ADD COLUMN IF NOT EXISTS quarantined_rows INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS custom_data_quarantine (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  source_id UUID NOT NULL REFERENCES custom_data_sources(id) ON DELETE CASCADE,
+  sync_job_id UUID REFERENCES custom_data_sync_jobs(id) ON DELETE SET NULL,
+
+  -- Data row number in the file or sheet (1 = first row after the header)
+  row_number INTEGER,
+  raw_data JSONB NOT NULL,
+  -- MD5 of raw_data; a row sent again by a later sync updates its existing entry
+  row_hash VARCHAR(64) NOT NULL,
+  reasons JSONB NOT NULL DEFAULT '[]',
+
+  status VARCHAR(20) DEFAULT 'quarantined' CHECK (status IN ('quarantined', 'readmitted', 'discarded')),
+  resolved_by UUID REFERENCES users(id),
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quarantine_open_rows ON custom_data_quarantine(source_id, row_hash)
+  WHERE status = 'quarantined';
+CREATE INDEX IF NOT EXISTS idx_quarantine_source_status ON custom_data_quarantine(source_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_quarantine_sync_job ON custom_data_quarantine(sync_job_id);
+
+CREATE TABLE IF NOT EXISTS custom_data_quality_scores (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  source_id UUID NOT NULL REFERENCES custom_data_sources(id) ON DELETE CASCADE,
+  sync_job_id UUID REFERENCES custom_data_sync_jobs(id) ON DELETE SET NULL,
+
+  checked_rows INTEGER NOT NULL DEFAULT 0,
+  passed_rows INTEGER NOT NULL DEFAULT 0,
+  quarantined_rows INTEGER NOT NULL DEFAULT 0,
+  -- Share of checked rows that passed every rule, 0-100
+  score NUMERIC(5, 2),
+  -- Failing rows per rule: [{ rule, column, count }]
+  rule_failures JSONB DEFAULT '[]',
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_quality_scores_source ON custom_data_quality_scores(source_id, created_at DESC);
+
+COMMENT ON TABLE custom_data_quarantine IS 'Imported rows that failed a quality rule, kept for review';
+COMMENT ON TABLE custom_data_quality_scores IS 'Quality score of each import or sync run';
@@ -0,0 +1,124 @@
+-- Experiments - Migration 025
+-- Description: Experiment definitions, mutually exclusive layers, exposures and events in Postgres
+-- (replaces tests.json and data/experiment-logs/*.json)
+
+-- Plan used by experiment targeting
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan VARCHAR(50) DEFAULT 'free';
+
+-- A layer splits its traffic into 10000 buckets; each experiment in the layer owns a
+-- contiguous bucket range, so a unit is in at most one experiment per layer
+CREATE TABLE IF NOT EXISTS experiment_layers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  key VARCHAR(100) NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS experiments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  -- Stable identifier used by clients, exposures and events (formerly test_id)
+  key VARCHAR(100) NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  change_type VARCHAR(50),
+  target_event VARCHAR(100),
+
+  status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'running', 'paused', 'completed')),
+  -- Optional schedule; a running experiment only assigns units inside the window
+  starts_at TIMESTAMP WITH TIME ZONE,
+  ends_at TIMESTAMP WITH TIME ZONE,
+
+  -- [{ key, name, weight, description }], weights are relative
+  variants JSONB NOT NULL,
+  -- Share of eligible units that enter the experiment, 0-100
+  traffic_percentage NUMERIC(5, 2) NOT NULL DEFAULT 100,
+  -- { plans: [], customerTypes: [], workspaceIds: [] }; empty lists match everyone
+  targeting JSONB DEFAULT '{}',
+  -- Hash salt; changing it re-randomizes every unit
+  salt VARCHAR(100) NOT NULL,
+
+  layer_id UUID REFERENCES experiment_layers(id) ON DELETE SET NULL,
+  layer_bucket_start INTEGER,
+  layer_bucket_end INTEGER,
+
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+  CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at),
+  CHECK (layer_id IS NULL OR (layer_bucket_start >= 0 AND layer_bucket_end <= 10000 AND layer_bucket_start < layer_bucket_end))
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiments_status ON experiments(status);
+CREATE INDEX IF NOT EXISTS idx_experiments_layer ON experiments(layer_id);
+
+-- First exposure of a unit to an experiment; repeated exposures are ignored
+CREATE TABLE IF NOT EXISTS experiment_exposures (
+  id BIGSERIAL PRIMARY KEY,
+  experiment_id UUID NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+  variant VARCHAR(100) NOT NULL,
+  -- User id for signed-in users, visitor cookie id otherwise
+  unit_id VARCHAR(255) NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(experiment_id, unit_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiment_exposures_variant ON experiment_exposures(experiment_id, variant);
+
+-- User actions; results attribute an event to the variant a unit was exposed to before it
+CREATE TABLE IF NOT EXISTS experiment_events (
+  id BIGSERIAL PRIMARY KEY,
+  unit_id VARCHAR(255) NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  event_name VARCHAR(100) NOT NULL,
+  value NUMERIC,
+  properties JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiment_events_unit ON experiment_events(event_name, unit_id, created_at);
+
+-- Experiments previously defined in tests.json
+INSERT INTO experiments (key, name, description, change_type, target_event, status, variants, salt)
+VALUES
+  (
+    'kpi_scorecard_layout',
+    'KPI scorecard layout',
+    'Tests whether a compact (A) vs expanded (B) KPI scorecard layout leads to more engagement (clicks).',
+    'layout',
+    'kpi_click',
+    'running',
+    '[{"key": "A", "name": "compact", "weight": 50}, {"key": "B", "name": "expanded", "weight": 50}]',
+    'kpi_scorecard_layout'
+  ),
+  (
+    'guided_onboarding',
+    'Guided onboarding',
+    'Tests whether minimal (A) vs guided step-by-step (B) onboarding increases tooltip usage.',
+    'onboarding_flow',
+    'tooltip_open',
+    'running',
+    '[{"key": "A", "name": "minimal", "weight": 50}, {"key": "B", "name": "guided", "weight": 50}]',
+    'guided_onboarding'
+  ),
+  (
+    'pricing_cta_upgrade',
+    'Pricing CTA',
+    'Tests which pricing CTA leads to more subscription upgrades. Primary business conversion = subscription upgrade.',
+    'button',
+    'subscription_upgrade',
+    'running',
+    '[{"key": "A", "name": "standard_cta", "weight": 50}, {"key": "B", "name": "value_cta", "weight": 50}]',
+    'pricing_cta_upgrade'
+  )
+ON CONFLICT (key) DO NOTHING;
+
+COMMENT ON TABLE experiments IS 'A/B and multi-variant experiment definitions';
+COMMENT ON TABLE experiment_exposures IS 'First exposure of each unit to an experiment variant';
+COMMENT ON TABLE experiment_events IS 'User actions reported by clients, e.g. kpi_click or subscription_upgrade';
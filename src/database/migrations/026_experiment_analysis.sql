@@ -0,0 +1,12 @@
+-- Experiment Analysis - Migration 026
+-- Description: Per-experiment statistics settings and guardrail KPIs for experiment results
+
+-- { alpha, power, minimumDetectableEffect }; defaults 0.05, 0.8 and 0.1 (10% relative lift)
+ALTER TABLE experiments ADD COLUMN IF NOT EXISTS analysis JSONB DEFAULT '{}';
+
+-- KPI ids from team-kpis.json whose experiment_metric must not get significantly worse
+ALTER TABLE experiments ADD COLUMN IF NOT EXISTS guardrail_kpis JSONB DEFAULT '[]';
+
+UPDATE experiments
+SET guardrail_kpis = '["dashboard_engagement_rate", "arpu"]'
+WHERE key = 'pricing_cta_upgrade' AND guardrail_kpis = '[]';
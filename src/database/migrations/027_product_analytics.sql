@@ -0,0 +1,66 @@
+-- Product Analytics - Migration 027
+-- Description: Product action events and the weekly time series of the KPIs in team-kpis.json
+
+CREATE TABLE IF NOT EXISTS product_events (
+  id BIGSERIAL PRIMARY KEY,
+  event_name VARCHAR(50) NOT NULL
+    CHECK (event_name IN ('account_connected', 'dashboard_created', 'widget_added', 'widget_updated', 'ai_analysis')),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL,
+  properties JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_events_name_time ON product_events(event_name, created_at);
+CREATE INDEX IF NOT EXISTS idx_product_events_user ON product_events(user_id, event_name, created_at);
+
+-- One row per KPI, week and cohort; recomputing a week overwrites its rows
+CREATE TABLE IF NOT EXISTS product_kpi_values (
+  id BIGSERIAL PRIMARY KEY,
+  kpi_id VARCHAR(100) NOT NULL,
+  period_start DATE NOT NULL,
+  -- 'all', 'customer_type', 'plan' or 'signup_month'
+  cohort_type VARCHAR(50) NOT NULL,
+  cohort VARCHAR(100) NOT NULL,
+  value NUMERIC,
+  numerator NUMERIC,
+  denominator NUMERIC,
+  computed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(kpi_id, period_start, cohort_type, cohort)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_kpi_values_series ON product_kpi_values(kpi_id, cohort_type, period_start DESC);
+
+-- Backfill from existing data so trends start with history
+INSERT INTO product_events (event_name, user_id, workspace_id, properties, created_at)
+SELECT 'dashboard_created', d.created_by, d.workspace_id,
+       jsonb_build_object('dashboardId', d.id, 'backfilled', true), d.created_at
+FROM dashboards d
+WHERE d.created_by IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM product_events WHERE event_name = 'dashboard_created');
+
+INSERT INTO product_events (event_name, user_id, workspace_id, properties, created_at)
+SELECT 'widget_added', d.created_by, d.workspace_id,
+       jsonb_build_object('dashboardId', d.id, 'widgetType', w.widget_type, 'backfilled', true), w.created_at
+FROM dashboard_widgets w
+JOIN dashboards d ON d.id = w.dashboard_id
+WHERE d.created_by IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM product_events WHERE event_name = 'widget_added');
+
+INSERT INTO product_events (event_name, user_id, workspace_id, properties, created_at)
+SELECT 'account_connected', t.user_id, a.workspace_id,
+       jsonb_build_object('platform', a.platform, 'adAccountId', a.id, 'backfilled', true), a.created_at
+FROM ad_accounts a
+JOIN oauth_tokens t ON t.id = a.oauth_token_id
+WHERE NOT EXISTS (SELECT 1 FROM product_events WHERE event_name = 'account_connected');
+
+INSERT INTO product_events (event_name, user_id, workspace_id, properties, created_at)
+SELECT 'ai_analysis', turn.user_id, thread.workspace_id,
+       jsonb_build_object('source', 'analyst_thread', 'backfilled', true), turn.created_at
+FROM analysis_turns turn
+JOIN analysis_threads thread ON thread.id = turn.thread_id
+WHERE turn.user_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM product_events WHERE event_name = 'ai_analysis');
+
+COMMENT ON TABLE product_events IS 'Product actions used to compute the team KPIs';
+COMMENT ON TABLE product_kpi_values IS 'Weekly KPI values overall and per cohort';
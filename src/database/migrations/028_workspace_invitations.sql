@@ -0,0 +1,25 @@
+-- Workspace Invitations - Migration 028
+-- Description: Email invitations to a workspace for people who may not have an account yet
+
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  -- Stored lowercased; the invite can only be accepted by an account with this email
+  email VARCHAR(255) NOT NULL,
+  -- Role granted on acceptance; ownership is never granted by invitation
+  role VARCHAR(50) NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member', 'viewer')),
+  status VARCHAR(50) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  responded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one pending invite per email and workspace; re-inviting replaces it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspace_invitations_pending
+  ON workspace_invitations(workspace_id, email) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_email ON workspace_invitations(email, status);
+
+COMMENT ON TABLE workspace_invitations IS 'Pending and past email invitations to workspaces';
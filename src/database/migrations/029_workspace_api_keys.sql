@@ -0,0 +1,31 @@
+-- Workspace API Keys - Migration 029
+-- Description: Hashed, scoped API keys for scripts and ETL jobs, with per-key rate limiting
+
+CREATE TABLE IF NOT EXISTS workspace_api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  -- Public part of the key (e.g. rsk_1a2b3c4d5e6f) used to find it; shown in listings
+  key_prefix VARCHAR(32) NOT NULL UNIQUE,
+  -- SHA-256 of the full key; the key itself is only shown once, at creation
+  key_hash VARCHAR(64) NOT NULL,
+  scopes TEXT[] NOT NULL,
+  -- The key acts with this user's role in the workspace
+  created_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  last_used_ip VARCHAR(64),
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_api_keys_workspace ON workspace_api_keys(workspace_id, created_at DESC);
+
+-- API key requests are counted per key, across all endpoints
+ALTER TABLE api_rate_limits
+  ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES workspace_api_keys(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_api_rate_limits_api_key ON api_rate_limits(api_key_id, window_start);
+
+COMMENT ON TABLE workspace_api_keys IS 'Scoped API keys for programmatic access to a workspace';
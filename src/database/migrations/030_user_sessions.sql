@@ -0,0 +1,36 @@
+-- User Sessions - Migration 030
+-- Description: Server-side login sessions with rotating refresh tokens
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- Readable label derived from the user agent, e.g. "Chrome on macOS"
+  device VARCHAR(255),
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  -- Moves forward on every refresh; an idle session lapses
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoke_reason VARCHAR(50)
+    CHECK (revoke_reason IN ('logout', 'revoked', 'logout_all', 'reuse_detected', 'account_inactive'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
+-- Each refresh replaces the session's token; used tokens are kept to detect reuse
+CREATE TABLE IF NOT EXISTS session_refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+  -- SHA-256 of the token; the token itself is only ever sent to the client
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_refresh_tokens_session ON session_refresh_tokens(session_id);
+
+COMMENT ON TABLE user_sessions IS 'Login sessions; revoking one signs that device out';
+COMMENT ON TABLE session_refresh_tokens IS 'Rotating refresh tokens of user sessions';
@@ -0,0 +1,15 @@
+-- Password Reset - Migration 031
+-- Description: Single-use password reset tokens and session revocation on password changes
+
+-- SHA-256 of the emailed reset token; cleared once used
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_reset_token VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_reset_expires TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_users_password_reset_token ON users(password_reset_token);
+
+-- Sessions are signed out when the password is reset or changed
+ALTER TABLE user_sessions DROP CONSTRAINT IF EXISTS user_sessions_revoke_reason_check;
+ALTER TABLE user_sessions ADD CONSTRAINT user_sessions_revoke_reason_check
+  CHECK (revoke_reason IN ('logout', 'revoked', 'logout_all', 'reuse_detected', 'account_inactive',
+                           'password_reset', 'password_changed'));
@@ -0,0 +1,28 @@
+-- Two-Factor Authentication - Migration 032
+-- Description: Optional TOTP two-factor authentication, recovery codes and per-workspace 2FA requirement
+
+-- TOTP secrets are stored encrypted (AES-256-GCM); the pending secret waits for the first valid code
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_pending_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP WITH TIME ZONE;
+-- Last accepted 30-second time step, so a code cannot be used twice
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+
+-- Single-use recovery codes for when the authenticator is lost
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- SHA-256 of the normalized code; the code itself is shown to the user once
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, code_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id) WHERE used_at IS NULL;
+
+-- Owners can require every member to use 2FA; enforced at login and when accepting invitations
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS require_two_factor BOOLEAN DEFAULT FALSE;
+
+COMMENT ON TABLE user_recovery_codes IS 'Hashed single-use two-factor recovery codes';
@@ -0,0 +1,18 @@
+-- Custom Data Upload Chunks - Migration 033
+-- Description: Stage chunked uploads in Postgres so every instance can preview, import and resume them
+
+CREATE TABLE IF NOT EXISTS custom_data_upload_chunks (
+  upload_id UUID NOT NULL REFERENCES custom_data_uploads(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  data BYTEA NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (upload_id, chunk_index)
+);
+
+-- Files are now copied to local scratch space only while they are read
+ALTER TABLE custom_data_uploads ALTER COLUMN file_path DROP NOT NULL;
+-- Preview rows saved when the upload completes, so starting the import does not read the file again
+ALTER TABLE custom_data_uploads ADD COLUMN IF NOT EXISTS sample_data JSONB;
+
+COMMENT ON TABLE custom_data_uploads IS 'Chunked file uploads staged in custom_data_upload_chunks before a background import';
+COMMENT ON TABLE custom_data_upload_chunks IS 'Received chunks of an upload, deleted once the upload is imported or expires';
@@ -0,0 +1,16 @@
+-- Password Reset Requests - Migration 034
+-- Description: Recent forgot-password requests, counted to throttle them per email and per IP address
+
+CREATE TABLE IF NOT EXISTS password_reset_requests (
+  id SERIAL PRIMARY KEY,
+  -- Lowercased as entered, whether or not an account has it
+  email VARCHAR(255) NOT NULL,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_requests_email ON password_reset_requests(email, created_at);
+CREATE INDEX IF NOT EXISTS idx_password_reset_requests_ip ON password_reset_requests(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_password_reset_requests_created ON password_reset_requests(created_at);
+
+COMMENT ON TABLE password_reset_requests IS 'Forgot-password requests of the last day, for throttling';
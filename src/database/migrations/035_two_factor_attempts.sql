@@ -0,0 +1,6 @@
+-- Two-Factor Attempts - Migration 035
+-- Description: Count two-factor attempts in the database, so the wrong-code limit holds without Redis and across instances
+
+-- Attempts since the window started; reset by a correct code or once the window has passed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_attempts_since TIMESTAMP WITH TIME ZONE;
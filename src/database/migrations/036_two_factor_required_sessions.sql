@@ -0,0 +1,7 @@
+-- Two-Factor Required Sessions - Migration 036
+-- Description: Sessions of members without 2FA are signed out when a workspace starts requiring it
+
+ALTER TABLE user_sessions DROP CONSTRAINT IF EXISTS user_sessions_revoke_reason_check;
+ALTER TABLE user_sessions ADD CONSTRAINT user_sessions_revoke_reason_check
+  CHECK (revoke_reason IN ('logout', 'revoked', 'logout_all', 'reuse_detected', 'account_inactive',
+                           'password_reset', 'password_changed', 'two_factor_required'));
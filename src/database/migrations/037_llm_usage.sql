@@ -0,0 +1,22 @@
+-- LLM Usage - Migration 037
+-- Description: One row per LLM call with its tokens and estimated cost, so usage totals survive restarts and cover every instance
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id BIGSERIAL PRIMARY KEY,
+  -- NULL for calls made outside a workspace (e.g. the public demo)
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL,
+  feature VARCHAR(50) NOT NULL,
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  succeeded BOOLEAN NOT NULL,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  duration_ms INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created ON llm_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_workspace ON llm_usage(workspace_id, created_at);
+
+COMMENT ON TABLE llm_usage IS 'LLM calls with token counts and estimated cost in USD, for the admin usage view';
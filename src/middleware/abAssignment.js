@@ -1,18 +1,28 @@
 /**
  * A/B Assignment Middleware
  *
- * Role: Assigns each user/session to a variant per experiment with sticky assignment.
+ * Role: Assigns each user/session to a variant per running experiment.
  * Must run before route handling so req.abVariants is available to handlers and exposure logging.
  *
- * - Reads tests from tests.json.
- * - Uses a persistent cookie (or session ID) so the same visitor gets the same variant.
- * - Sets req.abVariants = { test_id: variant, ... } and req.experimentVisitorId for logging.
+ * - Reads running experiments from the database (cached per process, see experimentStore).
+ * - Buckets on a persistent visitor cookie, signed in or not. The unit must not change when the
+ *   user signs in or their access token expires, or they could see both variants and their
+ *   events would be recorded under a unit that was never exposed. The signed-in user id is
+ *   stored alongside the unit for targeting and reporting. Assignment is a hash of the unit id,
+ *   so it is sticky across visits and dynos.
+ * - Applies targeting (plan, customer type, workspace), scheduling and layers.
+ * - Sets req.abVariants = { experiment_key: variant, ... }, req.abExperiments (the assigned
+ *   experiment rows) and req.experimentVisitorId / req.experimentContext for logging.
  */
 
-const { getTestsConfig } = require('../services/experimentStore');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const User = require('../models/User');
+const { getRunningExperiments } = require('../services/experimentStore');
+const { assignVariant, needsUserAttributes } = require('../services/experimentAssignment');
 
 const VISITOR_COOKIE_NAME = 'ab_visitor_id';
-const VARIANT_COOKIE_PREFIX = 'ab_';
+const VISITOR_ID_PATTERN = /^v_\d+_[a-z0-9]+$/;
 const COOKIE_MAX_AGE_DAYS = 30;
 
 /**
@@ -23,50 +33,73 @@ function generateVisitorId() {
 }
 
 /**
- * Pick A or B with equal probability (50/50).
+ * Signed-in user from the same token sources as the auth middleware; anonymous otherwise.
  */
-function randomVariant() {
-  return Math.random() < 0.5 ? 'A' : 'B';
+function identifyUser(req) {
+  if (req.user) return req.user;
+
+  let token = req.cookies?.token;
+  if (!token && req.headers.authorization) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+  if (!token) return null;
+
+  try {
+    return jwt.verify(token, config.jwtSecret);
+  } catch (error) {
+    return null;
+  }
 }
 
 /**
- * A/B assignment middleware. Assigns variants per test and attaches to req.
+ * A/B assignment middleware. Assigns variants per experiment and attaches to req.
  * Expects cookie-parser to have run (so req.cookies is set).
  */
-function abAssignment(req, res, next) {
-  const config = getTestsConfig();
-  const experiments = config.experiments || [];
-
-  // Sticky visitor ID: use existing cookie or set new one
+async function abAssignment(req, res, next) {
+  // Sticky visitor ID: use existing cookie or set new one. The cookie is renewed on every
+  // request, so an active visitor keeps the same unit beyond COOKIE_MAX_AGE_DAYS
   let visitorId = req.cookies && req.cookies[VISITOR_COOKIE_NAME];
-  if (!visitorId) {
+  if (!visitorId || !VISITOR_ID_PATTERN.test(visitorId)) {
     visitorId = generateVisitorId();
-    res.cookie(VISITOR_COOKIE_NAME, visitorId, {
-      maxAge: COOKIE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000,
-      httpOnly: true,
-      sameSite: 'lax',
-    });
   }
+  res.cookie(VISITOR_COOKIE_NAME, visitorId, {
+    maxAge: COOKIE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000,
+    httpOnly: true,
+    sameSite: 'lax',
+  });
+
+  const user = identifyUser(req);
 
   req.experimentVisitorId = visitorId;
   req.abVariants = {};
+  req.abExperiments = {};
 
-  experiments.forEach((test) => {
-    const testId = test.test_id;
-    const cookieName = `${VARIANT_COOKIE_PREFIX}${testId}`;
-    let variant = req.cookies && req.cookies[cookieName];
+  try {
+    const experiments = await getRunningExperiments();
+    const context = {
+      userId: user ? user.id : null,
+      workspaceId: req.params.workspaceId || req.query.workspaceId || req.get('x-workspace-id') || null,
+      now: new Date(),
+    };
 
-    if (!variant || (variant !== 'A' && variant !== 'B')) {
-      variant = randomVariant();
-      res.cookie(cookieName, variant, {
-        maxAge: COOKIE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000,
-        httpOnly: true,
-        sameSite: 'lax',
-      });
+    if (user && experiments.some(needsUserAttributes)) {
+      const attributes = await User.findById(user.id);
+      context.plan = attributes?.plan;
+      context.customerType = attributes?.customer_type;
     }
+    req.experimentContext = context;
 
-    req.abVariants[testId] = variant;
-  });
+    experiments.forEach((experiment) => {
+      const variant = assignVariant(experiment, visitorId, context);
+      if (variant) {
+        req.abVariants[experiment.key] = variant;
+        req.abExperiments[experiment.key] = experiment;
+      }
+    });
+  } catch (error) {
+    // Experiments must never break the page; the visitor just sees the default experience
+    console.error('abAssignment: could not assign experiments:', error.message);
+  }
 
   next();
 }
@@ -1,13 +1,74 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
+const rateLimit = require('./rateLimit');
+const {
+  isApiKeyToken,
+  authenticateApiKey,
+  scopesForRoute,
+  recordApiKeyUse,
+} = require('../services/apiKeys');
+const { isSessionRevoked } = require('../services/sessions');
+const { AuthenticationError } = require('../utils/errors');
 
-const authenticate = (req, res, next) => {
+const limitApiKey = rateLimit();
+
+/**
+ * Authenticate a request made with a workspace API key (X-API-Key or Bearer rsk_...)
+ * Keys act as their creator, confined to their workspace and to the endpoints their scopes open.
+ */
+const authenticateWithApiKey = async (req, res, next, key) => {
+  let apiKey;
+  try {
+    apiKey = await authenticateApiKey(key);
+  } catch (error) {
+    if (!(error instanceof AuthenticationError)) {
+      return next(error);
+    }
+    return res.status(401).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  const requiredScopes = scopesForRoute(req.method, req.originalUrl.split('?')[0]);
+  if (!requiredScopes.some(scope => apiKey.scopes.includes(scope))) {
+    return res.status(403).json({
+      success: false,
+      message: requiredScopes.length > 0
+        ? `This API key needs one of these scopes: ${requiredScopes.join(', ')}`
+        : 'This endpoint cannot be called with an API key',
+      code: 'API_KEY_SCOPE_DENIED',
+      requiredScopes,
+    });
+  }
+
+  // Keys never carry platform admin rights, whoever created them
+  req.user = { id: apiKey.created_by, username: apiKey.username, email: apiKey.email, role: 'user' };
+  req.apiKey = {
+    id: apiKey.id,
+    workspaceId: apiKey.workspace_id,
+    prefix: apiKey.key_prefix,
+    scopes: apiKey.scopes,
+  };
+  recordApiKeyUse(apiKey, req.ip);
+
+  return limitApiKey(req, res, next);
+};
+
+const authenticate = async (req, res, next) => {
+  let decoded;
   try {
     // Get token from cookie or Authorization header
     let token = req.cookies?.token;
+    const bearer = req.headers.authorization?.split(' ')[1];
+
+    const apiKey = req.headers['x-api-key'] || (isApiKeyToken(bearer) ? bearer : null);
+    if (apiKey) {
+      return authenticateWithApiKey(req, res, next, apiKey);
+    }
 
-    if (!token && req.headers.authorization) {
-      token = req.headers.authorization.split(' ')[1];
+    if (!token && bearer) {
+      token = bearer;
     }
 
     if (!token) {
@@ -18,15 +79,28 @@ const authenticate = (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, config.jwtSecret);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, config.jwtSecret);
   } catch (error) {
-    res.status(401).json({
+    return res.status(401).json({
       success: false,
       message: 'Invalid or expired token.',
     });
   }
+
+  // Access tokens belong to a login session; signed-out sessions are rejected at once
+  try {
+    if (!decoded.sid || (await isSessionRevoked(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please log in again.',
+      });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.user = decoded;
+  next();
 };
 
 module.exports = authenticate;
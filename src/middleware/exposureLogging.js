@@ -4,40 +4,46 @@
  * Role: Logs when a user is exposed to a specific test variant.
  * Runs automatically for routes that participate in experiments (after assignment).
  *
- * Each exposure log includes: user_or_session_id, test_id, variant, timestamp.
+ * Each exposure log includes: unit id (the visitor cookie), the signed-in user id, experiment, variant,
+ * workspace, timestamp.
  * This runs even if the user performs no action (exposure is logged on page/view load).
+ * Only the first exposure per unit and experiment is stored.
  *
- * @param {string[]} testIds - Which test IDs to log exposure for on this route (e.g. ['kpi_scorecard_layout', 'guided_onboarding'])
+ * @param {string[]} [testIds] - Experiment keys to log exposure for on this route; omit to log
+ *   every experiment the unit was assigned to
  */
 
-const { addExposure } = require('../services/experimentStore');
+const { addExposures } = require('../services/experimentStore');
 
 function exposureLogging(testIds) {
-  if (!Array.isArray(testIds) || testIds.length === 0) {
+  if (Array.isArray(testIds) && testIds.length === 0) {
     return (req, res, next) => next();
   }
 
   return (req, res, next) => {
     const visitorId = req.experimentVisitorId;
+    const experiments = req.abExperiments || {};
     const variants = req.abVariants || {};
 
     if (!visitorId) {
       return next();
     }
 
-    const timestamp = new Date().toISOString();
-
-    testIds.forEach((testId) => {
-      const variant = variants[testId];
-      if (variant) {
-        addExposure({
-          user_or_session_id: visitorId,
-          test_id: testId,
-          variant,
-          timestamp,
-        });
-      }
-    });
+    const keys = testIds || Object.keys(variants);
+    const context = req.experimentContext || {};
+    const records = keys
+      .filter((key) => variants[key] && experiments[key])
+      .map((key) => ({
+        experimentId: experiments[key].id,
+        variant: variants[key],
+        unitId: visitorId,
+        userId: context.userId,
+        workspaceId: context.workspaceId,
+      }));
+
+    if (records.length > 0) {
+      addExposures(records);
+    }
 
     next();
   };
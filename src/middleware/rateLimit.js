@@ -14,6 +14,7 @@ const RATE_LIMITS = {
   sync: { requests: 10, window: 300 }, // 10 syncs per 5 minutes
   export: { requests: 20, window: 300 }, // 20 exports per 5 minutes
   search: { requests: 50, window: 60 }, // 50 searches per minute
+  apiKey: { requests: 100, window: 60 }, // 100 requests per minute per API key, across all endpoints
 };
 
 /**
@@ -42,10 +43,13 @@ const rateLimit = (options = {}) => {
   return async (req, res, next) => {
     try {
       const endpoint = req.path;
-      const limitType = getRateLimitType(endpoint);
+      // API key requests are counted per key rather than per user and endpoint,
+      // so spreading calls over many ids in the path does not raise the limit
+      const apiKeyId = req.apiKey?.id || null;
+      const limitType = apiKeyId ? 'apiKey' : getRateLimitType(endpoint);
       const limit = RATE_LIMITS[limitType];
       const userId = req.user?.id;
-      const workspaceId = req.params?.workspaceId;
+      const workspaceId = req.apiKey?.workspaceId || req.params?.workspaceId;
       const identifier = userId || req.ip;
 
       // Skip rate limiting for health checks
@@ -57,14 +61,22 @@ const rateLimit = (options = {}) => {
       const windowStart = new Date(now.getTime() - limit.window * 1000);
 
       // Check current request count in window
-      const result = await query(
-        `SELECT SUM(request_count) as total_requests
-         FROM api_rate_limits
-         WHERE endpoint = $1
-         AND (user_id = $2 OR (user_id IS NULL AND $2::uuid IS NULL))
-         AND window_start >= $3`,
-        [endpoint, userId, windowStart]
-      );
+      const result = apiKeyId
+        ? await query(
+          `SELECT SUM(request_count) as total_requests
+           FROM api_rate_limits
+           WHERE api_key_id = $1 AND window_start >= $2`,
+          [apiKeyId, windowStart]
+        )
+        : await query(
+          `SELECT SUM(request_count) as total_requests
+           FROM api_rate_limits
+           WHERE endpoint = $1
+           AND (user_id = $2 OR (user_id IS NULL AND $2::uuid IS NULL))
+           AND api_key_id IS NULL
+           AND window_start >= $3`,
+          [endpoint, userId, windowStart]
+        );
 
       const currentRequests = parseInt(result.rows[0]?.total_requests || 0);
 
@@ -79,9 +91,9 @@ const rateLimit = (options = {}) => {
       // Record this request
       await query(
         `INSERT INTO api_rate_limits (
-          user_id, workspace_id, endpoint, request_count, window_start, window_end
-        ) VALUES ($1, $2, $3, 1, NOW(), NOW() + INTERVAL '${limit.window} seconds')`,
-        [userId, workspaceId, endpoint]
+          user_id, workspace_id, api_key_id, endpoint, request_count, window_start, window_end
+        ) VALUES ($1, $2, $3, $4, 1, NOW(), NOW() + INTERVAL '${limit.window} seconds')`,
+        [userId, workspaceId, apiKeyId, endpoint]
       );
 
       // Add rate limit headers
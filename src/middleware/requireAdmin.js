@@ -0,0 +1,11 @@
+/**
+ * Allow only admin users; use after authenticate
+ */
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = requireAdmin;
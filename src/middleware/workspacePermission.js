@@ -0,0 +1,25 @@
+/**
+ * Require a workspace permission for routes that carry the workspace in the request
+ * Looks for the workspace id in the route params, then the query string, then the body.
+ * Use after authenticate; the user's role is left on req.workspaceRole.
+ *
+ * @example router.post('/', requireWorkspacePermission('goal', 'create'), createGoal)
+ */
+
+const { authorizeWorkspace } = require('../services/workspacePermissions');
+
+const workspaceIdFromRequest = (req) =>
+  req.params.workspaceId || req.query.workspaceId || req.body?.workspaceId || req.body?.workspace_id;
+
+function requireWorkspacePermission(resource, action) {
+  return async (req, res, next) => {
+    try {
+      const role = await authorizeWorkspace(req, res, workspaceIdFromRequest(req), resource, action);
+      if (role) next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = requireWorkspacePermission;
@@ -31,11 +31,12 @@ class Alert {
   }
 
   static async findActive() {
+    // Use the token the ad account was connected with, not another member's token for the platform
     const result = await query(
-      `SELECT a.*, aa.account_id, aa.platform, ot.access_token
+      `SELECT a.*, aa.account_id, aa.account_name, aa.platform, ot.access_token, ot.expires_at
        FROM alerts a
        LEFT JOIN ad_accounts aa ON aa.id = a.ad_account_id
-       LEFT JOIN oauth_tokens ot ON ot.workspace_id = a.workspace_id AND ot.platform = aa.platform
+       LEFT JOIN oauth_tokens ot ON ot.id = aa.oauth_token_id
        WHERE a.is_active = TRUE`
     );
     return result.rows;
@@ -78,6 +79,10 @@ class Alert {
     return result.rows[0];
   }
 
+  static async markNotificationSent(historyId) {
+    await query('UPDATE alert_history SET notification_sent = TRUE WHERE id = $1', [historyId]);
+  }
+
   static async getHistory(alertId, limit = 50) {
     const result = await query(
       `SELECT * FROM alert_history WHERE alert_id = $1 ORDER BY triggered_at DESC LIMIT $2`,
@@ -99,6 +104,17 @@ class Alert {
     return result.rows;
   }
 
+  static async findHistoryById(historyId) {
+    const result = await query(
+      `SELECT ah.*, a.workspace_id
+       FROM alert_history ah
+       JOIN alerts a ON a.id = ah.alert_id
+       WHERE ah.id = $1`,
+      [historyId]
+    );
+    return result.rows[0];
+  }
+
   static async acknowledgeAlert(historyId, userId) {
     const result = await query(
       `UPDATE alert_history
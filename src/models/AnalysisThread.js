@@ -0,0 +1,97 @@
+const { query } = require('../config/database');
+
+class AnalysisThread {
+  static async create(data) {
+    const { workspaceId, createdBy, title, scope, dateRange, primaryKpi } = data;
+
+    const result = await query(
+      `INSERT INTO analysis_threads (workspace_id, created_by, title, scope, date_range, primary_kpi)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [workspaceId, createdBy, title, JSON.stringify(scope), JSON.stringify(dateRange), primaryKpi || 'roas']
+    );
+    return result.rows[0];
+  }
+
+  static async findById(id) {
+    const result = await query(
+      `SELECT t.*, u.email as created_by_email
+       FROM analysis_threads t
+       LEFT JOIN users u ON u.id = t.created_by
+       WHERE t.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  static async findByWorkspaceId(workspaceId, { limit = 50, offset = 0 } = {}) {
+    const result = await query(
+      `SELECT t.*, u.email as created_by_email
+       FROM analysis_threads t
+       LEFT JOIN users u ON u.id = t.created_by
+       WHERE t.workspace_id = $1
+       ORDER BY t.updated_at DESC
+       LIMIT $2 OFFSET $3`,
+      [workspaceId, limit, offset]
+    );
+    return result.rows;
+  }
+
+  static async delete(id) {
+    const result = await query('DELETE FROM analysis_threads WHERE id = $1 RETURNING id', [id]);
+    return result.rows[0];
+  }
+
+  // Turns
+  static async getTurns(threadId, limit = null) {
+    // With a limit, return the latest turns (still in chronological order)
+    const result = await query(
+      `SELECT * FROM (
+         SELECT tr.*, u.email as user_email
+         FROM analysis_turns tr
+         LEFT JOIN users u ON u.id = tr.user_id
+         WHERE tr.thread_id = $1
+         ORDER BY tr.turn_index DESC
+         LIMIT $2
+       ) turns
+       ORDER BY turn_index ASC`,
+      [threadId, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Append a turn and move the thread context to the turn's scope and date range
+   * The turn index is taken under a row lock so concurrent follow-ups do not collide.
+   */
+  static async addTurn(threadId, data) {
+    const { userId, question, scope, dateRange, status, mode, response, trace } = data;
+
+    const result = await query(
+      `WITH thread AS (
+         UPDATE analysis_threads
+         SET turn_count = turn_count + 1, scope = $4, date_range = $5,
+             last_turn_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+         RETURNING turn_count
+       )
+       INSERT INTO analysis_turns (thread_id, turn_index, user_id, question, scope, date_range, status, mode, response, trace)
+       SELECT $1, thread.turn_count, $2, $3, $4, $5, $6, $7, $8, $9 FROM thread
+       RETURNING *`,
+      [
+        threadId,
+        userId,
+        question,
+        JSON.stringify(scope),
+        JSON.stringify(dateRange),
+        status,
+        mode || null,
+        response ? JSON.stringify(response) : null,
+        trace ? JSON.stringify(trace) : null,
+      ]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = AnalysisThread;
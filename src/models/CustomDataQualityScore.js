@@ -0,0 +1,40 @@
+const { query } = require('../config/database');
+
+class CustomDataQualityScore {
+  static async create(data) {
+    const { sourceId, syncJobId, checkedRows, passedRows, quarantinedRows, score, ruleFailures } = data;
+
+    const result = await query(
+      `INSERT INTO custom_data_quality_scores (
+        source_id, sync_job_id, checked_rows, passed_rows, quarantined_rows, score, rule_failures
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [
+        sourceId,
+        syncJobId || null,
+        checkedRows,
+        passedRows,
+        quarantinedRows,
+        score,
+        JSON.stringify(ruleFailures || [])
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  static async findBySourceId(sourceId, limit = 30) {
+    const result = await query(
+      `SELECT * FROM custom_data_quality_scores
+       WHERE source_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [sourceId, limit]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = CustomDataQualityScore;
@@ -0,0 +1,113 @@
+const { query } = require('../config/database');
+
+class CustomDataQuarantine {
+  /**
+   * Quarantine failing rows; a row already in quarantine is refreshed instead of added again
+   * @param {Array} rows - [{ rowNumber, rawData, rowHash, reasons }] with unique row hashes
+   * @returns {number} Rows written
+   */
+  static async upsertMany(sourceId, syncJobId, rows) {
+    if (rows.length === 0) return 0;
+
+    const result = await query(
+      `INSERT INTO custom_data_quarantine (source_id, sync_job_id, row_number, raw_data, row_hash, reasons)
+      SELECT $1::uuid, $2::uuid, batch.row_number, batch.raw_data, batch.row_hash, batch.reasons
+      FROM unnest($3::int[], $4::jsonb[], $5::varchar[], $6::jsonb[])
+        AS batch(row_number, raw_data, row_hash, reasons)
+      ON CONFLICT (source_id, row_hash) WHERE status = 'quarantined'
+      DO UPDATE SET
+        sync_job_id = EXCLUDED.sync_job_id,
+        row_number = EXCLUDED.row_number,
+        reasons = EXCLUDED.reasons,
+        last_seen_at = CURRENT_TIMESTAMP
+      RETURNING id`,
+      [
+        sourceId,
+        syncJobId || null,
+        rows.map(row => row.rowNumber || null),
+        rows.map(row => JSON.stringify(row.rawData)),
+        rows.map(row => row.rowHash),
+        rows.map(row => JSON.stringify(row.reasons)),
+      ]
+    );
+
+    return result.rows.length;
+  }
+
+  static async findBySourceId(sourceId, { status = 'quarantined', limit = 50, offset = 0 } = {}) {
+    const result = await query(
+      `SELECT * FROM custom_data_quarantine
+       WHERE source_id = $1 AND status = $2
+       ORDER BY last_seen_at DESC, row_number
+       LIMIT $3 OFFSET $4`,
+      [sourceId, status, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  static async countBySourceId(sourceId, status = 'quarantined') {
+    const result = await query(
+      `SELECT COUNT(*) AS count FROM custom_data_quarantine WHERE source_id = $1 AND status = $2`,
+      [sourceId, status]
+    );
+
+    return parseInt(result.rows[0].count);
+  }
+
+  static async findByIds(sourceId, ids) {
+    const result = await query(
+      `SELECT * FROM custom_data_quarantine
+       WHERE source_id = $1 AND id = ANY($2::uuid[])`,
+      [sourceId, ids]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Close quarantined rows as readmitted or discarded
+   */
+  static async resolve(sourceId, ids, status, userId) {
+    const result = await query(
+      `UPDATE custom_data_quarantine
+       SET status = $3, resolved_by = $4, resolved_at = CURRENT_TIMESTAMP
+       WHERE source_id = $1 AND id = ANY($2::uuid[]) AND status = 'quarantined'
+       RETURNING *`,
+      [sourceId, ids, status, userId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Hashes of rows a user readmitted; they skip the rules when a later sync sends them again
+   */
+  static async findReadmittedHashes(sourceId) {
+    const result = await query(
+      `SELECT DISTINCT row_hash FROM custom_data_quarantine
+       WHERE source_id = $1 AND status = 'readmitted'`,
+      [sourceId]
+    );
+
+    return result.rows.map(row => row.row_hash);
+  }
+
+  /**
+   * Failing rows per rule for one import or sync run
+   */
+  static async countRuleFailures(syncJobId) {
+    const result = await query(
+      `SELECT reason->>'rule' AS rule, reason->>'column' AS column, COUNT(*) AS count
+       FROM custom_data_quarantine q, jsonb_array_elements(q.reasons) AS reason
+       WHERE q.sync_job_id = $1
+       GROUP BY 1, 2
+       ORDER BY 3 DESC`,
+      [syncJobId]
+    );
+
+    return result.rows.map(row => ({ rule: row.rule, column: row.column, count: parseInt(row.count) }));
+  }
+}
+
+module.exports = CustomDataQuarantine;
@@ -0,0 +1,67 @@
+const { query } = require('../config/database');
+
+class CustomDataSchemaVersion {
+  static async create(data) {
+    const {
+      sourceId,
+      version,
+      detectedSchema,
+      columnMappings,
+      schemaDiff,
+      changeType,
+      syncJobId,
+      approvedBy
+    } = data;
+
+    const result = await query(
+      `INSERT INTO custom_data_schema_versions (
+        source_id, version, detected_schema, column_mappings, schema_diff, change_type, sync_job_id, approved_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *`,
+      [
+        sourceId,
+        version,
+        JSON.stringify(detectedSchema || {}),
+        JSON.stringify(columnMappings || {}),
+        JSON.stringify(schemaDiff || {}),
+        changeType,
+        syncJobId || null,
+        approvedBy || null
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  static async findBySourceId(sourceId, limit = 20) {
+    const result = await query(
+      `SELECT * FROM custom_data_schema_versions
+       WHERE source_id = $1
+       ORDER BY version DESC
+       LIMIT $2`,
+      [sourceId, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Record a source's current schema as its initial version if it has no history yet
+   */
+  static async recordCurrent(source) {
+    await query(
+      `INSERT INTO custom_data_schema_versions (source_id, version, detected_schema, column_mappings, change_type)
+       VALUES ($1, $2, $3, $4, 'initial')
+       ON CONFLICT (source_id, version) DO NOTHING`,
+      [
+        source.id,
+        source.schema_version || 1,
+        JSON.stringify(source.detected_schema || {}),
+        JSON.stringify(source.column_mappings || {})
+      ]
+    );
+  }
+}
+
+module.exports = CustomDataSchemaVersion;
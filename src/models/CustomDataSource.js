@@ -24,7 +24,8 @@ class CustomDataSource {
       metricColumns,
       dimensionColumns,
       aiSuggestions,
-      recommendedVisualizations
+      recommendedVisualizations,
+      qualityRules
     } = data;
 
     const result = await query(
@@ -35,9 +36,9 @@ class CustomDataSource {
         detected_schema, column_mappings, sample_data,
         sync_enabled, sync_frequency,
         date_column, metric_columns, dimension_columns,
-        ai_suggestions, recommended_visualizations
+        ai_suggestions, recommended_visualizations, quality_rules
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
       RETURNING *`,
       [
         workspaceId,
@@ -61,7 +62,8 @@ class CustomDataSource {
         metricColumns || [],
         dimensionColumns || [],
         JSON.stringify(aiSuggestions || {}),
-        JSON.stringify(recommendedVisualizations || [])
+        JSON.stringify(recommendedVisualizations || []),
+        JSON.stringify(qualityRules || [])
       ]
     );
 
@@ -87,6 +89,7 @@ class CustomDataSource {
         sync_enabled, sync_frequency, sync_status, last_synced_at, next_sync_at,
         row_count, date_column, metric_columns, dimension_columns,
         ai_suggestions, recommended_visualizations,
+        schema_version, pending_schema_change, quality_rules,
         created_at, updated_at
       FROM custom_data_sources
       WHERE workspace_id = $1
@@ -221,6 +224,57 @@ class CustomDataSource {
     return result.rows[0];
   }
 
+  /**
+   * Replace the schema and bump the version; clears any pending schema change
+   */
+  static async updateSchema(id, data) {
+    const { detectedSchema, columnMappings, dateColumn, metricColumns, dimensionColumns, schemaVersion } = data;
+
+    const result = await query(
+      `UPDATE custom_data_sources
+       SET detected_schema = $1, column_mappings = $2, date_column = $3,
+           metric_columns = $4, dimension_columns = $5, schema_version = $6,
+           pending_schema_change = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7
+       RETURNING *`,
+      [
+        JSON.stringify(detectedSchema),
+        JSON.stringify(columnMappings || {}),
+        dateColumn || null,
+        metricColumns || [],
+        dimensionColumns || [],
+        schemaVersion,
+        id
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  static async updateQualityRules(id, rules) {
+    const result = await query(
+      `UPDATE custom_data_sources
+       SET quality_rules = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [JSON.stringify(rules), id]
+    );
+
+    return result.rows[0];
+  }
+
+  static async setPendingSchemaChange(id, change) {
+    const result = await query(
+      `UPDATE custom_data_sources
+       SET pending_schema_change = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [change ? JSON.stringify(change) : null, id]
+    );
+
+    return result.rows[0];
+  }
+
   static async delete(id) {
     await query(
       `DELETE FROM custom_data_sources WHERE id = $1`,
@@ -235,7 +289,7 @@ class CustomDataSource {
       `SELECT * FROM custom_data_sources
        WHERE sync_enabled = true
          AND (next_sync_at IS NULL OR next_sync_at <= CURRENT_TIMESTAMP)
-         AND sync_status != 'syncing'
+         AND sync_status NOT IN ('syncing', 'paused')
        ORDER BY next_sync_at NULLS FIRST
        LIMIT 10`
     );
@@ -337,6 +391,47 @@ class CustomDataSource {
     return result.rows;
   }
 
+  /**
+   * COPY-style batch upsert: one statement per batch with column arrays unnested server-side,
+   * so the parameter count does not grow with the batch size
+   * @returns {Object} { inserted, updated }
+   */
+  static async copyRecords(records) {
+    if (records.length === 0) return { inserted: 0, updated: 0 };
+
+    const result = await query(
+      `INSERT INTO custom_data_records (
+        source_id, record_date, record_timestamp,
+        dimensions, metrics, raw_data, metric_keys, hash_key
+      )
+      SELECT $1::uuid, batch.record_date, batch.record_timestamp,
+        batch.dimensions, batch.metrics, batch.raw_data,
+        ARRAY(SELECT jsonb_array_elements_text(batch.metric_keys)), batch.hash_key
+      FROM unnest($2::date[], $3::timestamp[], $4::jsonb[], $5::jsonb[], $6::jsonb[], $7::jsonb[], $8::varchar[])
+        AS batch(record_date, record_timestamp, dimensions, metrics, raw_data, metric_keys, hash_key)
+      ON CONFLICT (source_id, record_date, hash_key)
+      DO UPDATE SET
+        metrics = EXCLUDED.metrics,
+        raw_data = EXCLUDED.raw_data,
+        metric_keys = EXCLUDED.metric_keys,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING (xmax = 0) AS inserted`,
+      [
+        records[0].sourceId,
+        records.map(record => record.recordDate),
+        records.map(record => record.recordTimestamp || null),
+        records.map(record => JSON.stringify(record.dimensions || {})),
+        records.map(record => JSON.stringify(record.metrics)),
+        records.map(record => JSON.stringify(record.rawData || {})),
+        records.map(record => JSON.stringify(record.metricKeys || [])),
+        records.map(record => record.hashKey),
+      ]
+    );
+
+    const inserted = result.rows.filter(row => row.inserted).length;
+    return { inserted, updated: result.rows.length - inserted };
+  }
+
   static async getRecordsByDateRange(sourceId, startDate, endDate) {
     const result = await query(
       `SELECT * FROM custom_data_records
@@ -370,13 +465,122 @@ class CustomDataSource {
 
   // Sync Jobs methods
   static async createSyncJob(data) {
-    const { sourceId, jobType, totalRows } = data;
+    const { sourceId, jobType, totalRows, uploadId, status = 'processing' } = data;
 
     const result = await query(
-      `INSERT INTO custom_data_sync_jobs (source_id, job_type, total_rows, status, started_at)
-       VALUES ($1, $2, $3, 'processing', CURRENT_TIMESTAMP)
+      `INSERT INTO custom_data_sync_jobs (source_id, job_type, total_rows, upload_id, status, started_at)
+       VALUES ($1, $2, $3, $4, $5::varchar, CASE WHEN $5::varchar = 'processing' THEN CURRENT_TIMESTAMP END)
        RETURNING *`,
-      [sourceId, jobType, totalRows || null]
+      [sourceId, jobType, totalRows || null, uploadId || null, status]
+    );
+
+    return result.rows[0];
+  }
+
+  static async findSyncJobById(jobId) {
+    const result = await query(
+      `SELECT * FROM custom_data_sync_jobs WHERE id = $1`,
+      [jobId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Claim the oldest queued file import; SKIP LOCKED lets several instances share the queue
+   */
+  static async claimNextImportJob() {
+    const result = await query(
+      `UPDATE custom_data_sync_jobs
+       SET status = 'processing', heartbeat_at = CURRENT_TIMESTAMP,
+           started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+       WHERE id = (
+         SELECT id FROM custom_data_sync_jobs
+         WHERE status = 'pending' AND upload_id IS NOT NULL
+         ORDER BY created_at
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Put imports whose worker stopped sending heartbeats (crash, deploy) back in the queue
+   */
+  static async requeueStaleImports(staleMinutes) {
+    const result = await query(
+      `UPDATE custom_data_sync_jobs
+       SET status = 'pending'
+       WHERE status = 'processing'
+         AND upload_id IS NOT NULL
+         AND heartbeat_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+       RETURNING id`,
+      [staleMinutes]
+    );
+
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Renew a running import's heartbeat between checkpoints
+   * @returns {Promise<boolean>} false when the job is no longer processing
+   */
+  static async heartbeatImportJob(jobId) {
+    const result = await query(
+      `UPDATE custom_data_sync_jobs
+       SET heartbeat_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'processing'
+       RETURNING id`,
+      [jobId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Save import progress after a committed batch
+   * @returns {Object|undefined} Updated job; cancel_requested tells the worker to stop
+   */
+  static async checkpointImportJob(jobId, progress) {
+    const { totalRows, processedRows, newRows, updatedRows, failedRows, quarantinedRows = 0 } = progress;
+
+    const result = await query(
+      `UPDATE custom_data_sync_jobs
+       SET total_rows = COALESCE($2, total_rows), processed_rows = $3, new_rows = $4,
+           updated_rows = $5, failed_rows = $6, quarantined_rows = $7, heartbeat_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [jobId, totalRows || null, processedRows, newRows, updatedRows, failedRows, quarantinedRows]
+    );
+
+    return result.rows[0];
+  }
+
+  static async requestSyncJobCancel(jobId) {
+    // Queued jobs are cancelled right away; a running job stops at its next checkpoint
+    const result = await query(
+      `UPDATE custom_data_sync_jobs
+       SET cancel_requested = true,
+           status = CASE WHEN status = 'pending' THEN 'cancelled' ELSE status END,
+           completed_at = CASE WHEN status = 'pending' THEN CURRENT_TIMESTAMP ELSE completed_at END
+       WHERE id = $1 AND status IN ('pending', 'processing')
+       RETURNING *`,
+      [jobId]
+    );
+
+    return result.rows[0];
+  }
+
+  static async requeueImportJob(jobId) {
+    const result = await query(
+      `UPDATE custom_data_sync_jobs
+       SET status = 'pending', cancel_requested = false, error_message = NULL, completed_at = NULL
+       WHERE id = $1 AND upload_id IS NOT NULL AND status IN ('cancelled', 'failed')
+       RETURNING *`,
+      [jobId]
     );
 
     return result.rows[0];
@@ -385,13 +589,17 @@ class CustomDataSource {
   static async updateSyncJob(jobId, data) {
     const {
       status,
+      totalRows,
       processedRows,
       failedRows,
       newRows,
       updatedRows,
       errorMessage,
       errorDetails,
-      aiAnalysisResult
+      aiAnalysisResult,
+      schemaVersion,
+      schemaDiff,
+      quarantinedRows
     } = data;
 
     const updates = [];
@@ -401,10 +609,14 @@ class CustomDataSource {
     if (status !== undefined) {
       updates.push(`status = $${paramIndex++}`);
       values.push(status);
-      if (status === 'completed' || status === 'failed') {
+      if (['completed', 'completed_with_errors', 'failed', 'cancelled', 'needs_review'].includes(status)) {
         updates.push(`completed_at = CURRENT_TIMESTAMP`);
       }
     }
+    if (totalRows !== undefined) {
+      updates.push(`total_rows = $${paramIndex++}`);
+      values.push(totalRows);
+    }
     if (processedRows !== undefined) {
       updates.push(`processed_rows = $${paramIndex++}`);
       values.push(processedRows);
@@ -433,6 +645,18 @@ class CustomDataSource {
       updates.push(`ai_analysis_result = $${paramIndex++}`);
       values.push(JSON.stringify(aiAnalysisResult));
     }
+    if (schemaVersion !== undefined) {
+      updates.push(`schema_version = $${paramIndex++}`);
+      values.push(schemaVersion);
+    }
+    if (schemaDiff !== undefined) {
+      updates.push(`schema_diff = $${paramIndex++}`);
+      values.push(JSON.stringify(schemaDiff));
+    }
+    if (quarantinedRows !== undefined) {
+      updates.push(`quarantined_rows = $${paramIndex++}`);
+      values.push(quarantinedRows);
+    }
 
     if (updates.length === 0) {
       return null;
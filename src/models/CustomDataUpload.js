@@ -0,0 +1,127 @@
+const { query } = require('../config/database');
+
+class CustomDataUpload {
+  static async create(data) {
+    const { workspaceId, userId, filename, mimeType, fileSize, chunkSize, totalChunks } = data;
+
+    const result = await query(
+      `INSERT INTO custom_data_uploads (
+        workspace_id, user_id, filename, mime_type, file_size, chunk_size, total_chunks
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [workspaceId, userId, filename, mimeType || null, fileSize, chunkSize, totalChunks]
+    );
+
+    return result.rows[0];
+  }
+
+  static async findById(id) {
+    const result = await query(
+      `SELECT * FROM custom_data_uploads WHERE id = $1`,
+      [id]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Store a chunk; a resent chunk replaces the earlier copy
+   */
+  static async saveChunk(id, chunkIndex, data) {
+    await query(
+      `INSERT INTO custom_data_upload_chunks (upload_id, chunk_index, data)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (upload_id, chunk_index) DO UPDATE SET data = EXCLUDED.data, created_at = CURRENT_TIMESTAMP`,
+      [id, chunkIndex, data]
+    );
+  }
+
+  static async getChunk(id, chunkIndex) {
+    const result = await query(
+      `SELECT data FROM custom_data_upload_chunks WHERE upload_id = $1 AND chunk_index = $2`,
+      [id, chunkIndex]
+    );
+
+    return result.rows[0] ? result.rows[0].data : null;
+  }
+
+  /**
+   * Total bytes of the stored chunks
+   */
+  static async getStoredSize(id) {
+    const result = await query(
+      `SELECT COALESCE(SUM(octet_length(data)), 0) AS size FROM custom_data_upload_chunks WHERE upload_id = $1`,
+      [id]
+    );
+
+    return Number(result.rows[0].size);
+  }
+
+  static async deleteChunks(id) {
+    await query(`DELETE FROM custom_data_upload_chunks WHERE upload_id = $1`, [id]);
+  }
+
+  static async markChunkReceived(id, chunkIndex) {
+    const result = await query(
+      `UPDATE custom_data_uploads
+       SET received_chunks = ARRAY(
+             SELECT DISTINCT chunk FROM unnest(array_append(received_chunks, $2::int)) AS chunk ORDER BY chunk
+           ),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, chunkIndex]
+    );
+
+    return result.rows[0];
+  }
+
+  static async updateStatus(id, status) {
+    const result = await query(
+      `UPDATE custom_data_uploads
+       SET status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [status, id]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Mark a complete upload as ready to import, keeping its preview rows
+   */
+  static async markUploaded(id, sampleData) {
+    const result = await query(
+      `UPDATE custom_data_uploads
+       SET status = 'uploaded', sample_data = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [JSON.stringify(sampleData), id]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Uploads untouched for longer than the TTL that no running or queued import still needs
+   */
+  static async findExpired(ttlHours) {
+    const result = await query(
+      `SELECT u.* FROM custom_data_uploads u
+       WHERE u.status IN ('uploading', 'uploaded', 'imported')
+         AND u.updated_at < CURRENT_TIMESTAMP - make_interval(hours => $1)
+         AND NOT EXISTS (
+           SELECT 1 FROM custom_data_sync_jobs j
+           WHERE j.upload_id = u.id AND j.status IN ('pending', 'processing')
+         )
+       LIMIT 100`,
+      [ttlHours]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = CustomDataUpload;
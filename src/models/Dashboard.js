@@ -93,7 +93,7 @@ class Dashboard {
 
     // Get widgets
     const widgetsResult = await query(
-      `SELECT id, dashboard_id, widget_type, title, description, position, data_source, chart_config, filters, created_at, updated_at
+      `SELECT id, dashboard_id, widget_type, title, description, position, data_source, chart_config, filters, schema_issues, created_at, updated_at
        FROM dashboard_widgets
        WHERE dashboard_id = $1
        ORDER BY created_at`,
@@ -110,7 +110,7 @@ class Dashboard {
     const result = await query(
       `INSERT INTO dashboard_widgets (dashboard_id, widget_type, title, description, position, data_source, chart_config, filters)
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING id, dashboard_id, widget_type, title, description, position, data_source, chart_config, filters, created_at, updated_at`,
+       RETURNING id, dashboard_id, widget_type, title, description, position, data_source, chart_config, filters, schema_issues, created_at, updated_at`,
       [
         dashboardId,
         widgetType,
@@ -138,9 +138,10 @@ class Dashboard {
            data_source = COALESCE($5, data_source),
            chart_config = COALESCE($6, chart_config),
            filters = COALESCE($7, filters),
+           schema_issues = CASE WHEN $5::jsonb IS NULL THEN schema_issues END,
            updated_at = NOW()
        WHERE id = $8
-       RETURNING id, dashboard_id, widget_type, title, description, position, data_source, chart_config, filters, created_at, updated_at`,
+       RETURNING id, dashboard_id, widget_type, title, description, position, data_source, chart_config, filters, schema_issues, created_at, updated_at`,
       [
         widgetType,
         title,
@@ -167,7 +168,7 @@ class Dashboard {
 
   static async getWidget(widgetId) {
     const result = await query(
-      `SELECT id, dashboard_id, widget_type, title, description, position, data_source, chart_config, filters, created_at, updated_at
+      `SELECT id, dashboard_id, widget_type, title, description, position, data_source, chart_config, filters, schema_issues, created_at, updated_at
        FROM dashboard_widgets
        WHERE id = $1`,
       [widgetId]
@@ -176,6 +177,44 @@ class Dashboard {
     return result.rows[0];
   }
 
+  /**
+   * Workspace a widget belongs to, for permission checks
+   */
+  static async getWidgetWorkspaceId(widgetId) {
+    const result = await query(
+      `SELECT d.workspace_id
+       FROM dashboard_widgets dw
+       JOIN dashboards d ON d.id = dw.dashboard_id
+       WHERE dw.id = $1`,
+      [widgetId]
+    );
+
+    return result.rows[0]?.workspace_id || null;
+  }
+
+  /**
+   * Custom data widgets reading from a source
+   */
+  static async findWidgetsByCustomSource(sourceId) {
+    const result = await query(
+      `SELECT id, dashboard_id, widget_type, title, data_source, schema_issues
+       FROM dashboard_widgets
+       WHERE data_source->>'type' = 'custom_data' AND data_source->>'customSourceId' = $1`,
+      [sourceId]
+    );
+
+    return result.rows;
+  }
+
+  static async setWidgetSchemaIssues(widgetId, issues) {
+    const result = await query(
+      `UPDATE dashboard_widgets SET schema_issues = $1 WHERE id = $2 RETURNING id`,
+      [issues ? JSON.stringify(issues) : null, widgetId]
+    );
+
+    return result.rows[0];
+  }
+
   // Share management methods
   static async createShareLink(dashboardId, createdBy, options = {}) {
     const crypto = require('crypto');
@@ -261,6 +300,21 @@ class Dashboard {
     return bcrypt.compare(password, result.rows[0].password_hash);
   }
 
+  /**
+   * Workspace a share link's dashboard belongs to, for permission checks
+   */
+  static async getShareLinkWorkspaceId(shareId) {
+    const result = await query(
+      `SELECT d.workspace_id
+       FROM dashboard_shares ds
+       JOIN dashboards d ON d.id = ds.dashboard_id
+       WHERE ds.id = $1`,
+      [shareId]
+    );
+
+    return result.rows[0]?.workspace_id || null;
+  }
+
   static async deleteShareLink(shareId) {
     const result = await query(
       'DELETE FROM dashboard_shares WHERE id = $1 RETURNING id',
@@ -0,0 +1,236 @@
+const { query } = require('../config/database');
+
+const SELECT_WITH_LAYER = `
+  SELECT e.*, l.key AS layer_key, l.name AS layer_name
+  FROM experiments e
+  LEFT JOIN experiment_layers l ON l.id = e.layer_id`;
+
+class Experiment {
+  static async create(data) {
+    const {
+      key,
+      name,
+      description,
+      changeType,
+      targetEvent,
+      status,
+      startsAt,
+      endsAt,
+      variants,
+      trafficPercentage,
+      targeting,
+      salt,
+      layerId,
+      layerBucketStart,
+      layerBucketEnd,
+      analysis,
+      guardrailKpis,
+      createdBy
+    } = data;
+
+    const result = await query(
+      `INSERT INTO experiments (
+        key, name, description, change_type, target_event, status, starts_at, ends_at,
+        variants, traffic_percentage, targeting, salt, layer_id, layer_bucket_start, layer_bucket_end,
+        analysis, guardrail_kpis, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+      RETURNING id`,
+      [
+        key,
+        name,
+        description || null,
+        changeType || null,
+        targetEvent || null,
+        status || 'draft',
+        startsAt || null,
+        endsAt || null,
+        JSON.stringify(variants),
+        trafficPercentage,
+        JSON.stringify(targeting || {}),
+        salt || key,
+        layerId || null,
+        layerBucketStart ?? null,
+        layerBucketEnd ?? null,
+        JSON.stringify(analysis || {}),
+        JSON.stringify(guardrailKpis || []),
+        createdBy || null
+      ]
+    );
+
+    return this.findById(result.rows[0].id);
+  }
+
+  static async findAll({ status } = {}) {
+    const result = status
+      ? await query(`${SELECT_WITH_LAYER} WHERE e.status = $1 ORDER BY e.created_at DESC`, [status])
+      : await query(`${SELECT_WITH_LAYER} ORDER BY e.created_at DESC`);
+
+    return result.rows;
+  }
+
+  static async findById(id) {
+    const result = await query(`${SELECT_WITH_LAYER} WHERE e.id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  static async findByKey(key) {
+    const result = await query(`${SELECT_WITH_LAYER} WHERE e.key = $1`, [key]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Running experiments whose schedule has not ended; the start of the window is checked per request
+   */
+  static async findRunning() {
+    const result = await query(
+      `${SELECT_WITH_LAYER}
+       WHERE e.status = 'running' AND (e.ends_at IS NULL OR e.ends_at > CURRENT_TIMESTAMP)
+       ORDER BY e.created_at`
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Experiments holding buckets in a layer (completed experiments release theirs)
+   */
+  static async findByLayerId(layerId) {
+    const result = await query(
+      `SELECT id, key, layer_bucket_start, layer_bucket_end FROM experiments
+       WHERE layer_id = $1 AND status != 'completed'
+       ORDER BY layer_bucket_start`,
+      [layerId]
+    );
+
+    return result.rows;
+  }
+
+  static async update(id, data) {
+    const fields = {
+      name: data.name,
+      description: data.description,
+      change_type: data.changeType,
+      target_event: data.targetEvent,
+      status: data.status,
+      starts_at: data.startsAt,
+      ends_at: data.endsAt,
+      variants: data.variants === undefined ? undefined : JSON.stringify(data.variants),
+      traffic_percentage: data.trafficPercentage,
+      targeting: data.targeting === undefined ? undefined : JSON.stringify(data.targeting),
+      salt: data.salt,
+      layer_id: data.layerId,
+      layer_bucket_start: data.layerBucketStart,
+      layer_bucket_end: data.layerBucketEnd,
+      analysis: data.analysis === undefined ? undefined : JSON.stringify(data.analysis),
+      guardrail_kpis: data.guardrailKpis === undefined ? undefined : JSON.stringify(data.guardrailKpis),
+    };
+
+    const updates = [];
+    const values = [];
+    Object.entries(fields).forEach(([column, value]) => {
+      if (value !== undefined) {
+        values.push(value);
+        updates.push(`${column} = $${values.length}`);
+      }
+    });
+
+    if (updates.length > 0) {
+      values.push(id);
+      await query(
+        `UPDATE experiments SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${values.length}`,
+        values
+      );
+    }
+
+    return this.findById(id);
+  }
+
+  static async delete(id) {
+    const result = await query('DELETE FROM experiments WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Record first exposures; a unit already exposed to an experiment keeps its first row
+   * @param {Array} exposures - [{ experimentId, variant, unitId, userId, workspaceId }]
+   */
+  static async recordExposures(exposures) {
+    if (exposures.length === 0) return 0;
+
+    const result = await query(
+      `INSERT INTO experiment_exposures (experiment_id, variant, unit_id, user_id, workspace_id)
+      SELECT * FROM unnest($1::uuid[], $2::varchar[], $3::varchar[], $4::uuid[], $5::uuid[])
+      ON CONFLICT (experiment_id, unit_id) DO NOTHING
+      RETURNING id`,
+      [
+        exposures.map(exposure => exposure.experimentId),
+        exposures.map(exposure => exposure.variant),
+        exposures.map(exposure => exposure.unitId),
+        exposures.map(exposure => exposure.userId || null),
+        exposures.map(exposure => exposure.workspaceId || null),
+      ]
+    );
+
+    return result.rows.length;
+  }
+
+  static async recordEvent({ unitId, userId, eventName, value, properties }) {
+    await query(
+      `INSERT INTO experiment_events (unit_id, user_id, event_name, value, properties)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [unitId, userId || null, eventName, value ?? null, properties ? JSON.stringify(properties) : null]
+    );
+  }
+
+  /**
+   * Per-variant summary of one event over exposed units; an event counts when the unit was
+   * exposed before it. Sums of squares let callers compute variances for count and value metrics.
+   */
+  static async getMetricStats(experimentId, eventName) {
+    const result = await query(
+      `WITH unit_values AS (
+         SELECT x.variant, x.unit_id, COUNT(ev.id) AS events, COALESCE(SUM(ev.value), 0) AS total
+         FROM experiment_exposures x
+         LEFT JOIN experiment_events ev
+           ON ev.unit_id = x.unit_id AND ev.event_name = $2 AND ev.created_at >= x.created_at
+         WHERE x.experiment_id = $1
+         GROUP BY x.variant, x.unit_id
+       )
+       SELECT variant,
+              COUNT(*) AS units,
+              COUNT(*) FILTER (WHERE events > 0) AS converted,
+              SUM(events) AS events,
+              SUM(events * events) AS events_sq,
+              SUM(total) AS total,
+              SUM(total * total) AS total_sq
+       FROM unit_values
+       GROUP BY variant`,
+      [experimentId, eventName || '']
+    );
+
+    return result.rows.map(row => ({
+      variant: row.variant,
+      units: parseInt(row.units),
+      converted: parseInt(row.converted),
+      events: Number(row.events),
+      eventsSq: Number(row.events_sq),
+      total: Number(row.total),
+      totalSq: Number(row.total_sq),
+    }));
+  }
+
+  static async countLogs() {
+    const result = await query(
+      `SELECT (SELECT COUNT(*) FROM experiment_exposures) AS exposures,
+              (SELECT COUNT(*) FROM experiment_events) AS events`
+    );
+
+    return {
+      exposures: parseInt(result.rows[0].exposures),
+      events: parseInt(result.rows[0].events),
+    };
+  }
+}
+
+module.exports = Experiment;
@@ -0,0 +1,55 @@
+const { query } = require('../config/database');
+
+class ExperimentLayer {
+  static async create({ key, name, description, createdBy }) {
+    const result = await query(
+      `INSERT INTO experiment_layers (key, name, description, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [key, name, description || null, createdBy || null]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Layers with the share of buckets held by experiments that are not completed
+   */
+  static async findAll() {
+    const result = await query(
+      `SELECT l.*,
+              COUNT(e.id) AS experiment_count,
+              COALESCE(SUM(e.layer_bucket_end - e.layer_bucket_start), 0) AS allocated_buckets
+       FROM experiment_layers l
+       LEFT JOIN experiments e ON e.layer_id = l.id AND e.status != 'completed'
+       GROUP BY l.id
+       ORDER BY l.created_at`
+    );
+
+    return result.rows;
+  }
+
+  static async findById(id) {
+    const result = await query('SELECT * FROM experiment_layers WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  static async update(id, { name, description }) {
+    const result = await query(
+      `UPDATE experiment_layers
+       SET name = COALESCE($2, name), description = COALESCE($3, description), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, name, description]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async delete(id) {
+    const result = await query('DELETE FROM experiment_layers WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = ExperimentLayer;
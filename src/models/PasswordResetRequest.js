@@ -0,0 +1,31 @@
+const { query } = require('../config/database');
+
+class PasswordResetRequest {
+  /**
+   * Record a forgot-password request and count the requests for its email and IP address
+   * The new request is included, so concurrent requests all see each other.
+   * Requests older than a day are pruned on the way.
+   * @returns {Promise<{ byEmail: number, byIp: number }>} Requests within the window
+   */
+  static async recordAndCount(email, ipAddress, windowMinutes) {
+    await query("DELETE FROM password_reset_requests WHERE created_at < NOW() - INTERVAL '1 day'");
+    await query(
+      'INSERT INTO password_reset_requests (email, ip_address) VALUES ($1, $2)',
+      [email, ipAddress]
+    );
+
+    const result = await query(
+      `SELECT
+         COUNT(*) FILTER (WHERE email = $1)::int AS by_email,
+         COUNT(*) FILTER (WHERE ip_address = $2)::int AS by_ip
+       FROM password_reset_requests
+       WHERE (email = $1 OR ip_address = $2)
+         AND created_at > NOW() - make_interval(mins => $3)`,
+      [email, ipAddress, windowMinutes]
+    );
+
+    return { byEmail: result.rows[0].by_email, byIp: result.rows[0].by_ip };
+  }
+}
+
+module.exports = PasswordResetRequest;
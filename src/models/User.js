@@ -21,7 +21,8 @@ class User {
   static async findById(id) {
     const result = await query(
       `SELECT id, username, email, role, status, company_name,
-              contact_person, phone, email_verified, created_at, updated_at, last_login_at
+              contact_person, phone, customer_type, plan, email_verified, two_factor_enabled,
+              created_at, updated_at, last_login_at
        FROM users WHERE id = $1`,
       [id]
     );
@@ -114,7 +115,8 @@ class User {
       companyName,
       contactPerson,
       phone,
-      customerType = 'b2b'
+      customerType = 'b2b',
+      emailVerified = false
     } = userData;
 
     // Hash the password
@@ -122,11 +124,11 @@ class User {
 
     const result = await query(
       `INSERT INTO users (username, email, password_hash, role, status,
-                          company_name, contact_person, phone, customer_type)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                          company_name, contact_person, phone, customer_type, email_verified)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        RETURNING id, username, email, role, status, company_name,
-                 contact_person, phone, customer_type, created_at, updated_at, last_login_at`,
-      [username, email, passwordHash, role, status, companyName, contactPerson, phone, customerType]
+                 contact_person, phone, customer_type, email_verified, created_at, updated_at, last_login_at`,
+      [username, email, passwordHash, role, status, companyName, contactPerson, phone, customerType, emailVerified]
     );
 
     return result.rows[0];
@@ -334,6 +336,197 @@ class User {
 
     return await this.generateVerificationToken(user.id);
   }
+
+  /**
+   * Generate and store a password reset token
+   * Only its SHA-256 is stored, and a new token replaces any earlier one
+   */
+  static async generatePasswordResetToken(userId) {
+    const crypto = require('crypto');
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    const expiresAt = new Date();
+    expiresAt.setHours(expiresAt.getHours() + 1); // Token valid for 1 hour
+
+    await query(
+      `UPDATE users
+       SET password_reset_token = $1, password_reset_expires = $2
+       WHERE id = $3`,
+      [tokenHash, expiresAt, userId]
+    );
+
+    return token;
+  }
+
+  /**
+   * Set a new password with a reset token; the token can only be used once
+   */
+  static async resetPassword(token, newPassword) {
+    const crypto = require('crypto');
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+
+    const found = await query(
+      `SELECT id, password_reset_expires FROM users WHERE password_reset_token = $1`,
+      [tokenHash]
+    );
+    const user = found.rows[0];
+
+    if (!user) {
+      throw new Error('Invalid password reset token');
+    }
+
+    if (new Date() > new Date(user.password_reset_expires)) {
+      throw new Error('Password reset token has expired');
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+
+    // Matching on the token too means a concurrent reset with the same token finds nothing
+    const result = await query(
+      `UPDATE users
+       SET password_hash = $1,
+           password_reset_token = NULL,
+           password_reset_expires = NULL,
+           password_changed_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND password_reset_token = $3
+       RETURNING id, username, email, role, status`,
+      [passwordHash, user.id, tokenHash]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Invalid password reset token');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Change a user's password; also invalidates any pending reset token
+   */
+  static async changePassword(id, newPassword) {
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+
+    const result = await query(
+      `UPDATE users
+       SET password_hash = $1,
+           password_reset_token = NULL,
+           password_reset_expires = NULL,
+           password_changed_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING id, username, email, role, status`,
+      [passwordHash, id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Two-factor state of a user, including the encrypted TOTP secrets
+   */
+  static async getTwoFactor(id) {
+    const result = await query(
+      `SELECT id, username, email, password_hash, two_factor_enabled, two_factor_secret,
+              two_factor_pending_secret, two_factor_last_step, two_factor_enabled_at
+       FROM users WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store a new TOTP secret that becomes active once a code from it is verified
+   */
+  static async setPendingTwoFactorSecret(id, encryptedSecret) {
+    await query(
+      `UPDATE users SET two_factor_pending_secret = $1 WHERE id = $2`,
+      [encryptedSecret, id]
+    );
+  }
+
+  /**
+   * Activate the pending TOTP secret
+   */
+  static async enableTwoFactor(id, lastStep) {
+    const result = await query(
+      `UPDATE users
+       SET two_factor_enabled = TRUE,
+           two_factor_secret = two_factor_pending_secret,
+           two_factor_pending_secret = NULL,
+           two_factor_enabled_at = CURRENT_TIMESTAMP,
+           two_factor_last_step = $2
+       WHERE id = $1 AND two_factor_pending_secret IS NOT NULL
+       RETURNING id`,
+      [id, lastStep]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secrets
+   */
+  static async disableTwoFactor(id) {
+    await query(
+      `UPDATE users
+       SET two_factor_enabled = FALSE,
+           two_factor_secret = NULL,
+           two_factor_pending_secret = NULL,
+           two_factor_enabled_at = NULL,
+           two_factor_last_step = NULL
+       WHERE id = $1`,
+      [id]
+    );
+  }
+
+  /**
+   * Record the time step of an accepted TOTP code; returns false if that step
+   * (or a later one) was already used, so each code works only once
+   */
+  static async recordTwoFactorStep(id, step) {
+    const result = await query(
+      `UPDATE users
+       SET two_factor_last_step = $2
+       WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)
+       RETURNING id`,
+      [id, step]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Count a two-factor attempt before the code is checked, in one atomic update,
+   * so concurrent guesses cannot slip past the limit
+   * The count restarts when the window since the first counted attempt has passed.
+   * @returns {Promise<number|null>} Attempts in the current window, including this one; null for an unknown user
+   */
+  static async countTwoFactorAttempt(id, windowSeconds) {
+    const result = await query(
+      `UPDATE users
+       SET two_factor_attempts = CASE
+             WHEN two_factor_attempts_since IS NULL
+               OR two_factor_attempts_since < CURRENT_TIMESTAMP - make_interval(secs => $2) THEN 1
+             ELSE two_factor_attempts + 1
+           END,
+           two_factor_attempts_since = CASE
+             WHEN two_factor_attempts_since IS NULL
+               OR two_factor_attempts_since < CURRENT_TIMESTAMP - make_interval(secs => $2) THEN CURRENT_TIMESTAMP
+             ELSE two_factor_attempts_since
+           END
+       WHERE id = $1
+       RETURNING two_factor_attempts`,
+      [id, windowSeconds]
+    );
+    return result.rows[0] ? result.rows[0].two_factor_attempts : null;
+  }
+
+  /**
+   * Clear the two-factor attempt count after a correct code
+   */
+  static async resetTwoFactorAttempts(id) {
+    await query(
+      `UPDATE users SET two_factor_attempts = 0, two_factor_attempts_since = NULL WHERE id = $1`,
+      [id]
+    );
+  }
 }
 
 module.exports = User;
@@ -0,0 +1,45 @@
+const { query } = require('../config/database');
+
+class UserRecoveryCode {
+  /**
+   * Replace a user's recovery codes with a new set
+   */
+  static async replaceForUser(userId, codeHashes) {
+    await query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    await query(
+      `INSERT INTO user_recovery_codes (user_id, code_hash)
+       SELECT $1, UNNEST($2::text[])`,
+      [userId, codeHashes]
+    );
+  }
+
+  /**
+   * Use a recovery code; returns false if it is unknown or already used
+   */
+  static async use(userId, codeHash) {
+    const result = await query(
+      `UPDATE user_recovery_codes
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, codeHash]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  static async countUnused(userId) {
+    const result = await query(
+      'SELECT COUNT(*)::int AS count FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    return result.rows[0].count;
+  }
+
+  static async deleteForUser(userId) {
+    await query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  }
+}
+
+module.exports = UserRecoveryCode;
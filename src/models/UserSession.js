@@ -0,0 +1,114 @@
+const { query } = require('../config/database');
+
+class UserSession {
+  static async create({ userId, device, userAgent, ipAddress, expiresAt }) {
+    const result = await query(
+      `INSERT INTO user_sessions (user_id, device, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, device, userAgent, ipAddress, expiresAt]
+    );
+
+    return result.rows[0];
+  }
+
+  static async findById(id) {
+    const result = await query('SELECT * FROM user_sessions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Sessions that can still be refreshed, most recently used first
+   */
+  static async findActiveByUserId(userId) {
+    const result = await query(
+      `SELECT * FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_used_at DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Record a refresh: who used the session from where, and push its expiry forward
+   */
+  static async touch(id, { ipAddress, userAgent, device, expiresAt }) {
+    const result = await query(
+      `UPDATE user_sessions
+       SET last_used_at = CURRENT_TIMESTAMP, ip_address = $2, user_agent = $3, device = $4, expires_at = $5
+       WHERE id = $1
+       RETURNING *`,
+      [id, ipAddress, userAgent, device, expiresAt]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Revoke a session; returns null if it was already revoked
+   */
+  static async revoke(id, reason) {
+    const result = await query(
+      `UPDATE user_sessions
+       SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [id, reason]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Revoke all of a user's sessions, optionally keeping one (the caller's own)
+   * @returns {Promise<string[]>} Ids of the sessions revoked
+   */
+  static async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const result = await query(
+      `UPDATE user_sessions
+       SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = $2
+       WHERE user_id = $1 AND revoked_at IS NULL
+         AND ($3::uuid IS NULL OR id <> $3::uuid)
+       RETURNING id`,
+      [userId, reason, exceptSessionId]
+    );
+
+    return result.rows.map(row => row.id);
+  }
+
+  static async addRefreshToken(sessionId, tokenHash, expiresAt) {
+    await query(
+      `INSERT INTO session_refresh_tokens (session_id, token_hash, expires_at)
+       VALUES ($1, $2, $3)`,
+      [sessionId, tokenHash, expiresAt]
+    );
+  }
+
+  static async findRefreshToken(tokenHash) {
+    const result = await query(
+      'SELECT * FROM session_refresh_tokens WHERE token_hash = $1',
+      [tokenHash]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark a refresh token used; returns false if another request used it first
+   */
+  static async useRefreshToken(id) {
+    const result = await query(
+      `UPDATE session_refresh_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND used_at IS NULL
+       RETURNING id`,
+      [id]
+    );
+
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = UserSession;
@@ -31,7 +31,7 @@ class Workspace {
    */
   static async findByUserId(userId) {
     const result = await query(
-      `SELECT w.id, w.name, w.owner_id, w.description, w.settings,
+      `SELECT w.id, w.name, w.owner_id, w.description, w.settings, w.require_two_factor,
               wm.role, w.created_at, w.updated_at
        FROM workspaces w
        JOIN workspace_members wm ON wm.workspace_id = w.id
@@ -48,7 +48,7 @@ class Workspace {
    */
   static async findById(workspaceId, userId = null) {
     let queryText = `
-      SELECT w.id, w.name, w.owner_id, w.description, w.settings,
+      SELECT w.id, w.name, w.owner_id, w.description, w.settings, w.require_two_factor,
              w.created_at, w.updated_at
       FROM workspaces w
     `;
@@ -107,6 +107,37 @@ class Workspace {
     return result.rows[0] || null;
   }
 
+  /**
+   * Require (or stop requiring) two-factor authentication for every member
+   */
+  static async setRequireTwoFactor(workspaceId, required) {
+    const result = await query(
+      `UPDATE workspaces
+       SET require_two_factor = $1
+       WHERE id = $2
+       RETURNING id, name, owner_id, description, settings, require_two_factor, created_at, updated_at`,
+      [required, workspaceId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Workspaces the user belongs to that require two-factor authentication
+   */
+  static async findRequiringTwoFactor(userId) {
+    const result = await query(
+      `SELECT w.id, w.name
+       FROM workspaces w
+       JOIN workspace_members wm ON wm.workspace_id = w.id
+       WHERE wm.user_id = $1 AND w.require_two_factor = TRUE
+       ORDER BY w.name`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
   /**
    * Delete a workspace
    */
@@ -124,7 +155,7 @@ class Workspace {
   static async getMembers(workspaceId) {
     const result = await query(
       `SELECT wm.id, wm.user_id, wm.role, wm.permissions, wm.joined_at,
-              u.username, u.email, u.company_name
+              u.username, u.email, u.company_name, u.two_factor_enabled
        FROM workspace_members wm
        JOIN users u ON u.id = wm.user_id
        WHERE wm.workspace_id = $1
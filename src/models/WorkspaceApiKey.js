@@ -0,0 +1,88 @@
+const { query } = require('../config/database');
+
+// Everything but the hash
+const PUBLIC_COLUMNS = `k.id, k.workspace_id, k.name, k.key_prefix, k.scopes, k.created_by, k.expires_at,
+  k.last_used_at, k.last_used_ip, k.revoked_at, k.revoked_by, k.created_at`;
+
+class WorkspaceApiKey {
+  static async create({ workspaceId, name, keyPrefix, keyHash, scopes, createdBy, expiresAt }) {
+    const result = await query(
+      `INSERT INTO workspace_api_keys (workspace_id, name, key_prefix, key_hash, scopes, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [workspaceId, name, keyPrefix, keyHash, scopes, createdBy, expiresAt]
+    );
+
+    return this.findById(result.rows[0].id);
+  }
+
+  static async findById(id) {
+    const result = await query(
+      `SELECT ${PUBLIC_COLUMNS}, u.username AS created_by_username
+       FROM workspace_api_keys k
+       LEFT JOIN users u ON u.id = k.created_by
+       WHERE k.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Key with its hash and owning user, for authenticating a request
+   */
+  static async findByPrefix(keyPrefix) {
+    const result = await query(
+      `SELECT k.*, u.username, u.email
+       FROM workspace_api_keys k
+       JOIN users u ON u.id = k.created_by
+       WHERE k.key_prefix = $1`,
+      [keyPrefix]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Keys of a workspace, newest first; revoked keys only when asked for
+   */
+  static async findByWorkspaceId(workspaceId, { includeRevoked = false } = {}) {
+    const result = await query(
+      `SELECT ${PUBLIC_COLUMNS}, u.username AS created_by_username
+       FROM workspace_api_keys k
+       LEFT JOIN users u ON u.id = k.created_by
+       WHERE k.workspace_id = $1 AND ($2 OR k.revoked_at IS NULL)
+       ORDER BY k.created_at DESC`,
+      [workspaceId, includeRevoked]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Revoke a key; returns null if it was already revoked
+   */
+  static async revoke(id, revokedBy) {
+    const result = await query(
+      `UPDATE workspace_api_keys
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [id, revokedBy]
+    );
+
+    return result.rows.length > 0 ? this.findById(id) : null;
+  }
+
+  /**
+   * Record a use of the key, writing at most once per interval to keep hot keys cheap
+   */
+  static async touchLastUsed(id, ip, intervalSeconds) {
+    await query(
+      `UPDATE workspace_api_keys
+       SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2
+       WHERE id = $1
+         AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - make_interval(secs => $3))`,
+      [id, ip, intervalSeconds]
+    );
+  }
+}
+
+module.exports = WorkspaceApiKey;
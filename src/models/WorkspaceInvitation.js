@@ -0,0 +1,77 @@
+const { query } = require('../config/database');
+
+const SELECT_WITH_WORKSPACE = `
+  SELECT i.*, w.name AS workspace_name, w.require_two_factor AS workspace_requires_two_factor,
+         u.username AS invited_by_username
+  FROM workspace_invitations i
+  JOIN workspaces w ON w.id = i.workspace_id
+  LEFT JOIN users u ON u.id = i.invited_by`;
+
+class WorkspaceInvitation {
+  /**
+   * Create a pending invitation, revoking any pending one for the same email and workspace
+   */
+  static async create({ workspaceId, email, role, invitedBy, expiresAt }) {
+    await query(
+      `UPDATE workspace_invitations
+       SET status = 'revoked', responded_at = CURRENT_TIMESTAMP
+       WHERE workspace_id = $1 AND email = $2 AND status = 'pending'`,
+      [workspaceId, email]
+    );
+
+    const result = await query(
+      `INSERT INTO workspace_invitations (workspace_id, email, role, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [workspaceId, email, role, invitedBy, expiresAt]
+    );
+
+    return this.findById(result.rows[0].id);
+  }
+
+  static async findById(id) {
+    const result = await query(`${SELECT_WITH_WORKSPACE} WHERE i.id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Invitations of a workspace; pending ones that have expired are reported with status 'expired'
+   * @param {string} status - Optional filter, including 'expired'
+   */
+  static async findByWorkspaceId(workspaceId, { status } = {}) {
+    const result = await query(
+      `SELECT * FROM (
+         SELECT i.id, i.workspace_id, i.email, i.role, i.invited_by, i.accepted_by,
+                i.expires_at, i.responded_at, i.created_at, u.username AS invited_by_username,
+                CASE WHEN i.status = 'pending' AND i.expires_at <= CURRENT_TIMESTAMP
+                     THEN 'expired' ELSE i.status END AS status
+         FROM workspace_invitations i
+         LEFT JOIN users u ON u.id = i.invited_by
+         WHERE i.workspace_id = $1
+       ) invitations
+       WHERE $2::varchar IS NULL OR status = $2
+       ORDER BY created_at DESC`,
+      [workspaceId, status || null]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Move a pending invitation to accepted, declined or revoked
+   * Returns null if it was no longer pending (e.g. answered in another tab).
+   */
+  static async respond(id, status, acceptedBy = null) {
+    const result = await query(
+      `UPDATE workspace_invitations
+       SET status = $2, accepted_by = $3, responded_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id`,
+      [id, status, acceptedBy]
+    );
+
+    return result.rows.length > 0 ? this.findById(id) : null;
+  }
+}
+
+module.exports = WorkspaceInvitation;
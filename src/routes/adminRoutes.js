@@ -14,7 +14,10 @@ const {
   rejectUser,
   deleteUser,
 } = require('../controllers/userController');
+const { getAIUsage, resetAIUsage } = require('../controllers/aiUsageController');
+const { getKpis, getKpiSeries, recomputeKpis } = require('../controllers/productKpiController');
 const authenticate = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
 
 const router = express.Router();
 
@@ -36,4 +39,13 @@ router.post('/users/:id/approve', approveUser);
 router.post('/users/:id/reject', rejectUser);
 router.delete('/users/:id', deleteUser);
 
+// AI provider usage and cost
+router.get('/ai-usage', requireAdmin, getAIUsage);
+router.post('/ai-usage/reset', requireAdmin, resetAIUsage);
+
+// Product KPIs from team-kpis.json
+router.get('/kpis', requireAdmin, getKpis);
+router.post('/kpis/recompute', requireAdmin, recomputeKpis);
+router.get('/kpis/:kpiId', requireAdmin, getKpiSeries);
+
 module.exports = router;
@@ -1,23 +1,14 @@
 const express = require('express');
 const config = require('../../config/config');
-const {
-  runAgent,
-  runGeminiAgent,
-  createScopeErrorResponse,
-  validateScopeInput,
-} = require('../../agents/marketingAnalyst.agent');
+const { analyze } = require('../../agents/marketingAnalyst.agent');
+const { openEventStream } = require('../../utils/sse');
+const authenticate = require('../../middleware/auth');
+const { authorizeWorkspace } = require('../../services/workspacePermissions');
 
 const router = express.Router();
 
-// Timeout wrapper for Gemini calls (25 seconds to leave buffer for Heroku's 30s limit)
-function withTimeout(promise, ms = 25000) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Gemini timeout - falling back to fast mode')), ms)
-    )
-  ]);
-}
+// The analyst reads the workspace's ad platform and custom data, so callers must be members
+router.use(authenticate);
 
 function validateRequest(body) {
   if (!body.workspaceId || typeof body.workspaceId !== 'string') return 'workspaceId is required';
@@ -26,15 +17,25 @@ function validateRequest(body) {
   return null;
 }
 
-function sendScopeError(res, question, debug, reason) {
-  const finalResponse = createScopeErrorResponse(question, reason);
-  if (debug) {
-    return res.json({
-      result: finalResponse,
-      trace: { validation: ['scope_missing'], plan_steps: [], tool_calls: [] },
-    });
-  }
-  return res.json(finalResponse);
+function buildAgentInput(body) {
+  return {
+    workspaceId: body.workspaceId,
+    question: body.question,
+    dateRange: body.dateRange,
+    compareMode: body.compareMode,
+    primaryKpi: body.primaryKpi,
+    scope: body.scope,
+  };
+}
+
+// Aborted when the client disconnects before the response is finished, so the agent
+// stops calling the model and tools for an answer nobody will read
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
 }
 
 router.post('/analyze', async (req, res) => {
@@ -43,50 +44,59 @@ router.post('/analyze', async (req, res) => {
     return res.status(400).json({ success: false, message: validationError });
   }
 
-  const agentInput = {
-    workspaceId: req.body.workspaceId,
-    question: req.body.question,
-    dateRange: req.body.dateRange,
-    compareMode: req.body.compareMode,
-    primaryKpi: req.body.primaryKpi,
-    scope: req.body.scope,
-  };
-
-  const scopeError = validateScopeInput(req.body.scope);
-  if (scopeError) {
-    return sendScopeError(res, req.body.question, req.body.debug, scopeError);
-  }
-
   try {
-    if (config.useGemini) {
-      console.log('AI analyze mode: gemini (with 25s timeout)');
-      try {
-        const result = await withTimeout(runGeminiAgent(agentInput, { debug: req.body.debug }), 25000);
-        return res.json(result);
-      } catch (err) {
-        console.warn('Gemini agent failed or timed out, falling back to fast mode:', err.message);
-        const fallback = await runAgent(agentInput);
-        if (req.body.debug) {
-          return res.json({
-            result: fallback,
-            trace: { validation: ['deterministic_fallback'], plan_steps: [], tool_calls: [] },
-          });
-        }
-        return res.json(fallback);
-      }
-    }
+    if (!(await authorizeWorkspace(req, res, req.body.workspaceId, 'analysis', 'run'))) return;
 
-    console.log('AI analyze mode: deterministic');
-    const result = await runAgent(agentInput);
+    const signal = abortOnDisconnect(res);
+    const { result, trace } = await analyze(buildAgentInput(req.body), { signal });
     if (req.body.debug) {
-      return res.json({ result, trace: { validation: ['deterministic_mode'], plan_steps: [], tool_calls: [] } });
+      return res.json({ result, trace });
     }
-
     return res.json(result);
   } catch (error) {
+    // The client has gone; there is no one to answer
+    if (res.destroyed) return;
     console.error('AI analyze error:', error.message);
     return res.status(500).json({ success: false, message: 'Unable to run analyst right now' });
   }
 });
 
+// Server-Sent Events variant of /analyze. Streams mode, plan_step, tool_call and finding
+// events while the agent works, then a final event with the validated FinalResponse.
+// Streaming responses are not cut off by the router timeout, so the agent gets the
+// longer stream budget instead of the 25s deadline.
+router.post('/analyze/stream', async (req, res) => {
+  const validationError = validateRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  let stream = null;
+  try {
+    // Checked before the stream opens, so a denied request still gets a plain 403
+    if (!(await authorizeWorkspace(req, res, req.body.workspaceId, 'analysis', 'run'))) return;
+
+    stream = openEventStream(res);
+    const signal = abortOnDisconnect(res);
+    const { result, trace, mode } = await analyze(buildAgentInput(req.body), {
+      onEvent: (event, data) => stream.send(event, data),
+      timeoutMs: config.agent.streamTimeoutMs,
+      timeBudgetMs: config.agent.streamTimeBudgetMs,
+      signal,
+    });
+    stream.send('final', req.body.debug ? { result, trace, mode } : { result, mode });
+  } catch (error) {
+    if (!stream) {
+      console.error('AI analyze stream error:', error.message);
+      return res.status(500).json({ success: false, message: 'Unable to run analyst right now' });
+    }
+    if (!stream.isClosed()) {
+      console.error('AI analyze stream error:', error.message);
+      stream.send('error', { success: false, message: 'Unable to run analyst right now' });
+    }
+  }
+
+  if (stream) stream.close();
+});
+
 module.exports = router;
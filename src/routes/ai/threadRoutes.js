@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getThreads,
+  getThread,
+  createThread,
+  continueThread,
+  deleteThread,
+} = require('../../controllers/analysisThreadController');
+const authenticate = require('../../middleware/auth');
+
+const router = express.Router();
+
+// Threads are shared within a workspace, so every route requires a signed-in member
+router.use(authenticate);
+
+router.get('/', getThreads);
+router.post('/', createThread);
+router.get('/:threadId', getThread);
+router.post('/:threadId/turns', continueThread);
+router.delete('/:threadId', deleteThread);
+
+module.exports = router;
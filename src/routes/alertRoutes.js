@@ -14,8 +14,10 @@ const {
   createCustomAlert,
   updateCustomAlert,
   deleteCustomAlert,
+  dryRunCustomAlert,
 } = require('../controllers/customAlertController');
 const authenticate = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 
 const router = express.Router();
 
@@ -23,8 +25,8 @@ const router = express.Router();
 router.use(authenticate);
 
 // Alert CRUD
-router.get('/workspace/:workspaceId', getWorkspaceAlerts);
-router.get('/workspace/:workspaceId/recent', getRecentAlerts);
+router.get('/workspace/:workspaceId', requireWorkspacePermission('alert', 'read'), getWorkspaceAlerts);
+router.get('/workspace/:workspaceId/recent', requireWorkspacePermission('alert', 'read'), getRecentAlerts);
 router.post('/', createAlert);
 router.put('/:id', updateAlert);
 router.delete('/:id', deleteAlert);
@@ -34,10 +36,11 @@ router.get('/:id/history', getAlertHistory);
 router.post('/history/:historyId/acknowledge', acknowledgeAlert);
 
 // Custom Alert Rules
-router.get('/workspaces/:workspaceId/custom-alerts', getCustomAlerts);
-router.post('/workspaces/:workspaceId/custom-alerts', createCustomAlert);
+router.get('/workspaces/:workspaceId/custom-alerts', requireWorkspacePermission('alert', 'read'), getCustomAlerts);
+router.post('/workspaces/:workspaceId/custom-alerts', requireWorkspacePermission('alert', 'create'), createCustomAlert);
 router.get('/custom-alerts/:alertId', getCustomAlert);
 router.put('/custom-alerts/:alertId', updateCustomAlert);
 router.delete('/custom-alerts/:alertId', deleteCustomAlert);
+router.post('/custom-alerts/:alertId/dry-run', dryRunCustomAlert);
 
 module.exports = router;
@@ -7,6 +7,11 @@ const {
   markAllNotificationsRead,
   deleteNotification,
   getAnomalyStats,
+  getDetectionConfigs,
+  createDetectionConfig,
+  updateDetectionConfig,
+  deleteDetectionConfig,
+  runDetection,
 } = require('../controllers/anomalyController');
 const authenticate = require('../middleware/auth');
 
@@ -18,8 +23,15 @@ router.use(authenticate);
 // Anomaly endpoints
 router.get('/workspaces/:workspaceId/anomalies', getAnomalies);
 router.get('/workspaces/:workspaceId/anomalies/stats', getAnomalyStats);
+router.post('/workspaces/:workspaceId/anomalies/detect', runDetection);
 router.put('/anomalies/:anomalyId/status', updateAnomalyStatus);
 
+// Detection config endpoints
+router.get('/workspaces/:workspaceId/detection-config', getDetectionConfigs);
+router.post('/workspaces/:workspaceId/detection-config', createDetectionConfig);
+router.put('/detection-config/:configId', updateDetectionConfig);
+router.delete('/detection-config/:configId', deleteDetectionConfig);
+
 // Notification endpoints
 router.get('/notifications', getNotifications);
 router.put('/notifications/:notificationId/read', markNotificationRead);
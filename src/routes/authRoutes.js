@@ -1,14 +1,57 @@
 const express = require('express');
-const { register, login, logout, getMe, verifyEmail, resendVerification } = require('../controllers/authController');
+const {
+  register,
+  login,
+  loginTwoFactor,
+  loginTwoFactorSetup,
+  loginTwoFactorEnable,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  getMe,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+} = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require('../controllers/twoFactorController');
 const authenticate = require('../middleware/auth');
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
-router.post('/logout', authenticate, logout);
+// Second login step for two-factor accounts, and enrollment for users a workspace requires it from
+router.post('/login/2fa', loginTwoFactor);
+router.post('/login/2fa/setup', loginTwoFactorSetup);
+router.post('/login/2fa/enable', loginTwoFactorEnable);
+router.post('/refresh', refresh);
+// No authenticate: logging out must work after the access token has expired
+router.post('/logout', logout);
+router.post('/logout-all', authenticate, logoutAll);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:sessionId', authenticate, revokeSession);
 router.get('/me', authenticate, getMe);
 router.get('/verify-email', verifyEmail);
 router.post('/resend-verification', resendVerification);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/change-password', authenticate, changePassword);
+
+// Two-factor authentication for the signed-in user
+router.get('/2fa', authenticate, getTwoFactorStatus);
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+router.post('/2fa/enable', authenticate, enableTwoFactor);
+router.post('/2fa/disable', authenticate, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, regenerateRecoveryCodes);
 
 module.exports = router;
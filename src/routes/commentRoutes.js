@@ -6,6 +6,7 @@ const {
   deleteComment,
 } = require('../controllers/commentController');
 const authenticate = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 
 const router = express.Router();
 
@@ -13,8 +14,8 @@ const router = express.Router();
 router.use(authenticate);
 
 // Comments for a workspace
-router.get('/workspaces/:workspaceId/comments', getComments);
-router.post('/workspaces/:workspaceId/comments', createComment);
+router.get('/workspaces/:workspaceId/comments', requireWorkspacePermission('comment', 'read'), getComments);
+router.post('/workspaces/:workspaceId/comments', requireWorkspacePermission('comment', 'create'), createComment);
 
 // Individual comment operations
 router.put('/comments/:commentId', updateComment);
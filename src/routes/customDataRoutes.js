@@ -1,16 +1,19 @@
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
+const config = require('../config/config');
 const customDataController = require('../controllers/customDataController');
 const authenticate = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 
 // All routes require authentication
 router.use(authenticate);
 
-// Mounted at /api/workspaces/:workspaceId/custom-data - req.params.workspaceId is set by parent
+// Mounted at /api/workspaces/:workspaceId/custom-data - mergeParams exposes the parent's req.params.workspaceId
 
 // Upload and preview file
 router.post(
   '/upload',
+  requireWorkspacePermission('customData', 'create'),
   customDataController.upload,
   customDataController.handleMulterError,
   customDataController.uploadFile
@@ -19,55 +22,167 @@ router.post(
 // Confirm import (after preview)
 router.post(
   '/confirm',
+  requireWorkspacePermission('customData', 'create'),
   customDataController.confirmImport
 );
 
+// Chunked upload for large files, imported in the background
+router.post(
+  '/uploads',
+  requireWorkspacePermission('customData', 'create'),
+  customDataController.createUpload
+);
+
+router.get(
+  '/uploads/:uploadId',
+  requireWorkspacePermission('customData', 'read'),
+  customDataController.getUpload
+);
+
+router.put(
+  '/uploads/:uploadId/chunks/:chunkIndex',
+  requireWorkspacePermission('customData', 'create'),
+  express.raw({ type: () => true, limit: `${config.customDataImport.chunkSizeMb}mb` }),
+  customDataController.uploadChunk
+);
+
+router.post(
+  '/uploads/:uploadId/complete',
+  requireWorkspacePermission('customData', 'create'),
+  customDataController.completeUpload
+);
+
+router.post(
+  '/uploads/:uploadId/import',
+  requireWorkspacePermission('customData', 'create'),
+  customDataController.startImport
+);
+
+// Background import progress, cancellation and resume
+router.get(
+  '/import-jobs/:jobId',
+  requireWorkspacePermission('customData', 'read'),
+  customDataController.getImportJob
+);
+
+router.post(
+  '/import-jobs/:jobId/cancel',
+  requireWorkspacePermission('customData', 'sync'),
+  customDataController.cancelImportJob
+);
+
+router.post(
+  '/import-jobs/:jobId/resume',
+  requireWorkspacePermission('customData', 'sync'),
+  customDataController.resumeImportJob
+);
+
 // Get all custom data sources for workspace
 router.get(
   '/sources',
+  requireWorkspacePermission('customData', 'read'),
   customDataController.getSources
 );
 
 // Get single custom data source
 router.get(
   '/sources/:sourceId',
+  requireWorkspacePermission('customData', 'read'),
   customDataController.getSource
 );
 
 // Update custom data source
 router.put(
   '/sources/:sourceId',
+  requireWorkspacePermission('customData', 'update'),
   customDataController.updateSource
 );
 
 // Delete custom data source
 router.delete(
   '/sources/:sourceId',
+  requireWorkspacePermission('customData', 'delete'),
   customDataController.deleteSource
 );
 
 // Get metrics data for widgets
 router.get(
   '/sources/:sourceId/metrics',
+  requireWorkspacePermission('customData', 'read'),
   customDataController.getMetrics
 );
 
 // Query custom data with advanced filtering
 router.post(
   '/sources/:sourceId/query',
+  requireWorkspacePermission('customData', 'read'),
   customDataController.queryData
 );
 
+// Ask a natural-language question of a source
+router.post(
+  '/sources/:sourceId/ask',
+  requireWorkspacePermission('customData', 'read'),
+  customDataController.askQuestion
+);
+
 // Trigger manual sync for Google Sheets
 router.post(
   '/sources/:sourceId/sync',
+  requireWorkspacePermission('customData', 'sync'),
   customDataController.triggerSync
 );
 
 // Get sync history
 router.get(
   '/sources/:sourceId/sync-history',
+  requireWorkspacePermission('customData', 'read'),
   customDataController.getSyncHistory
 );
 
+// Schema versions and pending schema change
+router.get(
+  '/sources/:sourceId/schema',
+  requireWorkspacePermission('customData', 'read'),
+  customDataController.getSchema
+);
+
+// Approve a pending schema change and resume syncing
+router.post(
+  '/sources/:sourceId/schema/approve',
+  requireWorkspacePermission('customData', 'update'),
+  customDataController.approveSchemaChange
+);
+
+// Data quality rules, scores and quarantine
+router.get(
+  '/sources/:sourceId/quality',
+  requireWorkspacePermission('customData', 'read'),
+  customDataController.getQuality
+);
+
+router.put(
+  '/sources/:sourceId/quality-rules',
+  requireWorkspacePermission('customData', 'update'),
+  customDataController.updateQualityRules
+);
+
+router.get(
+  '/sources/:sourceId/quarantine',
+  requireWorkspacePermission('customData', 'read'),
+  customDataController.getQuarantine
+);
+
+router.post(
+  '/sources/:sourceId/quarantine/readmit',
+  requireWorkspacePermission('customData', 'update'),
+  customDataController.readmitQuarantined
+);
+
+router.post(
+  '/sources/:sourceId/quarantine/discard',
+  requireWorkspacePermission('customData', 'update'),
+  customDataController.discardQuarantined
+);
+
 module.exports = router;
@@ -20,7 +20,9 @@ const {
   getAIImprovements,
   getAIOptions,
   analyzeWidgetWithAI,
+  streamWidgetAnalysis,
   getAIJobStatus,
+  streamAIJobStatus,
 } = require('../controllers/dashboardController');
 const authenticate = require('../middleware/auth');
 
@@ -46,7 +48,9 @@ router.delete('/widgets/:widgetId', deleteWidget);
 
 // AI Widget Analysis
 router.post('/widgets/:widgetId/analyze', analyzeWidgetWithAI);
+router.post('/widgets/:widgetId/analyze/stream', streamWidgetAnalysis);
 router.get('/ai-jobs/:jobId', getAIJobStatus);
+router.get('/ai-jobs/:jobId/stream', streamAIJobStatus);
 
 // Share link management
 router.post('/:dashboardId/share', createShareLink);
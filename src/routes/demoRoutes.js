@@ -4,7 +4,7 @@
  */
 
 const express = require('express');
-const { generate } = require('../ai/geminiClient');
+const llm = require('../ai/providers');
 const {
   generateDashboardFromPrompt,
   AVAILABLE_WIDGETS,
@@ -122,7 +122,7 @@ Return ONLY valid JSON in this exact format (no markdown):
   }
 }`;
 
-    const aiResponse = await generate(prompt);
+    const { text: aiResponse } = await llm.generateText('analyst', { prompt });
     console.log('[Demo] ✅ Gemini 3 responded successfully');
 
     // Parse AI response
@@ -1,25 +1,42 @@
 /**
- * Example experiment API routes.
+ * Experiment API routes.
  *
  * Demonstrates end-to-end execution:
  * - Serving a dashboard view with experiment variants (assignment + exposure)
  * - Logging exposure automatically when the dashboard is loaded
  * - Logging user interaction events (e.g. KPI click) via POST
+ *
+ * Admin routes manage experiment definitions and layers (stored in Postgres).
  */
 
 const express = require('express');
 const abAssignment = require('../middleware/abAssignment');
 const exposureLogging = require('../middleware/exposureLogging');
 const authenticate = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
 const { logEvent } = require('../services/eventLogger');
-const { getTestsConfig, getResults } = require('../services/experimentStore');
+const { getTestsConfig } = require('../services/experimentStore');
+const {
+  listExperiments,
+  getExperiment,
+  createExperiment,
+  updateExperiment,
+  startExperiment,
+  pauseExperiment,
+  completeExperiment,
+  deleteExperiment,
+  getExperimentResults,
+  listLayers,
+  createLayer,
+  updateLayer,
+  deleteLayer,
+} = require('../controllers/experimentController');
 
 const router = express.Router();
 
-// Test IDs are derived from tests.json so new experiments can be added without code changes
-function getDashboardTestIds() {
-  const config = getTestsConfig();
-  return (config.experiments || []).map((e) => e.test_id);
+function variantDescription(experiment, variant) {
+  const match = experiment && experiment.variants.find((v) => v.key === variant);
+  return match ? match.name : null;
 }
 
 /**
@@ -32,23 +49,21 @@ function getDashboardTestIds() {
 router.get(
   '/dashboard',
   abAssignment,
-  exposureLogging(getDashboardTestIds()),
+  exposureLogging(),
   (req, res) => {
-    const config = getTestsConfig();
     const variants = req.abVariants || {};
 
     const variantDescriptions = {};
-    (config.experiments || []).forEach((exp) => {
-      const v = variants[exp.test_id] || 'A';
-      variantDescriptions[exp.test_id] = {
-        variant: v,
-        description: exp.variants[v] || exp.variants.A,
+    Object.entries(variants).forEach(([testId, variant]) => {
+      variantDescriptions[testId] = {
+        variant,
+        description: variantDescription(req.abExperiments[testId], variant),
       };
     });
 
     res.json({
       success: true,
-      variants: req.abVariants,
+      variants,
       variantDescriptions,
       message: 'Dashboard view with experiment variants; exposure has been logged.',
     });
@@ -60,22 +75,34 @@ router.get(
  *
  * Logs a user interaction event (e.g. KPI click, tooltip open).
  * Decoupled from assignment/exposure; triggered by client when action occurs.
- * Body: { event: string, testId?: string, variant?: string }
+ * Body: { event: string, testId?: string, variant?: string, value?: number, properties?: object }
  */
 router.post(
   '/events',
   abAssignment,
-  (req, res) => {
-    const { event, testId, variant } = req.body || {};
+  async (req, res) => {
+    const { event, testId, variant, value, properties } = req.body || {};
 
-    if (!event || typeof event !== 'string') {
+    if (!event || typeof event !== 'string' || event.length > 100) {
       return res.status(400).json({
         success: false,
         error: 'Missing or invalid "event" in body',
       });
     }
 
-    logEvent(req, event, { testId, variant });
+    if (value !== undefined && value !== null && !Number.isFinite(Number(value))) {
+      return res.status(400).json({
+        success: false,
+        error: '"value" must be a number',
+      });
+    }
+
+    await logEvent(req, event, {
+      testId,
+      variant,
+      value: value === undefined || value === null ? undefined : Number(value),
+      properties: properties && typeof properties === 'object' && !Array.isArray(properties) ? properties : undefined,
+    });
 
     res.json({
       success: true,
@@ -102,9 +129,8 @@ router.get(
   exposureLogging([PRICING_EXPERIMENT_ID]),
   (req, res) => {
     const variant = req.abVariants?.[PRICING_EXPERIMENT_ID] || 'A';
-    const config = getTestsConfig();
-    const exp = (config.experiments || []).find((e) => e.test_id === PRICING_EXPERIMENT_ID);
-    const description = exp?.variants?.[variant] || (variant === 'A' ? 'standard_cta' : 'value_cta');
+    const description = variantDescription(req.abExperiments?.[PRICING_EXPERIMENT_ID], variant)
+      || (variant === 'A' ? 'standard_cta' : 'value_cta');
 
     res.json({
       success: true,
@@ -119,22 +145,38 @@ router.get(
 /**
  * GET /api/experiments/config
  *
- * Returns active experiments (for clients or simulation).
+ * Returns live experiments (for clients or simulation).
  */
-router.get('/config', (req, res) => {
-  const config = getTestsConfig();
-  res.json({ success: true, ...config });
+router.get('/config', async (req, res) => {
+  try {
+    const config = await getTestsConfig();
+    res.json({ success: true, ...config });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load experiments' });
+  }
 });
 
 /**
  * GET /api/experiments/results
  *
- * Admin-only: aggregated A/B results (exposures, events, conversion rate per variant).
+ * Aggregated results (exposures, events, conversion rate per variant).
  * Requires authentication so only admins / logged-in users can track results.
  */
-router.get('/results', authenticate, (req, res) => {
-  const data = getResults();
-  res.json({ success: true, ...data });
-});
+router.get('/results', authenticate, getExperimentResults);
+
+// Experiment and layer management (admin only)
+router.get('/layers', authenticate, requireAdmin, listLayers);
+router.post('/layers', authenticate, requireAdmin, createLayer);
+router.patch('/layers/:layerId', authenticate, requireAdmin, updateLayer);
+router.delete('/layers/:layerId', authenticate, requireAdmin, deleteLayer);
+
+router.get('/', authenticate, requireAdmin, listExperiments);
+router.post('/', authenticate, requireAdmin, createExperiment);
+router.get('/:experimentId', authenticate, requireAdmin, getExperiment);
+router.patch('/:experimentId', authenticate, requireAdmin, updateExperiment);
+router.delete('/:experimentId', authenticate, requireAdmin, deleteExperiment);
+router.post('/:experimentId/start', authenticate, requireAdmin, startExperiment);
+router.post('/:experimentId/pause', authenticate, requireAdmin, pauseExperiment);
+router.post('/:experimentId/complete', authenticate, requireAdmin, completeExperiment);
 
 module.exports = router;
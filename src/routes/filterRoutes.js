@@ -7,6 +7,7 @@ const {
   deleteSavedFilter,
 } = require('../controllers/filterController');
 const authenticate = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 
 const router = express.Router();
 
@@ -14,8 +15,8 @@ const router = express.Router();
 router.use(authenticate);
 
 // Saved filters for a workspace
-router.get('/workspaces/:workspaceId/filters', getSavedFilters);
-router.post('/workspaces/:workspaceId/filters', createSavedFilter);
+router.get('/workspaces/:workspaceId/filters', requireWorkspacePermission('filter', 'read'), getSavedFilters);
+router.post('/workspaces/:workspaceId/filters', requireWorkspacePermission('filter', 'create'), createSavedFilter);
 
 // Individual filter operations
 router.get('/filters/:filterId', getSavedFilter);
@@ -7,6 +7,7 @@ const {
   deleteGoal,
 } = require('../controllers/goalController');
 const authenticate = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 
 const router = express.Router();
 
@@ -14,8 +15,8 @@ const router = express.Router();
 router.use(authenticate);
 
 // Goals for a workspace
-router.get('/workspaces/:workspaceId/goals', getGoals);
-router.post('/workspaces/:workspaceId/goals', createGoal);
+router.get('/workspaces/:workspaceId/goals', requireWorkspacePermission('goal', 'read'), getGoals);
+router.post('/workspaces/:workspaceId/goals', requireWorkspacePermission('goal', 'create'), createGoal);
 
 // Individual goal operations
 router.get('/goals/:goalId', getGoal);
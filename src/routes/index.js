@@ -5,6 +5,7 @@ const authRoutes = require('./authRoutes');
 const adminRoutes = require('./adminRoutes');
 const oauthRoutes = require('./oauthRoutes');
 const workspaceRoutes = require('./workspaceRoutes');
+const inviteRoutes = require('./inviteRoutes');
 const dashboardRoutes = require('./dashboardRoutes');
 const metricsRoutes = require('./metricsRoutes');
 const alertRoutes = require('./alertRoutes');
@@ -22,6 +23,7 @@ const linkedinRoutes = require('./linkedinRoutes');
 const unifiedReportingRoutes = require('./unifiedReportingRoutes');
 const customDataRoutes = require('./customDataRoutes');
 const aiRoutes = require('./ai/analyzeRoutes');
+const aiThreadRoutes = require('./ai/threadRoutes');
 const webhookRoutes = require('./webhookRoutes');
 const websiteAuditRoutes = require('./websiteAuditRoutes');
 const experimentRoutes = require('./experimentRoutes');
@@ -38,6 +40,7 @@ router.use('/oauth', oauthRoutes);
 // More specific path first so /workspaces/:id/custom-data/* is handled by customDataRoutes
 router.use('/workspaces/:workspaceId/custom-data', customDataRoutes);
 router.use('/workspaces', workspaceRoutes);
+router.use('/invites', inviteRoutes);
 router.use('/dashboards', dashboardRoutes);
 router.use('/metrics', metricsRoutes);
 router.use('/alerts', alertRoutes);
@@ -56,6 +59,7 @@ router.use('/unified', unifiedReportingRoutes);
 router.use('/webhooks', webhookRoutes);
 router.use('/website-audit', websiteAuditRoutes);
 router.use('/experiments', experimentRoutes);
+router.use('/ai/threads', aiThreadRoutes);
 router.use('/ai', aiRoutes);
 router.use('/demo', demoRoutes);
 router.use('/insights', insightsRoutes);
@@ -0,0 +1,12 @@
+const express = require('express');
+const { getInvite, acceptInvite, declineInvite } = require('../controllers/invitationController');
+const authenticate = require('../middleware/auth');
+
+const router = express.Router();
+
+// The signed token in the link identifies the invitation; accepting also needs the invited account
+router.get('/:token', getInvite);
+router.post('/:token/accept', authenticate, acceptInvite);
+router.post('/:token/decline', declineInvite);
+
+module.exports = router;
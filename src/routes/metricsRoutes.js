@@ -1,5 +1,10 @@
 const express = require('express');
-const { getAccountMetrics, getWidgetMetrics } = require('../controllers/metricsController');
+const {
+  getAccountMetrics,
+  getWidgetMetrics,
+  syncAccountMetrics,
+  getSyncJobs,
+} = require('../controllers/metricsController');
 const authenticate = require('../middleware/auth');
 
 const router = express.Router();
@@ -10,6 +15,10 @@ router.use(authenticate);
 // Get metrics for a specific ad account
 router.get('/account/:adAccountId', getAccountMetrics);
 
+// Metrics warehouse sync for an ad account
+router.post('/account/:adAccountId/sync', syncAccountMetrics);
+router.get('/account/:adAccountId/sync-jobs', getSyncJobs);
+
 // Get metrics for a specific widget
 router.get('/widget/:widgetId', getWidgetMetrics);
 
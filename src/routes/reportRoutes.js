@@ -9,6 +9,7 @@ const {
   getExecutionHistory,
 } = require('../controllers/reportController');
 const authenticate = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 
 const router = express.Router();
 
@@ -16,8 +17,8 @@ const router = express.Router();
 router.use(authenticate);
 
 // Scheduled reports for a workspace
-router.get('/workspaces/:workspaceId/reports', getScheduledReports);
-router.post('/workspaces/:workspaceId/reports', createScheduledReport);
+router.get('/workspaces/:workspaceId/reports', requireWorkspacePermission('report', 'read'), getScheduledReports);
+router.post('/workspaces/:workspaceId/reports', requireWorkspacePermission('report', 'create'), createScheduledReport);
 
 // Individual report operations
 router.get('/reports/:reportId', getScheduledReport);
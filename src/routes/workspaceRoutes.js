@@ -5,12 +5,23 @@ const {
   createWorkspace,
   updateWorkspace,
   deleteWorkspace,
+  updateTwoFactorRequirement,
   getWorkspaceMembers,
   addWorkspaceMember,
   removeWorkspaceMember,
   getWorkspaceAccounts,
   getWorkspaceDashboards,
 } = require('../controllers/workspaceController');
+const {
+  createWorkspaceInvite,
+  getWorkspaceInvites,
+  revokeWorkspaceInvite,
+} = require('../controllers/invitationController');
+const {
+  getApiKeys,
+  createWorkspaceApiKey,
+  revokeApiKey,
+} = require('../controllers/apiKeyController');
 const authenticate = require('../middleware/auth');
 
 const router = express.Router();
@@ -24,12 +35,23 @@ router.get('/:id', getWorkspaceById);
 router.post('/', createWorkspace);
 router.put('/:id', updateWorkspace);
 router.delete('/:id', deleteWorkspace);
+router.put('/:id/two-factor', updateTwoFactorRequirement);
 
 // Workspace members
 router.get('/:id/members', getWorkspaceMembers);
 router.post('/:id/members', addWorkspaceMember);
 router.delete('/:id/members/:userId', removeWorkspaceMember);
 
+// Email invitations
+router.get('/:id/invites', getWorkspaceInvites);
+router.post('/:id/invites', createWorkspaceInvite);
+router.delete('/:id/invites/:inviteId', revokeWorkspaceInvite);
+
+// API keys for scripts and ETL jobs
+router.get('/:id/api-keys', getApiKeys);
+router.post('/:id/api-keys', createWorkspaceApiKey);
+router.delete('/:id/api-keys/:keyId', revokeApiKey);
+
 // Workspace accounts and dashboards
 router.get('/:id/accounts', getWorkspaceAccounts);
 router.get('/:id/dashboards', getWorkspaceDashboards);
@@ -1,7 +1,13 @@
 const app = require('./app');
 const config = require('./config/config');
 const reportScheduler = require('./services/reportScheduler');
+const alertEvaluator = require('./services/alertEvaluator');
+const anomalyDetector = require('./services/anomalyDetector');
+const customAlertEngine = require('./services/customAlertEngine');
+const metricsWarehouse = require('./services/metricsWarehouse');
+const productAnalytics = require('./services/productAnalytics');
 const customDataSyncScheduler = require('./jobs/customDataSyncScheduler');
+const customDataImporter = require('./services/customDataImporter');
 const { initRedis } = require('./config/redis');
 
 // Store scheduler instances
@@ -21,8 +27,26 @@ const server = app.listen(config.port, async () => {
   // Start the report scheduler
   reportScheduler.start();
 
+  // Start the threshold alert evaluator
+  alertEvaluator.start();
+
+  // Start the daily anomaly detector
+  anomalyDetector.start();
+
+  // Start the custom alert rule engine
+  customAlertEngine.start();
+
+  // Start the metrics warehouse sync
+  metricsWarehouse.start();
+
+  // Start the product KPI computation
+  productAnalytics.start();
+
   // Start the custom data sync scheduler
   syncSchedulerInstance = customDataSyncScheduler.startScheduler();
+
+  // Start the background importer for large custom data files
+  customDataImporter.start();
 });
 
 // Handle unhandled promise rejections
@@ -38,11 +62,29 @@ process.on('SIGTERM', () => {
   // Stop the report scheduler
   reportScheduler.stop();
 
+  // Stop the threshold alert evaluator
+  alertEvaluator.stop();
+
+  // Stop the daily anomaly detector
+  anomalyDetector.stop();
+
+  // Stop the custom alert rule engine
+  customAlertEngine.stop();
+
+  // Stop the metrics warehouse sync
+  metricsWarehouse.stop();
+
+  // Stop the product KPI computation
+  productAnalytics.stop();
+
   // Stop the custom data sync scheduler
   if (syncSchedulerInstance) {
     syncSchedulerInstance.stop();
   }
 
+  // Stop the custom data importer; running imports resume from their checkpoint on the next start
+  customDataImporter.stop();
+
   server.close(() => {
     console.log('Process terminated');
   });
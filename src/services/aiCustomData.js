@@ -1,28 +1,24 @@
 /**
  * AI Custom Data Service
- * Uses Claude API for intelligent column detection, visualization suggestions,
- * and natural language query support for custom imported data
+ * Uses the LLM provider registry for intelligent column detection, visualization
+ * suggestions, and natural language query support for custom imported data
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
-const config = require('../config/config');
+const llm = require('../ai/providers');
 
 /**
  * Detect schema from sample data using AI
  * @param {Array} sampleRows - Sample rows from uploaded file (first 10-20 rows)
  * @param {string} filename - Original filename for context
  * @param {Object} basicDetection - Basic regex-based detection results
+ * @param {string} workspaceId - Workspace the usage is recorded against
  * @returns {Object} Enhanced schema with AI-detected types and roles
  */
-async function detectSchema(sampleRows, filename, basicDetection = {}) {
-  if (!config.anthropic?.apiKey) {
-    throw new Error('Anthropic API key not configured. Please set ANTHROPIC_API_KEY in environment variables.');
+async function detectSchema(sampleRows, filename, basicDetection = {}, workspaceId = null) {
+  if (!llm.isAvailable('customData')) {
+    throw new Error('No AI provider configured. Please set ANTHROPIC_API_KEY, GEMINI_API_KEY or LLM_PROVIDERS in environment variables.');
   }
 
-  const anthropic = new Anthropic({
-    apiKey: config.anthropic.apiKey,
-  });
-
   const systemPrompt = `You are an expert data analyst specializing in identifying data types and structures in business data files.
 
 Your task is to analyze sample rows from a data file and determine:
@@ -62,13 +58,11 @@ Respond ONLY with valid JSON in this exact format:
 }`;
 
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 4096,
-      messages: [
-        {
-          role: 'user',
-          content: `Analyze this data file and detect the schema:
+    const { text: responseText, usage } = await llm.generateText('customData', {
+      workspaceId,
+      system: systemPrompt,
+      maxTokens: 4096,
+      prompt: `Analyze this data file and detect the schema:
 
 Filename: ${filename}
 
@@ -78,13 +72,9 @@ ${JSON.stringify(sampleRows, null, 2)}
 ${basicDetection.columns ? `\nBasic regex-based detection results:\n${JSON.stringify(basicDetection, null, 2)}` : ''}
 
 Provide a detailed schema analysis with column types, roles, and recommendations.`,
-        },
-      ],
-      system: systemPrompt,
     });
 
     // Extract JSON from response
-    const responseText = message.content[0].text;
     let jsonStr = responseText;
     const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
     if (jsonMatch) {
@@ -92,11 +82,15 @@ Provide a detailed schema analysis with column types, roles, and recommendations
     }
 
     const schema = JSON.parse(jsonStr.trim());
+    // Callers fall back to basic detection when the model describes no columns
+    if (!Array.isArray(schema.columns) || schema.columns.length === 0) {
+      throw new Error('AI schema detection returned no columns');
+    }
 
     return {
       success: true,
       schema,
-      tokensUsed: message.usage?.input_tokens + message.usage?.output_tokens,
+      tokensUsed: usage.inputTokens + usage.outputTokens,
     };
   } catch (error) {
     console.error('AI schema detection error:', error);
@@ -109,17 +103,14 @@ Provide a detailed schema analysis with column types, roles, and recommendations
  * @param {Object} schema - Detected schema from detectSchema()
  * @param {Array} sampleData - Sample data rows
  * @param {string} dataContext - Additional context about the data (optional)
+ * @param {string} workspaceId - Workspace the usage is recorded against
  * @returns {Object} Visualization recommendations
  */
-async function suggestVisualizations(schema, sampleData, dataContext = '') {
-  if (!config.anthropic?.apiKey) {
-    throw new Error('Anthropic API key not configured');
+async function suggestVisualizations(schema, sampleData, dataContext = '', workspaceId = null) {
+  if (!llm.isAvailable('customData')) {
+    throw new Error('No AI provider configured');
   }
 
-  const anthropic = new Anthropic({
-    apiKey: config.anthropic.apiKey,
-  });
-
   const AVAILABLE_WIDGET_TYPES = [
     'kpi_card',      // Single metric display
     'line_chart',    // Time series data
@@ -164,13 +155,11 @@ Respond ONLY with valid JSON in this exact format:
 }`;
 
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 3072,
-      messages: [
-        {
-          role: 'user',
-          content: `Suggest visualizations for this custom data:
+    const { text: responseText, usage } = await llm.generateText('customData', {
+      workspaceId,
+      system: systemPrompt,
+      maxTokens: 3072,
+      prompt: `Suggest visualizations for this custom data:
 
 Schema:
 ${JSON.stringify(schema, null, 2)}
@@ -181,12 +170,8 @@ ${JSON.stringify(sampleData.slice(0, 5), null, 2)}
 ${dataContext ? `\nAdditional context: ${dataContext}` : ''}
 
 Recommend 4-8 widgets that would create an insightful dashboard for this data.`,
-        },
-      ],
-      system: systemPrompt,
     });
 
-    const responseText = message.content[0].text;
     let jsonStr = responseText;
     const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
     if (jsonMatch) {
@@ -198,7 +183,7 @@ Recommend 4-8 widgets that would create an insightful dashboard for this data.`,
     return {
       success: true,
       recommendations,
-      tokensUsed: message.usage?.input_tokens + message.usage?.output_tokens,
+      tokensUsed: usage.inputTokens + usage.outputTokens,
     };
   } catch (error) {
     console.error('AI visualization suggestion error:', error);
@@ -210,17 +195,14 @@ Recommend 4-8 widgets that would create an insightful dashboard for this data.`,
  * Analyze data quality and provide insights
  * @param {Array} data - Full dataset or large sample
  * @param {Object} schema - Detected schema
+ * @param {string} workspaceId - Workspace the usage is recorded against
  * @returns {Object} Data quality analysis
  */
-async function analyzeDataQuality(data, schema) {
-  if (!config.anthropic?.apiKey) {
-    throw new Error('Anthropic API key not configured');
+async function analyzeDataQuality(data, schema, workspaceId = null) {
+  if (!llm.isAvailable('customData')) {
+    throw new Error('No AI provider configured');
   }
 
-  const anthropic = new Anthropic({
-    apiKey: config.anthropic.apiKey,
-  });
-
   // Calculate basic statistics
   const stats = calculateBasicStats(data, schema);
 
@@ -252,13 +234,11 @@ Respond ONLY with valid JSON in this exact format:
 }`;
 
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 2048,
-      messages: [
-        {
-          role: 'user',
-          content: `Analyze the data quality for this dataset:
+    const { text: responseText, usage } = await llm.generateText('customData', {
+      workspaceId,
+      system: systemPrompt,
+      maxTokens: 2048,
+      prompt: `Analyze the data quality for this dataset:
 
 Schema:
 ${JSON.stringify(schema, null, 2)}
@@ -272,12 +252,8 @@ ${JSON.stringify(data.slice(0, 10), null, 2)}
 Total rows: ${data.length}
 
 Provide a comprehensive data quality analysis.`,
-        },
-      ],
-      system: systemPrompt,
     });
 
-    const responseText = message.content[0].text;
     let jsonStr = responseText;
     const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
     if (jsonMatch) {
@@ -289,7 +265,7 @@ Provide a comprehensive data quality analysis.`,
     return {
       success: true,
       analysis,
-      tokensUsed: message.usage?.input_tokens + message.usage?.output_tokens,
+      tokensUsed: usage.inputTokens + usage.outputTokens,
     };
   } catch (error) {
     console.error('Data quality analysis error:', error);
@@ -301,17 +277,14 @@ Provide a comprehensive data quality analysis.`,
  * Convert natural language query to filters and aggregations
  * @param {string} prompt - Natural language query (e.g., "Show me total revenue by region for last quarter")
  * @param {Object} schema - Available columns and their types
+ * @param {string} workspaceId - Workspace the usage is recorded against
  * @returns {Object} Structured query configuration
  */
-async function generateNaturalLanguageQuery(prompt, schema) {
-  if (!config.anthropic?.apiKey) {
-    throw new Error('Anthropic API key not configured');
+async function generateNaturalLanguageQuery(prompt, schema, workspaceId = null) {
+  if (!llm.isAvailable('customData')) {
+    throw new Error('No AI provider configured');
   }
 
-  const anthropic = new Anthropic({
-    apiKey: config.anthropic.apiKey,
-  });
-
   const systemPrompt = `You are an expert at translating natural language queries into structured data queries.
 
 Available columns and types:
@@ -320,13 +293,13 @@ ${JSON.stringify(schema.columns, null, 2)}
 Respond ONLY with valid JSON in this exact format:
 {
   "metric": "column_name",
-  "aggregation": "sum|avg|count|min|max",
+  "aggregation": "sum|avg|count|min|max|median|p90|p95|p99",
   "groupBy": ["dimension_column"],
   "filters": [
     {
       "column": "column_name",
-      "operator": "equals|contains|greater_than|less_than|between",
-      "value": "value or array for between"
+      "operator": "equals|not_equals|contains|not_contains|starts_with|greater_than|less_than|between|in|not_in",
+      "value": "value, [from, to] for between or a list for in/not_in"
     }
   ],
   "dateRange": {
@@ -343,26 +316,23 @@ Respond ONLY with valid JSON in this exact format:
 }`;
 
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 1024,
-      messages: [
-        {
-          role: 'user',
-          content: `Convert this natural language query into a structured query:
+    const { text: responseText, usage } = await llm.generateText('customData', {
+      workspaceId,
+      system: systemPrompt,
+      maxTokens: 1024,
+      prompt: `Convert this natural language query into a structured query:
 
 Query: "${prompt}"
 
+Today's date: ${new Date().toISOString().split('T')[0]}
+
 Available schema:
 ${JSON.stringify(schema, null, 2)}
 
+Use exact YYYY-MM-DD dates for periods such as "last quarter" or "March", and null for dateRange when the query has no time period.
 Generate a structured query that can be executed against this custom data.`,
-        },
-      ],
-      system: systemPrompt,
     });
 
-    const responseText = message.content[0].text;
     let jsonStr = responseText;
     const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
     if (jsonMatch) {
@@ -374,7 +344,7 @@ Generate a structured query that can be executed against this custom data.`,
     return {
       success: true,
       query,
-      tokensUsed: message.usage?.input_tokens + message.usage?.output_tokens,
+      tokensUsed: usage.inputTokens + usage.outputTokens,
     };
   } catch (error) {
     console.error('Natural language query generation error:', error);
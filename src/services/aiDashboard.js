@@ -1,10 +1,9 @@
 /**
  * AI Dashboard Generation Service
- * Uses Gemini API to generate dashboards from natural language prompts
+ * Generates dashboards from natural language prompts via the LLM provider registry
  */
 
-const geminiClient = require('../ai/geminiClient');
-const config = require('../config/config');
+const llm = require('../ai/providers');
 const CustomDataSource = require('../models/CustomDataSource');
 
 // Available widget types and metrics for context
@@ -54,8 +53,8 @@ const AVAILABLE_METRICS = [
 async function generateDashboardFromPrompt(prompt, options = {}) {
   const { adAccountId, workspaceId, platform = 'meta', customSourceIds = [] } = options;
 
-  if (!config.geminiApiKey) {
-    throw new Error('Gemini API key not configured. Please set GEMINI_API_KEY in environment variables.');
+  if (!llm.isAvailable('dashboard')) {
+    throw new Error('No AI provider configured. Please set GEMINI_API_KEY, ANTHROPIC_API_KEY or LLM_PROVIDERS in environment variables.');
   }
 
   // Fetch custom data sources if provided
@@ -187,7 +186,7 @@ Respond ONLY with valid JSON in this exact format (no markdown, no code blocks,
   try {
     console.log('[AI Dashboard Service] Generating dashboard with Gemini AI...');
     console.log('[AI Dashboard Service] Prompt length:', fullPrompt.length);
-    const responseText = await geminiClient.generate(fullPrompt);
+    const { text: responseText, usage } = await llm.generateText('dashboard', { prompt: fullPrompt, workspaceId });
     console.log('[AI Dashboard Service] Response received, length:', responseText?.length);
 
     // Parse JSON from response (handle potential markdown code blocks)
@@ -216,7 +215,7 @@ Respond ONLY with valid JSON in this exact format (no markdown, no code blocks,
     return {
       success: true,
       dashboard: validatedConfig,
-      tokensUsed: 0, // Gemini doesn't report tokens the same way
+      tokensUsed: usage.inputTokens + usage.outputTokens,
     };
   } catch (error) {
     console.error('[AI Dashboard Service] Error:', error.message);
@@ -345,10 +344,11 @@ function validateAndEnhanceConfig(config, options) {
 
 /**
  * Generate dashboard recommendations based on existing data using Gemini
+ * @param {string} workspaceId - Workspace the usage is recorded against
  */
-async function generateRecommendations(dashboardId, metrics) {
-  if (!config.geminiApiKey) {
-    throw new Error('Gemini API key not configured');
+async function generateRecommendations(dashboardId, metrics, workspaceId = null) {
+  if (!llm.isAvailable('dashboard')) {
+    throw new Error('No AI provider configured');
   }
 
   const fullPrompt = `You are an expert advertising analyst. Analyze the provided metrics and generate actionable recommendations.
@@ -372,7 +372,7 @@ Provide recommendations in this exact JSON format (no markdown, no code blocks,
 }`;
 
   try {
-    const responseText = await geminiClient.generate(fullPrompt);
+    const { text: responseText } = await llm.generateText('dashboard', { prompt: fullPrompt, workspaceId });
 
     let jsonStr = responseText.trim();
     const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
@@ -396,10 +396,11 @@ Provide recommendations in this exact JSON format (no markdown, no code blocks,
 
 /**
  * Suggest improvements for an existing dashboard using Gemini
+ * @param {string} workspaceId - Workspace the usage is recorded against
  */
-async function suggestDashboardImprovements(currentWidgets, userGoals) {
-  if (!config.geminiApiKey) {
-    throw new Error('Gemini API key not configured');
+async function suggestDashboardImprovements(currentWidgets, userGoals, workspaceId = null) {
+  if (!llm.isAvailable('dashboard')) {
+    throw new Error('No AI provider configured');
   }
 
   const fullPrompt = `You are an expert dashboard designer. Analyze the current dashboard configuration and suggest improvements.
@@ -429,7 +430,7 @@ Provide suggestions in this exact JSON format (no markdown, no code blocks, just
 }`;
 
   try {
-    const responseText = await geminiClient.generate(fullPrompt);
+    const { text: responseText } = await llm.generateText('dashboard', { prompt: fullPrompt, workspaceId });
 
     let jsonStr = responseText.trim();
     const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
@@ -1,47 +1,33 @@
-const Anthropic = require('@anthropic-ai/sdk');
-const config = require('../config/config');
+const llm = require('../ai/providers');
 
 /**
  * AI Website Audit Service
  *
  * Provides critical business impact analysis and actionable recommendations for website tracking
- * using Claude API. Acts as a brutal but fair marketing technology auditor.
+ * through the LLM provider registry. Acts as a brutal but fair marketing technology auditor.
  */
 class AIWebsiteAuditService {
   constructor() {
-    this.anthropic = null;
-    this.initializeClient();
-  }
-
-  /**
-   * Initialize Anthropic client
-   */
-  initializeClient() {
-    if (!config.anthropic?.apiKey) {
-      console.warn('[AI Website Audit] Anthropic API key not configured. Audit analysis features will be disabled.');
-      this.anthropic = null;
-      return;
+    if (!this.isAvailable()) {
+      console.warn('[AI Website Audit] No AI provider configured. Audit analysis features will be disabled.');
     }
-
-    this.anthropic = new Anthropic({
-      apiKey: config.anthropic.apiKey,
-    });
   }
 
   /**
    * Check if service is available
    */
   isAvailable() {
-    return this.anthropic !== null;
+    return llm.isAvailable('websiteAudit');
   }
 
   /**
    * Analyze business impact of technical findings
    * @param {Object} technicalFindings - Technical findings from websiteAuditService
    * @param {string} websiteUrl - Website URL being audited
+   * @param {string} workspaceId - Workspace the usage is recorded against
    * @returns {Object} Business impact analysis with recommendations
    */
-  async analyzeBusinessImpact(technicalFindings, websiteUrl) {
+  async analyzeBusinessImpact(technicalFindings, websiteUrl, workspaceId = null) {
     try {
       // Check if service is available
       if (!this.isAvailable()) {
@@ -56,25 +42,18 @@ class AIWebsiteAuditService {
       // Build analysis prompt
       const prompt = this.buildAnalysisPrompt(technicalFindings, websiteUrl);
 
-      // Call Claude API
-      const message = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 16384, // Increased to ensure full JSON response with all platforms and recommendations
+      const { text: responseText, usage } = await llm.generateText('websiteAudit', {
+        workspaceId,
         system: this.getSystemPrompt(),
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
+        prompt,
+        maxTokens: 16384, // Increased to ensure full JSON response with all platforms and recommendations
       });
 
       // Parse response
-      const responseText = message.content[0].text;
       const analysis = this.parseAnalysisResponse(responseText);
 
       // Add token usage
-      analysis.tokensUsed = (message.usage?.input_tokens || 0) + (message.usage?.output_tokens || 0);
+      analysis.tokensUsed = usage.inputTokens + usage.outputTokens;
 
       return analysis;
 
@@ -1,45 +1,17 @@
-const Anthropic = require('@anthropic-ai/sdk');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const config = require('../config/config');
+const llm = require('../ai/providers');
+
+// Per-provider deadline for a single widget analysis
+const WIDGET_ANALYSIS_TIMEOUT_MS = 45000;
 
 /**
  * AI Widget Analysis Service
  *
  * Provides critical performance analysis and actionable recommendations for dashboard widgets
- * using Gemini (preferred) or Claude API. Focuses on business impact, ROI, and cost efficiency.
+ * through the LLM provider registry. Focuses on business impact, ROI, and cost efficiency.
  */
 class AIWidgetAnalysisService {
   constructor() {
-    this.anthropic = null;
-    this.gemini = null;
-    this.geminiModel = null;
-    this.initializeClients();
-  }
-
-  /**
-   * Initialize AI clients (Gemini preferred, Anthropic fallback)
-   */
-  initializeClients() {
-    // Initialize Gemini (preferred - faster)
-    if (config.useGemini && config.geminiApiKey) {
-      try {
-        this.gemini = new GoogleGenerativeAI(config.geminiApiKey);
-        this.geminiModel = this.gemini.getGenerativeModel({ model: config.geminiModel || 'gemini-3-flash-preview' });
-        console.log('[AI Widget Analysis] Gemini client initialized (preferred)');
-      } catch (error) {
-        console.warn('[AI Widget Analysis] Failed to initialize Gemini:', error.message);
-      }
-    }
-
-    // Initialize Anthropic (fallback)
-    if (config.anthropic?.apiKey) {
-      this.anthropic = new Anthropic({
-        apiKey: config.anthropic.apiKey,
-      });
-      console.log('[AI Widget Analysis] Anthropic client initialized (fallback)');
-    }
-
-    if (!this.gemini && !this.anthropic) {
+    if (!this.isAvailable()) {
       console.warn('[AI Widget Analysis] No AI providers configured. Widget analysis features will be disabled.');
     }
   }
@@ -48,7 +20,7 @@ class AIWidgetAnalysisService {
    * Check if service is available
    */
   isAvailable() {
-    return this.gemini !== null || this.anthropic !== null;
+    return llm.isAvailable('widgetAnalysis');
   }
 
   /**
@@ -56,10 +28,12 @@ class AIWidgetAnalysisService {
    *
    * @param {Object} widget - Widget configuration
    * @param {Object} metricsData - Current metrics data
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options; options.onProgress(message) is called at each stage,
+   *   options.workspaceId is the workspace the usage is recorded against
    * @returns {Object} AI analysis with insights and recommendations
    */
   async analyzeWidget(widget, metricsData, options = {}) {
+    const onProgress = options.onProgress || (() => {});
     try {
       // Check if service is available
       if (!this.isAvailable()) {
@@ -78,24 +52,30 @@ class AIWidgetAnalysisService {
       }
 
       // Build analysis prompt
+      onProgress('Preparing widget data for analysis...');
       const prompt = this.buildAnalysisPrompt(widget, metricsData, options);
-      const systemPrompt = this.getSystemPrompt();
-
-      // Try Gemini first (faster), fall back to Anthropic
-      if (this.gemini && this.geminiModel) {
-        try {
-          return await this.analyzeWithGemini(prompt, systemPrompt);
-        } catch (geminiError) {
-          console.warn('[AI Analysis] Gemini failed, falling back to Anthropic:', geminiError.message);
-        }
-      }
 
-      // Fallback to Anthropic
-      if (this.anthropic) {
-        return await this.analyzeWithAnthropic(prompt, systemPrompt);
-      }
+      // The registry falls back through the configured providers in order
+      const [primary] = llm.resolveProviders('widgetAnalysis');
+      onProgress(`Analyzing widget data with ${primary.provider.name}...`);
+      console.log('[AI Analysis] Calling LLM provider registry...');
+
+      const { text, provider, model, usage, durationMs } = await llm.generateText('widgetAnalysis', {
+        system: this.getSystemPrompt(),
+        prompt,
+        maxTokens: 2048,
+        temperature: 0.3,
+        timeout: WIDGET_ANALYSIS_TIMEOUT_MS,
+        workspaceId: options.workspaceId,
+      });
+      console.log(`[AI Analysis] ${provider} (${model}) responded in ${durationMs}ms`);
 
-      throw new Error('No AI provider available');
+      const analysis = this.parseAnalysisResponse(text);
+      analysis.tokensUsed = usage.inputTokens + usage.outputTokens;
+      analysis.provider = provider;
+      analysis.responseTime = durationMs;
+
+      return analysis;
 
     } catch (error) {
       console.error('AI widget analysis error:', error);
@@ -103,80 +83,6 @@ class AIWidgetAnalysisService {
     }
   }
 
-  /**
-   * Promise timeout wrapper
-   */
-  withTimeout(promise, ms, errorMsg = 'Operation timed out') {
-    return Promise.race([
-      promise,
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error(errorMsg)), ms)
-      )
-    ]);
-  }
-
-  /**
-   * Analyze using Gemini (faster)
-   */
-  async analyzeWithGemini(prompt, systemPrompt) {
-    console.log('[AI Analysis] Calling Gemini API...');
-    const startTime = Date.now();
-
-    // 45 second timeout for Gemini API
-    const result = await this.withTimeout(
-      this.geminiModel.generateContent({
-        contents: [{ role: 'user', parts: [{ text: `${systemPrompt}\n\n${prompt}` }] }],
-        generationConfig: {
-          temperature: 0.3,
-          maxOutputTokens: 2048,
-        },
-      }),
-      45000,
-      'Gemini API timed out after 45 seconds'
-    );
-
-    const duration = Date.now() - startTime;
-    console.log(`[AI Analysis] Gemini API responded in ${duration}ms`);
-
-    const responseText = result.response.text();
-    const analysis = this.parseAnalysisResponse(responseText);
-    analysis.provider = 'gemini';
-    analysis.responseTime = duration;
-
-    return analysis;
-  }
-
-  /**
-   * Analyze using Anthropic (fallback)
-   */
-  async analyzeWithAnthropic(prompt, systemPrompt) {
-    console.log('[AI Analysis] Calling Anthropic API with Haiku (fast)...');
-    const startTime = Date.now();
-
-    // 45 second timeout for Anthropic API
-    const message = await this.withTimeout(
-      this.anthropic.messages.create({
-        model: 'claude-3-5-haiku-20241022', // Haiku for faster responses
-        max_tokens: 2048,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: prompt }]
-      }),
-      45000,
-      'Anthropic API timed out after 45 seconds'
-    );
-
-    const duration = Date.now() - startTime;
-    console.log(`[AI Analysis] Anthropic API responded in ${duration}ms`);
-
-    const responseText = message.content[0].text;
-    const analysis = this.parseAnalysisResponse(responseText);
-    analysis.tokensUsed = (message.usage?.input_tokens || 0) + (message.usage?.output_tokens || 0);
-    analysis.provider = 'anthropic';
-    analysis.responseTime = duration;
-
-    return analysis;
-  }
-
   /**
    * Get system prompt for critical analysis (optimized for speed)
    *
@@ -917,22 +823,18 @@ Provide specific insights about how these metrics interact and influence each ot
 
 Return your analysis as valid JSON following the specified structure.`;
 
-      // Call Claude API
-      console.log('[AI Multi-Widget] Calling Claude Sonnet 4.5 for deep analysis...');
-      const startTime = Date.now();
+      console.log('[AI Multi-Widget] Calling LLM provider registry for deep analysis...');
 
-      const message = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-5-20250929', // Sonnet 4.5 for best analysis quality
-        max_tokens: 4096,
+      const { text: responseText, usage, durationMs } = await llm.generateText('widgetDeepAnalysis', {
         system: this.getSystemPrompt(),
-        messages: [{ role: 'user', content: prompt }]
+        prompt,
+        maxTokens: 4096,
       });
 
-      console.log(`[AI Multi-Widget] Completed in ${Date.now() - startTime}ms`);
+      console.log(`[AI Multi-Widget] Completed in ${durationMs}ms`);
 
-      const responseText = message.content[0].text;
       const analysis = this.parseAnalysisResponse(responseText);
-      analysis.tokensUsed = (message.usage?.input_tokens || 0) + (message.usage?.output_tokens || 0);
+      analysis.tokensUsed = usage.inputTokens + usage.outputTokens;
       analysis.widgetsAnalyzed = widgetsData.length;
 
       return analysis;
@@ -1024,24 +926,20 @@ SEASONAL PATTERN ANALYSIS:`;
 
 Return your analysis as valid JSON following the specified structure.`;
 
-      // Call Claude API
-      console.log('[AI Trend Analysis] Calling Claude Sonnet 4.5 for deep analysis...');
-      const startTime = Date.now();
+      console.log('[AI Trend Analysis] Calling LLM provider registry for deep analysis...');
 
-      const message = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-5-20250929', // Sonnet 4.5 for best analysis quality
-        max_tokens: 4096,
+      const { text: responseText, usage, durationMs } = await llm.generateText('widgetDeepAnalysis', {
         system: this.getSystemPrompt(),
-        messages: [{ role: 'user', content: prompt }]
+        prompt,
+        maxTokens: 4096,
       });
 
-      console.log(`[AI Trend Analysis] Completed in ${Date.now() - startTime}ms`);
+      console.log(`[AI Trend Analysis] Completed in ${durationMs}ms`);
 
-      const responseText = message.content[0].text;
       const analysis = this.parseAnalysisResponse(responseText);
 
       // Add Phase 2 metadata
-      analysis.tokensUsed = (message.usage?.input_tokens || 0) + (message.usage?.output_tokens || 0);
+      analysis.tokensUsed = usage.inputTokens + usage.outputTokens;
       analysis.seasonalPatterns = seasonalPatterns;
       analysis.forecast = forecast;
       analysis.historicalComparison = historicalComparison;
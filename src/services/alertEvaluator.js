@@ -0,0 +1,262 @@
+/**
+ * Alert Evaluator Service
+ * Periodically evaluates active threshold alerts against platform metrics
+ * and notifies workspace members when a condition is breached
+ */
+
+const cron = require('node-cron');
+const config = require('../config/config');
+const Alert = require('../models/Alert');
+const Workspace = require('../models/Workspace');
+const emailService = require('./emailService');
+const { getPlatformService } = require('./platforms');
+
+// Length in days of the evaluated window for each comparison period
+const COMPARISON_PERIOD_DAYS = {
+  previous_day: 1,
+  previous_week: 7,
+  previous_month: 30,
+};
+
+// Tolerance used by the "equals" condition
+const EQUALS_TOLERANCE = 0.0001;
+
+class AlertEvaluator {
+  constructor() {
+    this.isRunning = false;
+    this.isEvaluating = false;
+  }
+
+  /**
+   * Start the alert evaluator on the configured cron schedule
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Alert evaluator is already running');
+      return;
+    }
+
+    const schedule = config.alerts.evaluationSchedule;
+    this.mainJob = cron.schedule(schedule, async () => {
+      await this.evaluateAll();
+    });
+
+    this.isRunning = true;
+    console.log(`Alert evaluator started - evaluating active alerts (${schedule})`);
+  }
+
+  /**
+   * Stop the alert evaluator
+   */
+  stop() {
+    if (this.mainJob) {
+      this.mainJob.stop();
+      this.isRunning = false;
+      console.log('Alert evaluator stopped');
+    }
+  }
+
+  /**
+   * Evaluate every active alert once
+   * Skips the run if the previous evaluation is still in progress
+   */
+  async evaluateAll() {
+    if (this.isEvaluating) {
+      console.log('Skipping alert evaluation - previous run still in progress');
+      return;
+    }
+
+    this.isEvaluating = true;
+
+    try {
+      const alerts = await Alert.findActive();
+
+      for (const alert of alerts) {
+        try {
+          await this.evaluateAlert(alert);
+        } catch (error) {
+          console.error(`Error evaluating alert ${alert.name} (${alert.id}):`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading active alerts:', error);
+    } finally {
+      this.isEvaluating = false;
+    }
+  }
+
+  /**
+   * Evaluate a single alert and record/notify when it fires
+   * @param {Object} alert - Row from Alert.findActive()
+   * @returns {Object|null} Created alert_history row, or null if the alert did not fire
+   */
+  async evaluateAlert(alert) {
+    if (this.isInCooldown(alert)) {
+      return null;
+    }
+
+    if (!alert.ad_account_id || !alert.access_token) {
+      console.log(`Skipping alert ${alert.name}: no connected ad account`);
+      return null;
+    }
+
+    if (alert.expires_at && new Date(alert.expires_at) <= new Date()) {
+      console.log(`Skipping alert ${alert.name}: access token expired`);
+      return null;
+    }
+
+    const { current, previous } = this.getEvaluationWindows(alert.comparison_period);
+    const PlatformService = getPlatformService(alert.platform);
+
+    const currentData = await PlatformService.fetchMetrics(
+      alert.account_id, alert.access_token, alert.metric, current.since, current.until, config
+    );
+    if (currentData.error) {
+      console.log(`Skipping alert ${alert.name}: ${currentData.error}`);
+      return null;
+    }
+
+    const value = parseFloat(currentData.value) || 0;
+    let previousValue = null;
+
+    if (alert.condition === 'change_above' || alert.condition === 'change_below') {
+      const previousData = await PlatformService.fetchMetrics(
+        alert.account_id, alert.access_token, alert.metric, previous.since, previous.until, config
+      );
+      if (previousData.error) {
+        console.log(`Skipping alert ${alert.name}: ${previousData.error}`);
+        return null;
+      }
+      previousValue = parseFloat(previousData.value) || 0;
+    }
+
+    const result = this.checkCondition(alert.condition, parseFloat(alert.threshold), value, previousValue);
+    if (!result.triggered) {
+      return null;
+    }
+
+    const message = this.buildMessage(alert, value, result.changePercent, current);
+    const history = await Alert.createHistory(alert.id, result.observed, alert.threshold, message);
+    await Alert.updateLastTriggered(alert.id);
+
+    await this.notify(alert, history, message);
+
+    console.log(`Alert triggered: ${alert.name} (${alert.id})`);
+    return history;
+  }
+
+  /**
+   * Apply an alert condition
+   * Change conditions compare the percent change against the threshold, e.g.
+   * change_above 20 fires on a >20% increase and change_below -20 on a >20% drop.
+   * @returns {Object} { triggered, observed, changePercent }
+   */
+  checkCondition(condition, threshold, value, previousValue) {
+    switch (condition) {
+      case 'above':
+        return { triggered: value > threshold, observed: value, changePercent: null };
+      case 'below':
+        return { triggered: value < threshold, observed: value, changePercent: null };
+      case 'equals':
+        return { triggered: Math.abs(value - threshold) < EQUALS_TOLERANCE, observed: value, changePercent: null };
+      case 'change_above':
+      case 'change_below': {
+        // A percent change is undefined without a previous value
+        if (!previousValue) {
+          return { triggered: false, observed: null, changePercent: null };
+        }
+        const changePercent = ((value - previousValue) / previousValue) * 100;
+        const triggered = condition === 'change_above'
+          ? changePercent > threshold
+          : changePercent < threshold;
+        return { triggered, observed: changePercent, changePercent };
+      }
+      default:
+        return { triggered: false, observed: null, changePercent: null };
+    }
+  }
+
+  /**
+   * Check whether an alert fired recently enough to be suppressed
+   */
+  isInCooldown(alert) {
+    if (!alert.last_triggered_at) {
+      return false;
+    }
+    const cooldownMs = config.alerts.cooldownMinutes * 60 * 1000;
+    return Date.now() - new Date(alert.last_triggered_at).getTime() < cooldownMs;
+  }
+
+  /**
+   * Build the current and previous evaluation windows (complete days, ending yesterday)
+   * @param {string} comparisonPeriod - previous_day, previous_week or previous_month
+   */
+  getEvaluationWindows(comparisonPeriod) {
+    const days = COMPARISON_PERIOD_DAYS[comparisonPeriod] || COMPARISON_PERIOD_DAYS.previous_day;
+    const toDate = (date) => date.toISOString().split('T')[0];
+
+    const currentUntil = new Date();
+    currentUntil.setDate(currentUntil.getDate() - 1);
+    const currentSince = new Date(currentUntil);
+    currentSince.setDate(currentSince.getDate() - (days - 1));
+
+    const previousUntil = new Date(currentSince);
+    previousUntil.setDate(previousUntil.getDate() - 1);
+    const previousSince = new Date(previousUntil);
+    previousSince.setDate(previousSince.getDate() - (days - 1));
+
+    return {
+      current: { since: toDate(currentSince), until: toDate(currentUntil) },
+      previous: { since: toDate(previousSince), until: toDate(previousUntil) },
+    };
+  }
+
+  /**
+   * Build a human-readable alert message
+   */
+  buildMessage(alert, value, changePercent, window) {
+    const period = window.since === window.until ? window.since : `${window.since} to ${window.until}`;
+
+    if (changePercent !== null) {
+      return `${alert.metric} changed ${changePercent.toFixed(1)}% (${value.toFixed(2)}) for ${period}, ` +
+        `crossing the ${alert.condition.replace('_', ' ')} threshold of ${alert.threshold}%`;
+    }
+
+    return `${alert.metric} was ${value.toFixed(2)} for ${period}, ` +
+      `which is ${alert.condition} the threshold of ${alert.threshold}`;
+  }
+
+  /**
+   * Send notifications for a triggered alert on its configured channels
+   */
+  async notify(alert, history, message) {
+    const channels = alert.notification_channels || ['email'];
+    if (!channels.includes('email')) {
+      return;
+    }
+
+    try {
+      const members = await Workspace.getMembers(alert.workspace_id);
+      const recipients = members.map(m => m.email).filter(Boolean);
+
+      await emailService.sendAlertNotification({ to: recipients, alert, message });
+      await Alert.markNotificationSent(history.id);
+    } catch (error) {
+      console.error(`Error sending notification for alert ${alert.name}:`, error);
+    }
+  }
+
+  /**
+   * Get evaluator status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isEvaluating: this.isEvaluating,
+      schedule: config.alerts.evaluationSchedule,
+      cooldownMinutes: config.alerts.cooldownMinutes,
+    };
+  }
+}
+
+module.exports = new AlertEvaluator();
@@ -0,0 +1,480 @@
+/**
+ * Anomaly Detector Service
+ * Daily job that compares per-account and per-campaign metric series against a
+ * rolling robust baseline and records anomalies plus in-app notifications
+ */
+
+const cron = require('node-cron');
+const config = require('../config/config');
+const { query } = require('../config/database');
+const { getPlatformService } = require('./platforms');
+
+// Robust z-score thresholds by anomaly_detection_config.sensitivity
+const SENSITIVITY_Z_THRESHOLDS = {
+  low: 4.5,
+  medium: 3.5,
+  high: 2.5,
+};
+
+// Used for accounts that have no anomaly_detection_config rows
+const DEFAULT_DETECTION_CONFIG = {
+  sensitivity: 'medium',
+  threshold_percent: 20,
+  baseline_period_days: 14,
+  min_data_points: 7,
+};
+
+// Search Console properties do not report ad metrics
+const SEARCH_CONSOLE_DEFAULT_METRICS = ['clicks', 'impressions', 'ctr', 'position'];
+
+// Campaign-level metrics aggregated from the ad_metrics warehouse table
+const CAMPAIGN_METRIC_EXPRESSIONS = {
+  spend: 'SUM(spend)',
+  impressions: 'SUM(impressions)',
+  clicks: 'SUM(clicks)',
+  conversions: 'SUM(conversions)',
+  conversion_value: 'SUM(conversion_value)',
+  reach: 'SUM(reach)',
+  ctr: 'SUM(clicks)::numeric / NULLIF(SUM(impressions), 0) * 100',
+  cpc: 'SUM(spend) / NULLIF(SUM(clicks), 0)',
+  cpm: 'SUM(spend) / NULLIF(SUM(impressions), 0) * 1000',
+  cpa: 'SUM(spend) / NULLIF(SUM(conversions), 0)',
+  cost_per_conversion: 'SUM(spend) / NULLIF(SUM(conversions), 0)',
+  roas: 'SUM(conversion_value) / NULLIF(SUM(spend), 0)',
+};
+
+// Consistency constant that scales the MAD to a standard deviation
+const MAD_SCALE = 1.4826;
+// Same for the mean absolute deviation, used when the MAD is zero
+const MEAN_AD_SCALE = 1.2533;
+// anomalies.deviation_percent is DECIMAL(10, 2)
+const MAX_DEVIATION_PERCENT = 99999999;
+
+/**
+ * Median of a numeric array
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Percent deviation of a value from a baseline, clamped to the column range
+ */
+function percentDeviation(value, baseline) {
+  if (baseline === 0) {
+    return value === 0 ? 0 : (value > 0 ? 100 : -100);
+  }
+  const deviation = ((value - baseline) / Math.abs(baseline)) * 100;
+  return Math.max(-MAX_DEVIATION_PERCENT, Math.min(MAX_DEVIATION_PERCENT, deviation));
+}
+
+/**
+ * Classify severity from the z-score relative to the threshold and the percent deviation
+ */
+function classifySeverity(zScore, zThreshold, deviationPercent) {
+  const ratio = Math.abs(zScore) / zThreshold;
+  const absDeviation = Math.abs(deviationPercent);
+
+  if (ratio >= 3 || absDeviation >= 200) return 'critical';
+  if (ratio >= 2 || absDeviation >= 100) return 'high';
+  if (ratio >= 1.5 || absDeviation >= 50) return 'medium';
+  return 'low';
+}
+
+/**
+ * Detect whether the last point of a daily series is anomalous
+ *
+ * The last point is compared with the preceding `baseline_period_days` points using a
+ * robust z-score (median / MAD). If it is within the overall range, it is also compared
+ * with the median of the same weekday to catch broken weekly seasonality.
+ *
+ * @param {Array} series - [{ date: 'YYYY-MM-DD', value }] sorted ascending, last point is evaluated
+ * @param {Object} detectionConfig - Row shaped like anomaly_detection_config
+ * @returns {Object|null} Detected anomaly or null
+ */
+function detectAnomaly(series, detectionConfig) {
+  if (series.length < 2) return null;
+
+  const target = series[series.length - 1];
+  const baselinePoints = series.slice(0, -1).slice(-detectionConfig.baseline_period_days);
+
+  if (baselinePoints.length < detectionConfig.min_data_points) {
+    return null;
+  }
+
+  const zThreshold = SENSITIVITY_Z_THRESHOLDS[detectionConfig.sensitivity] || SENSITIVITY_Z_THRESHOLDS.medium;
+  const thresholdPercent = parseFloat(detectionConfig.threshold_percent);
+  const values = baselinePoints.map(p => p.value);
+
+  const baselineMedian = median(values);
+  const deviations = values.map(v => Math.abs(v - baselineMedian));
+  let scale = MAD_SCALE * median(deviations);
+  if (scale === 0) {
+    scale = MEAN_AD_SCALE * (deviations.reduce((sum, d) => sum + d, 0) / deviations.length);
+  }
+
+  const robustZ = (value, center) => {
+    if (value === center) return 0;
+    return scale === 0 ? Math.sign(value - center) * Infinity : (value - center) / scale;
+  };
+
+  const zScore = robustZ(target.value, baselineMedian);
+  const deviationPercent = percentDeviation(target.value, baselineMedian);
+
+  if (Math.abs(zScore) >= zThreshold && Math.abs(deviationPercent) >= thresholdPercent) {
+    return {
+      date: target.date,
+      currentValue: target.value,
+      baselineValue: baselineMedian,
+      deviationPercent,
+      anomalyType: zScore > 0 ? 'spike' : 'drop',
+      severity: classifySeverity(zScore, zThreshold, deviationPercent),
+      zScore,
+      method: 'robust_z_score',
+    };
+  }
+
+  // Seasonal check: same weekday median (needs at least two prior weeks)
+  const targetWeekday = new Date(`${target.date}T00:00:00Z`).getUTCDay();
+  const sameWeekday = baselinePoints
+    .filter(p => new Date(`${p.date}T00:00:00Z`).getUTCDay() === targetWeekday)
+    .map(p => p.value);
+
+  if (sameWeekday.length >= 2) {
+    const seasonalMedian = median(sameWeekday);
+    const seasonalZ = robustZ(target.value, seasonalMedian);
+    const seasonalDeviation = percentDeviation(target.value, seasonalMedian);
+
+    if (Math.abs(seasonalZ) >= zThreshold && Math.abs(seasonalDeviation) >= thresholdPercent) {
+      return {
+        date: target.date,
+        currentValue: target.value,
+        baselineValue: seasonalMedian,
+        deviationPercent: seasonalDeviation,
+        anomalyType: 'unusual_pattern',
+        severity: classifySeverity(seasonalZ, zThreshold, seasonalDeviation),
+        zScore: seasonalZ,
+        method: 'seasonal_median',
+      };
+    }
+  }
+
+  return null;
+}
+
+class AnomalyDetector {
+  constructor() {
+    this.isRunning = false;
+    this.isDetecting = false;
+  }
+
+  /**
+   * Start the daily detection job
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Anomaly detector is already running');
+      return;
+    }
+
+    const schedule = config.anomalies.detectionSchedule;
+    this.mainJob = cron.schedule(schedule, async () => {
+      await this.runDetection();
+    }, {
+      timezone: 'UTC',
+    });
+
+    this.isRunning = true;
+    console.log(`Anomaly detector started - daily detection scheduled (${schedule})`);
+  }
+
+  /**
+   * Stop the daily detection job
+   */
+  stop() {
+    if (this.mainJob) {
+      this.mainJob.stop();
+      this.isRunning = false;
+      console.log('Anomaly detector stopped');
+    }
+  }
+
+  /**
+   * Run detection for all active ad accounts, or for one workspace
+   * @param {string|null} workspaceId - Restrict the run to a workspace
+   * @returns {Object} { accountsScanned, anomaliesDetected }
+   */
+  async runDetection(workspaceId = null) {
+    if (this.isDetecting && !workspaceId) {
+      console.log('Skipping anomaly detection - previous run still in progress');
+      return { accountsScanned: 0, anomaliesDetected: 0 };
+    }
+
+    if (!workspaceId) this.isDetecting = true;
+    let accountsScanned = 0;
+    let anomaliesDetected = 0;
+
+    try {
+      const accounts = await this.getActiveAccounts(workspaceId);
+      const configsByAccount = await this.getDetectionConfigs(accounts.map(a => a.id));
+
+      for (const account of accounts) {
+        try {
+          const detectionConfigs = this.resolveDetectionConfigs(account, configsByAccount[account.id]);
+          anomaliesDetected += await this.detectForAccount(account, detectionConfigs);
+          accountsScanned++;
+        } catch (error) {
+          console.error(`Error detecting anomalies for account ${account.account_name} (${account.id}):`, error);
+        }
+      }
+
+      console.log(`Anomaly detection completed - ${accountsScanned} accounts scanned, ${anomaliesDetected} anomalies detected`);
+    } catch (error) {
+      console.error('Error running anomaly detection:', error);
+    } finally {
+      if (!workspaceId) this.isDetecting = false;
+    }
+
+    return { accountsScanned, anomaliesDetected };
+  }
+
+  /**
+   * Get active ad accounts with the OAuth token they were linked through
+   */
+  async getActiveAccounts(workspaceId = null) {
+    const params = [];
+    let workspaceFilter = '';
+    if (workspaceId) {
+      params.push(workspaceId);
+      workspaceFilter = 'AND aa.workspace_id = $1';
+    }
+
+    const result = await query(
+      `SELECT aa.id, aa.workspace_id, aa.account_id, aa.account_name, aa.platform,
+              ot.access_token, ot.expires_at
+       FROM ad_accounts aa
+       LEFT JOIN oauth_tokens ot ON ot.id = aa.oauth_token_id
+       WHERE aa.status = 'active' ${workspaceFilter}
+       ORDER BY aa.id`,
+      params
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Load anomaly_detection_config rows grouped by ad account
+   */
+  async getDetectionConfigs(accountIds) {
+    if (accountIds.length === 0) return {};
+
+    const result = await query(
+      'SELECT * FROM anomaly_detection_config WHERE ad_account_id = ANY($1)',
+      [accountIds]
+    );
+
+    return result.rows.reduce((acc, row) => {
+      (acc[row.ad_account_id] = acc[row.ad_account_id] || []).push(row);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Use explicit configs when an account has any, otherwise the default metric set
+   */
+  resolveDetectionConfigs(account, configs) {
+    if (configs && configs.length > 0) {
+      return configs.filter(c => c.enabled);
+    }
+
+    const metrics = account.platform === 'search_console'
+      ? SEARCH_CONSOLE_DEFAULT_METRICS
+      : config.anomalies.defaultMetrics;
+
+    return metrics.map(metric => ({ ...DEFAULT_DETECTION_CONFIG, metric }));
+  }
+
+  /**
+   * Detect account-level and campaign-level anomalies for one account
+   * @returns {number} Number of new anomalies recorded
+   */
+  async detectForAccount(account, detectionConfigs) {
+    let detected = 0;
+
+    for (const detectionConfig of detectionConfigs) {
+      const { since, until } = this.getSeriesWindow(detectionConfig.baseline_period_days);
+
+      const accountSeries = await this.fetchAccountSeries(account, detectionConfig.metric, since, until);
+      const accountAnomaly = detectAnomaly(accountSeries, detectionConfig);
+      if (accountAnomaly && accountAnomaly.date === until) {
+        const saved = await this.recordAnomaly(account, null, detectionConfig, accountAnomaly);
+        if (saved) detected++;
+      }
+
+      const campaignSeries = await this.fetchCampaignSeries(account.id, detectionConfig.metric, since, until);
+      for (const { campaign, series } of campaignSeries) {
+        const campaignAnomaly = detectAnomaly(series, detectionConfig);
+        if (campaignAnomaly && campaignAnomaly.date === until) {
+          const saved = await this.recordAnomaly(account, campaign, detectionConfig, campaignAnomaly);
+          if (saved) detected++;
+        }
+      }
+    }
+
+    return detected;
+  }
+
+  /**
+   * Window covering the baseline plus the evaluated day (yesterday)
+   */
+  getSeriesWindow(baselineDays) {
+    const until = new Date();
+    until.setDate(until.getDate() - 1);
+    const since = new Date(until);
+    since.setDate(since.getDate() - baselineDays);
+
+    return {
+      since: since.toISOString().split('T')[0],
+      until: until.toISOString().split('T')[0],
+    };
+  }
+
+  /**
+   * Fetch a daily account-level series from the platform API
+   */
+  async fetchAccountSeries(account, metric, since, until) {
+    if (!account.access_token) return [];
+    if (account.expires_at && new Date(account.expires_at) <= new Date()) return [];
+
+    const PlatformService = getPlatformService(account.platform);
+    const data = await PlatformService.fetchMetrics(
+      account.account_id, account.access_token, metric, since, until, config
+    );
+
+    if (data.error || !Array.isArray(data.timeSeries)) return [];
+
+    return data.timeSeries
+      .filter(point => point.date)
+      .map(point => ({ date: String(point.date).substring(0, 10), value: parseFloat(point.value) || 0 }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Fetch daily per-campaign series from the ad_metrics table
+   * @returns {Array} [{ campaign: { id, campaign_name }, series }]
+   */
+  async fetchCampaignSeries(adAccountId, metric, since, until) {
+    const expression = CAMPAIGN_METRIC_EXPRESSIONS[metric];
+    if (!expression) return [];
+
+    const result = await query(
+      `SELECT c.id, c.campaign_name, to_char(m.metric_date, 'YYYY-MM-DD') as date,
+              COALESCE(${expression}, 0) as value
+       FROM ad_metrics m
+       JOIN campaigns c ON c.id = m.campaign_id
+       WHERE m.ad_account_id = $1
+         AND m.ad_set_id IS NULL AND m.ad_id IS NULL AND m.metric_hour IS NULL
+         AND m.metric_date BETWEEN $2 AND $3
+       GROUP BY c.id, c.campaign_name, m.metric_date
+       ORDER BY c.id, m.metric_date ASC`,
+      [adAccountId, since, until]
+    );
+
+    const byCampaign = new Map();
+    for (const row of result.rows) {
+      if (!byCampaign.has(row.id)) {
+        byCampaign.set(row.id, { campaign: { id: row.id, campaign_name: row.campaign_name }, series: [] });
+      }
+      byCampaign.get(row.id).series.push({ date: row.date, value: parseFloat(row.value) || 0 });
+    }
+
+    return Array.from(byCampaign.values());
+  }
+
+  /**
+   * Insert an anomaly and notify workspace members
+   * @returns {Object|null} Inserted row, or null if it was already recorded
+   */
+  async recordAnomaly(account, campaign, detectionConfig, anomaly) {
+    const subject = campaign ? `${campaign.campaign_name} (${account.account_name})` : account.account_name;
+    const direction = {
+      spike: 'spiked',
+      drop: 'dropped',
+      unusual_pattern: 'deviated from its usual weekly pattern',
+    }[anomaly.anomalyType];
+    const sign = anomaly.deviationPercent > 0 ? '+' : '';
+    const description = `${detectionConfig.metric} ${direction} to ${anomaly.currentValue.toFixed(2)} ` +
+      `vs a baseline of ${anomaly.baselineValue.toFixed(2)} (${sign}${anomaly.deviationPercent.toFixed(1)}%) for ${subject}`;
+
+    const result = await query(
+      `INSERT INTO anomalies (
+         ad_account_id, campaign_id, detection_date, metric, current_value, baseline_value,
+         deviation_percent, severity, anomaly_type, description, metadata
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       ON CONFLICT (ad_account_id, (COALESCE(campaign_id, '00000000-0000-0000-0000-000000000000'::uuid)), metric, detection_date)
+       DO NOTHING
+       RETURNING *`,
+      [
+        account.id,
+        campaign ? campaign.id : null,
+        anomaly.date,
+        detectionConfig.metric,
+        anomaly.currentValue,
+        anomaly.baselineValue,
+        anomaly.deviationPercent,
+        anomaly.severity,
+        anomaly.anomalyType,
+        description,
+        JSON.stringify({
+          method: anomaly.method,
+          z_score: Number.isFinite(anomaly.zScore) ? anomaly.zScore : null,
+          sensitivity: detectionConfig.sensitivity,
+          baseline_period_days: detectionConfig.baseline_period_days,
+          level: campaign ? 'campaign' : 'account',
+        }),
+      ]
+    );
+
+    const saved = result.rows[0];
+    if (!saved) return null;
+
+    await this.createNotifications(account.workspace_id, saved, subject);
+    return saved;
+  }
+
+  /**
+   * Create in-app notifications for workspace members who have not opted out
+   */
+  async createNotifications(workspaceId, anomaly, subject) {
+    const title = `${anomaly.metric} ${anomaly.anomaly_type.replace('_', ' ')} detected: ${subject}`;
+
+    await query(
+      `INSERT INTO notifications (
+         user_id, workspace_id, notification_type, title, message, severity,
+         related_entity_type, related_entity_id, action_url
+       )
+       SELECT wm.user_id, wm.workspace_id, 'anomaly', $2, $3, $4, 'anomaly', $5, $6
+       FROM workspace_members wm
+       LEFT JOIN notification_preferences np
+         ON np.user_id = wm.user_id AND np.workspace_id = wm.workspace_id AND np.notification_type = 'anomaly'
+       WHERE wm.workspace_id = $1 AND COALESCE(np.in_app_enabled, TRUE)`,
+      [workspaceId, title.substring(0, 255), anomaly.description, anomaly.severity, anomaly.id, '/dashboard']
+    );
+  }
+
+  /**
+   * Get detector status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isDetecting: this.isDetecting,
+      schedule: config.anomalies.detectionSchedule,
+    };
+  }
+}
+
+module.exports = new AnomalyDetector();
@@ -0,0 +1,171 @@
+/**
+ * Workspace API Keys
+ * Keys for scripts and ETL jobs. A key belongs to one workspace and acts with its
+ * creator's role there, narrowed by its scopes: each scope opens a fixed set of
+ * endpoints, and every other endpoint is closed to API keys.
+ *
+ * Keys look like rsk_<12 hex chars>_<secret>. The rsk_<hex> prefix identifies the
+ * key in listings and lookups; only a SHA-256 hash of the whole key is stored.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const WorkspaceApiKey = require('../models/WorkspaceApiKey');
+const { ValidationError, AuthenticationError } = require('../utils/errors');
+
+const KEY_PATTERN = /^(rsk_[0-9a-f]{12})_[A-Za-z0-9_-]{32}$/;
+
+const API_KEY_SCOPES = {
+  'metrics:read': 'Read dashboards, ad account metrics and custom data',
+  'custom_data:write': 'Upload, import and sync custom data',
+  'dashboards:manage': 'Create, update and delete dashboards and widgets',
+};
+
+const WORKSPACE = '/api/workspaces/[^/]+';
+
+// Endpoints open to API keys, and the scopes that open them
+const API_KEY_ROUTES = [
+  { methods: ['GET'], pattern: /^\/api\/dashboards\/(workspace\/)?[^/]+$/, scopes: ['metrics:read', 'dashboards:manage'] },
+  { methods: ['GET'], pattern: /^\/api\/metrics\/(account|widget)\/[^/]+$/, scopes: ['metrics:read'] },
+  { methods: ['GET'], pattern: new RegExp(`^${WORKSPACE}/(accounts|dashboards)$`), scopes: ['metrics:read'] },
+  {
+    methods: ['GET'],
+    pattern: new RegExp(`^${WORKSPACE}/custom-data/sources(/[^/]+(/(metrics|schema|quality|sync-history))?)?$`),
+    scopes: ['metrics:read', 'custom_data:write'],
+  },
+  {
+    methods: ['POST'],
+    pattern: new RegExp(`^${WORKSPACE}/custom-data/sources/[^/]+/query$`),
+    scopes: ['metrics:read', 'custom_data:write'],
+  },
+  {
+    methods: ['GET', 'POST', 'PUT'],
+    pattern: new RegExp(`^${WORKSPACE}/custom-data/(upload|confirm|uploads|import-jobs|sources/[^/]+/sync)(/|$)`),
+    scopes: ['custom_data:write'],
+  },
+  { methods: ['POST'], pattern: /^\/api\/dashboards(\/[^/]+\/widgets)?$/, scopes: ['dashboards:manage'] },
+  { methods: ['PUT', 'DELETE'], pattern: /^\/api\/dashboards\/(widgets\/)?[^/]+$/, scopes: ['dashboards:manage'] },
+];
+
+const isApiKeyToken = (token) => typeof token === 'string' && token.startsWith('rsk_');
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+function generateKey() {
+  const keyPrefix = `rsk_${crypto.randomBytes(6).toString('hex')}`;
+  const key = `${keyPrefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, keyPrefix, keyHash: hashKey(key) };
+}
+
+/**
+ * Create a key for a workspace
+ * @returns {Promise<{ apiKey: Object, key: string }>} The stored key and the plaintext key, which is never shown again
+ */
+async function createApiKey({ workspaceId, name, scopes, expiresInDays, createdBy }) {
+  const { defaultExpiryDays, maxExpiryDays } = config.apiKeys;
+  const days = expiresInDays === undefined ? defaultExpiryDays : Number(expiresInDays);
+  const errors = [];
+
+  if (!name || typeof name !== 'string' || !name.trim() || name.length > 255) {
+    errors.push({ field: 'name', message: 'A name of up to 255 characters is required' });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES[scope])) {
+    errors.push({ field: 'scopes', message: `Must be a non-empty list of: ${Object.keys(API_KEY_SCOPES).join(', ')}` });
+  }
+  if (!Number.isInteger(days) || days < 1 || days > maxExpiryDays) {
+    errors.push({ field: 'expiresInDays', message: `Must be a whole number of days from 1 to ${maxExpiryDays}` });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid API key', errors);
+  }
+
+  const { key, keyPrefix, keyHash } = generateKey();
+  const apiKey = await WorkspaceApiKey.create({
+    workspaceId,
+    name: name.trim(),
+    keyPrefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+    createdBy,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+
+  return { apiKey, key };
+}
+
+/**
+ * Resolve a presented key to its stored record
+ * @throws {AuthenticationError} For unknown, revoked or expired keys
+ */
+async function authenticateApiKey(key) {
+  const match = KEY_PATTERN.exec(key);
+  const apiKey = match ? await WorkspaceApiKey.findByPrefix(match[1]) : null;
+
+  if (!apiKey || !crypto.timingSafeEqual(Buffer.from(apiKey.key_hash, 'hex'), Buffer.from(hashKey(key), 'hex'))) {
+    throw new AuthenticationError('Invalid API key.');
+  }
+  if (apiKey.revoked_at) {
+    throw new AuthenticationError('This API key has been revoked.');
+  }
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+    throw new AuthenticationError('This API key has expired.');
+  }
+
+  return apiKey;
+}
+
+/**
+ * Scopes that open an endpoint to API keys; empty when keys cannot call it
+ */
+function scopesForRoute(method, path) {
+  const normalizedPath = path.length > 1 ? path.replace(/\/+$/, '') : path;
+  const route = API_KEY_ROUTES.find(r => r.methods.includes(method) && r.pattern.test(normalizedPath));
+  return route ? route.scopes : [];
+}
+
+/**
+ * Record that a key was used; failures only get logged
+ */
+function recordApiKeyUse(apiKey, ip) {
+  WorkspaceApiKey.touchLastUsed(apiKey.id, ip, config.apiKeys.lastUsedIntervalSeconds).catch((error) => {
+    console.error(`Error recording use of API key ${apiKey.key_prefix}:`, error.message);
+  });
+}
+
+/**
+ * Public view of a key; the hash never leaves the server
+ */
+function formatApiKey(apiKey) {
+  const now = new Date();
+  let status = 'active';
+  if (apiKey.revoked_at) {
+    status = 'revoked';
+  } else if (apiKey.expires_at && new Date(apiKey.expires_at) <= now) {
+    status = 'expired';
+  }
+
+  return {
+    id: apiKey.id,
+    workspaceId: apiKey.workspace_id,
+    name: apiKey.name,
+    prefix: apiKey.key_prefix,
+    scopes: apiKey.scopes,
+    status,
+    createdBy: apiKey.created_by_username || null,
+    expiresAt: apiKey.expires_at,
+    lastUsedAt: apiKey.last_used_at,
+    lastUsedIp: apiKey.last_used_ip,
+    revokedAt: apiKey.revoked_at,
+    createdAt: apiKey.created_at,
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  isApiKeyToken,
+  createApiKey,
+  authenticateApiKey,
+  scopesForRoute,
+  recordApiKeyUse,
+  formatApiKey,
+};
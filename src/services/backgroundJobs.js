@@ -4,6 +4,7 @@
  * Uses Redis for job queue and status tracking, with in-memory fallback
  */
 
+const EventEmitter = require('events');
 const { setCache, getCache, deleteCache, isAvailable: isRedisAvailable } = require('../config/redis');
 const aiWidgetAnalysis = require('./aiWidgetAnalysis');
 
@@ -37,6 +38,29 @@ function cleanupExpiredJobs() {
 // Clean up expired jobs every minute
 setInterval(cleanupExpiredJobs, 60 * 1000);
 
+/**
+ * Live job events for streaming clients, keyed by job ID
+ * Only jobs running in this process emit events; other clients poll getJobStatus.
+ */
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function emitJobEvent(jobId, event, data) {
+  jobEvents.emit(jobId, { event, data });
+}
+
+/**
+ * Subscribe to a job's progress, insight, completed and failed events
+ *
+ * @param {string} jobId - Job identifier
+ * @param {Function} listener - Called with { event, data }
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
 /**
  * Set job data (Redis with in-memory fallback)
  */
@@ -104,14 +128,22 @@ async function deleteJobData(jobId, key) {
  */
 async function processAIAnalysisJob(jobId, widget, metricsData, options = {}) {
   try {
+    const reportProgress = async (message) => {
+      await setJobData(jobId, 'progress', message);
+      emitJobEvent(jobId, 'progress', { message });
+    };
+
     // Update status to processing
     await setJobData(jobId, 'status', JOB_STATUS.PROCESSING);
-    await setJobData(jobId, 'progress', 'Analyzing widget data with AI...');
+    await reportProgress('Analyzing widget data with AI...');
 
     console.log(`[Background Job] Processing job ${jobId}...`);
 
     // Perform the actual AI analysis (this can take 30+ seconds)
-    const analysis = await aiWidgetAnalysis.analyzeWidget(widget, metricsData, options);
+    const analysis = await aiWidgetAnalysis.analyzeWidget(widget, metricsData, {
+      ...options,
+      onProgress: (message) => reportProgress(message).catch(() => {}),
+    });
 
     // Check if analysis returned an error (e.g., AI service not configured)
     if (analysis && analysis.success === false) {
@@ -119,6 +151,7 @@ async function processAIAnalysisJob(jobId, widget, metricsData, options = {}) {
       await setJobData(jobId, 'status', JOB_STATUS.FAILED);
       await setJobData(jobId, 'error', analysis.error || 'AI analysis failed');
       await deleteJobData(jobId, 'progress');
+      emitJobEvent(jobId, 'failed', { error: analysis.error || 'AI analysis failed' });
       return;
     }
 
@@ -127,6 +160,9 @@ async function processAIAnalysisJob(jobId, widget, metricsData, options = {}) {
     await setJobData(jobId, 'result', JSON.stringify(analysis));
     await deleteJobData(jobId, 'progress');
 
+    (analysis.criticalInsights || []).forEach(insight => emitJobEvent(jobId, 'insight', { insight }));
+    emitJobEvent(jobId, 'completed', { data: analysis });
+
     console.log(`[Background Job] AI analysis job ${jobId} completed successfully`);
   } catch (error) {
     console.error(`[Background Job] AI analysis job ${jobId} failed:`, error);
@@ -135,6 +171,7 @@ async function processAIAnalysisJob(jobId, widget, metricsData, options = {}) {
     await setJobData(jobId, 'status', JOB_STATUS.FAILED);
     await setJobData(jobId, 'error', error.message || 'Unknown error occurred');
     await deleteJobData(jobId, 'progress');
+    emitJobEvent(jobId, 'failed', { error: error.message || 'Unknown error occurred' });
   }
 }
 
@@ -156,6 +193,7 @@ function startAIAnalysisJob(jobId, widget, metricsData, options = {}) {
     // Make sure we mark the job as failed
     setJobData(jobId, 'status', JOB_STATUS.FAILED);
     setJobData(jobId, 'error', err.message || 'Unhandled error');
+    emitJobEvent(jobId, 'failed', { error: err.message || 'Unhandled error' });
   });
 
   console.log(`[Background Job] AI analysis job ${jobId} started`);
@@ -224,5 +262,6 @@ module.exports = {
   JOB_STATUS,
   startAIAnalysisJob,
   getJobStatus,
+  subscribeToJob,
   cleanupJob,
 };
@@ -0,0 +1,609 @@
+/**
+ * Custom Alert Rule Engine
+ * Evaluates custom_alert_rules condition trees (nested AND/OR groups over platform
+ * and custom-data metrics) and delivers triggered alerts to email, Slack, signed
+ * webhooks and in-app notifications
+ *
+ * Condition tree format (a bare array is treated as an AND group):
+ *   { operator: 'AND' | 'OR', conditions: [ <group> | <condition> ] }
+ *
+ * Condition format:
+ *   {
+ *     source: 'platform' | 'custom_data',
+ *     adAccountId,              // platform: internal ad account UUID
+ *     customSourceId,           // custom_data: custom data source UUID
+ *     metric, aggregation,      // aggregation applies to custom_data (sum, avg, count, min, max)
+ *     filters,                  // custom_data dimension filters
+ *     dateRange,                // today, yesterday, last_7_days, last_30_days, ...
+ *     compare: 'value' | 'change_percent',
+ *     operator: '>' | '>=' | '<' | '<=' | '==' | '!=',
+ *     value
+ *   }
+ *
+ * A condition whose metric has no data for the period (or, for change_percent, no
+ * previous period) is marked noData and never passes.
+ *
+ * Channel format (alert_channels):
+ *   { type: 'email', config: { recipients? } }      // workspace members only; defaults to all of them
+ *   { type: 'slack', config: { webhookUrl } }       // Slack incoming webhook on hooks.slack.com
+ *   { type: 'webhook', config: { url, secret } }    // HMAC-SHA256 signed POST to a public https URL
+ *   { type: 'in-app', config: {} }
+ */
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const config = require('../config/config');
+const { query } = require('../config/database');
+const emailService = require('./emailService');
+const { fetchPlatformData, fetchCustomData } = require('./widgetDataService');
+const { validateOutboundUrl, postToPublicUrl } = require('../utils/outboundUrl');
+
+const GROUP_OPERATORS = ['AND', 'OR'];
+const SOURCES = ['platform', 'custom_data'];
+const COMPARE_MODES = ['value', 'change_percent'];
+const CHANNEL_TYPES = ['email', 'slack', 'webhook', 'in-app'];
+const MAX_DEPTH = 5;
+const SLACK_WEBHOOK_HOSTS = ['hooks.slack.com'];
+
+// Comparison operators, with the threshold-alert names accepted as aliases
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => Math.abs(a - b) < 0.0001,
+  '!=': (a, b) => Math.abs(a - b) >= 0.0001,
+  above: (a, b) => a > b,
+  below: (a, b) => a < b,
+  equals: (a, b) => Math.abs(a - b) < 0.0001,
+};
+
+// Minimum minutes between evaluations for each rule frequency
+const FREQUENCY_MINUTES = {
+  hourly: 60,
+  daily: 1440,
+};
+
+// A finite number, or null for missing and non-numeric values
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Normalize a stored conditions value into a group node
+ */
+function normalizeConditions(conditions) {
+  if (Array.isArray(conditions)) {
+    return { operator: 'AND', conditions };
+  }
+  return conditions;
+}
+
+function isGroup(node) {
+  return node && Array.isArray(node.conditions);
+}
+
+class CustomAlertEngine {
+  constructor() {
+    this.isRunning = false;
+    this.isEvaluating = false;
+  }
+
+  /**
+   * Validate a condition tree
+   * @param {Object|Array} conditions - Condition tree
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateConditions(conditions) {
+    const errors = [];
+
+    const visit = (node, path, depth) => {
+      if (depth > MAX_DEPTH) {
+        errors.push(`${path}: groups cannot be nested more than ${MAX_DEPTH} levels deep`);
+        return;
+      }
+
+      if (isGroup(node)) {
+        const operator = (node.operator || 'AND').toUpperCase();
+        if (!GROUP_OPERATORS.includes(operator)) {
+          errors.push(`${path}.operator must be one of: ${GROUP_OPERATORS.join(', ')}`);
+        }
+        if (node.conditions.length === 0) {
+          errors.push(`${path}.conditions must not be empty`);
+        }
+        node.conditions.forEach((child, i) => visit(child, `${path}.conditions[${i}]`, depth + 1));
+        return;
+      }
+
+      if (!node || typeof node !== 'object') {
+        errors.push(`${path} must be a condition or a group`);
+        return;
+      }
+
+      const source = node.source || 'platform';
+      if (!SOURCES.includes(source)) {
+        errors.push(`${path}.source must be one of: ${SOURCES.join(', ')}`);
+      }
+      if (source === 'platform' && !node.adAccountId) {
+        errors.push(`${path}.adAccountId is required for platform conditions`);
+      }
+      if (source === 'custom_data' && !node.customSourceId) {
+        errors.push(`${path}.customSourceId is required for custom_data conditions`);
+      }
+      if (!node.metric) {
+        errors.push(`${path}.metric is required`);
+      }
+      if (!OPERATORS[node.operator]) {
+        errors.push(`${path}.operator must be one of: ${Object.keys(OPERATORS).join(', ')}`);
+      }
+      if (node.value === undefined || node.value === null || isNaN(parseFloat(node.value))) {
+        errors.push(`${path}.value must be a number`);
+      }
+      if (node.compare && !COMPARE_MODES.includes(node.compare)) {
+        errors.push(`${path}.compare must be one of: ${COMPARE_MODES.join(', ')}`);
+      }
+    };
+
+    visit(normalizeConditions(conditions), 'conditions', 0);
+    return errors;
+  }
+
+  /**
+   * Validate alert channels
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateChannels(channels) {
+    if (!Array.isArray(channels)) {
+      return ['alert_channels must be an array'];
+    }
+
+    const errors = [];
+    channels.forEach((channel, i) => {
+      const path = `alert_channels[${i}].config`;
+      if (!CHANNEL_TYPES.includes(channel?.type)) {
+        errors.push(`alert_channels[${i}].type must be one of: ${CHANNEL_TYPES.join(', ')}`);
+      } else if (channel.type === 'slack') {
+        if (!channel.config?.webhookUrl) {
+          errors.push(`${path}.webhookUrl is required for Slack`);
+        } else {
+          const problem = validateOutboundUrl(channel.config.webhookUrl, { hosts: SLACK_WEBHOOK_HOSTS });
+          if (problem) errors.push(`${path}.webhookUrl ${problem}`);
+        }
+      } else if (channel.type === 'webhook') {
+        if (!channel.config?.url) {
+          errors.push(`${path}.url is required for webhooks`);
+        } else {
+          const problem = validateOutboundUrl(channel.config.url);
+          if (problem) errors.push(`${path}.url ${problem}`);
+        }
+      } else if (channel.type === 'email' && channel.config?.recipients !== undefined) {
+        const { recipients } = channel.config;
+        if (!Array.isArray(recipients) || recipients.some(recipient => typeof recipient !== 'string')) {
+          errors.push(`${path}.recipients must be an array of email addresses`);
+        }
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Check that email channels only name members of the workspace
+   * Run after validateChannels, which checks the recipients' shape.
+   * @returns {Promise<string[]>} Validation errors (empty when valid)
+   */
+  async validateRecipients(workspaceId, channels) {
+    const memberEmails = await this.getMemberEmails(workspaceId);
+    const errors = [];
+    channels.forEach((channel, i) => {
+      if (channel.type !== 'email' || !channel.config?.recipients) return;
+
+      const outsiders = channel.config.recipients.filter(recipient => !memberEmails.has(recipient.trim().toLowerCase()));
+      if (outsiders.length > 0) {
+        errors.push(`alert_channels[${i}].config.recipients must be workspace members; not members: ${outsiders.join(', ')}`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Lowercased emails of the workspace's members
+   * @returns {Promise<Set<string>>}
+   */
+  async getMemberEmails(workspaceId) {
+    const members = await query(
+      `SELECT u.email FROM workspace_members wm
+       JOIN users u ON u.id = wm.user_id
+       WHERE wm.workspace_id = $1`,
+      [workspaceId]
+    );
+    return new Set(members.rows.map(m => m.email).filter(Boolean).map(email => email.toLowerCase()));
+  }
+
+  /**
+   * Generate a signing secret for webhook channels that don't have one
+   */
+  ensureWebhookSecrets(channels) {
+    return (channels || []).map(channel => {
+      if (channel.type !== 'webhook' || channel.config?.secret) {
+        return channel;
+      }
+      return {
+        ...channel,
+        config: { ...channel.config, secret: crypto.randomBytes(24).toString('hex') },
+      };
+    });
+  }
+
+  /**
+   * Sign a webhook body: HMAC-SHA256 over "<timestamp>.<body>"
+   */
+  signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Start the rule engine on the configured cron schedule
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Custom alert engine is already running');
+      return;
+    }
+
+    const schedule = config.alerts.customRuleSchedule;
+    this.mainJob = cron.schedule(schedule, async () => {
+      await this.evaluateDueRules();
+    });
+
+    this.isRunning = true;
+    console.log(`Custom alert engine started - evaluating rules (${schedule})`);
+  }
+
+  /**
+   * Stop the rule engine
+   */
+  stop() {
+    if (this.mainJob) {
+      this.mainJob.stop();
+      this.isRunning = false;
+      console.log('Custom alert engine stopped');
+    }
+  }
+
+  /**
+   * Evaluate every active rule whose frequency makes it due
+   */
+  async evaluateDueRules() {
+    if (this.isEvaluating) {
+      console.log('Skipping custom alert evaluation - previous run still in progress');
+      return;
+    }
+
+    this.isEvaluating = true;
+
+    try {
+      const result = await query(
+        `SELECT * FROM custom_alert_rules
+         WHERE is_active = true
+           AND (
+             frequency = 'immediate' OR frequency IS NULL OR last_evaluated_at IS NULL
+             OR (frequency = 'hourly' AND last_evaluated_at <= NOW() - INTERVAL '1 hour')
+             OR (frequency = 'daily' AND last_evaluated_at <= NOW() - INTERVAL '1 day')
+           )`
+      );
+
+      for (const rule of result.rows) {
+        try {
+          await this.evaluateRule(rule);
+        } catch (error) {
+          console.error(`Error evaluating custom alert ${rule.name} (${rule.id}):`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading custom alert rules:', error);
+    } finally {
+      this.isEvaluating = false;
+    }
+  }
+
+  /**
+   * Evaluate a rule, record the result and deliver it if it fires
+   * @returns {Object} Evaluation result
+   */
+  async evaluateRule(rule) {
+    const evaluation = await this.evaluateConditions(rule.workspace_id, rule.conditions);
+    const shouldDeliver = evaluation.triggered && !this.isInCooldown(rule);
+
+    await query(
+      `UPDATE custom_alert_rules
+       SET last_evaluated_at = NOW(),
+           last_evaluation_result = $1,
+           last_triggered_at = CASE WHEN $2 THEN NOW() ELSE last_triggered_at END
+       WHERE id = $3`,
+      [JSON.stringify(evaluation), shouldDeliver, rule.id]
+    );
+
+    if (shouldDeliver) {
+      const deliveries = await this.deliver(rule, evaluation);
+      console.log(`Custom alert triggered: ${rule.name} (${rule.id})`);
+      return { ...evaluation, deliveries };
+    }
+
+    return evaluation;
+  }
+
+  /**
+   * Evaluate a condition tree without side effects (used for dry runs)
+   * @param {string} workspaceId - Workspace the rule belongs to
+   * @param {Object|Array} conditions - Condition tree
+   * @returns {Object} { triggered, tree, evaluatedAt }
+   */
+  async evaluateConditions(workspaceId, conditions) {
+    const metricCache = new Map();
+    const tree = await this.evaluateNode(workspaceId, normalizeConditions(conditions), metricCache);
+
+    return {
+      triggered: tree.passed,
+      tree,
+      evaluatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Recursively evaluate a group or condition
+   * Every child is evaluated (no short-circuit) so dry runs show the full tree
+   */
+  async evaluateNode(workspaceId, node, metricCache) {
+    if (isGroup(node)) {
+      const operator = (node.operator || 'AND').toUpperCase();
+      const children = [];
+      for (const child of node.conditions) {
+        children.push(await this.evaluateNode(workspaceId, child, metricCache));
+      }
+
+      const passed = operator === 'OR'
+        ? children.some(c => c.passed)
+        : children.length > 0 && children.every(c => c.passed);
+
+      return { operator, passed, conditions: children };
+    }
+
+    return this.evaluateCondition(workspaceId, node, metricCache);
+  }
+
+  /**
+   * Evaluate a single metric condition
+   */
+  async evaluateCondition(workspaceId, condition, metricCache) {
+    const compare = condition.compare || 'value';
+    const threshold = parseFloat(condition.value);
+    const result = { ...condition, compare, observed: null, passed: false };
+
+    try {
+      const data = await this.fetchConditionMetric(workspaceId, condition, metricCache);
+      if (data.error) {
+        return { ...result, error: data.error };
+      }
+
+      // Missing data is not a zero: without this, every "below" rule would fire
+      // whenever a source has no rows for the period or a fetch comes back empty
+      const observed = toNumber(compare === 'change_percent' ? data.changePercent : data.value);
+      const noRows = Array.isArray(data.timeSeries) && data.timeSeries.length === 0;
+      const noBaseline = compare === 'change_percent' && !(toNumber(data.previousValue) > 0);
+      if (observed === null || noRows || noBaseline) {
+        return { ...result, noData: true };
+      }
+
+      return {
+        ...result,
+        observed,
+        passed: OPERATORS[condition.operator](observed, threshold),
+      };
+    } catch (error) {
+      return { ...result, error: error.message };
+    }
+  }
+
+  /**
+   * Fetch the metric behind a condition, scoped to the rule's workspace
+   * Identical metric lookups within one evaluation are fetched once
+   */
+  async fetchConditionMetric(workspaceId, condition, metricCache) {
+    const source = condition.source || 'platform';
+    const dateRange = condition.dateRange || 'last_7_days';
+    const cacheKey = JSON.stringify([
+      source, condition.adAccountId, condition.customSourceId, condition.metric,
+      condition.aggregation, condition.filters, dateRange,
+    ]);
+
+    if (!metricCache.has(cacheKey)) {
+      metricCache.set(cacheKey, this.loadMetric(workspaceId, source, condition, dateRange));
+    }
+    return metricCache.get(cacheKey);
+  }
+
+  /**
+   * Load a platform or custom-data metric after checking it belongs to the workspace
+   */
+  async loadMetric(workspaceId, source, condition, dateRange) {
+    if (source === 'custom_data') {
+      const sourceCheck = await query(
+        'SELECT 1 FROM custom_data_sources WHERE id = $1 AND workspace_id = $2',
+        [condition.customSourceId, workspaceId]
+      );
+      if (sourceCheck.rows.length === 0) {
+        return { error: 'Custom data source not found in workspace' };
+      }
+
+      return fetchCustomData({
+        customSourceId: condition.customSourceId,
+        metric: condition.metric,
+        aggregation: condition.aggregation || 'sum',
+        filters: condition.filters || {},
+      }, dateRange);
+    }
+
+    const accountCheck = await query(
+      'SELECT 1 FROM ad_accounts WHERE id = $1 AND workspace_id = $2',
+      [condition.adAccountId, workspaceId]
+    );
+    if (accountCheck.rows.length === 0) {
+      return { error: 'Ad account not found in workspace' };
+    }
+
+    return fetchPlatformData({ adAccountId: condition.adAccountId, metric: condition.metric }, dateRange);
+  }
+
+  /**
+   * Check whether a rule fired too recently to deliver again
+   */
+  isInCooldown(rule) {
+    if (!rule.last_triggered_at) {
+      return false;
+    }
+    const minutes = FREQUENCY_MINUTES[rule.frequency] || config.alerts.cooldownMinutes;
+    return Date.now() - new Date(rule.last_triggered_at).getTime() < minutes * 60 * 1000;
+  }
+
+  /**
+   * Summarize the conditions that passed, for notification messages
+   */
+  describeTriggeredConditions(tree) {
+    const lines = [];
+    const visit = (node) => {
+      if (isGroup(node)) {
+        node.conditions.forEach(visit);
+      } else if (node.passed) {
+        const unit = node.compare === 'change_percent' ? '% change' : '';
+        lines.push(`${node.metric}${unit ? ` ${unit}` : ''} is ${node.observed.toFixed(2)} (${node.operator} ${node.value})`);
+      }
+    };
+    visit(tree);
+    return lines;
+  }
+
+  /**
+   * Deliver a triggered rule to each of its channels
+   * A failing channel does not prevent delivery to the others
+   * @returns {Array} [{ type, success, error? }]
+   */
+  async deliver(rule, evaluation) {
+    const channels = rule.alert_channels && rule.alert_channels.length > 0
+      ? rule.alert_channels
+      : [{ type: 'in-app', config: {} }];
+    const details = this.describeTriggeredConditions(evaluation.tree);
+    const message = details.length > 0
+      ? `${rule.name} triggered: ${details.join('; ')}`
+      : `${rule.name} triggered`;
+
+    const deliveries = [];
+    for (const channel of channels) {
+      try {
+        switch (channel.type) {
+          case 'email':
+            await this.deliverEmail(rule, channel.config || {}, message);
+            break;
+          case 'slack':
+            await this.deliverSlack(rule, channel.config || {}, details);
+            break;
+          case 'webhook':
+            await this.deliverWebhook(rule, channel.config || {}, evaluation, message);
+            break;
+          case 'in-app':
+            await this.deliverInApp(rule, message);
+            break;
+          default:
+            throw new Error(`Unsupported channel: ${channel.type}`);
+        }
+        deliveries.push({ type: channel.type, success: true });
+      } catch (error) {
+        console.error(`Error delivering custom alert ${rule.name} to ${channel.type}:`, error.message);
+        deliveries.push({ type: channel.type, success: false, error: error.message });
+      }
+    }
+
+    return deliveries;
+  }
+
+  async deliverEmail(rule, channelConfig, message) {
+    const memberEmails = await this.getMemberEmails(rule.workspace_id);
+    // Recipients who have left the workspace since the rule was saved are skipped
+    const recipients = channelConfig.recipients && channelConfig.recipients.length > 0
+      ? channelConfig.recipients.filter(recipient => memberEmails.has(String(recipient).trim().toLowerCase()))
+      : [...memberEmails];
+
+    if (recipients.length === 0) {
+      throw new Error('No workspace members to email');
+    }
+
+    await emailService.sendAlertNotification({
+      to: recipients,
+      alert: { name: rule.name },
+      message,
+    });
+  }
+
+  async deliverSlack(rule, channelConfig, details) {
+    const text = `:rotating_light: *${rule.name}* triggered`;
+    await postToPublicUrl(channelConfig.webhookUrl, {
+      text,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text } },
+        ...(details.length > 0
+          ? [{ type: 'section', text: { type: 'mrkdwn', text: details.map(d => `• ${d}`).join('\n') } }]
+          : []),
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `<${config.appUrl}/dashboard|Open Reasonly Studio>` }] },
+      ],
+    }, { hosts: SLACK_WEBHOOK_HOSTS, timeout: config.alerts.webhookTimeoutMs });
+  }
+
+  async deliverWebhook(rule, channelConfig, evaluation, message) {
+    const body = JSON.stringify({
+      event: 'custom_alert.triggered',
+      rule: { id: rule.id, name: rule.name, workspaceId: rule.workspace_id, frequency: rule.frequency },
+      message,
+      evaluation,
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Reasonly-Event': 'custom_alert.triggered',
+      'X-Reasonly-Timestamp': timestamp,
+    };
+    if (channelConfig.secret) {
+      headers['X-Reasonly-Signature'] = `sha256=${this.signWebhookPayload(channelConfig.secret, timestamp, body)}`;
+    }
+
+    await postToPublicUrl(channelConfig.url, body, { headers, timeout: config.alerts.webhookTimeoutMs });
+  }
+
+  async deliverInApp(rule, message) {
+    await query(
+      `INSERT INTO notifications (
+         user_id, workspace_id, notification_type, title, message, severity,
+         related_entity_type, related_entity_id, action_url
+       )
+       SELECT wm.user_id, wm.workspace_id, 'custom_alert', $2, $3, 'high', 'custom_alert_rule', $4, $5
+       FROM workspace_members wm
+       LEFT JOIN notification_preferences np
+         ON np.user_id = wm.user_id AND np.workspace_id = wm.workspace_id AND np.notification_type = 'custom_alert'
+       WHERE wm.workspace_id = $1 AND COALESCE(np.in_app_enabled, TRUE)`,
+      [rule.workspace_id, `Alert: ${rule.name}`.substring(0, 255), message, rule.id, '/dashboard']
+    );
+  }
+
+  /**
+   * Get engine status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isEvaluating: this.isEvaluating,
+      schedule: config.alerts.customRuleSchedule,
+    };
+  }
+}
+
+module.exports = new CustomAlertEngine();
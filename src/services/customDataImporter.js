@@ -0,0 +1,366 @@
+/**
+ * Custom Data Importer
+ * Runs imports of staged (chunk-uploaded) files in the background. Jobs are rows in
+ * custom_data_sync_jobs with an upload_id: pending jobs are claimed from the table,
+ * the chunks are copied from Postgres to a local scratch file, rows are streamed from
+ * it and upserted in batches, and processed_rows is saved after every batch. The
+ * running worker renews the job's heartbeat on a timer, so slow steps between
+ * checkpoints (copying the chunks, counting rows) do not look like a dead worker.
+ * A job whose heartbeat stops (crash, deploy) is put back in the queue and resumes
+ * after its last checkpoint, on any instance; re-importing a partial batch is safe
+ * because records are upserted on (source_id, record_date, hash_key).
+ */
+
+const cron = require('node-cron');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+const CustomDataSource = require('../models/CustomDataSource');
+const CustomDataUpload = require('../models/CustomDataUpload');
+const CustomDataParser = require('./customDataParser');
+const AICustomData = require('./aiCustomData');
+const { invalidateSourceCache } = require('./widgetDataService');
+const { keyedSchema } = require('./customDataSchema');
+const CustomDataQuality = require('./customDataQuality');
+const CustomDataQuarantine = require('../models/CustomDataQuarantine');
+
+// Failed batches kept in error_details
+const MAX_BATCH_ERRORS = 20;
+
+const FILE_UNAVAILABLE = 'The uploaded file is no longer available. Upload it again to import.';
+
+async function removeFile(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to remove local copy of upload ${filePath}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Renew a job's heartbeat several times per stale period until the returned function is called
+ * @returns {Function} Stops the heartbeat
+ */
+function keepAlive(jobId) {
+  const intervalMs = (config.customDataImport.staleMinutes * 60 * 1000) / 5;
+  const timer = setInterval(() => {
+    CustomDataSource.heartbeatImportJob(jobId)
+      .catch(error => console.error(`Failed to renew heartbeat of custom data import ${jobId}:`, error.message));
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+class CustomDataImporter {
+  constructor() {
+    this.isRunning = false;
+    this.mainJob = null;
+    this.activeJobs = new Set();
+  }
+
+  /**
+   * Start polling the import queue; also resumes imports interrupted by a restart
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Custom data importer is already running');
+      return;
+    }
+
+    const { schedule } = config.customDataImport;
+    this.mainJob = cron.schedule(schedule, async () => {
+      await this.tick();
+    });
+
+    this.isRunning = true;
+    console.log(`Custom data importer started (${schedule})`);
+
+    this.tick();
+  }
+
+  stop() {
+    if (this.mainJob) {
+      this.mainJob.stop();
+      this.isRunning = false;
+      console.log('Custom data importer stopped');
+    }
+  }
+
+  /**
+   * Requeue stalled imports, expire old uploads and start queued jobs
+   */
+  async tick() {
+    try {
+      const requeued = await CustomDataSource.requeueStaleImports(config.customDataImport.staleMinutes);
+      if (requeued.length > 0) {
+        console.log(`Requeued ${requeued.length} stalled custom data import(s)`);
+      }
+
+      await this.expireUploads();
+      await this.drain();
+    } catch (error) {
+      console.error('Custom data importer tick failed:', error);
+    }
+  }
+
+  /**
+   * Start queued imports until the concurrency limit is reached
+   */
+  async drain() {
+    while (this.activeJobs.size < config.customDataImport.concurrency) {
+      const job = await CustomDataSource.claimNextImportJob();
+      if (!job) return;
+
+      this.activeJobs.add(job.id);
+      this.runJob(job)
+        .catch(error => console.error(`Custom data import ${job.id} crashed:`, error))
+        .finally(() => {
+          this.activeJobs.delete(job.id);
+          this.drain().catch(error => console.error('Failed to start next custom data import:', error));
+        });
+    }
+  }
+
+  /**
+   * Copy an upload's chunks to a scratch file on this instance, in chunk order
+   * @returns {Promise<string>} Path of the copy; remove it with removeLocalCopy()
+   * @throws {Error} When a chunk is gone (the upload expired or was imported)
+   */
+  async stageLocalCopy(upload) {
+    const { uploadDir } = config.customDataImport;
+    await fs.promises.mkdir(uploadDir, { recursive: true });
+    const filePath = path.join(uploadDir, `${upload.id}-${crypto.randomUUID()}${path.extname(upload.filename).toLowerCase()}`);
+
+    const handle = await fs.promises.open(filePath, 'w');
+    try {
+      for (let index = 0; index < upload.total_chunks; index++) {
+        const chunk = await CustomDataUpload.getChunk(upload.id, index);
+        if (!chunk) throw new Error(FILE_UNAVAILABLE);
+        await handle.write(chunk);
+      }
+    } catch (error) {
+      await handle.close();
+      await removeFile(filePath);
+      throw error;
+    }
+    await handle.close();
+    return filePath;
+  }
+
+  async removeLocalCopy(filePath) {
+    await removeFile(filePath);
+  }
+
+  /**
+   * Queue an import for a fully uploaded file; the row total is estimated when the job starts
+   * @returns {Object} The pending sync job
+   */
+  async enqueue({ source, upload }) {
+    const job = await CustomDataSource.createSyncJob({
+      sourceId: source.id,
+      jobType: 'initial_import',
+      uploadId: upload.id,
+      status: 'pending',
+    });
+
+    await CustomDataSource.updateSyncStatus(source.id, 'pending');
+    this.drain().catch(error => console.error('Failed to start custom data import:', error));
+    return job;
+  }
+
+  /**
+   * Request cancellation; a running import stops after its current batch
+   * @returns {Object|undefined} Updated job, or undefined when it is not pending or running
+   */
+  async cancel(jobId) {
+    return CustomDataSource.requestSyncJobCancel(jobId);
+  }
+
+  /**
+   * Put a cancelled or failed import back in the queue; it continues after its last checkpoint
+   * @returns {Object|undefined} Updated job, or undefined when it cannot be resumed
+   */
+  async resume(jobId) {
+    const job = await CustomDataSource.requeueImportJob(jobId);
+    if (job) {
+      this.drain().catch(error => console.error('Failed to resume custom data import:', error));
+    }
+    return job;
+  }
+
+  /**
+   * Import one claimed job
+   */
+  async runJob(job) {
+    const upload = await CustomDataUpload.findById(job.upload_id);
+    const source = await CustomDataSource.findById(job.source_id);
+
+    if (!source) {
+      // The source was deleted while queued; its jobs are gone with it
+      return;
+    }
+
+    if (!upload || upload.status === 'expired') {
+      await this.finishJob(job, source, { status: 'failed', errorMessage: FILE_UNAVAILABLE });
+      return;
+    }
+
+    const { batchSize } = config.customDataImport;
+    const schema = keyedSchema(source.detected_schema);
+    const progress = {
+      totalRows: job.total_rows,
+      processedRows: job.processed_rows || 0,
+      newRows: job.new_rows || 0,
+      updatedRows: job.updated_rows || 0,
+      failedRows: job.failed_rows || 0,
+      quarantinedRows: job.quarantined_rows || 0,
+    };
+    const batchErrors = (job.error_details && job.error_details.failedBatches) || [];
+
+    if (progress.processedRows > 0) {
+      console.log(`Resuming custom data import ${job.id} after row ${progress.processedRows}`);
+    }
+    await CustomDataSource.updateSyncStatus(source.id, 'syncing');
+
+    // 'unique' rules only see the rows of this run, so a resumed import checks the rest of the file
+    const qualityCheck = CustomDataQuality.createQualityCheck(source, {
+      exemptHashes: await CustomDataQuarantine.findReadmittedHashes(source.id),
+    });
+
+    // Upsert one batch and checkpoint; returns true when cancellation was requested
+    const flush = async (rows) => {
+      const fromRow = progress.processedRows;
+      try {
+        const { passed, failed } = CustomDataQuality.screenBatch(qualityCheck, rows, fromRow + 1);
+        progress.quarantinedRows += await CustomDataQuality.quarantineRows(source.id, job.id, failed);
+
+        const records = CustomDataParser.dedupeRecords(CustomDataParser.transformRowsToRecords(passed, schema, source.id));
+        const { inserted, updated } = await CustomDataSource.copyRecords(records);
+        progress.newRows += inserted;
+        progress.updatedRows += updated + (passed.length - records.length);
+      } catch (batchError) {
+        console.error(`Import ${job.id}: batch of rows ${fromRow} to ${fromRow + rows.length} failed:`, batchError.message);
+        progress.failedRows += rows.length;
+        if (batchErrors.length < MAX_BATCH_ERRORS) {
+          batchErrors.push({ fromRow, toRow: fromRow + rows.length, error: batchError.message });
+        }
+      }
+      progress.processedRows += rows.length;
+
+      const saved = await CustomDataSource.checkpointImportJob(job.id, progress);
+      return Boolean(saved && saved.cancel_requested);
+    };
+
+    let filePath = null;
+    const stopHeartbeat = keepAlive(job.id);
+    try {
+      filePath = await this.stageLocalCopy(upload);
+      if (!progress.totalRows) {
+        progress.totalRows = await CustomDataParser.estimateRowCount(filePath, upload.filename, upload.mime_type)
+          .catch(() => null);
+      }
+
+      let batch = [];
+      let cancelled = false;
+      const rows = CustomDataParser.streamRows(filePath, upload.filename, upload.mime_type, {
+        skip: progress.processedRows,
+      });
+
+      for await (const row of rows) {
+        batch.push(row);
+        if (batch.length >= batchSize) {
+          cancelled = await flush(batch);
+          batch = [];
+          if (cancelled) break;
+        }
+      }
+      if (!cancelled && batch.length > 0) {
+        cancelled = await flush(batch);
+      }
+
+      const errorDetails = batchErrors.length > 0 ? { failedBatches: batchErrors } : undefined;
+
+      if (cancelled) {
+        await this.finishJob(job, source, {
+          status: 'cancelled',
+          errorMessage: `Import cancelled after ${progress.processedRows} rows`,
+          errorDetails,
+        });
+        return;
+      }
+
+      await CustomDataSource.updateSyncJob(job.id, {
+        status: progress.failedRows > 0 ? 'completed_with_errors' : 'completed',
+        totalRows: progress.processedRows,
+        errorDetails,
+      });
+      await CustomDataQuality.recordQualityScore(source, job.id, {
+        checkedRows: progress.processedRows - progress.failedRows,
+        quarantinedRows: progress.quarantinedRows,
+      });
+
+      const rowCount = await CustomDataSource.getRecordCount(source.id);
+      await CustomDataSource.updateRowCount(source.id, rowCount);
+      await CustomDataSource.updateSyncStatus(source.id, 'completed');
+      await CustomDataSource.updateLastSynced(source.id);
+      await CustomDataUpload.updateStatus(upload.id, 'imported');
+      await CustomDataUpload.deleteChunks(upload.id);
+      await invalidateSourceCache(source.id);
+
+      console.log(`Custom data import ${job.id} finished: ${progress.newRows} new, ${progress.updatedRows} updated, ${progress.quarantinedRows} quarantined, ${progress.failedRows} failed`);
+
+      // Data quality analysis on the preview sample (non-blocking)
+      AICustomData.analyzeDataQuality(source.sample_data || [], source.detected_schema, source.workspace_id)
+        .then(async (qualityResult) => {
+          if (qualityResult.success) {
+            await CustomDataSource.updateSyncJob(job.id, { aiAnalysisResult: qualityResult.analysis });
+          }
+        })
+        .catch(error => console.error('Background AI analysis failed:', error));
+    } catch (error) {
+      // The stored chunks are kept so the import can be resumed
+      console.error(`Custom data import ${job.id} failed:`, error);
+      await this.finishJob(job, source, {
+        status: 'failed',
+        errorMessage: error.message,
+        errorDetails: batchErrors.length > 0 ? { failedBatches: batchErrors } : undefined,
+      });
+    } finally {
+      stopHeartbeat();
+      if (filePath) await removeFile(filePath);
+    }
+  }
+
+  /**
+   * Record how a job ended; source is the row loaded before the run set it to 'syncing'
+   */
+  async finishJob(job, source, { status, errorMessage, errorDetails }) {
+    await CustomDataSource.updateSyncJob(job.id, { status, errorMessage, errorDetails });
+
+    if (status === 'cancelled') {
+      // Cancelling is not a failure: restore the source's previous status. 'syncing' is
+      // left over from a run that was interrupted, so it goes back to 'pending' instead.
+      const previousStatus = source.sync_status === 'syncing' ? 'pending' : source.sync_status;
+      await CustomDataSource.updateSyncStatus(source.id, previousStatus, source.sync_error);
+      return;
+    }
+
+    await CustomDataSource.updateSyncStatus(source.id, 'failed', errorMessage);
+  }
+
+  /**
+   * Delete stored chunks of uploads that were abandoned or imported long ago
+   */
+  async expireUploads() {
+    const expired = await CustomDataUpload.findExpired(config.customDataImport.uploadTtlHours);
+    for (const upload of expired) {
+      await CustomDataUpload.deleteChunks(upload.id);
+      await CustomDataUpload.updateStatus(upload.id, 'expired');
+    }
+  }
+}
+
+module.exports = new CustomDataImporter();
@@ -1,8 +1,156 @@
 const XLSX = require('xlsx');
 const csv = require('csv-parser');
 const { Readable } = require('stream');
+const fs = require('fs');
+const readline = require('readline');
 const crypto = require('crypto');
 
+// Sheet rows converted per sheet_to_json call when streaming an Excel file
+const EXCEL_WINDOW_ROWS = 5000;
+// Parquet rows decoded per read when streaming
+const PARQUET_WINDOW_ROWS = 10000;
+
+// Nesting below this depth is kept as a JSON string instead of more flattened columns
+const MAX_FLATTEN_DEPTH = 5;
+// Properties checked, in order, for the row array of a JSON object such as { "data": [...] }
+const JSON_ROW_KEYS = ['data', 'rows', 'records', 'items', 'results'];
+
+// Format by file extension and by mimetype; formats double as custom_data_sources.source_type
+const FORMAT_EXTENSIONS = {
+  csv: 'csv',
+  tsv: 'tsv',
+  tab: 'tsv',
+  json: 'json',
+  ndjson: 'ndjson',
+  jsonl: 'ndjson',
+  parquet: 'parquet',
+  xlsx: 'excel',
+  xls: 'excel',
+};
+const FORMAT_MIMETYPES = {
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'text/tab-separated-values': 'tsv',
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'application/vnd.apache.parquet': 'parquet',
+  'application/x-parquet': 'parquet',
+  'application/vnd.ms-excel': 'excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'excel',
+};
+
+let parquetReader = null;
+
+// hyparquet is an ES module; load it on first use
+async function loadParquetReader() {
+  if (!parquetReader) {
+    parquetReader = await import('hyparquet');
+  }
+  return parquetReader;
+}
+
+const JSON_WHITESPACE = new Set([' ', '\t', '\n', '\r', '\uFEFF']);
+
+/**
+ * Scan a JSON document as a text stream without parsing it whole
+ * Yields { type: 'root', char } for the first character, { type: 'key', key, isArray } for each
+ * property of a top-level object, and { type: 'row', text } for each value of the row array.
+ * @param {string} filePath - Path of the file
+ * @param {string|null} rowsKey - null for a top-level array, or the property of a top-level
+ *   object that holds the rows; undefined only reports the structure
+ */
+async function* scanJson(filePath, rowsKey) {
+  const rowsDepth = rowsKey === null ? 1 : 2;
+  let root = null;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let inRows = false;
+  let expectKey = false;
+  // Last key read in the top-level object, until its value starts
+  let key = null;
+  // Text of the key or row being read, which may span chunks
+  let capture = null;
+
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) {
+    if (capture) capture.start = 0;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (capture && capture.kind === 'key') {
+            capture.parts.push(chunk.slice(capture.start, i + 1));
+            key = JSON.parse(capture.parts.join(''));
+            capture = null;
+          }
+        }
+        continue;
+      }
+      if (JSON_WHITESPACE.has(char)) continue;
+
+      if (root === null) {
+        root = char;
+        yield { type: 'root', char };
+        if (char !== '[' && char !== '{') return;
+      }
+
+      if (inRows && depth === rowsDepth) {
+        if (char === ',' || char === ']') {
+          if (capture) {
+            capture.parts.push(chunk.slice(capture.start, i));
+            yield { type: 'row', text: capture.parts.join('') };
+            capture = null;
+          }
+          if (char === ']') return;
+          continue;
+        }
+        if (!capture) capture = { kind: 'row', parts: [], start: i };
+      } else if (depth === 1 && root === '{') {
+        if (char === '"' && expectKey) {
+          capture = { kind: 'key', parts: [], start: i };
+          expectKey = false;
+          inString = true;
+          continue;
+        }
+        if (char === ',') {
+          expectKey = true;
+          continue;
+        }
+        if (char === ':') continue;
+        if (key !== null) {
+          yield { type: 'key', key, isArray: char === '[' };
+          inRows = char === '[' && key === rowsKey;
+          key = null;
+        }
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+        if (depth === 1) {
+          expectKey = char === '{';
+          inRows = char === '[' && rowsKey === null;
+        }
+      } else if (char === '}' || char === ']') {
+        depth--;
+      }
+    }
+
+    if (capture) capture.parts.push(chunk.slice(capture.start));
+  }
+
+  if (inRows) throw new Error('Unexpected end of JSON input');
+}
+
 class CustomDataParser {
   /**
    * Parse Excel file from buffer
@@ -45,9 +193,12 @@ class CustomDataParser {
    * Parse CSV file from buffer
    * @param {Buffer} fileBuffer - File buffer from multer
    * @param {string} filename - Original filename
+   * @param {string} separator - Field separator (',' for CSV, '\t' for TSV)
    * @returns {Promise<Object>} - Parsed data with rows and metadata
    */
-  static async parseCSV(fileBuffer, filename) {
+  static async parseCSV(fileBuffer, filename, separator = ',') {
+    const label = separator === '\t' ? 'TSV' : 'CSV';
+
     return new Promise((resolve, reject) => {
       const rows = [];
       let headers = [];
@@ -56,7 +207,7 @@ class CustomDataParser {
       const stream = Readable.from(fileBuffer);
 
       stream
-        .pipe(csv())
+        .pipe(csv({ separator }))
         .on('headers', (headerList) => {
           headers = headerList;
         })
@@ -65,7 +216,7 @@ class CustomDataParser {
         })
         .on('end', () => {
           if (rows.length === 0) {
-            reject(new Error('CSV file is empty or has no data rows'));
+            reject(new Error(`${label} file is empty or has no data rows`));
             return;
           }
 
@@ -77,11 +228,178 @@ class CustomDataParser {
           });
         })
         .on('error', (error) => {
-          reject(new Error(`Failed to parse CSV file: ${error.message}`));
+          reject(new Error(`Failed to parse ${label} file: ${error.message}`));
         });
     });
   }
 
+  /**
+   * Parse a JSON file: an array of objects, or an object holding one (e.g. { "data": [...] })
+   * @param {Buffer} fileBuffer - File buffer from multer
+   * @param {string} filename - Original filename
+   * @returns {Object} - Parsed data with flattened rows and metadata
+   */
+  static parseJSON(fileBuffer, filename) {
+    let document;
+    try {
+      document = JSON.parse(fileBuffer.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse JSON file: ${error.message}`);
+    }
+
+    return this.buildParsedData(this.extractJsonRows(document), filename, 'JSON');
+  }
+
+  /**
+   * Parse newline-delimited JSON (one object per line; blank lines are skipped)
+   * @param {Buffer} fileBuffer - File buffer from multer
+   * @param {string} filename - Original filename
+   * @returns {Object} - Parsed data with flattened rows and metadata
+   */
+  static parseNDJSON(fileBuffer, filename) {
+    const rows = [];
+    fileBuffer.toString('utf8').split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '') return;
+      try {
+        rows.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Failed to parse NDJSON file: line ${index + 1}: ${error.message}`);
+      }
+    });
+
+    return this.buildParsedData(rows, filename, 'NDJSON');
+  }
+
+  /**
+   * Parse an Apache Parquet file
+   * @param {Buffer} fileBuffer - File buffer from multer
+   * @param {string} filename - Original filename
+   * @returns {Promise<Object>} - Parsed data with flattened rows and metadata
+   */
+  static async parseParquet(fileBuffer, filename) {
+    const { parquetReadObjects } = await loadParquetReader();
+    const file = fileBuffer.buffer.slice(fileBuffer.byteOffset, fileBuffer.byteOffset + fileBuffer.byteLength);
+
+    let rows;
+    try {
+      rows = await parquetReadObjects({ file });
+    } catch (error) {
+      throw new Error(`Failed to parse Parquet file: ${error.message}`);
+    }
+
+    return this.buildParsedData(rows, filename, 'Parquet');
+  }
+
+  /**
+   * Flatten JSON-like rows and collect the headers of all of them
+   */
+  static buildParsedData(records, filename, label) {
+    const flattened = records.map(record => this.flattenRecord(record));
+    if (flattened.length === 0) {
+      throw new Error(`${label} file is empty or has no data rows`);
+    }
+
+    const headers = this.collectHeaders(flattened);
+    return {
+      rows: this.fillMissingColumns(flattened, headers),
+      headers,
+      totalRows: flattened.length,
+      filename
+    };
+  }
+
+  /**
+   * Rows of a parsed JSON document
+   * @throws {Error} When the document holds no array of rows
+   */
+  static extractJsonRows(document) {
+    if (Array.isArray(document)) return document;
+
+    if (document && typeof document === 'object') {
+      const key = JSON_ROW_KEYS.find(name => Array.isArray(document[name]))
+        || Object.keys(document).find(name => Array.isArray(document[name]));
+      if (key) return document[key];
+      // A single object is a single row
+      return [document];
+    }
+
+    throw new Error('JSON file must contain an array of objects');
+  }
+
+  /**
+   * Flatten a nested record into one level of columns
+   * - Nested objects become dot-separated columns: { geo: { country: "US" } } -> "geo.country"
+   * - Arrays of scalars become a comma-separated string: ["a", "b"] -> "a, b"
+   * - Arrays of objects and anything nested deeper than MAX_FLATTEN_DEPTH are kept as a JSON string
+   * - Dates become YYYY-MM-DD (midnight UTC) or an ISO timestamp; BigInts become numbers when safe
+   * - A scalar row (e.g. a line holding just 42) becomes { value: 42 }
+   * @param {*} record - Parsed row
+   * @returns {Object} - Flat row
+   */
+  static flattenRecord(record) {
+    if (record === null || typeof record !== 'object' || Array.isArray(record) || record instanceof Date) {
+      return { value: this.flattenValue(record) };
+    }
+
+    const flat = {};
+    const visit = (value, prefix, depth) => {
+      const isPlainObject = value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+      if (isPlainObject && depth < MAX_FLATTEN_DEPTH && Object.keys(value).length > 0) {
+        Object.entries(value).forEach(([key, child]) => visit(child, prefix ? `${prefix}.${key}` : key, depth + 1));
+      } else {
+        flat[prefix] = this.flattenValue(value);
+      }
+    };
+    visit(record, '', 0);
+    return flat;
+  }
+
+  /**
+   * Scalar form of a leaf value, see flattenRecord
+   */
+  static flattenValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'bigint') {
+      return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+    }
+    if (value instanceof Date) {
+      const iso = value.toISOString();
+      return iso.endsWith('T00:00:00.000Z') ? iso.split('T')[0] : iso;
+    }
+    if (Array.isArray(value)) {
+      const scalars = value.every(item => item === null || typeof item !== 'object');
+      return scalars
+        ? value.map(item => (typeof item === 'bigint' ? item.toString() : item)).join(', ')
+        : JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+    }
+    if (typeof value === 'object') {
+      return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+    }
+    return value;
+  }
+
+  /**
+   * Column names in order of first appearance across rows
+   */
+  static collectHeaders(rows) {
+    const headers = new Set();
+    rows.forEach(row => Object.keys(row).forEach(key => headers.add(key)));
+    return Array.from(headers);
+  }
+
+  /**
+   * Give every row every column so type detection sees the same shape for all rows
+   */
+  static fillMissingColumns(rows, headers) {
+    return rows.map(row => {
+      const filled = {};
+      headers.forEach(header => {
+        filled[header] = row[header] === undefined ? null : row[header];
+      });
+      return filled;
+    });
+  }
+
   /**
    * Parse file based on mimetype
    * @param {Buffer} fileBuffer - File buffer
@@ -90,18 +408,230 @@ class CustomDataParser {
    * @returns {Promise<Object>} - Parsed data
    */
   static async parseFile(fileBuffer, filename, mimetype) {
-    if (mimetype === 'text/csv' || filename.endsWith('.csv')) {
-      return await this.parseCSV(fileBuffer, filename);
-    } else if (
-      mimetype === 'application/vnd.ms-excel' ||
-      mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-      filename.endsWith('.xlsx') ||
-      filename.endsWith('.xls')
-    ) {
-      return this.parseExcel(fileBuffer, filename);
-    } else {
-      throw new Error('Unsupported file type. Please upload Excel (.xlsx, .xls) or CSV files.');
+    switch (this.detectFormat(filename, mimetype)) {
+      case 'csv':
+        return await this.parseCSV(fileBuffer, filename);
+      case 'tsv':
+        return await this.parseCSV(fileBuffer, filename, '\t');
+      case 'json':
+        return this.parseJSON(fileBuffer, filename);
+      case 'ndjson':
+        return this.parseNDJSON(fileBuffer, filename);
+      case 'parquet':
+        return await this.parseParquet(fileBuffer, filename);
+      default:
+        return this.parseExcel(fileBuffer, filename);
+    }
+  }
+
+  /**
+   * File format from extension, falling back to mimetype
+   * Browsers send generic mimetypes for .ndjson and .parquet, so the extension wins.
+   * @returns {string} 'csv', 'tsv', 'json', 'ndjson', 'parquet' or 'excel' (also the source_type)
+   * @throws {Error} For unsupported files
+   */
+  static detectFormat(filename, mimetype) {
+    const extension = String(filename || '').split('.').pop().toLowerCase();
+    const format = FORMAT_EXTENSIONS[extension] || FORMAT_MIMETYPES[mimetype];
+    if (!format) {
+      throw new Error('Unsupported file type. Please upload Excel (.xlsx, .xls), CSV, TSV, JSON, NDJSON or Parquet files.');
     }
+    return format;
+  }
+
+  /**
+   * Iterate the data rows of a file on disk without building the full row array
+   * CSV, TSV, NDJSON and JSON documents are parsed as streams and Parquet is decoded
+   * in row windows. Excel workbooks have no streaming reader here, so they are loaded
+   * once per import. JSON-like rows are flattened (see flattenRecord).
+   * @param {string} filePath - Path of the staged file
+   * @param {string} filename - Original filename
+   * @param {string} mimetype - File mimetype
+   * @param {Object} options - { skip } data rows to skip, used to resume an import
+   * @returns {AsyncGenerator<Object>} Rows keyed by header
+   */
+  static async *streamRows(filePath, filename, mimetype, { skip = 0 } = {}) {
+    let index = 0;
+    const format = this.detectFormat(filename, mimetype);
+    const source = {
+      csv: () => fs.createReadStream(filePath).pipe(csv()),
+      tsv: () => fs.createReadStream(filePath).pipe(csv({ separator: '\t' })),
+      ndjson: () => this.readNDJSONFile(filePath),
+      json: () => this.readJSONFile(filePath),
+      parquet: () => this.readParquetFile(filePath),
+      excel: () => this.readExcelFile(filePath),
+    }[format]();
+
+    for await (const row of source) {
+      if (index++ >= skip) yield row;
+    }
+  }
+
+  static async *readNDJSONFile(filePath) {
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim() === '') continue;
+      try {
+        yield this.flattenRecord(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Failed to parse NDJSON file: line ${lineNumber}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Stream the rows of a JSON document, chosen as in extractJsonRows()
+   * The row array is found in a first pass over the structure; only a top-level object
+   * without any array property (a single row) is parsed whole.
+   */
+  static async *readJSONFile(filePath) {
+    const { root, rowsKey } = await this.findJsonRows(filePath);
+    if (root === '{' && rowsKey === undefined) {
+      yield this.flattenRecord(JSON.parse(await fs.promises.readFile(filePath, 'utf8')));
+      return;
+    }
+    if (rowsKey === undefined) {
+      throw new Error('JSON file must contain an array of objects');
+    }
+
+    let rowNumber = 0;
+    for await (const event of scanJson(filePath, rowsKey)) {
+      if (event.type !== 'row') continue;
+      rowNumber++;
+      try {
+        yield this.flattenRecord(JSON.parse(event.text));
+      } catch (error) {
+        throw new Error(`Failed to parse JSON file: row ${rowNumber}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Where the rows of a JSON document are
+   * @returns {Promise<Object>} { root } first character, and rowsKey: null for a top-level array,
+   *   the property holding the rows of a top-level object, or undefined when there is no row array
+   */
+  static async findJsonRows(filePath) {
+    let root;
+    const arrayKeys = [];
+
+    for await (const event of scanJson(filePath)) {
+      if (event.type === 'root') {
+        root = event.char;
+        if (root === '[') return { root, rowsKey: null };
+      } else if (event.isArray) {
+        arrayKeys.push(event.key);
+        // Nothing later can take precedence over the first preferred key
+        if (event.key === JSON_ROW_KEYS[0]) break;
+      }
+    }
+
+    const rowsKey = JSON_ROW_KEYS.find(name => arrayKeys.includes(name)) || arrayKeys[0];
+    return { root, rowsKey };
+  }
+
+  static async *readParquetFile(filePath) {
+    const { asyncBufferFromFile, parquetMetadataAsync, parquetReadObjects } = await loadParquetReader();
+    const file = await asyncBufferFromFile(filePath);
+    const metadata = await parquetMetadataAsync(file);
+    const totalRows = Number(metadata.num_rows);
+
+    for (let rowStart = 0; rowStart < totalRows; rowStart += PARQUET_WINDOW_ROWS) {
+      const rows = await parquetReadObjects({
+        file,
+        metadata,
+        rowStart,
+        rowEnd: Math.min(rowStart + PARQUET_WINDOW_ROWS, totalRows),
+      });
+      for (const row of rows) {
+        yield this.flattenRecord(row);
+      }
+    }
+  }
+
+  /**
+   * @param {Object} options - { sheetRows } stops cell parsing after that many sheet rows
+   */
+  static async *readExcelFile(filePath, { sheetRows } = {}) {
+    const workbook = XLSX.readFile(filePath, { dense: true, ...(sheetRows && { sheetRows }) });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!worksheet || !worksheet['!ref']) return;
+
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+    const [headers] = XLSX.utils.sheet_to_json(worksheet, {
+      header: 1,
+      range: { s: { r: range.s.r, c: range.s.c }, e: { r: range.s.r, c: range.e.c } },
+    });
+    if (!headers) return;
+
+    for (let start = range.s.r + 1; start <= range.e.r; start += EXCEL_WINDOW_ROWS) {
+      yield* XLSX.utils.sheet_to_json(worksheet, {
+        header: headers,
+        defval: null,
+        range: { s: { r: start, c: range.s.c }, e: { r: Math.min(start + EXCEL_WINDOW_ROWS - 1, range.e.r), c: range.e.c } },
+      });
+    }
+  }
+
+  /**
+   * First rows of a staged file, for previews and schema detection
+   * @returns {Promise<Object>} { rows, headers }
+   */
+  static async readSample(filePath, filename, mimetype, sampleSize = 10) {
+    const rows = [];
+    // Only the header and sample rows of a workbook are parsed
+    const source = this.detectFormat(filename, mimetype) === 'excel'
+      ? this.readExcelFile(filePath, { sheetRows: sampleSize + 1 })
+      : this.streamRows(filePath, filename, mimetype);
+    for await (const row of source) {
+      rows.push(row);
+      if (rows.length >= sampleSize) break;
+    }
+    const headers = this.collectHeaders(rows);
+    return { rows: this.fillMissingColumns(rows, headers), headers };
+  }
+
+  /**
+   * Approximate data row count of a staged file
+   * CSV/TSV count line breaks, so quoted values spanning lines overestimate; Excel uses the
+   * sheet dimension, which includes blank rows; Parquet is exact. JSON documents are not
+   * counted. The import corrects the count when done.
+   * @returns {Promise<number|null>} Row count, or null when unknown
+   */
+  static async estimateRowCount(filePath, filename, mimetype) {
+    const format = this.detectFormat(filename, mimetype);
+
+    if (format === 'json') return null;
+
+    if (format === 'parquet') {
+      const { asyncBufferFromFile, parquetMetadataAsync } = await loadParquetReader();
+      const metadata = await parquetMetadataAsync(await asyncBufferFromFile(filePath));
+      return Number(metadata.num_rows);
+    }
+
+    if (format === 'excel') {
+      // sheetRows stops cell parsing early; !fullref still holds the full dimension
+      const workbook = XLSX.readFile(filePath, { sheetRows: 1 });
+      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+      const ref = worksheet && (worksheet['!fullref'] || worksheet['!ref']);
+      if (!ref) return 0;
+      const range = XLSX.utils.decode_range(ref);
+      return Math.max(range.e.r - range.s.r, 0);
+    }
+
+    let lines = 0;
+    let lastByte = null;
+    for await (const chunk of fs.createReadStream(filePath)) {
+      for (let i = 0; i < chunk.length; i++) {
+        if (chunk[i] === 10) lines++;
+      }
+      lastByte = chunk[chunk.length - 1];
+    }
+    if (lastByte !== null && lastByte !== 10) lines++;
+    // NDJSON has no header line
+    return format === 'ndjson' ? lines : Math.max(lines - 1, 0);
   }
 
   /**
@@ -200,7 +730,7 @@ class CustomDataParser {
       }
 
       // Check for date
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$|^\d{1,2}\/\d{1,2}\/\d{2,4}$|^\d{1,2}-\d{1,2}-\d{2,4}$/;
+      const dateRegex = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$|^\d{1,2}\/\d{1,2}\/\d{2,4}$|^\d{1,2}-\d{1,2}-\d{2,4}$/;
       if (dateRegex.test(strValue)) {
         const parsed = new Date(strValue);
         if (!isNaN(parsed.getTime())) {
@@ -308,6 +838,17 @@ class CustomDataParser {
     });
   }
 
+  /**
+   * Keep the last record per (record_date, hash_key); one upsert statement cannot touch a row twice
+   * @param {Array} records - Output of transformRowsToRecords
+   * @returns {Array} - Records with unique (record_date, hash_key)
+   */
+  static dedupeRecords(records) {
+    const byKey = new Map();
+    records.forEach(record => byKey.set(`${record.recordDate}:${record.hashKey}`, record));
+    return Array.from(byKey.values());
+  }
+
   /**
    * Parse date from various formats
    * @param {*} value - Value to parse
@@ -0,0 +1,334 @@
+/**
+ * Custom Data Quality
+ * Declarative validation rules per source (custom_data_sources.quality_rules), checked on
+ * every file import and Google Sheets sync. Rows failing a rule are kept in
+ * custom_data_quarantine with the reasons instead of being stored as records; a user can
+ * readmit or discard them. Every checked run records a quality score.
+ *
+ * Rules:
+ *   { type: 'required', columns: ['date', 'spend'] }                       value must be present
+ *   { type: 'range', column: 'spend', min: 0, max: 50000 }                  numeric, min and/or max
+ *   { type: 'allowed_values', column: 'region', values: ['US', 'EU'], caseSensitive: false }
+ *   { type: 'date_range', column: 'date', min: '2024-01-01', max: 'today' } column defaults to the date column
+ *   { type: 'unique', columns: ['date', 'campaign'] }                       within one import or sync run
+ *
+ * Empty values only fail 'required'; the other rules skip them.
+ */
+
+const crypto = require('crypto');
+const CustomDataSource = require('../models/CustomDataSource');
+const CustomDataQuarantine = require('../models/CustomDataQuarantine');
+const CustomDataQualityScore = require('../models/CustomDataQualityScore');
+const CustomDataParser = require('./customDataParser');
+const { schemaColumns, keyedSchema } = require('./customDataSchema');
+const { invalidateSourceCache } = require('./widgetDataService');
+const { ValidationError } = require('../utils/errors');
+
+const RULE_TYPES = ['required', 'range', 'allowed_values', 'date_range', 'unique'];
+const MAX_RULES = 50;
+const MAX_ALLOWED_VALUES = 1000;
+const DATE_BOUND = /^(today|\d{4}-\d{2}-\d{2})$/;
+
+const isEmpty = value => value === null || value === undefined || String(value).trim() === '';
+
+function rowHash(row) {
+  return crypto.createHash('md5').update(JSON.stringify(row)).digest('hex');
+}
+
+/**
+ * Validate and normalize a rule list against a source's columns
+ * @param {Array} rules - Rules as sent by the client
+ * @param {Object} source - Source row, or { detected_schema, date_column } for a source not created yet
+ * @returns {Array} Normalized rules
+ * @throws {ValidationError} With one message per problem in errors
+ */
+function validateRules(rules, source) {
+  if (!Array.isArray(rules)) {
+    throw new ValidationError('Quality rules must be an array');
+  }
+  if (rules.length > MAX_RULES) {
+    throw new ValidationError(`At most ${MAX_RULES} quality rules are allowed per source`);
+  }
+
+  const columns = new Set(schemaColumns(source.detected_schema).map(column => column.name));
+  const dateColumn = source.date_column || (source.detected_schema || {}).primaryDateColumn || null;
+  const errors = [];
+  const normalized = [];
+
+  const checkColumns = (names, path) => {
+    if (!Array.isArray(names) || names.length === 0) {
+      errors.push(`${path} must be a non-empty array of column names`);
+      return false;
+    }
+    const unknown = names.filter(name => !columns.has(name));
+    if (unknown.length > 0) {
+      errors.push(`${path}: unknown column(s) ${unknown.map(name => `"${name}"`).join(', ')}`);
+      return false;
+    }
+    return true;
+  };
+
+  rules.forEach((rule, index) => {
+    const path = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object' || !RULE_TYPES.includes(rule.type)) {
+      errors.push(`${path}.type must be one of ${RULE_TYPES.join(', ')}`);
+      return;
+    }
+
+    const description = typeof rule.description === 'string' ? rule.description.slice(0, 200) : undefined;
+
+    switch (rule.type) {
+      case 'required':
+      case 'unique':
+        if (checkColumns(rule.columns, `${path}.columns`)) {
+          normalized.push({ type: rule.type, columns: rule.columns, description });
+        }
+        break;
+
+      case 'range': {
+        const min = rule.min === undefined || rule.min === null ? null : Number(rule.min);
+        const max = rule.max === undefined || rule.max === null ? null : Number(rule.max);
+        if (min === null && max === null) {
+          errors.push(`${path} needs min and/or max`);
+        } else if (Number.isNaN(min) || Number.isNaN(max)) {
+          errors.push(`${path}.min and ${path}.max must be numbers`);
+        } else if (min !== null && max !== null && min > max) {
+          errors.push(`${path}.min must not be greater than max`);
+        } else if (checkColumns([rule.column], `${path}.column`)) {
+          normalized.push({ type: 'range', column: rule.column, min, max, description });
+        }
+        break;
+      }
+
+      case 'allowed_values':
+        if (!Array.isArray(rule.values) || rule.values.length === 0 || rule.values.length > MAX_ALLOWED_VALUES) {
+          errors.push(`${path}.values must be an array of 1 to ${MAX_ALLOWED_VALUES} values`);
+        } else if (checkColumns([rule.column], `${path}.column`)) {
+          normalized.push({
+            type: 'allowed_values',
+            column: rule.column,
+            values: rule.values.map(value => String(value)),
+            caseSensitive: Boolean(rule.caseSensitive),
+            description,
+          });
+        }
+        break;
+
+      case 'date_range': {
+        const column = rule.column || dateColumn;
+        const bounds = [rule.min, rule.max].filter(bound => bound !== undefined && bound !== null);
+        if (!column) {
+          errors.push(`${path}.column is required; the source has no date column`);
+        } else if (bounds.length === 0) {
+          errors.push(`${path} needs min and/or max`);
+        } else if (bounds.some(bound => !DATE_BOUND.test(String(bound)))) {
+          errors.push(`${path}.min and ${path}.max must be YYYY-MM-DD or "today"`);
+        } else if (checkColumns([column], `${path}.column`)) {
+          normalized.push({ type: 'date_range', column, min: rule.min || null, max: rule.max || null, description });
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid quality rules', errors);
+  }
+
+  return normalized;
+}
+
+/**
+ * Row checker for one import or sync run; keeps the keys seen by 'unique' rules
+ * @param {Object} source - custom_data_sources row
+ * @param {Object} options - { exemptHashes } rows a user readmitted, which are not checked again
+ * @returns {Object} { hasRules, check(row) -> reasons[] }
+ */
+function createQualityCheck(source, { exemptHashes = [] } = {}) {
+  const rules = source.quality_rules || [];
+  const exempt = new Set(exemptHashes);
+  const today = new Date().toISOString().split('T')[0];
+  const resolveDate = bound => (bound === 'today' ? today : bound);
+  const seenKeys = rules.map(() => new Set());
+  const normalizeValue = (rule, value) => (rule.caseSensitive ? String(value).trim() : String(value).trim().toLowerCase());
+  const allowedValues = rules.map(rule => (
+    rule.type === 'allowed_values' ? new Set(rule.values.map(value => normalizeValue(rule, value))) : null
+  ));
+
+  const checkRule = (rule, index, row) => {
+    switch (rule.type) {
+      case 'required': {
+        const missing = rule.columns.filter(column => isEmpty(row[column]));
+        return missing.length > 0 ? { columns: missing, message: `Missing ${missing.join(', ')}` } : null;
+      }
+
+      case 'range': {
+        const value = row[rule.column];
+        if (isEmpty(value)) return null;
+        const number = CustomDataParser.parseNumericValue(value);
+        if (number === null) return { message: `${rule.column} is not a number` };
+        if (rule.min !== null && number < rule.min) return { message: `${rule.column} is below ${rule.min}` };
+        if (rule.max !== null && number > rule.max) return { message: `${rule.column} is above ${rule.max}` };
+        return null;
+      }
+
+      case 'allowed_values': {
+        const value = row[rule.column];
+        if (isEmpty(value)) return null;
+        return allowedValues[index].has(normalizeValue(rule, value))
+          ? null
+          : { message: `${rule.column} has value "${value}", which is not allowed` };
+      }
+
+      case 'date_range': {
+        const value = row[rule.column];
+        if (isEmpty(value)) return null;
+        const date = CustomDataParser.parseDate(value);
+        if (!date) return { message: `${rule.column} is not a date` };
+        if (rule.min && date < resolveDate(rule.min)) return { message: `${rule.column} is before ${resolveDate(rule.min)}` };
+        if (rule.max && date > resolveDate(rule.max)) return { message: `${rule.column} is after ${resolveDate(rule.max)}` };
+        return null;
+      }
+
+      case 'unique': {
+        const key = rowHash(rule.columns.map(column => row[column]));
+        if (seenKeys[index].has(key)) {
+          return { columns: rule.columns, message: `Duplicate ${rule.columns.join(' + ')}` };
+        }
+        seenKeys[index].add(key);
+        return null;
+      }
+
+      default:
+        return null;
+    }
+  };
+
+  return {
+    hasRules: rules.length > 0,
+    check(row, hash = rowHash(row)) {
+      if (exempt.has(hash)) return [];
+
+      const reasons = [];
+      rules.forEach((rule, index) => {
+        const failure = checkRule(rule, index, row);
+        if (failure) {
+          reasons.push({
+            rule: rule.type,
+            column: rule.column || (failure.columns || rule.columns).join(', '),
+            message: rule.description ? `${rule.description}: ${failure.message}` : failure.message,
+          });
+        }
+      });
+      return reasons;
+    },
+  };
+}
+
+/**
+ * Split rows into passing rows and quarantine entries
+ * @param {number} firstRowNumber - Row number of rows[0] (1 = first data row)
+ */
+function screenBatch(checker, rows, firstRowNumber = 1) {
+  if (!checker.hasRules) return { passed: rows, failed: [] };
+
+  const passed = [];
+  const failed = [];
+  rows.forEach((row, index) => {
+    const hash = rowHash(row);
+    const reasons = checker.check(row, hash);
+    if (reasons.length === 0) {
+      passed.push(row);
+    } else {
+      failed.push({ rowNumber: firstRowNumber + index, rawData: row, rowHash: hash, reasons });
+    }
+  });
+  return { passed, failed };
+}
+
+/**
+ * Store failing rows; identical rows in one batch are stored once
+ * @returns {number} Rows quarantined
+ */
+async function quarantineRows(sourceId, syncJobId, failed) {
+  if (failed.length === 0) return 0;
+
+  const byHash = new Map();
+  failed.forEach(entry => byHash.set(entry.rowHash, entry));
+  await CustomDataQuarantine.upsertMany(sourceId, syncJobId, Array.from(byHash.values()));
+  return failed.length;
+}
+
+/**
+ * Record the quality score of a run; runs of sources without rules are not scored
+ */
+async function recordQualityScore(source, syncJobId, { checkedRows, quarantinedRows }) {
+  if (!(source.quality_rules || []).length || checkedRows === 0) return null;
+
+  const passedRows = checkedRows - quarantinedRows;
+  const ruleFailures = syncJobId ? await CustomDataQuarantine.countRuleFailures(syncJobId) : [];
+
+  return CustomDataQualityScore.create({
+    sourceId: source.id,
+    syncJobId,
+    checkedRows,
+    passedRows,
+    quarantinedRows,
+    score: Math.round((passedRows / checkedRows) * 10000) / 100,
+    ruleFailures,
+  });
+}
+
+/**
+ * Check a complete set of rows, quarantine the failures and score the run
+ * @returns {Object} { rows: passing rows, quarantinedRows, score }
+ */
+async function screenRows(source, rows, syncJobId) {
+  if (!(source.quality_rules || []).length) {
+    return { rows, quarantinedRows: 0, score: null };
+  }
+
+  const checker = createQualityCheck(source, {
+    exemptHashes: await CustomDataQuarantine.findReadmittedHashes(source.id),
+  });
+  const { passed, failed } = screenBatch(checker, rows);
+  const quarantinedRows = await quarantineRows(source.id, syncJobId, failed);
+  const score = await recordQualityScore(source, syncJobId, { checkedRows: rows.length, quarantinedRows });
+
+  return { rows: passed, quarantinedRows, score: score ? Number(score.score) : null };
+}
+
+/**
+ * Store quarantined rows as records despite their rule failures
+ * @returns {Object} { readmitted, inserted, updated }
+ */
+async function readmitRows(source, ids, userId) {
+  const entries = await CustomDataQuarantine.resolve(source.id, ids, 'readmitted', userId);
+  if (entries.length === 0) return { readmitted: 0, inserted: 0, updated: 0 };
+
+  const records = CustomDataParser.dedupeRecords(CustomDataParser.transformRowsToRecords(
+    entries.map(entry => entry.raw_data),
+    keyedSchema(source.detected_schema),
+    source.id
+  ));
+  const { inserted, updated } = await CustomDataSource.copyRecords(records);
+
+  await CustomDataSource.updateRowCount(source.id, await CustomDataSource.getRecordCount(source.id));
+  await invalidateSourceCache(source.id);
+
+  return { readmitted: entries.length, inserted, updated };
+}
+
+module.exports = {
+  RULE_TYPES,
+  validateRules,
+  createQualityCheck,
+  screenBatch,
+  quarantineRows,
+  recordQualityScore,
+  screenRows,
+  readmitRows,
+};
@@ -0,0 +1,428 @@
+/**
+ * Custom Data Query Compiler
+ * Turns a query spec (select, filters, groupBy, orderBy, date range) into
+ * parameterized SQL over custom_data_records. Every column is checked against the
+ * source's metric/dimension columns and JSON keys are bound as parameters, so
+ * nothing from a widget config or request body is spliced into the SQL text.
+ *
+ * Select items:
+ *   'region' | 'spend' | 'date'                  plain column
+ *   'sum(spend)' | 'p90(cpc)' | 'count(*)'       aggregate shorthand
+ *   { column, aggregation, percentile, as }      aggregate (percentile: 0-1 with aggregation 'percentile')
+ *   { formula: 'revenue / spend', aggregation, as }  computed metric over aggregated columns
+ *
+ * Filters: { region: 'US', campaign: ['A', 'B'], spend: { gt: 100 }, notes: null }
+ *   or [{ column, operator, value }]; see FILTER_OPERATORS.
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const AGGREGATIONS = ['sum', 'avg', 'count', 'min', 'max', 'median', 'percentile'];
+const AGGREGATION_ALIASES = { average: 'avg' };
+
+// Pseudo-columns on record_date (the parsed value of the source's date column)
+const TIME_BUCKETS = { date: 'day', week: 'week', month: 'month' };
+
+const FILTER_OPERATORS = {
+  equals: 'equals', eq: 'equals', '=': 'equals',
+  not_equals: 'not_equals', neq: 'not_equals', '!=': 'not_equals',
+  greater_than: 'gt', gt: 'gt', '>': 'gt',
+  greater_than_or_equal: 'gte', gte: 'gte', '>=': 'gte',
+  less_than: 'lt', lt: 'lt', '<': 'lt',
+  less_than_or_equal: 'lte', lte: 'lte', '<=': 'lte',
+  between: 'between',
+  in: 'in',
+  not_in: 'not_in',
+  contains: 'contains',
+  not_contains: 'not_contains',
+  starts_with: 'starts_with',
+  is_null: 'is_null',
+  is_not_null: 'is_not_null',
+};
+const COMPARISONS = { equals: '=', not_equals: 'IS DISTINCT FROM', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Larger limits are clamped to this many rows
+const MAX_LIMIT = 1000;
+
+/**
+ * Metric, dimension and date columns of a source
+ * detected_schema.columns is an array from AI detection or a name-keyed object from basic detection.
+ */
+function getSourceColumns(source) {
+  const schema = source.detected_schema || {};
+  const raw = schema.columns || [];
+  const columns = Array.isArray(raw) ? raw : Object.entries(raw).map(([name, info]) => ({ name, ...info }));
+  const withRole = role => columns.filter(column => column.role === role).map(column => column.name);
+
+  return {
+    columns,
+    metrics: [...new Set([...withRole('metric'), ...(source.metric_columns || [])])],
+    dimensions: [...new Set([...withRole('dimension'), ...(source.dimension_columns || [])])],
+    dateColumn: schema.primaryDateColumn || source.date_column || withRole('date')[0] || null,
+  };
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Escape LIKE wildcards so "contains" matches literally
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+// limit and offset arrive from request bodies as numbers or numeric strings
+function parseCount(value, field) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ValidationError(`${field} must be a whole number of 0 or more`, [{ field, message: 'Not a whole number of 0 or more' }]);
+  }
+  return number;
+}
+
+function normalizeAggregation(aggregation) {
+  if (!aggregation) return null;
+  const name = String(aggregation).toLowerCase();
+  if (AGGREGATION_ALIASES[name]) return { name: AGGREGATION_ALIASES[name] };
+  const percentile = name.match(/^p(\d{1,2})$/);
+  if (percentile) return { name: 'percentile', percentile: parseInt(percentile[1], 10) / 100 };
+  if (!AGGREGATIONS.includes(name)) {
+    throw new ValidationError(`Unsupported aggregation "${aggregation}"`);
+  }
+  return { name };
+}
+
+/**
+ * Compile a query spec for one source
+ * @param {Object} source - custom_data_sources row
+ * @param {Object} spec - { select, filters, groupBy, orderBy, dateRange: { startDate, endDate }, limit, offset }
+ *   limit is clamped to MAX_LIMIT
+ * @returns {Object} { text, values, columns } where columns lists the output column names
+ * @throws {ValidationError} On unknown columns, operators or aggregations, or a limit or offset that is not a count
+ */
+function compileQuery(source, spec = {}) {
+  const available = getSourceColumns(source);
+  const values = [];
+  const keyParams = new Map();
+
+  const param = (value, cast = '') => {
+    values.push(value);
+    return `$${values.length}${cast}`;
+  };
+  // Reuse one parameter per JSON key so identical expressions stay identical
+  const keyParam = name => {
+    if (!keyParams.has(name)) keyParams.set(name, param(name, '::text'));
+    return keyParams.get(name);
+  };
+
+  const isDate = name => name === 'date' || name === available.dateColumn;
+  const metricValue = name => `(metrics->>${keyParam(name)})::numeric`;
+  const dimensionValue = name => `(dimensions->>${keyParam(name)})`;
+
+  const requireMetric = name => {
+    if (!available.metrics.includes(name)) {
+      throw new ValidationError(`Unknown metric column "${name}"`, [{ field: name, message: 'Not a metric column of this source' }]);
+    }
+  };
+
+  function aggregate(aggregation, expression) {
+    switch (aggregation.name) {
+      case 'count':
+        return expression ? `COUNT(${expression})` : 'COUNT(*)';
+      case 'median':
+        return `percentile_cont(0.5) WITHIN GROUP (ORDER BY ${expression})`;
+      case 'percentile': {
+        const fraction = Number(aggregation.percentile);
+        if (!(fraction > 0 && fraction < 1)) {
+          throw new ValidationError('percentile must be between 0 and 1');
+        }
+        return `percentile_cont(${param(fraction, '::float8')}) WITHIN GROUP (ORDER BY ${expression})`;
+      }
+      default:
+        return `COALESCE(${aggregation.name.toUpperCase()}(${expression}), 0)`;
+    }
+  }
+
+  // Formula grammar: expr := term (('+'|'-') term)*, term := factor (('*'|'/') factor)*,
+  // factor := number | metric | "quoted metric" | '(' expr ')' | '-' factor
+  function compileFormula(formula, aggregation) {
+    const tokens = String(formula).match(/\s*(\d+(?:\.\d+)?|[A-Za-z_][A-Za-z0-9_]*|"(?:[^"]|"")+"|[-+*/()])/g);
+    if (!tokens || tokens.join('').replace(/\s/g, '') !== String(formula).replace(/\s/g, '')) {
+      throw new ValidationError(`Invalid formula "${formula}"`);
+    }
+    const queue = tokens.map(token => token.trim());
+    let position = 0;
+    const peek = () => queue[position];
+    const next = () => queue[position++];
+
+    function factor() {
+      const token = next();
+      if (token === undefined) throw new ValidationError(`Invalid formula "${formula}"`);
+      if (token === '(') {
+        const inner = expr();
+        if (next() !== ')') throw new ValidationError(`Unbalanced parentheses in formula "${formula}"`);
+        return `(${inner})`;
+      }
+      if (token === '-') return `(-${factor()})`;
+      if (/^\d/.test(token)) return param(Number(token), '::numeric');
+      if (/^[A-Za-z_"]/.test(token)) {
+        const name = token.startsWith('"') ? token.slice(1, -1).replace(/""/g, '"') : token;
+        requireMetric(name);
+        return aggregate(aggregation, metricValue(name));
+      }
+      throw new ValidationError(`Invalid formula "${formula}"`);
+    }
+
+    function term() {
+      let left = factor();
+      while (peek() === '*' || peek() === '/') {
+        const operator = next();
+        const right = factor();
+        left = operator === '/' ? `(${left} / NULLIF(${right}, 0))` : `(${left} * ${right})`;
+      }
+      return left;
+    }
+
+    function expr() {
+      let left = term();
+      while (peek() === '+' || peek() === '-') {
+        left = `(${left} ${next()} ${term()})`;
+      }
+      return left;
+    }
+
+    const sql = expr();
+    if (position !== queue.length) throw new ValidationError(`Invalid formula "${formula}"`);
+    return sql;
+  }
+
+  // Group items come first in the output so GROUP BY can use their positions
+  const groupBy = [].concat(spec.groupBy || []).filter(Boolean).map(name => {
+    if (available.dimensions.includes(name)) {
+      return { as: name, sql: dimensionValue(name) };
+    }
+    const bucket = TIME_BUCKETS[name] || (isDate(name) ? 'day' : null);
+    if (bucket) {
+      const sql = bucket === 'day'
+        ? `to_char(record_date, 'YYYY-MM-DD')`
+        : `to_char(date_trunc('${bucket}', record_date), 'YYYY-MM-DD')`;
+      return { as: TIME_BUCKETS[name] ? name : 'date', sql, bucket: true };
+    }
+    throw new ValidationError(`Unknown groupBy column "${name}"`, [{ field: name, message: 'Not a dimension of this source' }]);
+  });
+  const grouped = groupBy.length > 0;
+
+  const selectItems = [];
+  let hasAggregate = false;
+
+  [].concat(spec.select || []).forEach(item => {
+    let definition = item;
+    if (typeof item === 'string') {
+      const shorthand = item.match(/^\s*([A-Za-z0-9]+)\s*\(\s*(\*|[^)]+?)\s*\)\s*$/);
+      definition = shorthand
+        ? { aggregation: shorthand[1], column: shorthand[2] === '*' ? null : shorthand[2] }
+        : { column: item };
+    }
+
+    const aggregation = normalizeAggregation(definition.aggregation);
+    if (aggregation && aggregation.name === 'percentile' && definition.percentile !== undefined) {
+      aggregation.percentile = definition.percentile;
+    }
+
+    if (definition.formula) {
+      hasAggregate = true;
+      selectItems.push({
+        as: definition.as || definition.name || definition.formula,
+        sql: compileFormula(definition.formula, aggregation || { name: 'sum' }),
+        aggregated: true,
+      });
+      return;
+    }
+
+    const { column } = definition;
+    if (!column) {
+      if (!aggregation || aggregation.name !== 'count') {
+        throw new ValidationError('Select items need a column or a formula');
+      }
+      hasAggregate = true;
+      selectItems.push({ as: definition.as || 'count', sql: 'COUNT(*)', aggregated: true });
+      return;
+    }
+
+    if (groupBy.some(group => group.as === column || (group.as === 'date' && isDate(column)))) return;
+
+    if (available.metrics.includes(column)) {
+      // Grouped queries always aggregate metrics
+      const effective = aggregation || (grouped ? { name: 'sum' } : null);
+      if (effective) hasAggregate = true;
+      selectItems.push({
+        as: definition.as || column,
+        sql: effective ? aggregate(effective, metricValue(column)) : metricValue(column),
+        aggregated: Boolean(effective),
+      });
+    } else if (available.dimensions.includes(column)) {
+      if (aggregation && aggregation.name === 'count') {
+        hasAggregate = true;
+        selectItems.push({ as: definition.as || column, sql: `COUNT(DISTINCT ${dimensionValue(column)})`, aggregated: true });
+      } else {
+        selectItems.push({ as: definition.as || column, sql: dimensionValue(column), aggregated: false });
+      }
+    } else if (isDate(column)) {
+      selectItems.push({ as: definition.as || 'date', sql: `to_char(record_date, 'YYYY-MM-DD')`, aggregated: false });
+    } else {
+      throw new ValidationError(`Unknown column "${column}"`, [{ field: column, message: 'Not a column of this source' }]);
+    }
+  });
+
+  const plain = (grouped || hasAggregate) && selectItems.find(item => !item.aggregated);
+  if (plain) {
+    throw new ValidationError(`"${plain.as}" must be aggregated or listed in groupBy`);
+  }
+
+  if (grouped && selectItems.length === 0) {
+    selectItems.push({ as: 'records', sql: 'COUNT(*)', aggregated: true });
+  }
+
+  const output = [...groupBy, ...selectItems];
+
+  // WHERE
+  const where = [`source_id = ${param(source.id)}`];
+  if (spec.dateRange) {
+    where.push(`record_date >= ${param(spec.dateRange.startDate, '::date')}`);
+    where.push(`record_date <= ${param(spec.dateRange.endDate, '::date')}`);
+  }
+  normalizeFilters(spec.filters).forEach(filter => where.push(compileFilter(filter)));
+
+  function compileFilter({ column, operator: rawOperator, value }) {
+    const operator = FILTER_OPERATORS[String(rawOperator || 'equals').toLowerCase()];
+    if (!operator) {
+      throw new ValidationError(`Unsupported filter operator "${rawOperator}"`);
+    }
+
+    if (operator === 'is_null' || operator === 'is_not_null') {
+      const target = available.metrics.includes(column) ? `(metrics->>${keyParam(column)})` : resolveFilterTarget(column).sql;
+      return `${target} IS ${operator === 'is_null' ? '' : 'NOT '}NULL`;
+    }
+
+    const target = resolveFilterTarget(column);
+
+    if (operator === 'between') {
+      if (!Array.isArray(value) || value.length !== 2) {
+        throw new ValidationError(`between on "${column}" needs [from, to]`);
+      }
+      if (target.kind === 'dimension') throw new ValidationError(`between applies to metric and date columns, not "${column}"`);
+      return `${target.sql} BETWEEN ${param(value[0], target.cast)} AND ${param(value[1], target.cast)}`;
+    }
+
+    if (operator === 'in' || operator === 'not_in') {
+      const list = [].concat(value);
+      const arrayCast = target.kind === 'dimension' ? '::text[]' : `${target.cast}[]`;
+      const listValues = target.kind === 'dimension' ? list.map(String) : list;
+      return operator === 'in'
+        ? `${target.sql} = ANY(${param(listValues, arrayCast)})`
+        : `(${target.sql} IS NULL OR ${target.sql} <> ALL(${param(listValues, arrayCast)}))`;
+    }
+
+    if (operator === 'contains' || operator === 'not_contains' || operator === 'starts_with') {
+      if (target.kind !== 'dimension') throw new ValidationError(`${operator} applies to dimension columns, not "${column}"`);
+      const pattern = operator === 'starts_with' ? `${escapeLike(value)}%` : `%${escapeLike(value)}%`;
+      return operator === 'not_contains'
+        ? `(${target.sql} IS NULL OR ${target.sql} NOT ILIKE ${param(pattern)})`
+        : `${target.sql} ILIKE ${param(pattern)}`;
+    }
+
+    if (target.kind === 'dimension') {
+      // Compared as text, like in and not_in, so 2024 matches a stored "2024" and the reverse
+      if (operator === 'equals') return `${target.sql} = ${param(String(value), '::text')}`;
+      if (operator !== 'not_equals') {
+        throw new ValidationError(`${operator} applies to metric and date columns, not "${column}"`);
+      }
+      return `${target.sql} IS DISTINCT FROM ${param(String(value), '::text')}`;
+    }
+
+    return `${target.sql} ${COMPARISONS[operator]} ${param(value, target.cast)}`;
+  }
+
+  function resolveFilterTarget(column) {
+    if (available.metrics.includes(column)) return { kind: 'metric', sql: metricValue(column), cast: '::numeric' };
+    if (available.dimensions.includes(column)) return { kind: 'dimension', sql: dimensionValue(column), cast: '' };
+    if (isDate(column)) return { kind: 'date', sql: 'record_date', cast: '::date' };
+    throw new ValidationError(`Unknown filter column "${column}"`, [{ field: column, message: 'Not a column of this source' }]);
+  }
+
+  // ORDER BY output positions; names must refer to output columns
+  const orderBy = [].concat(spec.orderBy || []).filter(Boolean).map(entry => {
+    const { column, direction } = typeof entry === 'string'
+      ? { column: entry.replace(/\s+(asc|desc)\s*$/i, '').trim(), direction: (entry.match(/\s(asc|desc)\s*$/i) || [])[1] }
+      : entry;
+    const index = output.findIndex(item => item.as === column);
+    if (index === -1) {
+      throw new ValidationError(`Cannot order by "${column}"; it is not part of the result`);
+    }
+    return `${index + 1} ${String(direction || 'asc').toUpperCase() === 'DESC' ? 'DESC' : 'ASC'} NULLS LAST`;
+  });
+
+  let selectSql;
+  let defaultOrder = '';
+  if (output.length > 0) {
+    selectSql = output.map(item => `${item.sql} AS ${quoteIdentifier(item.as)}`).join(', ');
+    const timeIndex = groupBy.findIndex(group => group.bucket);
+    if (timeIndex !== -1) defaultOrder = `${timeIndex + 1} ASC`;
+    else if (!grouped && !hasAggregate) defaultOrder = 'record_date DESC';
+  } else {
+    // Without a select list, return the stored rows
+    selectSql = 'raw_data';
+    defaultOrder = 'record_date DESC';
+  }
+
+  let text = `SELECT ${selectSql} FROM custom_data_records WHERE ${where.join(' AND ')}`;
+  if (grouped) {
+    text += ` GROUP BY ${groupBy.map((_, index) => index + 1).join(', ')}`;
+  }
+  if (orderBy.length > 0) {
+    text += ` ORDER BY ${orderBy.join(', ')}`;
+  } else if (defaultOrder) {
+    text += ` ORDER BY ${defaultOrder}`;
+  }
+  if (spec.limit !== undefined && spec.limit !== null) {
+    text += ` LIMIT ${param(Math.min(parseCount(spec.limit, 'limit'), MAX_LIMIT), '::int')}`;
+    text += ` OFFSET ${param(parseCount(spec.offset || 0, 'offset'), '::int')}`;
+  }
+
+  return { text, values, columns: output.map(item => item.as) };
+}
+
+/**
+ * Accept { column: value | [values] | null | { operator: value } } or [{ column, operator, value }]
+ */
+function normalizeFilters(filters) {
+  if (!filters) return [];
+  if (Array.isArray(filters)) {
+    return filters.map(filter => {
+      if (!filter || !filter.column) throw new ValidationError('Each filter needs a column');
+      return filter;
+    });
+  }
+
+  const normalized = [];
+  Object.entries(filters).forEach(([column, value]) => {
+    if (value === null) {
+      normalized.push({ column, operator: 'is_null' });
+    } else if (Array.isArray(value)) {
+      normalized.push({ column, operator: 'in', value });
+    } else if (typeof value === 'object') {
+      Object.entries(value).forEach(([operator, operand]) => normalized.push({ column, operator, value: operand }));
+    } else {
+      normalized.push({ column, operator: 'equals', value });
+    }
+  });
+  return normalized;
+}
+
+module.exports = {
+  compileQuery,
+  getSourceColumns,
+  normalizeFilters,
+  FILTER_OPERATORS,
+  MAX_LIMIT,
+};
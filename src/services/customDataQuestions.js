@@ -0,0 +1,200 @@
+/**
+ * Custom Data Questions
+ * Answers a natural-language question about one custom data source: the AI turns it
+ * into a structured query, every column it references is checked against the
+ * source schema, and the query runs through widgetDataService.queryCustomData.
+ */
+
+const AICustomData = require('./aiCustomData');
+const { queryCustomData } = require('./widgetDataService');
+const { getSourceColumns, FILTER_OPERATORS } = require('./customDataQuery');
+const { ValidationError } = require('../utils/errors');
+
+const AGGREGATIONS = ['sum', 'avg', 'count', 'min', 'max', 'median', 'p50', 'p90', 'p95', 'p99'];
+// Relative ranges understood by widgetDataService.parseDateRange
+const DATE_PRESETS = ['today', 'yesterday', 'last_7_days', 'last_30_days', 'last_90_days', 'this_month', 'last_month'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function resolveDateRange(dateRange, errors) {
+  if (!dateRange || (!dateRange.start && !dateRange.end)) return null;
+
+  const { start } = dateRange;
+  const end = !dateRange.end || dateRange.end === 'today' ? today() : dateRange.end;
+
+  if (DATE_PRESETS.includes(start)) return start;
+  if (ISO_DATE.test(start) && ISO_DATE.test(end)) {
+    return { startDate: start, endDate: end };
+  }
+
+  errors.push({ field: 'dateRange', message: `Unsupported date range "${start}" to "${dateRange.end}"` });
+  return null;
+}
+
+/**
+ * Check the generated query against the source columns and normalize it
+ * @throws {ValidationError} When the query references unknown columns or unsupported operations
+ */
+function validateGeneratedQuery(generated, available) {
+  const errors = [];
+  const warnings = [];
+
+  const aggregation = String(generated.aggregation || 'sum').toLowerCase();
+  if (!AGGREGATIONS.includes(aggregation)) {
+    errors.push({ field: 'aggregation', message: `Unsupported aggregation "${generated.aggregation}"` });
+  }
+
+  const metric = generated.metric || null;
+  if (metric && !available.metrics.includes(metric)) {
+    errors.push({ field: 'metric', message: `"${metric}" is not a metric column. Available metrics: ${available.metrics.join(', ')}` });
+  } else if (!metric && aggregation !== 'count') {
+    errors.push({ field: 'metric', message: 'The question does not name a metric' });
+  }
+
+  // The date column groups by day
+  const groupBy = [].concat(generated.groupBy || []).filter(Boolean)
+    .map(column => (column === available.dateColumn ? 'date' : column));
+  groupBy.forEach(column => {
+    if (column !== 'date' && !available.dimensions.includes(column)) {
+      errors.push({ field: 'groupBy', message: `"${column}" is not a dimension column. Available dimensions: ${available.dimensions.join(', ')}` });
+    }
+  });
+
+  const filterable = [...available.dimensions, ...available.metrics, available.dateColumn].filter(Boolean);
+  const filters = [];
+  (generated.filters || []).forEach(filter => {
+    const operator = String(filter.operator || 'equals').toLowerCase();
+    if (!filterable.includes(filter.column)) {
+      errors.push({ field: 'filters', message: `Cannot filter on unknown column "${filter.column}"` });
+    } else if (!FILTER_OPERATORS[operator]) {
+      errors.push({ field: 'filters', message: `Unsupported filter operator "${filter.operator}"` });
+    } else {
+      filters.push({ column: filter.column, operator: FILTER_OPERATORS[operator], value: filter.value });
+    }
+  });
+
+  const dateRange = resolveDateRange(generated.dateRange, errors);
+
+  const valueColumn = metric || 'records';
+  let sortBy = { column: valueColumn, direction: 'desc' };
+  if (generated.sortBy && generated.sortBy.column) {
+    const direction = String(generated.sortBy.direction).toLowerCase() === 'asc' ? 'asc' : 'desc';
+    if ([valueColumn, ...groupBy].includes(generated.sortBy.column)) {
+      sortBy = { column: generated.sortBy.column, direction };
+    } else {
+      warnings.push(`Sorted by ${valueColumn} instead of "${generated.sortBy.column}", which is not part of the result`);
+    }
+  }
+
+  const requestedLimit = parseInt(generated.limit, 10);
+  const limit = Number.isNaN(requestedLimit) ? DEFAULT_LIMIT : Math.min(Math.max(requestedLimit, 1), MAX_LIMIT);
+
+  if (errors.length > 0) {
+    throw new ValidationError('The question could not be answered from this data source', errors);
+  }
+
+  return {
+    query: { metric, aggregation, groupBy, filters, dateRange, sortBy, limit, valueColumn },
+    warnings,
+  };
+}
+
+/**
+ * Map a validated query onto queryCustomData options
+ */
+function buildQueryOptions(query) {
+  const value = query.metric
+    ? { column: query.metric, aggregation: query.aggregation, as: query.valueColumn }
+    : { aggregation: 'count', as: query.valueColumn };
+
+  return {
+    select: [value],
+    filters: query.filters,
+    groupBy: query.groupBy,
+    orderBy: [query.sortBy],
+    limit: query.limit,
+    offset: 0,
+    dateRange: query.dateRange,
+  };
+}
+
+/**
+ * Widget config that reproduces the answer on a dashboard (POST /dashboards/:id/widgets body)
+ */
+function suggestWidget(source, query, question, available) {
+  // Widget time series are always per day, so only dimensions go into groupBy
+  const byDate = query.groupBy.includes('date');
+  const dimensions = query.groupBy.filter(column => column !== 'date');
+
+  let widgetType = 'table';
+  if (byDate && dimensions.length === 0) widgetType = 'line_chart';
+  else if (dimensions.length === 0) widgetType = 'kpi_card';
+  else if (dimensions.length === 1 && !byDate) widgetType = 'bar_chart';
+
+  return {
+    widgetType,
+    title: question.length > 80 ? `${question.slice(0, 77)}...` : question,
+    dataSource: {
+      type: 'custom_data',
+      customSourceId: source.id,
+      // Widgets need a metric column; a plain row count uses the first one
+      metric: query.metric || available.metrics[0],
+      aggregation: query.aggregation,
+      filters: query.filters,
+      groupBy: dimensions,
+      dateRange: query.dateRange || 'last_30_days',
+    },
+  };
+}
+
+/**
+ * Answer a question about a custom data source
+ * @param {Object} source - custom_data_sources row
+ * @param {string} question - e.g. "revenue by region last quarter"
+ * @returns {Object} { interpretation, query, rows, widget, warnings, tokensUsed }
+ * @throws {ValidationError} When the generated query does not fit the source schema
+ */
+async function askQuestion(source, question) {
+  const available = getSourceColumns(source);
+  if (available.metrics.length === 0) {
+    throw new ValidationError('This data source has no metric columns to query');
+  }
+
+  const { query: generated, tokensUsed } = await AICustomData.generateNaturalLanguageQuery(question, {
+    columns: available.columns,
+    metricColumns: available.metrics,
+    dimensionColumns: available.dimensions,
+    dateColumn: available.dateColumn,
+  }, source.workspace_id);
+
+  const { query, warnings } = validateGeneratedQuery(generated, available);
+  const rows = await queryCustomData(source.id, buildQueryOptions(query));
+
+  // pg returns aggregates over numeric as strings
+  const parsedRows = rows.map(row => ({
+    ...row,
+    [query.valueColumn]: row[query.valueColumn] === null ? null : parseFloat(row[query.valueColumn]),
+  }));
+
+  const { valueColumn, ...publicQuery } = query;
+
+  return {
+    interpretation: generated.interpretation || null,
+    query: publicQuery,
+    valueColumn,
+    rows: parsedRows,
+    widget: suggestWidget(source, query, question, available),
+    warnings,
+    tokensUsed,
+  };
+}
+
+module.exports = {
+  askQuestion,
+  validateGeneratedQuery,
+};
@@ -0,0 +1,358 @@
+/**
+ * Custom Data Schema Evolution
+ * Compares the columns a sync receives with a source's schema and applies the result
+ * as a new schema version.
+ *
+ * Drift is classified by what it does to stored records:
+ * - New metric columns are applied automatically; older records simply lack the metric.
+ * - New dimensions, removed columns, renames and columns whose values no longer fit their
+ *   role (a metric turning into text, a date column that no longer parses) are breaking:
+ *   dimensions make up each record's dedup hash and widgets reference columns by name, so
+ *   the sync pauses until a user approves a mapping.
+ *
+ * Renames are kept as column_mappings (incoming name -> schema column), so records and
+ * widgets keep using the original column name. A mapping to null ignores the column.
+ */
+
+const CustomDataSource = require('../models/CustomDataSource');
+const CustomDataSchemaVersion = require('../models/CustomDataSchemaVersion');
+const Dashboard = require('../models/Dashboard');
+const CustomDataParser = require('./customDataParser');
+const { validateCustomDataWidget, invalidateSourceCache } = require('./widgetDataService');
+const { ValidationError } = require('../utils/errors');
+
+// Rows used to detect the types of new and changed columns
+const DRIFT_SAMPLE_ROWS = 100;
+// Share of non-empty values that must parse for a metric or date column to keep its role
+const ROLE_FIT_THRESHOLD = 0.5;
+
+/**
+ * Schema columns as a list
+ * AI detection returns a column array, basic detection a name-keyed object.
+ */
+function schemaColumns(schema = {}) {
+  const raw = schema.columns || [];
+  return Array.isArray(raw) ? raw : Object.entries(raw).map(([name, info]) => ({ name, ...info }));
+}
+
+/**
+ * Schema with columns keyed by name, as transformRowsToRecords expects
+ */
+function keyedSchema(schema = {}) {
+  const columns = Object.fromEntries(schemaColumns(schema).map(column => [column.name, column]));
+  return { ...schema, columns };
+}
+
+/**
+ * Rename incoming columns to schema columns and drop ignored ones
+ * @param {Array} rows - Parsed rows keyed by incoming column name
+ * @param {Object} mappings - column_mappings of the source
+ */
+function mapRowColumns(rows, mappings = {}) {
+  if (Object.keys(mappings).length === 0) return rows;
+
+  return rows.map(row => {
+    const mapped = {};
+    Object.entries(row).forEach(([key, value]) => {
+      const target = mappings[key] === undefined ? key : mappings[key];
+      if (target !== null) mapped[target] = value;
+    });
+    return mapped;
+  });
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Whether values can still be stored under a column role
+ */
+function fitsRole(role, values) {
+  const present = values.filter(value => value !== null && value !== undefined && value !== '');
+  if (present.length === 0) return true;
+
+  let parse;
+  if (role === 'metric') parse = value => CustomDataParser.parseNumericValue(value);
+  else if (role === 'date') parse = value => CustomDataParser.parseDate(value);
+  else return true;
+
+  return present.filter(value => parse(value) !== null).length / present.length >= ROLE_FIT_THRESHOLD;
+}
+
+/**
+ * Compare incoming columns with a source's schema
+ * @param {Object} source - custom_data_sources row
+ * @param {Array} headers - Incoming column names, in sheet order
+ * @param {Array} rows - Incoming rows (a sample is enough)
+ * @returns {Object} { added, removed, renamed, retyped, hasChanges, breaking }
+ */
+function detectSchemaDrift(source, headers, rows) {
+  const mappings = source.column_mappings || {};
+  const columns = schemaColumns(source.detected_schema);
+  const known = new Set(columns.map(column => column.name));
+
+  const incoming = headers
+    .map(header => (mappings[header] === undefined ? header : mappings[header]))
+    .filter(name => name !== null && name !== '');
+  const sample = mapRowColumns(rows.slice(0, DRIFT_SAMPLE_ROWS), mappings);
+  const valuesOf = name => sample.map(row => row[name]);
+
+  const detected = sample.length > 0 ? CustomDataParser.detectColumnTypes(sample).columns : {};
+  const describe = name => {
+    const info = detected[name] || { type: 'unknown', role: 'dimension' };
+    return { name, type: info.type, role: info.role, aggregation: info.aggregation || null };
+  };
+
+  let added = incoming.filter(name => !known.has(name)).map(describe);
+  let removed = columns
+    .filter(column => !incoming.includes(column.name))
+    .map(column => ({ name: column.name, type: column.type, role: column.role }));
+
+  // Same name up to case and punctuation ("Ad Spend" -> "ad_spend") is a likely rename;
+  // a single removed and a single added column whose values fit the old role is a possible one
+  const renamed = [];
+  removed.forEach(column => {
+    const match = added.find(candidate => normalizeName(candidate.name) === normalizeName(column.name));
+    if (match) renamed.push({ from: column.name, to: match.name, confidence: 'high', column: match });
+  });
+  const isRenamed = name => renamed.some(rename => rename.from === name || rename.to === name);
+  added = added.filter(column => !isRenamed(column.name));
+  removed = removed.filter(column => !isRenamed(column.name));
+
+  if (removed.length === 1 && added.length === 1 && fitsRole(removed[0].role, valuesOf(added[0].name))) {
+    renamed.push({ from: removed[0].name, to: added[0].name, confidence: 'low', column: added[0] });
+    added = [];
+    removed = [];
+  }
+
+  const retyped = columns
+    .filter(column => incoming.includes(column.name) && !fitsRole(column.role, valuesOf(column.name)))
+    .map(column => {
+      const now = describe(column.name);
+      return {
+        name: column.name,
+        from: { type: column.type, role: column.role },
+        to: { type: now.type, role: now.role, aggregation: now.aggregation },
+      };
+    });
+
+  return {
+    added: added.map(column => ({ ...column, automatic: column.role === 'metric' })),
+    removed,
+    renamed,
+    retyped,
+    hasChanges: added.length + removed.length + renamed.length + retyped.length > 0,
+    breaking: removed.length > 0 || renamed.length > 0 || retyped.length > 0
+      || added.some(column => column.role !== 'metric'),
+  };
+}
+
+/**
+ * Schema after applying a drift with a user-approved mapping
+ * @param {Object} source - custom_data_sources row
+ * @param {Object} diff - Result of detectSchemaDrift
+ * @param {Object} mapping - New incoming column -> removed schema column, or null to ignore it
+ * @throws {ValidationError} When the mapping names columns that are not new or not removed
+ */
+function buildNextSchema(source, diff, mapping = {}) {
+  const schema = source.detected_schema || {};
+  const columns = schemaColumns(schema);
+
+  // A rename left out of the mapping is applied as an added plus a removed column
+  const candidates = [...diff.added, ...diff.renamed.map(rename => rename.column)];
+  const candidateNames = new Set(candidates.map(column => column.name));
+  const missingNames = new Set([
+    ...diff.removed.map(column => column.name),
+    ...diff.renamed.map(rename => rename.from),
+  ]);
+  const targets = Object.values(mapping).filter(target => target !== null);
+
+  Object.entries(mapping).forEach(([incoming, target]) => {
+    if (!candidateNames.has(incoming)) {
+      throw new ValidationError(`"${incoming}" is not a new column of this source`);
+    }
+    if (target !== null && !missingNames.has(target)) {
+      throw new ValidationError(`"${target}" is not a removed column of this source`);
+    }
+  });
+  if (new Set(targets).size !== targets.length) {
+    throw new ValidationError('Each removed column can be mapped from one new column only');
+  }
+
+  const columnMappings = { ...(source.column_mappings || {}) };
+  const renamedTargets = new Set();
+  Object.entries(mapping).forEach(([incoming, target]) => {
+    columnMappings[incoming] = target;
+    if (target !== null) renamedTargets.add(target);
+  });
+
+  const droppedNames = new Set([...missingNames].filter(name => !renamedTargets.has(name)));
+  const retypedByName = new Map(diff.retyped.map(change => [change.name, change.to]));
+
+  const nextColumns = columns
+    .filter(column => !droppedNames.has(column.name))
+    .map(column => (retypedByName.has(column.name) ? { ...column, ...retypedByName.get(column.name) } : column));
+  candidates
+    .filter(column => mapping[column.name] === undefined)
+    .forEach(({ name, type, role, aggregation }) => nextColumns.push({ name, type, role, aggregation }));
+
+  const withRole = role => nextColumns.filter(column => column.role === role).map(column => column.name);
+  const dateColumn = [schema.primaryDateColumn, source.date_column]
+    .find(name => name && nextColumns.some(column => column.name === name && column.role === 'date'))
+    || withRole('date')[0]
+    || null;
+
+  const detectedSchema = {
+    ...schema,
+    columns: Array.isArray(schema.columns)
+      ? nextColumns
+      : Object.fromEntries(nextColumns.map(({ name, ...info }) => [name, info])),
+    primaryDateColumn: dateColumn,
+  };
+
+  return {
+    detectedSchema,
+    columnMappings,
+    dateColumn,
+    metricColumns: withRole('metric'),
+    dimensionColumns: withRole('dimension'),
+  };
+}
+
+/**
+ * Mapping that accepts every rename detected with high confidence
+ */
+function suggestedMapping(diff) {
+  return Object.fromEntries(
+    diff.renamed.filter(rename => rename.confidence === 'high').map(rename => [rename.to, rename.from])
+  );
+}
+
+/**
+ * Check every custom data widget of a source against a schema and record the result on the widget
+ * @param {Object} source - Source row, possibly with a schema that is not saved yet
+ * @returns {Array} Widgets that cannot be rendered with that schema
+ */
+async function flagAffectedWidgets(source) {
+  const widgets = await Dashboard.findWidgetsByCustomSource(source.id);
+  const affected = [];
+
+  for (const widget of widgets) {
+    const issue = validateCustomDataWidget(source, widget.data_source || {});
+    if (issue) {
+      affected.push({ id: widget.id, dashboardId: widget.dashboard_id, title: widget.title, issue });
+      await Dashboard.setWidgetSchemaIssues(widget.id, {
+        sourceId: source.id,
+        message: issue,
+        schemaVersion: source.schema_version,
+        detectedAt: new Date().toISOString(),
+      });
+    } else if (widget.schema_issues) {
+      await Dashboard.setWidgetSchemaIssues(widget.id, null);
+    }
+  }
+
+  return affected;
+}
+
+/**
+ * Save a schema change as the next version of the source
+ * @param {Object} source - custom_data_sources row
+ * @param {Object} diff - Result of detectSchemaDrift
+ * @param {Object} options - { mapping, changeType: 'automatic' | 'approved', syncJobId, userId }
+ * @returns {Object} { source, version, affectedWidgets }
+ */
+async function applySchemaChange(source, diff, { mapping = {}, changeType, syncJobId, userId } = {}) {
+  const next = buildNextSchema(source, diff, mapping);
+  const version = (source.schema_version || 1) + 1;
+
+  // Sources created after the history table was added have no row for their first schema
+  await CustomDataSchemaVersion.recordCurrent(source);
+  await CustomDataSchemaVersion.create({
+    sourceId: source.id,
+    version,
+    detectedSchema: next.detectedSchema,
+    columnMappings: next.columnMappings,
+    schemaDiff: { ...diff, mapping },
+    changeType,
+    syncJobId,
+    approvedBy: userId,
+  });
+
+  const updated = await CustomDataSource.updateSchema(source.id, { ...next, schemaVersion: version });
+  const affectedWidgets = await flagAffectedWidgets(updated);
+  await invalidateSourceCache(source.id);
+
+  console.log(`📐 Schema of source ${source.id} is now version ${version} (${changeType})`);
+
+  return { source: updated, version, affectedWidgets };
+}
+
+/**
+ * Hold a breaking schema change for review and pause syncing
+ * Widgets are checked against the schema without the removed columns.
+ * @returns {Object} The pending change saved on the source
+ */
+async function holdSchemaChange(source, diff, syncJobId) {
+  const preview = buildNextSchema(source, diff, {});
+  const affectedWidgets = await flagAffectedWidgets({
+    ...source,
+    detected_schema: preview.detectedSchema,
+    date_column: preview.dateColumn,
+    metric_columns: preview.metricColumns,
+    dimension_columns: preview.dimensionColumns,
+  });
+
+  const pendingChange = {
+    ...diff,
+    suggestedMapping: suggestedMapping(diff),
+    affectedWidgets,
+    syncJobId,
+    detectedAt: new Date().toISOString(),
+  };
+
+  await CustomDataSource.setPendingSchemaChange(source.id, pendingChange);
+  await CustomDataSource.updateSyncStatus(
+    source.id,
+    'paused',
+    'The sheet columns changed. Review the schema change to resume syncing.'
+  );
+
+  return pendingChange;
+}
+
+/**
+ * Apply the pending schema change of a source with a user-approved mapping
+ * @param {Object} source - custom_data_sources row with pending_schema_change
+ * @param {Object|undefined} mapping - Defaults to the suggested mapping
+ * @throws {ValidationError} When nothing is pending or the mapping is invalid
+ */
+async function approveSchemaChange(source, mapping, userId) {
+  const pending = source.pending_schema_change;
+  if (!pending) {
+    throw new ValidationError('This source has no schema change to approve');
+  }
+
+  const result = await applySchemaChange(source, pending, {
+    mapping: mapping || pending.suggestedMapping || {},
+    changeType: 'approved',
+    syncJobId: pending.syncJobId,
+    userId,
+  });
+
+  await CustomDataSource.updateSyncStatus(source.id, 'pending', null);
+  return result;
+}
+
+module.exports = {
+  schemaColumns,
+  keyedSchema,
+  mapRowColumns,
+  detectSchemaDrift,
+  buildNextSchema,
+  applySchemaChange,
+  holdSchemaChange,
+  approveSchemaChange,
+  flagAffectedWidgets,
+};
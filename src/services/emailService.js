@@ -6,6 +6,14 @@
 const nodemailer = require('nodemailer');
 const config = require('../config/config');
 
+// User-entered values (alert names, account names) go into HTML bodies escaped
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -595,6 +603,201 @@ Review and approve/reject: ${adminPortalUrl}
     });
   }
 
+  /**
+   * Notify workspace members that a threshold alert fired
+   * @param {Object} options - Email options
+   * @param {string[]} options.to - Recipient email addresses
+   * @param {Object} options.alert - Alert row (name, and for threshold alerts metric, condition, threshold, account_name)
+   * @param {string} options.message - Human-readable description of the breach
+   */
+  async sendAlertNotification({ to, alert, message }) {
+    if (!to || to.length === 0) {
+      return;
+    }
+
+    const dashboardUrl = `${config.appUrl}/dashboard`;
+    const accountLabel = alert.account_name ? ` (${alert.account_name})` : '';
+    const alertName = escapeHtml(alert.name);
+    const accountHtml = alert.account_name ? ` (${escapeHtml(alert.account_name)})` : '';
+    const subject = `AdsData alert: ${alert.name}`;
+    // Threshold alerts describe a single metric; custom rules only carry a message
+    const conditionHtml = alert.metric
+      ? `<p>Metric: <strong>${escapeHtml(alert.metric)}</strong> &middot; Condition: <strong>${escapeHtml(alert.condition)}</strong> ${escapeHtml(alert.threshold)}</p>`
+      : '';
+    const conditionText = alert.metric
+      ? `Metric: ${alert.metric} - Condition: ${alert.condition} ${alert.threshold}\n`
+      : '';
+    const html = `
+      <div style="font-family: 'Inter', sans-serif; color: #111;">
+        <h2>${alertName}${accountHtml}</h2>
+        <p>${escapeHtml(message)}</p>
+        ${conditionHtml}
+        <p><a href="${dashboardUrl}" style="color: #1a73e8;">Open your dashboard</a></p>
+      </div>
+    `;
+    const text = `
+${alert.name}${accountLabel}
+${message}
+${conditionText}Open your dashboard: ${dashboardUrl}
+    `;
+
+    const info = await this.transporter.sendMail({
+      from: config.email?.from || 'AdsData Platform <noreply@adsdata.com>',
+      to: to.join(', '),
+      subject,
+      html,
+      text,
+    });
+
+    if (config.nodeEnv !== 'production') {
+      console.log('Alert email preview:', info.message?.toString());
+    }
+
+    return {
+      success: true,
+      messageId: info.messageId,
+    };
+  }
+
+  /**
+   * Invite someone to a workspace; the link works whether or not they already have an account
+   * @param {Object} options - Email options
+   * @param {string} options.to - Invited email address
+   * @param {string} options.workspaceName - Workspace they are invited to
+   * @param {string} options.inviterName - Username of the admin who sent the invite
+   * @param {string} options.role - Role granted on acceptance
+   * @param {string} options.inviteToken - Signed invitation token
+   * @param {Date} options.expiresAt - When the invitation expires
+   */
+  async sendWorkspaceInvitation({ to, workspaceName, inviterName, role, inviteToken, expiresAt }) {
+    const registerUrl = `${config.appUrl}/register?invite=${encodeURIComponent(inviteToken)}`;
+    const loginUrl = `${config.appUrl}/login?invite=${encodeURIComponent(inviteToken)}`;
+    const inviter = inviterName || 'A workspace admin';
+    const expires = new Date(expiresAt).toUTCString();
+    const subject = `${inviter} invited you to ${workspaceName} on AdsData`;
+    const html = `
+      <div style="font-family: 'Inter', sans-serif; color: #111;">
+        <h2>You're invited to ${workspaceName}</h2>
+        <p><strong>${inviter}</strong> invited you to join the <strong>${workspaceName}</strong> workspace as ${role}.</p>
+        <p><a href="${registerUrl}" style="color: #1a73e8;">Create your account and join</a></p>
+        <p>Already have an account? <a href="${loginUrl}" style="color: #1a73e8;">Log in to accept</a></p>
+        <p style="font-size: 12px; color: #999;">This invitation expires on ${expires}. If you weren't expecting it, you can ignore this email.</p>
+      </div>
+    `;
+    const text = `
+${inviter} invited you to join the ${workspaceName} workspace on AdsData as ${role}.
+Create your account and join: ${registerUrl}
+Already have an account? Log in to accept: ${loginUrl}
+This invitation expires on ${expires}.
+    `;
+
+    const info = await this.transporter.sendMail({
+      from: config.email?.from || 'AdsData Platform <noreply@adsdata.com>',
+      to,
+      subject,
+      html,
+      text,
+    });
+
+    if (config.nodeEnv !== 'production') {
+      console.log('Workspace invitation URL:', registerUrl);
+    }
+
+    return {
+      success: true,
+      messageId: info.messageId,
+    };
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} options - Email options
+   * @param {string} options.to - Account email address
+   * @param {string} options.username - Account username
+   * @param {string} options.resetToken - Single-use reset token
+   */
+  async sendPasswordResetEmail({ to, username, resetToken }) {
+    const resetUrl = `${config.appUrl}/reset-password?token=${resetToken}`;
+    const subject = 'Reset your AdsData password';
+    const html = `
+      <div style="font-family: 'Inter', sans-serif; color: #111;">
+        <h2>Reset your password</h2>
+        <p>Hi ${username},</p>
+        <p>We received a request to reset the password for your AdsData account.</p>
+        <p><a href="${resetUrl}" style="color: #1a73e8;">Choose a new password</a></p>
+        <p style="font-size: 12px; color: #999;">This link expires in 1 hour and can only be used once. If you didn't ask to reset your password, you can ignore this email; your password won't change.</p>
+      </div>
+    `;
+    const text = `
+Hi ${username},
+We received a request to reset the password for your AdsData account.
+Choose a new password: ${resetUrl}
+This link expires in 1 hour and can only be used once. If you didn't ask to reset your password, you can ignore this email.
+    `;
+
+    const info = await this.transporter.sendMail({
+      from: config.email?.from || 'AdsData Platform <noreply@adsdata.com>',
+      to,
+      subject,
+      html,
+      text,
+    });
+
+    if (config.nodeEnv !== 'production') {
+      console.log('Password reset URL:', resetUrl);
+    }
+
+    return {
+      success: true,
+      messageId: info.messageId,
+    };
+  }
+
+  /**
+   * Tell a user their password was reset or changed, so they can react if it wasn't them
+   * @param {Object} options - Email options
+   * @param {string} options.to - Account email address
+   * @param {string} options.username - Account username
+   * @param {boolean} options.reset - True for a reset by email link, false for a change while signed in
+   * @param {string} options.device - Device the change was made from, e.g. "Chrome on macOS"
+   * @param {string} options.ipAddress - IP address the change was made from
+   */
+  async sendPasswordChangedNotification({ to, username, reset, device, ipAddress }) {
+    const resetUrl = `${config.appUrl}/reset-password`;
+    const action = reset ? 'reset' : 'changed';
+    const sessionsNote = reset
+      ? 'All devices were signed out.'
+      : 'Your other devices were signed out.';
+    const when = new Date().toUTCString();
+    const subject = `Your AdsData password was ${action}`;
+    const html = `
+      <div style="font-family: 'Inter', sans-serif; color: #111;">
+        <h2>Your password was ${action}</h2>
+        <p>Hi ${username},</p>
+        <p>The password for your AdsData account was ${action} on ${when} from ${device} (IP ${ipAddress}). ${sessionsNote}</p>
+        <p>If this wasn't you, <a href="${resetUrl}" style="color: #1a73e8;">reset your password</a> right away and contact support.</p>
+      </div>
+    `;
+    const text = `
+Hi ${username},
+The password for your AdsData account was ${action} on ${when} from ${device} (IP ${ipAddress}). ${sessionsNote}
+If this wasn't you, reset your password right away and contact support: ${resetUrl}
+    `;
+
+    const info = await this.transporter.sendMail({
+      from: config.email?.from || 'AdsData Platform <noreply@adsdata.com>',
+      to,
+      subject,
+      html,
+      text,
+    });
+
+    return {
+      success: true,
+      messageId: info.messageId,
+    };
+  }
+
   /**
    * Test email configuration
    */
@@ -4,8 +4,10 @@
  * Role: Records desirable user actions (e.g. KPI click, tooltip open).
  * Decoupled from assignment and exposure logic; triggered explicitly by route handlers.
  *
- * Each event log includes: user_or_session_id, event_name, test_id? (if applicable),
- * variant? (if applicable), timestamp.
+ * Each event log includes: unit id (the visitor cookie), the signed-in user id, event_name,
+ * optional value and properties, timestamp. Results attribute an event to an experiment
+ * through the unit's exposure, so callers do not need to pass the experiment; a
+ * testId/variant passed by the client is kept in the properties.
  */
 
 const { addEvent } = require('./experimentStore');
@@ -15,24 +17,26 @@ const { addEvent } = require('./experimentStore');
  *
  * @param {Object} req - Express request (must have experimentVisitorId and optionally abVariants)
  * @param {string} eventName - Name of the event (e.g. 'kpi_click', 'tooltip_open')
- * @param {Object} options - Optional: testId, variant (if event is tied to a specific experiment)
+ * @param {Object} options - Optional: testId, variant, value, properties
+ * @returns {Promise<void>}
  */
 function logEvent(req, eventName, options = {}) {
   const visitorId = req.experimentVisitorId || req.cookies?.ab_visitor_id || `anon_${Date.now()}`;
   const variants = req.abVariants || {};
-
-  const record = {
-    user_or_session_id: visitorId,
-    event_name: eventName,
-    timestamp: new Date().toISOString(),
-  };
+  const properties = { ...(options.properties || {}) };
 
   if (options.testId) {
-    record.test_id = options.testId;
-    record.variant = options.variant ?? variants[options.testId] ?? null;
+    properties.testId = options.testId;
+    properties.variant = options.variant ?? variants[options.testId] ?? null;
   }
 
-  addEvent(record);
+  return addEvent({
+    unitId: visitorId,
+    userId: req.experimentContext?.userId || req.user?.id,
+    eventName,
+    value: options.value,
+    properties: Object.keys(properties).length > 0 ? properties : null,
+  });
 }
 
 module.exports = { logEvent };
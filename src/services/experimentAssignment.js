@@ -0,0 +1,117 @@
+/**
+ * Experiment Assignment
+ * Deterministic, hash-based bucketing: the same unit (user id, or visitor cookie id for
+ * anonymous visitors) always gets the same variant on every dyno, without stored state.
+ *
+ * - Traffic: units whose traffic bucket is below traffic_percentage enter the experiment.
+ *   Raising the percentage only adds units; nobody already in the experiment drops out.
+ * - Layers: experiments sharing a layer own disjoint bucket ranges of the layer's hash,
+ *   so a unit is in at most one of them.
+ * - Variant: picked from a separate hash, in proportion to the variant weights.
+ */
+
+const crypto = require('crypto');
+
+const BUCKETS = 10000;
+
+/**
+ * Uniform value in [0, 1) derived from a string
+ */
+function hashFraction(value) {
+  return parseInt(crypto.createHash('md5').update(value).digest('hex').slice(0, 8), 16) / 0x100000000;
+}
+
+function bucketOf(value) {
+  return Math.floor(hashFraction(value) * BUCKETS);
+}
+
+/**
+ * Whether the experiment assigns units right now
+ */
+function isLive(experiment, now = new Date()) {
+  if (experiment.status !== 'running') return false;
+  if (experiment.starts_at && new Date(experiment.starts_at) > now) return false;
+  if (experiment.ends_at && new Date(experiment.ends_at) <= now) return false;
+  return true;
+}
+
+/**
+ * Every non-empty targeting list must contain the unit's value
+ * @param {Object} targeting - { plans, customerTypes, workspaceIds }
+ * @param {Object} context - { plan, customerType, workspaceId }
+ */
+function matchesTargeting(targeting, context) {
+  const checks = [
+    [targeting?.plans, context.plan],
+    [targeting?.customerTypes, context.customerType],
+    [targeting?.workspaceIds, context.workspaceId],
+  ];
+
+  return checks.every(([allowed, value]) => !Array.isArray(allowed) || allowed.length === 0 || allowed.includes(value));
+}
+
+function needsUserAttributes(experiment) {
+  const targeting = experiment.targeting || {};
+  return (targeting.plans || []).length > 0 || (targeting.customerTypes || []).length > 0;
+}
+
+function pickVariant(experiment, unitId) {
+  const variants = experiment.variants || [];
+  const totalWeight = variants.reduce((sum, variant) => sum + Number(variant.weight), 0);
+  if (totalWeight <= 0) return null;
+
+  let point = hashFraction(`${experiment.salt}:variant:${unitId}`) * totalWeight;
+  for (const variant of variants) {
+    point -= Number(variant.weight);
+    if (point < 0) return variant.key;
+  }
+  return variants[variants.length - 1].key;
+}
+
+/**
+ * Variant of one experiment for a unit
+ * @param {Object} experiment - experiments row with layer_key
+ * @param {string} unitId - User id or visitor id
+ * @param {Object} context - { plan, customerType, workspaceId, now }
+ * @returns {string|null} Variant key, or null when the unit is not in the experiment
+ */
+function assignVariant(experiment, unitId, context = {}) {
+  if (!unitId || !isLive(experiment, context.now)) return null;
+  if (!matchesTargeting(experiment.targeting, context)) return null;
+
+  if (experiment.layer_id) {
+    const bucket = bucketOf(`layer:${experiment.layer_key}:${unitId}`);
+    if (bucket < experiment.layer_bucket_start || bucket >= experiment.layer_bucket_end) return null;
+  } else if (bucketOf(`${experiment.salt}:traffic:${unitId}`) >= Number(experiment.traffic_percentage) * (BUCKETS / 100)) {
+    return null;
+  }
+
+  return pickVariant(experiment, unitId);
+}
+
+/**
+ * First free bucket range of a layer that fits an experiment's traffic share
+ * @param {Array} taken - [{ layer_bucket_start, layer_bucket_end }] sorted by start
+ * @param {number} trafficPercentage - 0-100
+ * @returns {Object|null} { start, end }, or null when the layer has no room
+ */
+function findFreeRange(taken, trafficPercentage) {
+  const size = Math.round(Number(trafficPercentage) * (BUCKETS / 100));
+  let start = 0;
+
+  for (const range of taken) {
+    if (range.layer_bucket_start - start >= size) break;
+    start = Math.max(start, range.layer_bucket_end);
+  }
+
+  return start + size <= BUCKETS ? { start, end: start + size } : null;
+}
+
+module.exports = {
+  BUCKETS,
+  isLive,
+  matchesTargeting,
+  needsUserAttributes,
+  assignVariant,
+  findFreeRange,
+};
@@ -0,0 +1,426 @@
+/**
+ * Experiment Statistics
+ * Pure functions behind experiment results: confidence intervals, two-proportion and
+ * Welch z-tests, Bayesian probability to beat control, always-valid (sequential) p-values,
+ * minimum detectable effect, required sample size and the sample-ratio-mismatch check.
+ *
+ * Every metric is summarized per variant as { units, sum, sumSq } over exposed units,
+ * where the per-unit value is 0/1 for proportions, the event count or the summed event value.
+ * The first variant of an experiment is the control.
+ */
+
+const DEFAULT_ALPHA = 0.05;
+const DEFAULT_POWER = 0.8;
+const DEFAULT_MDE = 0.1;
+// SRM is flagged at a strict threshold; a mismatch invalidates the whole comparison
+const SRM_ALPHA = 0.001;
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26, error < 1.5e-7)
+ */
+function normalCdf(z) {
+  const sign = z < 0 ? -1 : 1;
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return 0.5 * (1 + sign * y);
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation)
+ */
+function normalQuantile(p) {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const low = 0.02425;
+
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function logGamma(x) {
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach((coefficient) => {
+    y += 1;
+    series += coefficient / y;
+  });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Upper regularized incomplete gamma Q(a, x) (series / continued fraction)
+ */
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  const gln = logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - gln);
+  }
+
+  let b = x + 1 - a;
+  let c = 1e300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - gln) * h;
+}
+
+function chiSquareSurvival(statistic, degreesOfFreedom) {
+  return gammaQ(degreesOfFreedom / 2, statistic / 2);
+}
+
+const mean = summary => (summary.units > 0 ? summary.sum / summary.units : 0);
+
+function variance(summary) {
+  if (summary.units < 2) return 0;
+  const m = mean(summary);
+  return Math.max(0, (summary.sumSq - summary.units * m * m) / (summary.units - 1));
+}
+
+/**
+ * Wilson score interval for a proportion
+ */
+function wilsonInterval(successes, trials, alpha = DEFAULT_ALPHA) {
+  if (trials === 0) return [0, 0];
+  const z = normalQuantile(1 - alpha / 2);
+  const p = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const center = (p + (z * z) / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) / denominator;
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+/**
+ * Normal-approximation interval for a mean
+ */
+function meanInterval(summary, alpha = DEFAULT_ALPHA) {
+  if (summary.units === 0) return [0, 0];
+  const margin = normalQuantile(1 - alpha / 2) * Math.sqrt(variance(summary) / summary.units);
+  return [mean(summary) - margin, mean(summary) + margin];
+}
+
+/**
+ * Mixture SPRT always-valid p-value for a difference in means (Johari et al.).
+ * Valid under continuous monitoring: peeking at results any number of times does not
+ * inflate the false positive rate. tau2 is the mixing variance, set to the squared MDE.
+ */
+function sequentialPValue(difference, standardError, tau2) {
+  const v = standardError * standardError;
+  if (!(v > 0) || !(tau2 > 0)) return 1;
+  const logLikelihoodRatio = 0.5 * Math.log(v / (v + tau2)) + (difference * difference * tau2) / (2 * v * (v + tau2));
+  return Math.min(1, Math.exp(-logLikelihoodRatio));
+}
+
+/**
+ * Compare a treatment with the control
+ * @param {Object} control - { units, sum, sumSq }
+ * @param {Object} treatment - { units, sum, sumSq }
+ * @param {Object} options - { type: 'proportion' | 'mean', alpha, mde (relative) }
+ */
+function compareVariants(control, treatment, { type = 'proportion', alpha = DEFAULT_ALPHA, mde = DEFAULT_MDE } = {}) {
+  const controlMean = mean(control);
+  const treatmentMean = mean(treatment);
+  const difference = treatmentMean - controlMean;
+  const relativeLift = controlMean !== 0 ? difference / controlMean : null;
+
+  if (control.units < 2 || treatment.units < 2) {
+    return { difference, relativeLift, interval: null, zScore: null, pValue: null, sequentialPValue: null, probabilityToBeatControl: null };
+  }
+
+  let testError;
+  let intervalError;
+  let probabilityToBeatControl;
+
+  if (type === 'proportion') {
+    const pooled = (control.sum + treatment.sum) / (control.units + treatment.units);
+    testError = Math.sqrt(pooled * (1 - pooled) * (1 / control.units + 1 / treatment.units));
+    intervalError = Math.sqrt(
+      (controlMean * (1 - controlMean)) / control.units + (treatmentMean * (1 - treatmentMean)) / treatment.units
+    );
+
+    // Beta(1 + conversions, 1 + failures) posteriors, compared with a normal approximation
+    const posterior = (summary) => {
+      const alphaParam = 1 + summary.sum;
+      const betaParam = 1 + summary.units - summary.sum;
+      const total = alphaParam + betaParam;
+      return {
+        mean: alphaParam / total,
+        variance: (alphaParam * betaParam) / (total * total * (total + 1)),
+      };
+    };
+    const controlPosterior = posterior(control);
+    const treatmentPosterior = posterior(treatment);
+    probabilityToBeatControl = normalCdf(
+      (treatmentPosterior.mean - controlPosterior.mean) / Math.sqrt(treatmentPosterior.variance + controlPosterior.variance)
+    );
+  } else {
+    testError = Math.sqrt(variance(control) / control.units + variance(treatment) / treatment.units);
+    intervalError = testError;
+    probabilityToBeatControl = testError > 0 ? normalCdf(difference / testError) : Math.sign(difference) * 0.5 + 0.5;
+  }
+
+  const zScore = testError > 0 ? difference / testError : 0;
+  const margin = normalQuantile(1 - alpha / 2) * intervalError;
+  const absoluteMde = Math.abs(controlMean * mde);
+
+  return {
+    difference,
+    relativeLift,
+    interval: [difference - margin, difference + margin],
+    zScore,
+    pValue: testError > 0 ? 2 * (1 - normalCdf(Math.abs(zScore))) : 1,
+    sequentialPValue: sequentialPValue(difference, intervalError, absoluteMde * absoluteMde),
+    probabilityToBeatControl,
+  };
+}
+
+/**
+ * Units per variant needed to detect a relative lift of mde on a baseline proportion
+ */
+function requiredSampleSize(baselineRate, { alpha = DEFAULT_ALPHA, power = DEFAULT_POWER, mde = DEFAULT_MDE } = {}) {
+  if (!(baselineRate > 0 && baselineRate < 1)) return null;
+  const treatmentRate = Math.min(0.9999, baselineRate * (1 + mde));
+  const z = normalQuantile(1 - alpha / 2) + normalQuantile(power);
+  const varianceSum = baselineRate * (1 - baselineRate) + treatmentRate * (1 - treatmentRate);
+  return Math.ceil((z * z * varianceSum) / ((treatmentRate - baselineRate) ** 2));
+}
+
+/**
+ * Smallest relative lift detectable with the current units per variant
+ */
+function minimumDetectableEffect(baselineRate, unitsPerVariant, { alpha = DEFAULT_ALPHA, power = DEFAULT_POWER } = {}) {
+  if (!(baselineRate > 0 && baselineRate < 1) || unitsPerVariant < 2) return null;
+  const z = normalQuantile(1 - alpha / 2) + normalQuantile(power);
+  const absolute = z * Math.sqrt((2 * baselineRate * (1 - baselineRate)) / unitsPerVariant);
+  return { absolute, relative: absolute / baselineRate };
+}
+
+/**
+ * Chi-square goodness-of-fit of exposures against the configured variant weights
+ * @param {Array} variants - [{ key, weight, units }]
+ */
+function sampleRatioMismatch(variants) {
+  const total = variants.reduce((sum, variant) => sum + variant.units, 0);
+  const totalWeight = variants.reduce((sum, variant) => sum + Number(variant.weight), 0);
+  const expected = {};
+  const observed = {};
+  let statistic = 0;
+
+  variants.forEach((variant) => {
+    const expectedUnits = (total * Number(variant.weight)) / totalWeight;
+    expected[variant.key] = expectedUnits;
+    observed[variant.key] = variant.units;
+    if (expectedUnits > 0) statistic += ((variant.units - expectedUnits) ** 2) / expectedUnits;
+  });
+
+  const pValue = total > 0 && variants.length > 1 ? chiSquareSurvival(statistic, variants.length - 1) : 1;
+  return { statistic, pValue, expected, observed, detected: pValue < SRM_ALPHA };
+}
+
+/**
+ * Per-variant { units, sum, sumSq } of a metric from Experiment.getMetricStats rows
+ * @param {string} type - 'proportion' (units with the event), 'count' (events) or 'sum' (event values)
+ */
+function summarizeMetric(rows, variants, type) {
+  const summaries = {};
+  variants.forEach((variant) => {
+    const row = rows.find((r) => r.variant === variant.key);
+    if (!row) {
+      summaries[variant.key] = { units: 0, sum: 0, sumSq: 0 };
+    } else if (type === 'count') {
+      summaries[variant.key] = { units: row.units, sum: row.events, sumSq: row.eventsSq };
+    } else if (type === 'sum') {
+      summaries[variant.key] = { units: row.units, sum: row.total, sumSq: row.totalSq };
+    } else {
+      summaries[variant.key] = { units: row.units, sum: row.converted, sumSq: row.converted };
+    }
+  });
+  return summaries;
+}
+
+/**
+ * Full analysis of an experiment's primary metric (target event) and guardrails.
+ * Decisions use the sequential p-value, so results can be checked at any time; treatments
+ * are compared with the control at a Bonferroni-corrected alpha.
+ *
+ * @param {Object} experiment - experiments row
+ * @param {Array} primaryRows - getMetricStats rows for the target event
+ * @param {Array} guardrails - [{ kpi, rows }] with kpi from team-kpis.json
+ */
+function analyzeExperiment(experiment, primaryRows, guardrails = []) {
+  const settings = experiment.analysis || {};
+  const alpha = Number(settings.alpha) || DEFAULT_ALPHA;
+  const power = Number(settings.power) || DEFAULT_POWER;
+  const mde = Number(settings.minimumDetectableEffect) || DEFAULT_MDE;
+  const variants = experiment.variants;
+  const control = variants[0].key;
+  const treatments = variants.slice(1).map((variant) => variant.key);
+  const comparisonAlpha = alpha / Math.max(1, treatments.length);
+
+  const primary = summarizeMetric(primaryRows, variants, 'proportion');
+  const baselineRate = mean(primary[control]);
+  const requiredUnits = requiredSampleSize(baselineRate, { alpha: comparisonAlpha, power, mde });
+  const smallestArm = Math.min(...variants.map((variant) => primary[variant.key].units));
+
+  const primaryVariants = {};
+  variants.forEach((variant) => {
+    const summary = primary[variant.key];
+    primaryVariants[variant.key] = {
+      units: summary.units,
+      conversions: summary.sum,
+      rate: mean(summary),
+      interval: wilsonInterval(summary.sum, summary.units, alpha),
+    };
+    if (variant.key !== control) {
+      const comparison = compareVariants(primary[control], summary, { type: 'proportion', alpha, mde });
+      primaryVariants[variant.key].comparison = {
+        ...comparison,
+        significant: comparison.sequentialPValue !== null && comparison.sequentialPValue < comparisonAlpha,
+      };
+    }
+  });
+
+  const guardrailResults = guardrails.map(({ kpi, rows }) => {
+    const metric = kpi.experiment_metric;
+    const type = metric.type === 'proportion' ? 'proportion' : 'mean';
+    const summaries = summarizeMetric(rows, variants, metric.type);
+    const worse = metric.direction === 'decrease' ? 1 : -1;
+
+    const byVariant = {};
+    let violated = false;
+    treatments.forEach((key) => {
+      const comparison = compareVariants(summaries[control], summaries[key], { type, alpha, mde });
+      // One-sided and without the multiple-comparison correction: missing a harm costs more
+      // than a false alarm, so only a move in the bad direction counts, at the plain alpha
+      const harmful = comparison.sequentialPValue !== null
+        && Math.sign(comparison.difference) === worse
+        && comparison.sequentialPValue / 2 < alpha;
+      violated = violated || harmful;
+      byVariant[key] = {
+        value: mean(summaries[key]),
+        controlValue: mean(summaries[control]),
+        relativeChange: comparison.relativeLift,
+        pValue: comparison.pValue,
+        sequentialPValue: comparison.sequentialPValue,
+        status: harmful ? 'violated' : 'ok',
+      };
+    });
+
+    return {
+      kpiId: kpi.kpi_id,
+      name: kpi.name,
+      event: metric.event,
+      type: metric.type,
+      direction: metric.direction,
+      status: violated ? 'violated' : 'ok',
+      variants: byVariant,
+    };
+  });
+
+  const srm = sampleRatioMismatch(variants.map((variant) => ({ ...variant, units: primary[variant.key].units })));
+
+  const winners = treatments
+    .filter((key) => primaryVariants[key].comparison.significant && primaryVariants[key].comparison.difference > 0)
+    .sort((a, b) => primaryVariants[b].comparison.difference - primaryVariants[a].comparison.difference);
+  const losers = treatments
+    .filter((key) => primaryVariants[key].comparison.significant && primaryVariants[key].comparison.difference < 0);
+
+  let decision;
+  if (!experiment.target_event) {
+    decision = { status: 'no_target_event', message: 'Set a target event to analyze this experiment.' };
+  } else if (srm.detected) {
+    decision = {
+      status: 'sample_ratio_mismatch',
+      message: `Exposures do not match the configured split (p = ${srm.pValue.toExponential(2)}); fix assignment or exposure logging before trusting results.`,
+    };
+  } else if (guardrailResults.some((guardrail) => guardrail.status === 'violated')) {
+    const names = guardrailResults.filter((guardrail) => guardrail.status === 'violated').map((guardrail) => guardrail.name);
+    decision = { status: 'guardrail_violated', message: `Guardrail metric got significantly worse: ${names.join(', ')}.` };
+  } else if (winners.length > 0) {
+    decision = {
+      status: 'significant_improvement',
+      variant: winners[0],
+      message: `${winners[0]} beats ${control} on ${experiment.target_event}.`,
+    };
+  } else if (losers.length === treatments.length) {
+    decision = { status: 'significant_degradation', message: `Every treatment performs worse than ${control}.` };
+  } else if (requiredUnits !== null && smallestArm >= requiredUnits) {
+    decision = {
+      status: 'no_significant_difference',
+      message: `No significant difference at a ${(mde * 100).toFixed(0)}% minimum detectable effect.`,
+    };
+  } else {
+    decision = { status: 'collecting_data', message: 'Not enough data for a decision yet.' };
+  }
+
+  return {
+    control,
+    alpha,
+    power,
+    minimumDetectableEffect: mde,
+    primary: {
+      event: experiment.target_event,
+      variants: primaryVariants,
+      requiredUnitsPerVariant: requiredUnits,
+      progress: requiredUnits ? Math.min(1, smallestArm / requiredUnits) : null,
+      detectableEffectNow: minimumDetectableEffect(baselineRate, smallestArm, { alpha: comparisonAlpha, power }),
+    },
+    sampleRatioMismatch: srm,
+    guardrails: guardrailResults,
+    decision,
+  };
+}
+
+module.exports = {
+  DEFAULT_ALPHA,
+  DEFAULT_POWER,
+  DEFAULT_MDE,
+  SRM_ALPHA,
+  normalCdf,
+  normalQuantile,
+  chiSquareSurvival,
+  mean,
+  wilsonInterval,
+  meanInterval,
+  sequentialPValue,
+  compareVariants,
+  requiredSampleSize,
+  minimumDetectableEffect,
+  sampleRatioMismatch,
+  summarizeMetric,
+  analyzeExperiment,
+};
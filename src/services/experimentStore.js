@@ -1,194 +1,379 @@
 /**
- * Experiment log store: exposures and events.
- * Uses JSON files for persistence (suitable for analysis; not for production scale).
- * In-memory arrays are kept in sync for fast reads during simulation.
+ * Experiment store: definitions, exposures and events in Postgres.
+ * Running experiments are cached per process for LIVE_CACHE_TTL_MS so assignment does not
+ * query on every request; other dynos pick up changes within the TTL. Exposure and event
+ * writes are single INSERTs (exposures deduplicated by the database), so any number of
+ * dynos can log concurrently.
  */
 
 const fs = require('fs');
 const path = require('path');
+const Experiment = require('../models/Experiment');
+const ExperimentLayer = require('../models/ExperimentLayer');
+const { isLive, findFreeRange, BUCKETS } = require('./experimentAssignment');
+const { analyzeExperiment } = require('./experimentStats');
+const { ValidationError } = require('../utils/errors');
 
-const DATA_DIR = path.join(__dirname, '../../data/experiment-logs');
-const EXPOSURES_FILE = path.join(DATA_DIR, 'exposures.json');
-const EVENTS_FILE = path.join(DATA_DIR, 'events.json');
+const LIVE_CACHE_TTL_MS = 30 * 1000;
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/i;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_VARIANTS = 10;
+const CUSTOMER_TYPES = ['b2b', 'b2c'];
+const TEAM_KPIS_FILE = path.join(__dirname, '../../team-kpis.json');
 
-// In-memory store for current process (also written to disk)
-let exposures = [];
-let events = [];
+let liveCache = null;
+let liveCacheLoadedAt = 0;
 
-function ensureDataDir() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
+/**
+ * Running experiments (cached); callers check isLive() for the schedule window
+ */
+async function getRunningExperiments() {
+  if (!liveCache || Date.now() - liveCacheLoadedAt > LIVE_CACHE_TTL_MS) {
+    liveCache = await Experiment.findRunning();
+    liveCacheLoadedAt = Date.now();
   }
+  return liveCache;
 }
 
-function loadFromDisk() {
-  ensureDataDir();
-  try {
-    if (fs.existsSync(EXPOSURES_FILE)) {
-      const raw = fs.readFileSync(EXPOSURES_FILE, 'utf8');
-      exposures = raw.trim() ? JSON.parse(raw) : [];
-    }
-  } catch (e) {
-    console.warn('experimentStore: could not load exposures:', e.message);
-    exposures = [];
-  }
-  try {
-    if (fs.existsSync(EVENTS_FILE)) {
-      const raw = fs.readFileSync(EVENTS_FILE, 'utf8');
-      events = raw.trim() ? JSON.parse(raw) : [];
-    }
-  } catch (e) {
-    console.warn('experimentStore: could not load events:', e.message);
-    events = [];
-  }
+function invalidateExperimentCache() {
+  liveCache = null;
 }
 
-function writeExposures() {
-  ensureDataDir();
+/**
+ * Record exposures; failures are logged and never fail the request
+ * @param {Array} records - [{ experimentId, variant, unitId, userId, workspaceId }]
+ */
+async function addExposures(records) {
   try {
-    fs.writeFileSync(EXPOSURES_FILE, JSON.stringify(exposures, null, 2), 'utf8');
+    await Experiment.recordExposures(records);
   } catch (e) {
-    console.error('experimentStore: could not write exposures:', e.message);
+    console.error('experimentStore: could not record exposures:', e.message);
   }
 }
 
-function writeEvents() {
-  ensureDataDir();
+/**
+ * Record an event (user action); failures are logged and never fail the request
+ * @param {Object} record - { unitId, userId, eventName, value?, properties? }
+ */
+async function addEvent(record) {
   try {
-    fs.writeFileSync(EVENTS_FILE, JSON.stringify(events, null, 2), 'utf8');
+    await Experiment.recordEvent(record);
   } catch (e) {
-    console.error('experimentStore: could not write events:', e.message);
+    console.error('experimentStore: could not record event:', e.message);
   }
 }
 
-// Load on first require
-loadFromDisk();
-
 /**
- * Add an exposure record (user/session exposed to a test variant).
- * @param {Object} record - { user_or_session_id, test_id, variant, timestamp }
+ * Live experiments in the shape tests.json used to have
  */
-function addExposure(record) {
-  exposures.push({
-    user_or_session_id: record.user_or_session_id,
-    test_id: record.test_id,
-    variant: record.variant,
-    timestamp: record.timestamp || new Date().toISOString(),
-  });
-  writeExposures();
-}
+async function getTestsConfig() {
+  const now = new Date();
+  const experiments = (await getRunningExperiments()).filter((exp) => isLive(exp, now));
 
-/**
- * Add an event record (user action, optionally tied to a test/variant).
- * @param {Object} record - { user_or_session_id, event_name, test_id?, variant?, timestamp }
- */
-function addEvent(record) {
-  const entry = {
-    user_or_session_id: record.user_or_session_id,
-    event_name: record.event_name,
-    test_id: record.test_id ?? null,
-    variant: record.variant ?? null,
-    timestamp: record.timestamp || new Date().toISOString(),
+  return {
+    experiments: experiments.map((exp) => ({
+      test_id: exp.key,
+      name: exp.name,
+      description: exp.description,
+      change_type: exp.change_type,
+      variants: Object.fromEntries(exp.variants.map((variant) => [variant.key, variant.name])),
+      target_event: exp.target_event,
+    })),
   };
-  events.push(entry);
-  writeEvents();
-}
-
-/**
- * Get all exposure logs (for analysis).
- */
-function getExposures() {
-  return [...exposures];
-}
-
-/**
- * Get all event logs (for analysis).
- */
-function getEvents() {
-  return [...events];
 }
 
 /**
- * Get tests configuration (from tests.json).
+ * KPIs from team-kpis.json that define an experiment_metric (usable as guardrails)
  */
-function getTestsConfig() {
-  const testsPath = path.join(__dirname, '../../tests.json');
+function getGuardrailKpis() {
   try {
-    const raw = fs.readFileSync(testsPath, 'utf8');
-    return JSON.parse(raw);
+    const { team_kpis: kpis = [] } = JSON.parse(fs.readFileSync(TEAM_KPIS_FILE, 'utf8'));
+    return kpis.filter((kpi) => kpi.experiment_metric && kpi.experiment_metric.event);
   } catch (e) {
-    console.warn('experimentStore: could not load tests.json:', e.message);
-    return { experiments: [] };
+    console.warn('experimentStore: could not load team-kpis.json:', e.message);
+    return [];
   }
 }
 
 /**
- * Aggregate A/B results for admin: exposures and events per test per variant,
- * plus conversion rate (events / exposures) per variant.
+ * Results for admin: exposures, target events and converted units per variant, plus the
+ * statistical analysis (see experimentStats). An event counts for the variant the unit was
+ * exposed to before the event.
  */
-function getResults() {
-  const config = getTestsConfig();
-  const exposureList = getExposures();
-  const eventList = getEvents();
-
-  const results = (config.experiments || []).map((exp) => {
-    const byVariant = { A: { exposures: 0, events: 0 }, B: { exposures: 0, events: 0 } };
-
-    exposureList
-      .filter((e) => e.test_id === exp.test_id)
-      .forEach((e) => {
-        if (byVariant[e.variant] != null) {
-          byVariant[e.variant].exposures += 1;
-        }
-      });
-
-    eventList
-      .filter((e) => e.test_id === exp.test_id && e.event_name === exp.target_event)
-      .forEach((e) => {
-        if (e.variant && byVariant[e.variant] != null) {
-          byVariant[e.variant].events += 1;
-        }
-      });
-
-    const variants = {
-      A: {
-        ...byVariant.A,
-        conversion_rate: byVariant.A.exposures
-          ? (byVariant.A.events / byVariant.A.exposures)
-          : 0,
-      },
-      B: {
-        ...byVariant.B,
-        conversion_rate: byVariant.B.exposures
-          ? (byVariant.B.events / byVariant.B.exposures)
-          : 0,
-      },
-    };
+async function getResults({ status } = {}) {
+  const [experiments, totals] = await Promise.all([Experiment.findAll({ status }), Experiment.countLogs()]);
+  const kpis = getGuardrailKpis();
+
+  const results = await Promise.all(experiments.map(async (exp) => {
+    const stats = await Experiment.getMetricStats(exp.id, exp.target_event);
+    const guardrails = await Promise.all(
+      (exp.guardrail_kpis || [])
+        .map((kpiId) => kpis.find((kpi) => kpi.kpi_id === kpiId))
+        .filter(Boolean)
+        .map(async (kpi) => ({ kpi, rows: await Experiment.getMetricStats(exp.id, kpi.experiment_metric.event) }))
+    );
+    const byVariant = {};
+
+    exp.variants.forEach((variant) => {
+      const row = stats.find((s) => s.variant === variant.key) || { units: 0, events: 0, converted: 0 };
+      byVariant[variant.key] = {
+        exposures: row.units,
+        events: row.events,
+        conversions: row.converted,
+        conversion_rate: row.units ? row.converted / row.units : 0,
+      };
+    });
 
     return {
-      test_id: exp.test_id,
+      id: exp.id,
+      test_id: exp.key,
+      name: exp.name,
       description: exp.description,
+      status: exp.status,
       target_event: exp.target_event,
-      variants: exp.variants,
-      results: variants,
+      variants: Object.fromEntries(exp.variants.map((variant) => [variant.key, variant.name])),
+      results: byVariant,
+      analysis: analyzeExperiment(exp, stats, guardrails),
     };
-  });
+  }));
 
   return {
     generated_at: new Date().toISOString(),
-    total_exposures: exposureList.length,
-    total_events: eventList.length,
+    total_exposures: totals.exposures,
+    total_events: totals.events,
     experiments: results,
   };
 }
 
+function parseDate(value, field, errors) {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`${field} must be an ISO date`);
+    return undefined;
+  }
+  return date.toISOString();
+}
+
+function normalizeVariants(variants, errors) {
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_VARIANTS) {
+    errors.push(`variants must be an array of 2 to ${MAX_VARIANTS} variants`);
+    return undefined;
+  }
+
+  const keys = new Set();
+  const normalized = variants.map((variant, index) => {
+    const key = variant && String(variant.key || '');
+    const weight = variant && variant.weight !== undefined ? Number(variant.weight) : 1;
+    if (!KEY_PATTERN.test(key)) {
+      errors.push(`variants[${index}].key must be letters, digits, "_" or "-"`);
+    } else if (keys.has(key)) {
+      errors.push(`variants[${index}].key "${key}" is used twice`);
+    }
+    if (!(weight > 0)) {
+      errors.push(`variants[${index}].weight must be a positive number`);
+    }
+    keys.add(key);
+    return {
+      key,
+      name: variant && variant.name ? String(variant.name).slice(0, 100) : key,
+      weight,
+      description: variant && variant.description ? String(variant.description) : undefined,
+    };
+  });
+
+  return normalized;
+}
+
+function normalizeTargeting(targeting, errors) {
+  if (targeting === null) return {};
+  if (typeof targeting !== 'object' || Array.isArray(targeting)) {
+    errors.push('targeting must be an object');
+    return undefined;
+  }
+
+  const normalized = {};
+  [['plans', null], ['customerTypes', CUSTOMER_TYPES], ['workspaceIds', UUID_PATTERN]].forEach(([field, allowed]) => {
+    const values = targeting[field];
+    if (values === undefined || values === null) return;
+    if (!Array.isArray(values)) {
+      errors.push(`targeting.${field} must be an array`);
+      return;
+    }
+    const invalid = values.filter((value) => (
+      typeof value !== 'string'
+      || (Array.isArray(allowed) && !allowed.includes(value))
+      || (allowed instanceof RegExp && !allowed.test(value))
+    ));
+    if (invalid.length > 0) {
+      errors.push(`targeting.${field} has invalid value(s): ${invalid.join(', ')}`);
+      return;
+    }
+    normalized[field] = values;
+  });
+
+  return normalized;
+}
+
+function normalizeAnalysis(analysis, errors) {
+  if (analysis === null) return {};
+  if (typeof analysis !== 'object' || Array.isArray(analysis)) {
+    errors.push('analysis must be an object');
+    return undefined;
+  }
+
+  const normalized = {};
+  [
+    ['alpha', 0, 0.5],
+    ['power', 0.5, 1],
+    ['minimumDetectableEffect', 0, 10],
+  ].forEach(([field, min, max]) => {
+    if (analysis[field] === undefined || analysis[field] === null) return;
+    const value = Number(analysis[field]);
+    if (!(value > min && value < max)) {
+      errors.push(`analysis.${field} must be between ${min} and ${max}`);
+    } else {
+      normalized[field] = value;
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Validate a create or update request and reserve layer buckets
+ * @param {Object} input - Request body (camelCase)
+ * @param {Object|null} existing - Current experiment for updates
+ * @returns {Object} Fields for Experiment.create / Experiment.update
+ * @throws {ValidationError}
+ */
+async function prepareExperiment(input, existing = null) {
+  const errors = [];
+  const data = {};
+  const started = existing && existing.status !== 'draft';
+
+  if (existing && existing.status === 'completed') {
+    const locked = Object.keys(input).filter((field) => !['name', 'description', 'analysis', 'guardrailKpis'].includes(field));
+    if (locked.length > 0) {
+      throw new ValidationError('Completed experiments only allow name, description and analysis changes', locked);
+    }
+  }
+
+  if (!existing) {
+    if (!KEY_PATTERN.test(String(input.key || ''))) {
+      errors.push('key is required and must be letters, digits, "_" or "-"');
+    } else if (await Experiment.findByKey(input.key)) {
+      errors.push(`An experiment with key "${input.key}" already exists`);
+    }
+    data.key = input.key;
+    if (!input.name) errors.push('name is required');
+  } else if (input.key !== undefined && input.key !== existing.key) {
+    errors.push('key cannot be changed');
+  }
+
+  if (input.status !== undefined) {
+    if (existing) {
+      errors.push('status is changed with the start, pause and complete actions');
+    } else if (!['draft', 'running'].includes(input.status)) {
+      errors.push('status must be draft or running');
+    } else {
+      data.status = input.status;
+    }
+  }
+
+  ['name', 'description', 'changeType', 'targetEvent'].forEach((field) => {
+    if (input[field] !== undefined) data[field] = input[field] === null ? null : String(input[field]);
+  });
+
+  ['startsAt', 'endsAt'].forEach((field) => {
+    if (input[field] !== undefined) data[field] = parseDate(input[field], field, errors);
+  });
+  const startsAt = data.startsAt !== undefined ? data.startsAt : existing?.starts_at;
+  const endsAt = data.endsAt !== undefined ? data.endsAt : existing?.ends_at;
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    errors.push('endsAt must be after startsAt');
+  }
+
+  if (input.targeting !== undefined) data.targeting = normalizeTargeting(input.targeting, errors);
+  if (input.analysis !== undefined) data.analysis = normalizeAnalysis(input.analysis, errors);
+
+  if (input.guardrailKpis !== undefined) {
+    const available = getGuardrailKpis().map((kpi) => kpi.kpi_id);
+    if (!Array.isArray(input.guardrailKpis)) {
+      errors.push('guardrailKpis must be an array of KPI ids');
+    } else {
+      const unknown = input.guardrailKpis.filter((kpiId) => !available.includes(kpiId));
+      if (unknown.length > 0) {
+        errors.push(`guardrailKpis: ${unknown.join(', ')} not found in team-kpis.json or without an experiment_metric`);
+      } else {
+        data.guardrailKpis = [...new Set(input.guardrailKpis)];
+      }
+    }
+  }
+
+  // Fields that decide who gets which variant are fixed once units have been assigned
+  if (started) {
+    ['variants', 'salt', 'layerId'].forEach((field) => {
+      if (input[field] !== undefined) errors.push(`${field} cannot be changed after the experiment has started`);
+    });
+  } else {
+    if (input.variants !== undefined || !existing) data.variants = normalizeVariants(input.variants, errors);
+    if (input.salt !== undefined) data.salt = String(input.salt).slice(0, 100);
+  }
+
+  if (input.trafficPercentage !== undefined) {
+    const traffic = Number(input.trafficPercentage);
+    if (!(traffic > 0 && traffic <= 100)) {
+      errors.push('trafficPercentage must be greater than 0 and at most 100');
+    } else if (started && existing.layer_id && traffic !== Number(existing.traffic_percentage)) {
+      errors.push('trafficPercentage of a layered experiment cannot be changed after it has started');
+    } else if (started && traffic < Number(existing.traffic_percentage)) {
+      errors.push('trafficPercentage can only be increased after the experiment has started');
+    } else {
+      data.trafficPercentage = traffic;
+    }
+  } else if (!existing) {
+    data.trafficPercentage = 100;
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid experiment', errors);
+  }
+
+  // Reserve a bucket range when the experiment joins a layer or changes size within one
+  const layerId = input.layerId !== undefined ? input.layerId : existing?.layer_id;
+  const layerChanged = input.layerId !== undefined && input.layerId !== (existing?.layer_id || null);
+  if (layerId && (layerChanged || data.trafficPercentage !== undefined)) {
+    if (!UUID_PATTERN.test(layerId) || !(await ExperimentLayer.findById(layerId))) {
+      throw new ValidationError('Invalid experiment', ['layerId does not exist']);
+    }
+    const traffic = data.trafficPercentage ?? Number(existing.traffic_percentage);
+    const taken = (await Experiment.findByLayerId(layerId)).filter((exp) => !existing || exp.id !== existing.id);
+    const range = findFreeRange(taken, traffic);
+    if (!range) {
+      const free = BUCKETS - taken.reduce((sum, exp) => sum + exp.layer_bucket_end - exp.layer_bucket_start, 0);
+      throw new ValidationError('Invalid experiment', [
+        `The layer has no free range of ${traffic}% (${(free / (BUCKETS / 100)).toFixed(2)}% unallocated)`,
+      ]);
+    }
+    data.layerId = layerId;
+    data.layerBucketStart = range.start;
+    data.layerBucketEnd = range.end;
+  } else if (input.layerId === null) {
+    data.layerId = null;
+    data.layerBucketStart = null;
+    data.layerBucketEnd = null;
+  }
+
+  return data;
+}
+
 module.exports = {
-  addExposure,
+  getRunningExperiments,
+  invalidateExperimentCache,
+  addExposures,
   addEvent,
-  getExposures,
-  getEvents,
   getTestsConfig,
   getResults,
-  EXPOSURES_FILE,
-  EVENTS_FILE,
+  getGuardrailKpis,
+  prepareExperiment,
 };
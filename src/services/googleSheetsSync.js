@@ -1,11 +1,15 @@
 /**
  * Google Sheets Sync Service
- * Handles real-time and scheduled synchronization of Google Sheets data
+ * Handles real-time and scheduled synchronization of Google Sheets data.
+ * Column changes in the sheet go through customDataSchema: compatible ones become a new
+ * schema version, breaking ones pause the source until a user approves a mapping.
  */
 
 const { GoogleSheetsService } = require('./platforms');
 const CustomDataSource = require('../models/CustomDataSource');
 const CustomDataParser = require('./customDataParser');
+const CustomDataSchema = require('./customDataSchema');
+const CustomDataQuality = require('./customDataQuality');
 const AICustomData = require('./aiCustomData');
 const { query } = require('../config/database');
 const config = require('../config/config');
@@ -75,27 +79,6 @@ async function syncGoogleSheet(sourceId, jobType = 'scheduled_sync') {
       );
     }
 
-    // Check if sheet structure has changed
-    const expectedHeaders = source.detected_schema?.columns?.map(col => col.name) || [];
-    let structureValidation = null;
-
-    try {
-      structureValidation = await GoogleSheetsService.validateSheetStructure(
-        source.google_sheet_id,
-        source.sheet_range,
-        accessToken,
-        expectedHeaders
-      );
-
-      if (!structureValidation.valid) {
-        console.warn(`⚠️  Sheet structure has changed for source ${sourceId}:`, structureValidation.changes);
-        // Continue with sync but log warning
-      }
-    } catch (validationError) {
-      console.error('Structure validation failed:', validationError);
-      // Continue with sync anyway
-    }
-
     // Fetch latest data from Google Sheets
     const sheetData = await GoogleSheetsService.fetchSheetData(
       source.google_sheet_id,
@@ -110,10 +93,51 @@ async function syncGoogleSheet(sourceId, jobType = 'scheduled_sync') {
       totalRows: sheetData.totalRows,
     });
 
+    // Compare the sheet columns with the source schema
+    let activeSource = source;
+    const schemaDiff = CustomDataSchema.detectSchemaDrift(source, sheetData.headers, sheetData.rows);
+
+    if (schemaDiff.hasChanges && schemaDiff.breaking) {
+      const pendingChange = await CustomDataSchema.holdSchemaChange(source, schemaDiff, syncJob.id);
+      const message = 'Sheet columns changed; sync paused until the schema change is approved';
+
+      await CustomDataSource.updateSyncJob(syncJob.id, {
+        status: 'needs_review',
+        schemaVersion: source.schema_version,
+        schemaDiff,
+        errorMessage: message,
+      });
+
+      console.warn(`⏸️  Sheet structure changed for source ${sourceId}; sync paused for review`);
+
+      return {
+        success: false,
+        paused: true,
+        error: message,
+        syncJobId: syncJob.id,
+        schemaChange: pendingChange,
+      };
+    }
+
+    if (schemaDiff.hasChanges) {
+      const applied = await CustomDataSchema.applySchemaChange(source, schemaDiff, {
+        changeType: 'automatic',
+        syncJobId: syncJob.id,
+      });
+      activeSource = applied.source;
+    }
+
+    // Rows failing the source's quality rules are quarantined instead of stored
+    const quality = await CustomDataQuality.screenRows(
+      activeSource,
+      CustomDataSchema.mapRowColumns(sheetData.rows, activeSource.column_mappings || {}),
+      syncJob.id
+    );
+
     // Transform rows to records format
     const records = CustomDataParser.transformRowsToRecords(
-      sheetData.rows,
-      source.detected_schema,
+      quality.rows,
+      CustomDataSchema.keyedSchema(activeSource.detected_schema),
       sourceId
     );
 
@@ -130,13 +154,16 @@ async function syncGoogleSheet(sourceId, jobType = 'scheduled_sync') {
       newRows: syncResult.newRows,
       updatedRows: syncResult.updatedRows,
       failedRows: syncResult.failedRows,
+      schemaVersion: activeSource.schema_version,
+      schemaDiff: schemaDiff.hasChanges ? schemaDiff : undefined,
+      quarantinedRows: quality.quarantinedRows,
     });
 
     // Update source sync status
     await CustomDataSource.updateSyncStatus(sourceId, 'active', null);
 
     // Calculate next sync time
-    const nextSyncAt = calculateNextSyncTime(source.sync_frequency);
+    const nextSyncAt = calculateNextSyncTime(activeSource.sync_frequency);
     await CustomDataSource.updateLastSynced(sourceId, nextSyncAt);
 
     // Invalidate cache for this source
@@ -148,6 +175,8 @@ async function syncGoogleSheet(sourceId, jobType = 'scheduled_sync') {
       success: true,
       syncJobId: syncJob.id,
       ...syncResult,
+      quarantinedRows: quality.quarantinedRows,
+      qualityScore: quality.score,
     };
 
   } catch (error) {
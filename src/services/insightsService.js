@@ -1,11 +1,11 @@
 /**
  * Insights Service - Generates AI-powered insights using Gemini 3
- * Fetches metrics from all connected accounts and uses Gemini 3 to analyze
+ * Fetches metrics from all connected accounts and analyzes them through the LLM
+ * provider registry (Gemini 3 by default)
  */
 
 const { query } = require('../config/database');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const config = require('../config/config');
+const llm = require('../ai/providers');
 
 // Insight type constants
 const INSIGHT_TYPES = {
@@ -14,20 +14,6 @@ const INSIGHT_TYPES = {
   INFO: 'info',
 };
 
-// Initialize Gemini 3 client
-let gemini = null;
-let geminiModel = null;
-
-if (config.useGemini && config.geminiApiKey) {
-  try {
-    gemini = new GoogleGenerativeAI(config.geminiApiKey);
-    geminiModel = gemini.getGenerativeModel({ model: config.geminiModel || 'gemini-3-flash-preview' });
-    console.log('[Insights Service] Gemini 3 client initialized');
-  } catch (error) {
-    console.warn('[Insights Service] Failed to initialize Gemini 3:', error.message);
-  }
-}
-
 /**
  * Generate daily insights for a workspace using Gemini 3
  * @param {string} workspaceId - Workspace UUID
@@ -100,7 +86,7 @@ async function generateDailyInsights(workspaceId, userId) {
     }
 
     // Generate AI-powered insights using Gemini 3
-    const insights = await generateGeminiInsights(allMetrics, accounts);
+    const insights = await generateGeminiInsights(allMetrics, accounts, workspaceId);
 
     return {
       success: true,
@@ -125,9 +111,9 @@ async function generateDailyInsights(workspaceId, userId) {
 /**
  * Generate insights using Gemini 3 AI
  */
-async function generateGeminiInsights(allMetrics, accounts) {
-  if (!geminiModel) {
-    console.warn('[Insights] Gemini 3 not available, using fallback');
+async function generateGeminiInsights(allMetrics, accounts, workspaceId) {
+  if (!llm.isAvailable('insights')) {
+    console.warn('[Insights] No AI provider available, using fallback');
     return detectInsightsFallback(allMetrics, accounts);
   }
 
@@ -162,21 +148,16 @@ RULES:
 - Info type for summaries and top performers
 - Prioritize by business impact`;
 
-    console.log('[Insights] Calling Gemini 3 for insights...');
-    const startTime = Date.now();
+    console.log('[Insights] Calling LLM provider registry for insights...');
 
-    const result = await geminiModel.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 1024,
-      },
+    const { text: responseText, provider, durationMs } = await llm.generateText('insights', {
+      prompt,
+      temperature: 0.3,
+      maxTokens: 1024,
+      workspaceId,
     });
 
-    const duration = Date.now() - startTime;
-    console.log(`[Insights] Gemini 3 responded in ${duration}ms`);
-
-    const responseText = result.response.text();
+    console.log(`[Insights] ${provider} responded in ${durationMs}ms`);
 
     // Parse JSON response
     let parsed;
@@ -185,21 +166,21 @@ RULES:
       const cleanJson = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
       parsed = JSON.parse(cleanJson);
     } catch (parseError) {
-      console.error('[Insights] Failed to parse Gemini response:', parseError);
+      console.error('[Insights] Failed to parse AI response:', parseError);
       return detectInsightsFallback(allMetrics, accounts);
     }
 
-    // Add IDs and poweredBy to insights
+    // Add IDs and poweredBy to insights (the dashboard badges 'gemini-3')
     const insights = (parsed.insights || []).map((insight, index) => ({
-      id: `gemini-insight-${index + 1}`,
+      id: `${provider}-insight-${index + 1}`,
       ...insight,
-      poweredBy: 'gemini-3',
+      poweredBy: provider === 'gemini' ? 'gemini-3' : provider,
     }));
 
     return insights;
 
   } catch (error) {
-    console.error('[Insights] Gemini 3 error:', error.message);
+    console.error('[Insights] AI insight generation error:', error.message);
     return detectInsightsFallback(allMetrics, accounts);
   }
 }
@@ -0,0 +1,557 @@
+/**
+ * Metrics Warehouse Service
+ * Incrementally ingests platform metrics into ad_metrics, keeps the campaigns /
+ * ad_sets / ads hierarchy in sync and records every run in sync_jobs.
+ * Dashboards read synced accounts from the warehouse instead of calling the
+ * platform APIs on every view.
+ *
+ * ad_metrics row levels:
+ *   account  - campaign_id, ad_set_id and ad_id are NULL
+ *   campaign - ad_set_id and ad_id are NULL
+ *   ad set   - ad_id is NULL
+ *   ad       - all foreign keys set
+ * Daily rows have a NULL metric_hour; hourly rows are only stored at account level.
+ */
+
+const cron = require('node-cron');
+const config = require('../config/config');
+const { query } = require('../config/database');
+const { getPlatformService } = require('./platforms');
+
+// Platforms that expose campaign hierarchy and report endpoints for the warehouse
+const WAREHOUSE_PLATFORMS = ['meta', 'google'];
+
+// Report levels in platform terms, with the warehouse foreign keys each level fills
+const REPORT_LEVELS = {
+  account: [],
+  campaign: ['campaign'],
+  adset: ['campaign', 'adSet'],
+  ad: ['campaign', 'adSet', 'ad'],
+};
+
+// Metrics that can be served from the warehouse, aggregated from raw counters.
+// Reach and frequency are not here: unique users do not add up across days, so
+// range totals for them always come from the live platform API.
+const METRIC_EXPRESSIONS = {
+  spend: 'SUM(spend)',
+  impressions: 'SUM(impressions)',
+  clicks: 'SUM(clicks)',
+  conversions: 'SUM(conversions)',
+  conversion_value: 'SUM(conversion_value)',
+  video_views: 'SUM(video_views)',
+  ctr: 'SUM(clicks)::numeric / NULLIF(SUM(impressions), 0) * 100',
+  cpc: 'SUM(spend) / NULLIF(SUM(clicks), 0)',
+  cpm: 'SUM(spend) / NULLIF(SUM(impressions), 0) * 1000',
+  cpa: 'SUM(spend) / NULLIF(SUM(conversions), 0)',
+  cost_per_conversion: 'SUM(spend) / NULLIF(SUM(conversions), 0)',
+  roas: 'SUM(conversion_value) / NULLIF(SUM(spend), 0)',
+};
+
+// Rows per multi-row INSERT when upserting metrics
+const UPSERT_BATCH_SIZE = 200;
+
+const NULL_UUID = '00000000-0000-0000-0000-000000000000';
+
+const toDate = (date) => date.toISOString().split('T')[0];
+
+class MetricsWarehouse {
+  constructor() {
+    this.isRunning = false;
+    this.isSyncing = false;
+    this.activeAccounts = new Set();
+  }
+
+  /**
+   * Start the warehouse sync on the configured cron schedule
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Metrics warehouse sync is already running');
+      return;
+    }
+
+    const schedule = config.warehouse.syncSchedule;
+    this.mainJob = cron.schedule(schedule, async () => {
+      await this.syncAll();
+    });
+
+    this.isRunning = true;
+    console.log(`Metrics warehouse sync started - syncing ad accounts (${schedule})`);
+  }
+
+  /**
+   * Stop the warehouse sync
+   */
+  stop() {
+    if (this.mainJob) {
+      this.mainJob.stop();
+      this.isRunning = false;
+      console.log('Metrics warehouse sync stopped');
+    }
+  }
+
+  /**
+   * Incrementally sync every active warehouse-capable ad account
+   * Skips the run if the previous sync is still in progress
+   */
+  async syncAll() {
+    if (this.isSyncing) {
+      console.log('Skipping metrics warehouse sync - previous run still in progress');
+      return;
+    }
+
+    this.isSyncing = true;
+
+    try {
+      const accounts = await this.getSyncableAccounts();
+
+      for (const account of accounts) {
+        try {
+          await this.syncAccount(account);
+        } catch (error) {
+          console.error(`Error syncing ad account ${account.account_name} (${account.id}):`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading ad accounts for warehouse sync:', error);
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * Get active ad accounts on warehouse platforms with the OAuth token they were linked through
+   * @param {string} adAccountId - Optional single account
+   */
+  async getSyncableAccounts(adAccountId = null) {
+    const params = [WAREHOUSE_PLATFORMS];
+    let accountFilter = '';
+    if (adAccountId) {
+      params.push(adAccountId);
+      accountFilter = 'AND aa.id = $2';
+    }
+
+    const result = await query(
+      `SELECT aa.*, to_char(aa.synced_through, 'YYYY-MM-DD') as synced_through_date,
+              ot.access_token, ot.expires_at
+       FROM ad_accounts aa
+       JOIN oauth_tokens ot ON ot.id = aa.oauth_token_id
+       WHERE aa.status = 'active' AND aa.platform = ANY($1) ${accountFilter}
+       ORDER BY aa.id`,
+      params
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Whether an account's platform can be synced into the warehouse
+   */
+  supportsPlatform(platform) {
+    return WAREHOUSE_PLATFORMS.includes(platform);
+  }
+
+  /**
+   * Sync one ad account and record the run in sync_jobs
+   * Without an explicit range, a never-synced account is backfilled ("full") and
+   * a synced account re-ingests the lookback window before synced_through
+   * ("incremental") so late attribution updates are picked up.
+   * @param {Object} account - Row from getSyncableAccounts()
+   * @param {Object} options - { since, until } to force a range
+   * @returns {Object} Completed sync_jobs row
+   */
+  async syncAccount(account, options = {}) {
+    if (this.activeAccounts.has(account.id)) {
+      throw new Error('A sync is already running for this account');
+    }
+
+    if (account.expires_at && new Date(account.expires_at) <= new Date()) {
+      throw new Error('Access token expired. Please reconnect your account.');
+    }
+
+    const { since, until, jobType } = this.getSyncRange(account, options);
+
+    const jobResult = await query(
+      `INSERT INTO sync_jobs (ad_account_id, job_type, status, start_date, end_date, started_at)
+       VALUES ($1, $2, 'running', $3, $4, NOW())
+       RETURNING *`,
+      [account.id, jobType, since, until]
+    );
+    const job = jobResult.rows[0];
+
+    this.activeAccounts.add(account.id);
+    await query(`UPDATE ad_accounts SET sync_status = 'syncing' WHERE id = $1`, [account.id]);
+
+    try {
+      const stats = await this.ingest(account, since, until);
+
+      // Today is still accumulating, so it is never considered fully ingested
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      const syncedThrough = until < toDate(yesterday) ? until : toDate(yesterday);
+
+      const completed = await query(
+        `UPDATE sync_jobs
+         SET status = 'completed', completed_at = NOW(),
+             records_processed = $1, records_failed = $2, metadata = $3
+         WHERE id = $4
+         RETURNING *`,
+        [stats.processed, stats.failed, JSON.stringify({ levels: stats.levels, hourly: stats.hourly }), job.id]
+      );
+
+      // Only advance synced_through when the run is contiguous with what is already stored
+      await query(
+        `UPDATE ad_accounts
+         SET sync_status = 'completed', sync_error = NULL, last_sync_at = NOW(),
+             synced_through = CASE
+               WHEN $1::date >= $2::date AND (synced_through IS NULL OR $2::date <= synced_through + 1)
+                 THEN GREATEST(COALESCE(synced_through, $1::date), $1::date)
+               ELSE synced_through
+             END
+         WHERE id = $3`,
+        [syncedThrough, since, account.id]
+      );
+
+      console.log(`Synced ad account ${account.account_name} (${since} to ${until}): ${stats.processed} rows`);
+      return completed.rows[0];
+    } catch (error) {
+      await query(
+        `UPDATE sync_jobs SET status = 'failed', completed_at = NOW(), error_message = $1 WHERE id = $2`,
+        [error.message, job.id]
+      );
+      await query(
+        `UPDATE ad_accounts SET sync_status = 'failed', sync_error = $1 WHERE id = $2`,
+        [error.message, account.id]
+      );
+      throw error;
+    } finally {
+      this.activeAccounts.delete(account.id);
+    }
+  }
+
+  /**
+   * Resolve the date range and sync_jobs job_type for a run
+   */
+  getSyncRange(account, options) {
+    const today = new Date();
+    const until = options.until || toDate(today);
+
+    if (options.since) {
+      return { since: options.since, until, jobType: 'full' };
+    }
+
+    if (account.synced_through_date) {
+      const since = new Date(`${account.synced_through_date}T00:00:00Z`);
+      since.setUTCDate(since.getUTCDate() - config.warehouse.lookbackDays + 1);
+      return { since: toDate(since), until, jobType: 'incremental' };
+    }
+
+    const since = new Date(today);
+    since.setDate(since.getDate() - config.warehouse.backfillDays);
+    return { since: toDate(since), until, jobType: 'full' };
+  }
+
+  /**
+   * Fetch the hierarchy and every report level for a range and upsert them
+   * @returns {Object} { processed, failed, levels, hourly }
+   */
+  async ingest(account, since, until) {
+    const PlatformService = getPlatformService(account.platform);
+    const entities = await PlatformService.fetchEntities(account.account_id, account.access_token, config);
+    const ids = await this.upsertEntities(account, entities);
+
+    const stats = { processed: 0, failed: 0, levels: {}, hourly: 0 };
+
+    for (const [level, keys] of Object.entries(REPORT_LEVELS)) {
+      const rows = await PlatformService.fetchInsightsReport(
+        account.account_id, account.access_token, level, since, until, {}, config
+      );
+      const result = await this.upsertMetrics(account, rows, keys, ids);
+      stats.levels[level] = result.processed;
+      stats.processed += result.processed;
+      stats.failed += result.failed;
+    }
+
+    if (config.warehouse.syncHourly) {
+      const rows = await PlatformService.fetchInsightsReport(
+        account.account_id, account.access_token, 'account', since, until, { hourly: true }, config
+      );
+      const result = await this.upsertMetrics(account, rows, REPORT_LEVELS.account, ids);
+      stats.hourly = result.processed;
+      stats.processed += result.processed;
+      stats.failed += result.failed;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Upsert campaigns, ad sets and ads
+   * @returns {Object} Maps of platform ID to internal UUID: { campaign, adSet, ad }
+   * Ads are keyed by "adSetId:adId" since Google ad IDs are only unique per ad group
+   */
+  async upsertEntities(account, { campaigns, adSets, ads }) {
+    const ids = { campaign: new Map(), adSet: new Map(), ad: new Map() };
+
+    for (const c of campaigns) {
+      const result = await query(
+        `INSERT INTO campaigns (
+           ad_account_id, platform, campaign_id, campaign_name, objective, status,
+           start_date, end_date, budget_amount, budget_type, bid_strategy
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (ad_account_id, platform, campaign_id) DO UPDATE SET
+           campaign_name = EXCLUDED.campaign_name, objective = EXCLUDED.objective,
+           status = EXCLUDED.status, start_date = EXCLUDED.start_date, end_date = EXCLUDED.end_date,
+           budget_amount = EXCLUDED.budget_amount, budget_type = EXCLUDED.budget_type,
+           bid_strategy = EXCLUDED.bid_strategy
+         RETURNING id`,
+        [
+          account.id, account.platform, c.id, c.name || `Campaign ${c.id}`, c.objective, c.status,
+          c.startDate, c.endDate, c.budgetAmount, c.budgetType, c.bidStrategy,
+        ]
+      );
+      ids.campaign.set(c.id, result.rows[0].id);
+    }
+
+    for (const a of adSets) {
+      const campaignId = ids.campaign.get(a.campaignId);
+      if (!campaignId) continue;
+
+      const result = await query(
+        `INSERT INTO ad_sets (
+           campaign_id, platform, ad_set_id, ad_set_name, status, targeting,
+           budget_amount, bid_amount, start_date, end_date
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (campaign_id, platform, ad_set_id) DO UPDATE SET
+           ad_set_name = EXCLUDED.ad_set_name, status = EXCLUDED.status, targeting = EXCLUDED.targeting,
+           budget_amount = EXCLUDED.budget_amount, bid_amount = EXCLUDED.bid_amount,
+           start_date = EXCLUDED.start_date, end_date = EXCLUDED.end_date
+         RETURNING id`,
+        [
+          campaignId, account.platform, a.id, a.name || `Ad set ${a.id}`, a.status,
+          JSON.stringify(a.targeting || {}), a.budgetAmount, a.bidAmount, a.startDate, a.endDate,
+        ]
+      );
+      ids.adSet.set(a.id, result.rows[0].id);
+    }
+
+    for (const ad of ads) {
+      const adSetId = ids.adSet.get(ad.adSetId);
+      if (!adSetId) continue;
+
+      const result = await query(
+        `INSERT INTO ads (
+           ad_set_id, platform, ad_id, ad_name, status, creative_type, headline,
+           description, call_to_action, image_url, video_url, destination_url
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         ON CONFLICT (ad_set_id, platform, ad_id) DO UPDATE SET
+           ad_name = EXCLUDED.ad_name, status = EXCLUDED.status, creative_type = EXCLUDED.creative_type,
+           headline = EXCLUDED.headline, description = EXCLUDED.description,
+           call_to_action = EXCLUDED.call_to_action, image_url = EXCLUDED.image_url,
+           video_url = EXCLUDED.video_url, destination_url = EXCLUDED.destination_url
+         RETURNING id`,
+        [
+          adSetId, account.platform, ad.id, ad.name || `Ad ${ad.id}`, ad.status, ad.creativeType,
+          ad.headline, ad.description, ad.callToAction, ad.imageUrl, ad.videoUrl, ad.destinationUrl,
+        ]
+      );
+      ids.ad.set(`${ad.adSetId}:${ad.id}`, result.rows[0].id);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Upsert normalized report rows into ad_metrics
+   * Rows whose campaign, ad set or ad is not in the synced hierarchy are counted as failed
+   * @param {string[]} keys - Foreign keys the report level fills (campaign, adSet, ad)
+   * @returns {Object} { processed, failed }
+   */
+  async upsertMetrics(account, rows, keys, ids) {
+    const values = [];
+    let failed = 0;
+
+    for (const row of rows) {
+      const refs = {
+        campaign: keys.includes('campaign') ? ids.campaign.get(row.campaignId) : null,
+        adSet: keys.includes('adSet') ? ids.adSet.get(row.adSetId) : null,
+        ad: keys.includes('ad') ? ids.ad.get(`${row.adSetId}:${row.adId}`) : null,
+      };
+      if (keys.some(key => !refs[key])) {
+        failed++;
+        continue;
+      }
+
+      values.push([
+        account.id, refs.campaign, refs.adSet, refs.ad, account.platform, row.date, row.hour,
+        row.impressions, row.clicks, row.spend, Math.round(row.conversions), row.conversionValue,
+        row.impressions > 0 ? (row.clicks / row.impressions) * 100 : null,
+        row.clicks > 0 ? row.spend / row.clicks : null,
+        row.impressions > 0 ? (row.spend / row.impressions) * 1000 : null,
+        row.conversions > 0 ? row.spend / row.conversions : null,
+        row.spend > 0 ? row.conversionValue / row.spend : null,
+        row.reach, row.frequency, row.videoViews,
+      ]);
+    }
+
+    for (let i = 0; i < values.length; i += UPSERT_BATCH_SIZE) {
+      const batch = values.slice(i, i + UPSERT_BATCH_SIZE);
+      const columnCount = batch[0].length;
+      const placeholders = batch.map((_, rowIndex) =>
+        `(${Array.from({ length: columnCount }, (__, col) => `$${rowIndex * columnCount + col + 1}`).join(', ')})`
+      );
+
+      await query(
+        `INSERT INTO ad_metrics (
+           ad_account_id, campaign_id, ad_set_id, ad_id, platform, metric_date, metric_hour,
+           impressions, clicks, spend, conversions, conversion_value,
+           ctr, cpc, cpm, cpa, roas, reach, frequency, video_views
+         ) VALUES ${placeholders.join(', ')}
+         ON CONFLICT (
+           ad_account_id,
+           (COALESCE(campaign_id, '${NULL_UUID}'::uuid)),
+           (COALESCE(ad_set_id, '${NULL_UUID}'::uuid)),
+           (COALESCE(ad_id, '${NULL_UUID}'::uuid)),
+           metric_date,
+           (COALESCE(metric_hour, -1))
+         ) DO UPDATE SET
+           impressions = EXCLUDED.impressions, clicks = EXCLUDED.clicks, spend = EXCLUDED.spend,
+           conversions = EXCLUDED.conversions, conversion_value = EXCLUDED.conversion_value,
+           ctr = EXCLUDED.ctr, cpc = EXCLUDED.cpc, cpm = EXCLUDED.cpm, cpa = EXCLUDED.cpa,
+           roas = EXCLUDED.roas, reach = EXCLUDED.reach, frequency = EXCLUDED.frequency,
+           video_views = EXCLUDED.video_views`,
+        batch.flat()
+      );
+    }
+
+    return { processed: values.length, failed };
+  }
+
+  /**
+   * Read an account-level metric from the warehouse in the fetchMetrics() shape
+   * Returns null when the warehouse cannot answer (unsupported platform or metric,
+   * account never synced, or the range starts before the first synced day) so
+   * callers can fall back to the live platform API.
+   * @param {Object} account - ad_accounts row
+   * @param {string} metric - Metric name
+   * @param {string} since - Start date (YYYY-MM-DD)
+   * @param {string} until - End date (YYYY-MM-DD)
+   */
+  async getAccountMetric(account, metric, since, until) {
+    const expression = METRIC_EXPRESSIONS[metric];
+    if (!expression || !this.supportsPlatform(account.platform) || !account.synced_through) {
+      return null;
+    }
+
+    if (!(await this.covers(account, since))) {
+      return null;
+    }
+
+    const daysDiff = Math.round((new Date(until) - new Date(since)) / (1000 * 60 * 60 * 24));
+    const prevUntil = new Date(since);
+    prevUntil.setDate(prevUntil.getDate() - 1);
+    const prevSince = new Date(prevUntil);
+    prevSince.setDate(prevSince.getDate() - daysDiff);
+
+    const accountRows = `ad_account_id = $1 AND campaign_id IS NULL AND metric_hour IS NULL`;
+    const [totals, series] = await Promise.all([
+      query(
+        `SELECT
+           (SELECT COALESCE(${expression}, 0) FROM ad_metrics
+            WHERE ${accountRows} AND metric_date BETWEEN $2 AND $3) as value,
+           (SELECT COALESCE(${expression}, 0) FROM ad_metrics
+            WHERE ${accountRows} AND metric_date BETWEEN $4 AND $5) as previous_value`,
+        [account.id, since, until, toDate(prevSince), toDate(prevUntil)]
+      ),
+      query(
+        `SELECT to_char(metric_date, 'YYYY-MM-DD') as date, COALESCE(${expression}, 0) as value
+         FROM ad_metrics
+         WHERE ${accountRows} AND metric_date BETWEEN $2 AND $3
+         GROUP BY metric_date
+         ORDER BY metric_date ASC`,
+        [account.id, since, until]
+      ),
+    ]);
+
+    const value = parseFloat(totals.rows[0].value) || 0;
+    const previousValue = parseFloat(totals.rows[0].previous_value) || 0;
+    const changePercent = previousValue > 0
+      ? parseFloat(((value - previousValue) / previousValue * 100).toFixed(1))
+      : 0;
+
+    return {
+      value,
+      previousValue,
+      changePercent,
+      label: metric,
+      dateRange: { since, until },
+      previousDateRange: { since: toDate(prevSince), until: toDate(prevUntil) },
+      currency: account.currency || 'USD',
+      timeSeries: series.rows.map(row => ({ date: row.date, value: parseFloat(row.value) || 0 })),
+    };
+  }
+
+  /**
+   * Get daily campaign-level rows with campaign names for an account
+   * @returns {Object[]|null} Rows { date, campaign, spend, revenue, conversions, clicks, impressions },
+   *   or null when the warehouse does not cover the range
+   */
+  async getCampaignRows(account, since, until) {
+    if (!this.supportsPlatform(account.platform) || !account.synced_through) {
+      return null;
+    }
+    if (!(await this.covers(account, since))) {
+      return null;
+    }
+
+    const result = await query(
+      `SELECT to_char(m.metric_date, 'YYYY-MM-DD') as date, c.campaign_name,
+              m.spend, m.conversion_value, m.conversions, m.clicks, m.impressions
+       FROM ad_metrics m
+       JOIN campaigns c ON c.id = m.campaign_id
+       WHERE m.ad_account_id = $1 AND m.ad_set_id IS NULL AND m.metric_hour IS NULL
+         AND m.metric_date BETWEEN $2 AND $3
+       ORDER BY m.metric_date ASC`,
+      [account.id, since, until]
+    );
+
+    return result.rows.map(row => ({
+      date: row.date,
+      campaign: row.campaign_name,
+      spend: parseFloat(row.spend) || 0,
+      revenue: parseFloat(row.conversion_value) || 0,
+      conversions: parseFloat(row.conversions) || 0,
+      clicks: parseInt(row.clicks || 0, 10),
+      impressions: parseInt(row.impressions || 0, 10),
+    }));
+  }
+
+  /**
+   * Whether the warehouse holds account-level daily rows from `since` onwards
+   */
+  async covers(account, since) {
+    const coverage = await query(
+      `SELECT to_char(MIN(metric_date), 'YYYY-MM-DD') as first_date
+       FROM ad_metrics
+       WHERE ad_account_id = $1 AND campaign_id IS NULL AND metric_hour IS NULL`,
+      [account.id]
+    );
+    const firstDate = coverage.rows[0].first_date;
+    return Boolean(firstDate) && firstDate <= since;
+  }
+
+  /**
+   * Get warehouse sync status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isSyncing: this.isSyncing,
+      activeAccounts: Array.from(this.activeAccounts),
+      schedule: config.warehouse.syncSchedule,
+      platforms: WAREHOUSE_PLATFORMS,
+    };
+  }
+}
+
+module.exports = new MetricsWarehouse();
@@ -213,6 +213,136 @@ class GoogleAdsService {
     }
   }
 
+  /**
+   * Run a GAQL query through searchStream and return the flattened result rows
+   */
+  static async searchStream(accountId, accessToken, gaql, config) {
+    const response = await axios.post(
+      `https://googleads.googleapis.com/v14/customers/${accountId}/googleAds:searchStream`,
+      { query: gaql },
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'developer-token': config?.google?.developerToken || '',
+        },
+      }
+    );
+
+    const rows = [];
+    for (const batch of response.data || []) {
+      rows.push(...(batch.results || []));
+    }
+    return rows;
+  }
+
+  /**
+   * Fetch campaigns, ad groups and ads for an account
+   * Ad groups map to the warehouse's ad sets
+   * @returns {Object} { campaigns, adSets, ads }
+   */
+  static async fetchEntities(accountId, accessToken, config) {
+    const [campaigns, adGroups, ads] = await Promise.all([
+      this.searchStream(accountId, accessToken, `
+        SELECT campaign.id, campaign.name, campaign.status, campaign.advertising_channel_type,
+          campaign.start_date, campaign.end_date, campaign.bidding_strategy_type,
+          campaign_budget.amount_micros, campaign_budget.period
+        FROM campaign
+        WHERE campaign.status != 'REMOVED'
+      `, config),
+      this.searchStream(accountId, accessToken, `
+        SELECT ad_group.id, ad_group.name, ad_group.status, ad_group.cpc_bid_micros, campaign.id
+        FROM ad_group
+        WHERE ad_group.status != 'REMOVED'
+      `, config),
+      this.searchStream(accountId, accessToken, `
+        SELECT ad_group_ad.ad.id, ad_group_ad.ad.name, ad_group_ad.ad.type, ad_group_ad.ad.final_urls,
+          ad_group_ad.status, ad_group.id
+        FROM ad_group_ad
+        WHERE ad_group_ad.status != 'REMOVED'
+      `, config),
+    ]);
+
+    return {
+      campaigns: campaigns.map(r => ({
+        id: String(r.campaign.id),
+        name: r.campaign.name,
+        objective: r.campaign.advertisingChannelType || null,
+        status: r.campaign.status || null,
+        startDate: r.campaign.startDate || null,
+        endDate: r.campaign.endDate || null,
+        budgetAmount: r.campaignBudget?.amountMicros ? r.campaignBudget.amountMicros / 1000000 : null,
+        budgetType: r.campaignBudget?.period ? r.campaignBudget.period.toLowerCase() : null,
+        bidStrategy: r.campaign.biddingStrategyType || null,
+      })),
+      adSets: adGroups.map(r => ({
+        id: String(r.adGroup.id),
+        name: r.adGroup.name,
+        campaignId: String(r.campaign.id),
+        status: r.adGroup.status || null,
+        targeting: {},
+        budgetAmount: null,
+        bidAmount: r.adGroup.cpcBidMicros ? r.adGroup.cpcBidMicros / 1000000 : null,
+        startDate: null,
+        endDate: null,
+      })),
+      ads: ads.map(r => ({
+        id: String(r.adGroupAd.ad.id),
+        name: r.adGroupAd.ad.name || `Ad ${r.adGroupAd.ad.id}`,
+        adSetId: String(r.adGroup.id),
+        status: r.adGroupAd.status || null,
+        creativeType: r.adGroupAd.ad.type || null,
+        headline: null,
+        description: null,
+        callToAction: null,
+        imageUrl: null,
+        videoUrl: null,
+        destinationUrl: r.adGroupAd.ad.finalUrls?.[0] || null,
+      })),
+    };
+  }
+
+  /**
+   * Fetch a daily (or hourly) performance report at the given level
+   * @param {string} level - account, campaign, adset (ad group) or ad
+   * @param {Object} options - { hourly } segments each day by hour (account timezone)
+   * @returns {Object[]} Normalized rows with raw counters for the metrics warehouse
+   */
+  static async fetchInsightsReport(accountId, accessToken, level, since, until, options = {}, config) {
+    const levels = {
+      account: { resource: 'customer', fields: [] },
+      campaign: { resource: 'campaign', fields: ['campaign.id', 'campaign.name'] },
+      adset: { resource: 'ad_group', fields: ['campaign.id', 'campaign.name', 'ad_group.id'] },
+      ad: { resource: 'ad_group_ad', fields: ['campaign.id', 'campaign.name', 'ad_group.id', 'ad_group_ad.ad.id'] },
+    };
+    const { resource, fields } = levels[level] || levels.account;
+
+    const segments = options.hourly ? ['segments.date', 'segments.hour'] : ['segments.date'];
+    const rows = await this.searchStream(accountId, accessToken, `
+      SELECT ${[...fields, ...segments].join(', ')},
+        metrics.impressions, metrics.clicks, metrics.cost_micros,
+        metrics.conversions, metrics.conversions_value, metrics.video_views
+      FROM ${resource}
+      WHERE segments.date BETWEEN '${since}' AND '${until}'
+    `, config);
+
+    return rows.map(r => ({
+      date: r.segments.date,
+      hour: options.hourly ? parseInt(r.segments.hour || 0, 10) : null,
+      campaignId: r.campaign?.id ? String(r.campaign.id) : null,
+      campaignName: r.campaign?.name || null,
+      adSetId: r.adGroup?.id ? String(r.adGroup.id) : null,
+      adId: r.adGroupAd?.ad?.id ? String(r.adGroupAd.ad.id) : null,
+      impressions: parseInt(r.metrics.impressions || 0, 10),
+      clicks: parseInt(r.metrics.clicks || 0, 10),
+      spend: (r.metrics.costMicros || 0) / 1000000,
+      conversions: parseFloat(r.metrics.conversions || 0),
+      conversionValue: parseFloat(r.metrics.conversionsValue || 0),
+      reach: null,
+      frequency: null,
+      videoViews: r.metrics.videoViews !== undefined ? parseInt(r.metrics.videoViews, 10) : null,
+    }));
+  }
+
   /**
    * Parse Google Ads metric value
    */
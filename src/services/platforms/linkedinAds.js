@@ -203,6 +203,45 @@ class LinkedInAdsService {
       };
     }
   }
+
+  /**
+   * Fetch a daily account-level report with spend, delivery and conversion counters
+   * @returns {Object[]} Rows { date, spend, impressions, clicks, conversions, conversionValue }
+   */
+  static async fetchDailyReport(accountId, accessToken, since, until) {
+    const start = new Date(since);
+    const end = new Date(until);
+
+    const response = await axios.get(`${BASE_URL}/adAnalyticsV2`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'X-Restli-Protocol-Version': '2.0.0',
+      },
+      params: {
+        q: 'analytics',
+        pivot: 'ACCOUNT',
+        dateRange: {
+          start: { day: start.getDate(), month: start.getMonth() + 1, year: start.getFullYear() },
+          end: { day: end.getDate(), month: end.getMonth() + 1, year: end.getFullYear() },
+        },
+        timeGranularity: 'DAILY',
+        accounts: [`urn:li:sponsoredAccount:${accountId}`],
+        fields: 'dateRange,costInLocalCurrency,impressions,clicks,externalWebsiteConversions,conversionValueInLocalCurrency',
+      },
+    });
+
+    return (response.data.elements || []).map(row => {
+      const startDay = row.dateRange?.start || {};
+      return {
+        date: `${startDay.year}-${String(startDay.month).padStart(2, '0')}-${String(startDay.day).padStart(2, '0')}`,
+        spend: parseFloat(row.costInLocalCurrency) || 0,
+        impressions: parseInt(row.impressions || 0, 10),
+        clicks: parseInt(row.clicks || 0, 10),
+        conversions: parseFloat(row.externalWebsiteConversions) || 0,
+        conversionValue: parseFloat(row.conversionValueInLocalCurrency) || 0,
+      };
+    });
+  }
 }
 
 module.exports = LinkedInAdsService;
@@ -184,6 +184,158 @@ class MetaAdsService {
     }
   }
 
+  /**
+   * Fetch campaigns, ad sets and ads for an ad account
+   * Used by the metrics warehouse to keep the campaign hierarchy in sync
+   * @returns {Object} { campaigns, adSets, ads }
+   */
+  static async fetchEntities(accountId, accessToken) {
+    const [campaigns, adSets, ads] = await Promise.all([
+      this.fetchAllPages(`${BASE_URL}/act_${accountId}/campaigns`, {
+        access_token: accessToken,
+        fields: 'id,name,objective,status,start_time,stop_time,daily_budget,lifetime_budget,bid_strategy',
+        limit: 500,
+      }),
+      this.fetchAllPages(`${BASE_URL}/act_${accountId}/adsets`, {
+        access_token: accessToken,
+        fields: 'id,name,campaign_id,status,targeting,daily_budget,lifetime_budget,bid_amount,start_time,end_time',
+        limit: 500,
+      }),
+      this.fetchAllPages(`${BASE_URL}/act_${accountId}/ads`, {
+        access_token: accessToken,
+        fields: 'id,name,adset_id,status,creative{object_type,title,body,call_to_action_type,image_url,video_id,object_url}',
+        limit: 500,
+      }),
+    ]);
+
+    // Meta returns budgets in the account currency's minor unit
+    const toBudget = (entity) => {
+      const budget = entity.daily_budget || entity.lifetime_budget;
+      return budget ? parseFloat(budget) / 100 : null;
+    };
+
+    return {
+      campaigns: campaigns.map(c => ({
+        id: c.id,
+        name: c.name,
+        objective: c.objective || null,
+        status: c.status || null,
+        startDate: c.start_time ? c.start_time.split('T')[0] : null,
+        endDate: c.stop_time ? c.stop_time.split('T')[0] : null,
+        budgetAmount: toBudget(c),
+        budgetType: c.daily_budget ? 'daily' : c.lifetime_budget ? 'lifetime' : null,
+        bidStrategy: c.bid_strategy || null,
+      })),
+      adSets: adSets.map(a => ({
+        id: a.id,
+        name: a.name,
+        campaignId: a.campaign_id,
+        status: a.status || null,
+        targeting: a.targeting || {},
+        budgetAmount: toBudget(a),
+        bidAmount: a.bid_amount ? parseFloat(a.bid_amount) / 100 : null,
+        startDate: a.start_time ? a.start_time.split('T')[0] : null,
+        endDate: a.end_time ? a.end_time.split('T')[0] : null,
+      })),
+      ads: ads.map(ad => ({
+        id: ad.id,
+        name: ad.name,
+        adSetId: ad.adset_id,
+        status: ad.status || null,
+        creativeType: ad.creative?.object_type || null,
+        headline: ad.creative?.title || null,
+        description: ad.creative?.body || null,
+        callToAction: ad.creative?.call_to_action_type || null,
+        imageUrl: ad.creative?.image_url || null,
+        videoUrl: ad.creative?.video_id ? `https://www.facebook.com/watch/?v=${ad.creative.video_id}` : null,
+        destinationUrl: ad.creative?.object_url || null,
+      })),
+    };
+  }
+
+  /**
+   * Fetch a daily (or hourly) insights report at the given level
+   * @param {string} level - account, campaign, adset or ad
+   * @param {Object} options - { hourly } breaks each day down by hour (account timezone)
+   * @returns {Object[]} Normalized rows with raw counters for the metrics warehouse
+   */
+  static async fetchInsightsReport(accountId, accessToken, level, since, until, options = {}) {
+    const fields = [
+      'campaign_id', 'campaign_name', 'adset_id', 'ad_id',
+      'spend', 'impressions', 'clicks', 'actions', 'action_values', 'video_play_actions',
+    ];
+    // Reach is not available with the hourly breakdown
+    if (!options.hourly) {
+      fields.push('reach', 'frequency');
+    }
+
+    const params = {
+      access_token: accessToken,
+      level,
+      fields: fields.join(','),
+      time_range: JSON.stringify({ since, until }),
+      time_increment: 1,
+      limit: 500,
+    };
+    if (options.hourly) {
+      params.breakdowns = 'hourly_stats_aggregated_by_advertiser_time_zone';
+    }
+
+    const rows = await this.fetchAllPages(`${BASE_URL}/act_${accountId}/insights`, params);
+
+    return rows.map(row => {
+      const hourRange = row.hourly_stats_aggregated_by_advertiser_time_zone;
+      return {
+        date: row.date_start,
+        hour: hourRange ? parseInt(hourRange.split(':')[0], 10) : null,
+        campaignId: row.campaign_id || null,
+        campaignName: row.campaign_name || null,
+        adSetId: row.adset_id || null,
+        adId: row.ad_id || null,
+        impressions: parseInt(row.impressions || 0, 10),
+        clicks: parseInt(row.clicks || 0, 10),
+        spend: parseFloat(row.spend || 0),
+        conversions: parseFloat(this.parseMetricValue(row, 'actions', 'conversions')) || 0,
+        conversionValue: this.parsePurchaseValue(row.action_values),
+        reach: row.reach !== undefined ? parseInt(row.reach, 10) : null,
+        frequency: row.frequency !== undefined ? parseFloat(row.frequency) : null,
+        videoViews: row.video_play_actions
+          ? row.video_play_actions.reduce((sum, a) => sum + parseFloat(a.value || 0), 0)
+          : null,
+      };
+    });
+  }
+
+  /**
+   * Follow Graph API cursor pagination and return every row
+   */
+  static async fetchAllPages(url, params) {
+    const rows = [];
+    let response = await axios.get(url, { params });
+
+    while (true) {
+      rows.push(...(response.data.data || []));
+      const next = response.data.paging?.next;
+      if (!next) break;
+      response = await axios.get(next);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Sum purchase conversion value, preferring the de-duplicated omni_purchase action
+   */
+  static parsePurchaseValue(actionValues) {
+    if (!actionValues || actionValues.length === 0) return 0;
+
+    for (const type of ['omni_purchase', 'purchase', 'offsite_conversion.fb_pixel_purchase']) {
+      const match = actionValues.find(a => a.action_type === type);
+      if (match) return parseFloat(match.value) || 0;
+    }
+    return 0;
+  }
+
   /**
    * Parse metric value from API response
    */
@@ -148,6 +148,54 @@ class TikTokAdsService {
       };
     }
   }
+
+  /**
+   * Fetch a daily campaign-level report with spend, delivery and conversion counters
+   * TikTok's basic report has no purchase value, so rows carry no revenue
+   * @returns {Object[]} Rows { date, campaignId, campaignName, spend, impressions, clicks, conversions }
+   */
+  static async fetchDailyReport(accountId, accessToken, since, until) {
+    const rows = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await axios.get(`${BASE_URL}/report/integrated/get/`, {
+        headers: {
+          'Access-Token': accessToken,
+        },
+        params: {
+          advertiser_id: accountId,
+          report_type: 'BASIC',
+          data_level: 'AUCTION_CAMPAIGN',
+          dimensions: '["campaign_id","stat_time_day"]',
+          metrics: '["campaign_name","spend","impressions","clicks","conversion"]',
+          start_date: since,
+          end_date: until,
+          page,
+          page_size: 1000,
+        },
+      });
+
+      if (response.data.code && response.data.code !== 0) {
+        throw new Error(response.data.message || 'TikTok report request failed');
+      }
+
+      rows.push(...(response.data.data?.list || []));
+      totalPages = response.data.data?.page_info?.total_page || 1;
+      page++;
+    } while (page <= totalPages);
+
+    return rows.map(row => ({
+      date: String(row.dimensions?.stat_time_day || '').slice(0, 10),
+      campaignId: row.dimensions?.campaign_id || null,
+      campaignName: row.metrics?.campaign_name || null,
+      spend: parseFloat(row.metrics?.spend) || 0,
+      impressions: parseInt(row.metrics?.impressions || 0, 10),
+      clicks: parseInt(row.metrics?.clicks || 0, 10),
+      conversions: parseFloat(row.metrics?.conversion) || 0,
+    }));
+  }
 }
 
 module.exports = TikTokAdsService;
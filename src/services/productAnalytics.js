@@ -0,0 +1,408 @@
+/**
+ * Product Analytics Service
+ * Records product actions (account connect, dashboard create, widget add/update,
+ * AI analysis) in product_events and computes the KPIs from team-kpis.json into
+ * a weekly time series in product_kpi_values, overall and per user cohort.
+ *
+ * Weeks start on Monday (UTC). Each run recomputes the current and previous week,
+ * so late events and the partial current week settle on later runs. Values are
+ * upserted, which keeps concurrent runs on several instances harmless.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const config = require('../config/config');
+const { query } = require('../config/database');
+
+const TEAM_KPIS_FILE = path.join(__dirname, '../../team-kpis.json');
+
+const EVENT_NAMES = ['account_connected', 'dashboard_created', 'widget_added', 'widget_updated', 'ai_analysis'];
+
+// Actions that count as interacting with dashboards (WAU and active users)
+const INTERACTION_EVENTS = ['dashboard_created', 'widget_added', 'widget_updated', 'ai_analysis'];
+
+// Actions that count as a first insight for time_to_first_insight
+const INSIGHT_EVENTS = ['dashboard_created', 'widget_added', 'ai_analysis'];
+
+// Actions counted by dashboard_engagement_rate (widget additions, filter and layout changes)
+const ENGAGEMENT_EVENTS = ['widget_added', 'widget_updated'];
+
+const COHORT_TYPES = ['all', 'customer_type', 'plan', 'signup_month'];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const sqlList = (names) => names.map(name => `'${name}'`).join(', ');
+
+const ACTIVE_USERS_SQL = `
+  SELECT DISTINCT user_id FROM product_events
+  WHERE event_name = ANY($3) AND created_at >= $1 AND created_at < $2`;
+
+/**
+ * How each KPI is computed. perUser returns (user_id, numerator, denominator) for the
+ * week [$1, $2) with $3 = INTERACTION_EVENTS; aggregate combines the rows of a cohort:
+ *   ratio  - SUM(numerator) / SUM(denominator) * scale
+ *   count  - SUM(numerator)
+ *   median - median of numerator over the cohort's rows
+ * KPIs in team-kpis.json without an entry here have no data source and are listed as not computed.
+ */
+const KPI_CALCULATIONS = {
+  // Cumulative as of the end of the week: registered users who connected an account and created a dashboard
+  activation_rate: {
+    unit: 'percent',
+    aggregate: 'ratio',
+    scale: 100,
+    perUser: `
+      SELECT u.id AS user_id,
+             CASE WHEN COUNT(DISTINCT e.event_name) = 2 THEN 1 ELSE 0 END AS numerator,
+             1 AS denominator
+      FROM users u
+      LEFT JOIN product_events e
+        ON e.user_id = u.id AND e.event_name IN ('account_connected', 'dashboard_created') AND e.created_at < $2
+      WHERE u.created_at < $2
+      GROUP BY u.id`,
+  },
+
+  // Hours from registration to the first insight, for users whose first insight falls in the week
+  time_to_first_insight: {
+    unit: 'hours',
+    aggregate: 'median',
+    perUser: `
+      SELECT u.id AS user_id,
+             GREATEST(EXTRACT(EPOCH FROM (f.first_insight_at - u.created_at)) / 3600, 0) AS numerator,
+             1 AS denominator
+      FROM users u
+      JOIN (
+        SELECT user_id, MIN(created_at) AS first_insight_at
+        FROM product_events
+        WHERE event_name IN (${sqlList(INSIGHT_EVENTS)})
+        GROUP BY user_id
+      ) f ON f.user_id = u.id
+      WHERE f.first_insight_at >= $1 AND f.first_insight_at < $2`,
+  },
+
+  wau: {
+    unit: 'users',
+    aggregate: 'count',
+    perUser: `SELECT user_id, 1 AS numerator, 1 AS denominator FROM (${ACTIVE_USERS_SQL}) active`,
+  },
+
+  dashboard_engagement_rate: {
+    unit: 'interactions per active user',
+    aggregate: 'ratio',
+    scale: 1,
+    perUser: `
+      SELECT user_id,
+             COUNT(*) FILTER (WHERE event_name IN (${sqlList(ENGAGEMENT_EVENTS)})) AS numerator,
+             1 AS denominator
+      FROM product_events
+      WHERE event_name = ANY($3) AND created_at >= $1 AND created_at < $2
+      GROUP BY user_id`,
+  },
+
+  // AI analysis events per dashboard created in the week
+  ai_analysis_usage_rate: {
+    unit: 'percent',
+    aggregate: 'ratio',
+    scale: 100,
+    perUser: `
+      SELECT user_id,
+             COUNT(*) FILTER (WHERE event_name = 'ai_analysis') AS numerator,
+             COUNT(*) FILTER (WHERE event_name = 'dashboard_created') AS denominator
+      FROM product_events
+      WHERE event_name IN ('ai_analysis', 'dashboard_created') AND created_at >= $1 AND created_at < $2
+      GROUP BY user_id`,
+  },
+
+  // Active users that had not upgraded before the week, and which of them upgraded during it
+  upgrade_rate_free_to_paid: {
+    unit: 'percent',
+    aggregate: 'ratio',
+    scale: 100,
+    perUser: `
+      SELECT candidates.user_id,
+             CASE WHEN EXISTS (
+               SELECT 1 FROM experiment_events ev
+               WHERE ev.user_id = candidates.user_id AND ev.event_name = 'subscription_upgrade'
+                 AND ev.created_at >= $1 AND ev.created_at < $2
+             ) THEN 1 ELSE 0 END AS numerator,
+             1 AS denominator
+      FROM (
+        ${ACTIVE_USERS_SQL}
+        UNION
+        SELECT user_id FROM experiment_events
+        WHERE event_name = 'subscription_upgrade' AND user_id IS NOT NULL
+          AND created_at >= $1 AND created_at < $2
+      ) candidates
+      WHERE NOT EXISTS (
+        SELECT 1 FROM experiment_events ev
+        WHERE ev.user_id = candidates.user_id AND ev.event_name = 'subscription_upgrade' AND ev.created_at < $1
+      )`,
+  },
+
+  // Reported revenue in the week divided by the week's active users
+  arpu: {
+    unit: 'revenue per active user',
+    aggregate: 'ratio',
+    scale: 1,
+    perUser: `
+      SELECT COALESCE(active.user_id, revenue.user_id) AS user_id,
+             COALESCE(revenue.total, 0) AS numerator,
+             CASE WHEN active.user_id IS NULL THEN 0 ELSE 1 END AS denominator
+      FROM (${ACTIVE_USERS_SQL}) active
+      FULL OUTER JOIN (
+        SELECT user_id, SUM(value) AS total FROM experiment_events
+        WHERE event_name = 'revenue' AND user_id IS NOT NULL AND created_at >= $1 AND created_at < $2
+        GROUP BY user_id
+      ) revenue ON revenue.user_id = active.user_id`,
+  },
+};
+
+const AGGREGATES = {
+  ratio: (scale) => ({
+    value: `SUM(p.numerator)::numeric / NULLIF(SUM(p.denominator), 0) * ${scale}`,
+    numerator: 'COALESCE(SUM(p.numerator), 0)',
+    denominator: 'COALESCE(SUM(p.denominator), 0)',
+  }),
+  count: () => ({
+    value: 'COALESCE(SUM(p.numerator), 0)',
+    numerator: 'COALESCE(SUM(p.numerator), 0)',
+    denominator: 'NULL::numeric',
+  }),
+  median: () => ({
+    value: 'percentile_cont(0.5) WITHIN GROUP (ORDER BY p.numerator)',
+    numerator: 'NULL::numeric',
+    denominator: 'COUNT(p.user_id)',
+  }),
+};
+
+/**
+ * Monday 00:00 UTC of the week containing the date
+ */
+function weekStart(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+const toDate = (date) => date.toISOString().split('T')[0];
+
+class ProductAnalytics {
+  constructor() {
+    this.isRunning = false;
+    this.isComputing = false;
+  }
+
+  /**
+   * Start KPI computation on the configured cron schedule
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Product KPI computation is already running');
+      return;
+    }
+
+    const schedule = config.productAnalytics.schedule;
+    this.mainJob = cron.schedule(schedule, async () => {
+      await this.computeRecent();
+    });
+
+    this.isRunning = true;
+    console.log(`Product KPI computation started (${schedule})`);
+  }
+
+  /**
+   * Stop KPI computation
+   */
+  stop() {
+    if (this.mainJob) {
+      this.mainJob.stop();
+      this.isRunning = false;
+      console.log('Product KPI computation stopped');
+    }
+  }
+
+  /**
+   * Record a product action. Never throws, so callers can fire and forget.
+   * @param {string} eventName - One of EVENT_NAMES
+   * @param {Object} data - { userId, workspaceId, properties }
+   * @returns {Promise<void>}
+   */
+  async track(eventName, { userId, workspaceId, properties } = {}) {
+    if (!EVENT_NAMES.includes(eventName) || !userId) return;
+
+    try {
+      await query(
+        `INSERT INTO product_events (event_name, user_id, workspace_id, properties)
+         VALUES ($1, $2, $3, $4)`,
+        [eventName, userId, workspaceId || null, properties ? JSON.stringify(properties) : null]
+      );
+    } catch (error) {
+      console.error(`Error tracking product event ${eventName}:`, error.message);
+    }
+  }
+
+  /**
+   * KPI definitions from team-kpis.json, with how (and whether) each is computed here
+   */
+  getKpis() {
+    let kpis = [];
+    try {
+      kpis = JSON.parse(fs.readFileSync(TEAM_KPIS_FILE, 'utf8')).team_kpis || [];
+    } catch (e) {
+      console.warn('productAnalytics: could not load team-kpis.json:', e.message);
+    }
+
+    return kpis.map((kpi) => ({
+      ...kpi,
+      computed: Boolean(KPI_CALCULATIONS[kpi.kpi_id]),
+      unit: KPI_CALCULATIONS[kpi.kpi_id]?.unit || null,
+    }));
+  }
+
+  /**
+   * Recompute the current and previous week; on the first run, backfill
+   * config.productAnalytics.backfillWeeks weeks instead.
+   * Skips the run if the previous computation is still in progress.
+   * @returns {Promise<number|null>} Weeks computed, or null when skipped
+   */
+  async computeRecent() {
+    if (this.isComputing) {
+      console.log('Skipping product KPI computation - previous run still in progress');
+      return null;
+    }
+
+    this.isComputing = true;
+
+    try {
+      const existing = await query('SELECT 1 FROM product_kpi_values LIMIT 1');
+      const weeks = existing.rows.length > 0 ? 2 : config.productAnalytics.backfillWeeks;
+      const current = weekStart(new Date());
+
+      for (let offset = weeks - 1; offset >= 0; offset--) {
+        await this.computeWeek(new Date(current.getTime() - offset * WEEK_MS));
+      }
+
+      return weeks;
+    } catch (error) {
+      console.error('Error computing product KPIs:', error);
+      return null;
+    } finally {
+      this.isComputing = false;
+    }
+  }
+
+  /**
+   * Compute every KPI for the week starting at weekStartDate, overall and per cohort.
+   * Cohort rows that no longer have users are removed.
+   * @param {Date} weekStartDate - Monday 00:00 UTC
+   */
+  async computeWeek(weekStartDate) {
+    const start = weekStart(weekStartDate);
+    const end = new Date(start.getTime() + WEEK_MS);
+    const computedAt = new Date();
+
+    for (const [kpiId, calculation] of Object.entries(KPI_CALCULATIONS)) {
+      const aggregate = AGGREGATES[calculation.aggregate](calculation.scale);
+
+      // params fixes the parameter types, since not every KPI query references all of them
+      await query(
+        `WITH params AS (SELECT $1::timestamptz AS period_start, $2::timestamptz AS period_end, $3::text[] AS events),
+         per_user AS (${calculation.perUser}),
+         cohorts AS (
+           SELECT p.*,
+                  COALESCE(u.customer_type, 'unknown') AS customer_type,
+                  COALESCE(u.plan, 'free') AS plan,
+                  to_char(u.created_at, 'YYYY-MM') AS signup_month
+           FROM per_user p
+           JOIN users u ON u.id = p.user_id
+         )
+         INSERT INTO product_kpi_values (
+           kpi_id, period_start, cohort_type, cohort, value, numerator, denominator, computed_at
+         )
+         SELECT $4::varchar, $5::date,
+                CASE
+                  WHEN GROUPING(customer_type) = 0 THEN 'customer_type'
+                  WHEN GROUPING(plan) = 0 THEN 'plan'
+                  WHEN GROUPING(signup_month) = 0 THEN 'signup_month'
+                  ELSE 'all'
+                END,
+                COALESCE(customer_type, plan, signup_month, 'all'),
+                ${aggregate.value}, ${aggregate.numerator}, ${aggregate.denominator}, $6::timestamptz
+         FROM cohorts p
+         GROUP BY GROUPING SETS ((), (customer_type), (plan), (signup_month))
+         ON CONFLICT (kpi_id, period_start, cohort_type, cohort) DO UPDATE SET
+           value = EXCLUDED.value,
+           numerator = EXCLUDED.numerator,
+           denominator = EXCLUDED.denominator,
+           computed_at = EXCLUDED.computed_at`,
+        [start, end, INTERACTION_EVENTS, kpiId, toDate(start), computedAt]
+      );
+
+      await query(
+        `DELETE FROM product_kpi_values
+         WHERE kpi_id = $1 AND period_start = $2::date AND computed_at < $3`,
+        [kpiId, toDate(start), computedAt]
+      );
+    }
+  }
+
+  /**
+   * Weekly values of one KPI for a cohort type, oldest first
+   * @param {string} kpiId
+   * @param {Object} options - { cohortType = 'all', weeks = 12 }
+   */
+  async getSeries(kpiId, { cohortType = 'all', weeks = 12 } = {}) {
+    const from = new Date(weekStart(new Date()).getTime() - (weeks - 1) * WEEK_MS);
+    const result = await query(
+      `SELECT to_char(period_start, 'YYYY-MM-DD') AS period_start, cohort, value, numerator, denominator, computed_at
+       FROM product_kpi_values
+       WHERE kpi_id = $1 AND cohort_type = $2 AND period_start >= $3::date
+       ORDER BY period_start, cohort`,
+      [kpiId, cohortType, toDate(from)]
+    );
+
+    return result.rows.map((row) => ({
+      periodStart: row.period_start,
+      cohort: row.cohort,
+      value: row.value === null ? null : Number(row.value),
+      numerator: row.numerator === null ? null : Number(row.numerator),
+      denominator: row.denominator === null ? null : Number(row.denominator),
+      partial: new Date(`${row.period_start}T00:00:00Z`).getTime() + WEEK_MS > row.computed_at.getTime(),
+      computedAt: row.computed_at,
+    }));
+  }
+
+  /**
+   * Overall value of every computed KPI for the latest two weeks
+   */
+  async getLatest() {
+    const result = await query(
+      `SELECT kpi_id, to_char(period_start, 'YYYY-MM-DD') AS period_start, value, computed_at
+       FROM (
+         SELECT *, ROW_NUMBER() OVER (PARTITION BY kpi_id ORDER BY period_start DESC) AS recency
+         FROM product_kpi_values
+         WHERE cohort_type = 'all'
+       ) ranked
+       WHERE recency <= 2
+       ORDER BY kpi_id, period_start DESC`
+    );
+
+    const latest = {};
+    result.rows.forEach((row) => {
+      latest[row.kpi_id] = latest[row.kpi_id] || [];
+      latest[row.kpi_id].push({
+        periodStart: row.period_start,
+        value: row.value === null ? null : Number(row.value),
+        computedAt: row.computed_at,
+      });
+    });
+    return latest;
+  }
+}
+
+const productAnalytics = new ProductAnalytics();
+productAnalytics.EVENT_NAMES = EVENT_NAMES;
+productAnalytics.COHORT_TYPES = COHORT_TYPES;
+
+module.exports = productAnalytics;
@@ -0,0 +1,262 @@
+/**
+ * Login Sessions
+ * A login creates a session with a short-lived access token (JWT carrying the
+ * session id as `sid`) and an opaque refresh token stored hashed server-side.
+ * Every refresh rotates the refresh token. Presenting a rotated token again means
+ * it was copied, so the whole session is revoked.
+ *
+ * Revoked session ids are also written to Redis until any access token they
+ * issued has expired, so authenticate() can reject them without a database query.
+ * Without Redis, authenticate() reads the session row instead.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const UserSession = require('../models/UserSession');
+const User = require('../models/User');
+const { getRequiringWorkspaces } = require('./twoFactor');
+const { getCache, setCache, isAvailable: isRedisAvailable } = require('../config/redis');
+const { AuthenticationError } = require('../utils/errors');
+
+const REFRESH_COOKIE = 'refreshToken';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// JWT_EXPIRE accepts jsonwebtoken's formats ('15m', '1h', seconds); resolve it to seconds once
+const ACCESS_TOKEN_TTL_SECONDS = (() => {
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'ttl', { expiresIn: config.jwtExpire }));
+  return exp - iat;
+})();
+
+// Account statuses that cannot sign in, mirroring the login checks
+const INACTIVE_STATUSES = ['unverified', 'pending', 'rejected'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const revokedKey = (sessionId) => `session-revoked:${sessionId}`;
+
+const refreshExpiry = () => new Date(Date.now() + config.sessions.refreshTokenDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Short label for a user agent, e.g. "Chrome on macOS"
+ */
+function describeDevice(userAgent = '') {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//], ['curl', /^curl\//], ['Node.js', /node|undici|axios/i], ['Python', /python/i],
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad/], ['Android', /Android/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+}
+
+function clientDetails(req) {
+  const userAgent = (req.headers['user-agent'] || '').slice(0, 1000);
+  return { userAgent, device: describeDevice(userAgent), ipAddress: req.ip };
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, username: user.username, email: user.email, role: user.role, sid: sessionId },
+    config.jwtSecret,
+    { expiresIn: config.jwtExpire }
+  );
+}
+
+async function issueRefreshToken(sessionId, expiresAt) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  await UserSession.addRefreshToken(sessionId, hashToken(refreshToken), expiresAt);
+  return refreshToken;
+}
+
+/**
+ * Start a session for a user who has just proven who they are
+ * @returns {Promise<{ session: Object, accessToken: string, refreshToken: string }>}
+ */
+async function createSession(user, req) {
+  const expiresAt = refreshExpiry();
+  const session = await UserSession.create({ userId: user.id, expiresAt, ...clientDetails(req) });
+  const refreshToken = await issueRefreshToken(session.id, expiresAt);
+
+  return { session, accessToken: signAccessToken(user, session.id), refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @throws {AuthenticationError} For unknown, expired or reused tokens, revoked sessions, and
+ *   users without 2FA in a workspace that requires it
+ */
+async function refreshSession(refreshToken, req) {
+  const stored = refreshToken ? await UserSession.findRefreshToken(hashToken(String(refreshToken))) : null;
+  if (!stored) {
+    throw new AuthenticationError('Invalid refresh token. Please log in again.');
+  }
+
+  const session = await UserSession.findById(stored.session_id);
+  if (!session || session.revoked_at) {
+    throw new AuthenticationError('This session has been signed out. Please log in again.');
+  }
+
+  if (stored.used_at) {
+    if (Date.now() - new Date(stored.used_at).getTime() <= config.sessions.reuseGraceSeconds * 1000) {
+      throw new AuthenticationError('This refresh token was just rotated. Retry with the new one.');
+    }
+    await revokeSession(session.id, 'reuse_detected');
+    console.warn(`Refresh token reuse detected for session ${session.id}; session revoked`);
+    throw new AuthenticationError('This refresh token was already used, so the session has been signed out. Please log in again.');
+  }
+
+  if (new Date(stored.expires_at) <= new Date() || new Date(session.expires_at) <= new Date()) {
+    throw new AuthenticationError('Your session has expired. Please log in again.');
+  }
+
+  if (!(await UserSession.useRefreshToken(stored.id))) {
+    throw new AuthenticationError('This refresh token was just rotated. Retry with the new one.');
+  }
+
+  const user = await User.findById(session.user_id);
+  if (!user || INACTIVE_STATUSES.includes(user.status)) {
+    await revokeSession(session.id, 'account_inactive');
+    throw new AuthenticationError('This account can no longer sign in.');
+  }
+
+  // A workspace may have started requiring 2FA since the session began
+  if (!user.two_factor_enabled && (await getRequiringWorkspaces(user.id)).length > 0) {
+    await revokeSession(session.id, 'two_factor_required');
+    throw new AuthenticationError('A workspace you belong to requires two-factor authentication. Log in again to set it up.');
+  }
+
+  const expiresAt = refreshExpiry();
+  const touched = await UserSession.touch(session.id, { ...clientDetails(req), expiresAt });
+  const newRefreshToken = await issueRefreshToken(session.id, expiresAt);
+
+  return {
+    session: touched,
+    user,
+    accessToken: signAccessToken(user, session.id),
+    refreshToken: newRefreshToken,
+  };
+}
+
+async function markRevoked(sessionIds) {
+  await Promise.all(sessionIds.map(id => setCache(revokedKey(id), true, ACCESS_TOKEN_TTL_SECONDS)));
+}
+
+/**
+ * Revoke one session; its access tokens stop working immediately
+ * @returns {Promise<Object|null>} The session, or null if it was already revoked
+ */
+async function revokeSession(sessionId, reason) {
+  const session = await UserSession.revoke(sessionId, reason);
+  if (session) {
+    await markRevoked([session.id]);
+  }
+  return session;
+}
+
+/**
+ * Revoke every session of a user ("log out everywhere"), except `exceptSessionId` if given
+ * @returns {Promise<number>} How many sessions were revoked
+ */
+async function revokeAllSessions(userId, reason = 'logout_all', { exceptSessionId = null } = {}) {
+  const sessionIds = await UserSession.revokeAllForUser(userId, reason, exceptSessionId);
+  await markRevoked(sessionIds);
+  return sessionIds.length;
+}
+
+/**
+ * Session a logout request refers to, from its refresh token or its (possibly expired) access token
+ * @returns {Promise<string|null>}
+ */
+async function findSessionIdForLogout({ refreshToken, accessToken }) {
+  if (refreshToken) {
+    const stored = await UserSession.findRefreshToken(hashToken(String(refreshToken)));
+    if (stored) return stored.session_id;
+  }
+
+  if (accessToken) {
+    try {
+      return jwt.verify(accessToken, config.jwtSecret, { ignoreExpiration: true }).sid || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether an access token's session has been revoked
+ */
+async function isSessionRevoked(sessionId) {
+  if (isRedisAvailable()) {
+    return Boolean(await getCache(revokedKey(sessionId)));
+  }
+
+  const session = await UserSession.findById(sessionId);
+  return !session || Boolean(session.revoked_at);
+}
+
+/**
+ * Set the access token cookie, and the refresh token cookie when one is given
+ */
+function setAuthCookies(res, { accessToken, refreshToken }) {
+  const secure = config.nodeEnv === 'production';
+
+  res.cookie('token', accessToken, {
+    httpOnly: true,
+    secure,
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000,
+  });
+
+  if (refreshToken) {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+      httpOnly: true,
+      secure,
+      sameSite: 'strict',
+      path: REFRESH_COOKIE_PATH,
+      maxAge: config.sessions.refreshTokenDays * 24 * 60 * 60 * 1000,
+    });
+  }
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie('token');
+  res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+}
+
+function formatSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    device: session.device,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    current: session.id === currentSessionId,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at,
+    expiresAt: session.expires_at,
+  };
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  ACCESS_TOKEN_TTL_SECONDS,
+  describeDevice,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  findSessionIdForLogout,
+  isSessionRevoked,
+  setAuthCookies,
+  clearAuthCookies,
+  formatSession,
+};
@@ -0,0 +1,286 @@
+/**
+ * Two-Factor Authentication
+ * Optional TOTP (RFC 6238: SHA-1, 6 digits, 30-second steps) with single-use
+ * recovery codes. Secrets are encrypted at rest and only become active once a
+ * code from the authenticator app has been verified.
+ *
+ * With 2FA on (or required by one of the user's workspaces), a correct password
+ * yields a short-lived challenge token instead of a session; the session is
+ * issued once the code step succeeds.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const User = require('../models/User');
+const UserRecoveryCode = require('../models/UserRecoveryCode');
+const Workspace = require('../models/Workspace');
+const {
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError,
+  RateLimitError,
+} = require('../utils/errors');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next step too, for clock drift between server and phone
+const DRIFT_STEPS = 1;
+const ATTEMPTS_WINDOW_SECONDS = 15 * 60;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Challenge tokens use their own key, so they are never accepted as login tokens
+const challengeSecret = () => `${config.jwtSecret}:two-factor-challenge`;
+
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(config.twoFactor.encryptionKey || `${config.jwtSecret}:two-factor-secret`)
+  .digest();
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(encoded) {
+  let bits = '';
+  for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * The TOTP code of a base32 secret for a time step
+ */
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * The time step a code matches, within the allowed drift, or null
+ */
+function matchTotpStep(secret, code, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Issue a fresh set of recovery codes, replacing any earlier ones
+ * @returns {Promise<string[]>} The codes, formatted "xxxxx-xxxxx"; they cannot be retrieved later
+ */
+async function issueRecoveryCodes(userId) {
+  const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await UserRecoveryCode.replaceForUser(userId, codes.map(hashRecoveryCode));
+  return codes;
+}
+
+function otpauthUri(email, secret) {
+  const { issuer } = config.twoFactor;
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(email)}`;
+  // Spaces as %20, not URLSearchParams' "+", which some authenticator apps show literally
+  const params = `secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Workspaces that require the user to have 2FA
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+function getRequiringWorkspaces(userId) {
+  return Workspace.findRequiringTwoFactor(userId);
+}
+
+/**
+ * Start (or restart) enrollment with a new secret
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+async function beginEnrollment(userId) {
+  const user = await User.getTwoFactor(userId);
+  if (user.two_factor_enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await User.setPendingTwoFactorSecret(userId, encryptSecret(secret));
+
+  return { secret, otpauthUri: otpauthUri(user.email, secret) };
+}
+
+/**
+ * Finish enrollment with a code from the new secret
+ * @returns {Promise<string[]>} Recovery codes, shown to the user once
+ */
+async function completeEnrollment(userId, code) {
+  const user = await User.getTwoFactor(userId);
+  if (user.two_factor_enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+  if (!user.two_factor_pending_secret) {
+    throw new ValidationError('Start two-factor setup before verifying a code');
+  }
+
+  const step = matchTotpStep(decryptSecret(user.two_factor_pending_secret), code);
+  if (step === null) {
+    throw new ValidationError('Invalid code. Check the time on your device and try again.', [
+      { field: 'code', message: 'Enter the 6-digit code from your authenticator app' },
+    ]);
+  }
+
+  if (!(await User.enableTwoFactor(userId, step))) {
+    throw new ConflictError('Two-factor setup changed while verifying. Start again.');
+  }
+  return issueRecoveryCodes(userId);
+}
+
+/**
+ * Check a second factor: a TOTP code or a recovery code. Attempts are counted per
+ * account in the database before the code is checked, and a correct code clears the count.
+ * @returns {Promise<{ method: string, recoveryCodesRemaining: number|null }>}
+ * @throws {ValidationError} For a wrong, reused or missing code (400: the session or challenge itself is fine)
+ * @throws {RateLimitError} Once the account has used up its attempts for the window
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  if (!code && !recoveryCode) {
+    throw new ValidationError('A two-factor code or recovery code is required');
+  }
+
+  // Includes this attempt, so it is refused once the allowed wrong codes are used up
+  const attempts = await User.countTwoFactorAttempt(userId, ATTEMPTS_WINDOW_SECONDS);
+  if (attempts > config.twoFactor.maxFailedAttempts) {
+    throw new RateLimitError('Too many incorrect codes. Wait 15 minutes and try again.');
+  }
+
+  const user = await User.getTwoFactor(userId);
+  let verified = null;
+
+  if (user && user.two_factor_enabled) {
+    if (code) {
+      const step = matchTotpStep(decryptSecret(user.two_factor_secret), code);
+      if (step !== null && (await User.recordTwoFactorStep(userId, step))) {
+        verified = { method: 'totp', recoveryCodesRemaining: null };
+      }
+    } else if (await UserRecoveryCode.use(userId, hashRecoveryCode(recoveryCode))) {
+      verified = { method: 'recovery_code', recoveryCodesRemaining: await UserRecoveryCode.countUnused(userId) };
+    }
+  }
+
+  if (!verified) {
+    throw new ValidationError('Invalid two-factor code');
+  }
+
+  await User.resetTwoFactorAttempts(userId);
+  return verified;
+}
+
+/**
+ * Turn 2FA off; not allowed while a workspace the user belongs to requires it
+ */
+async function disable(userId) {
+  const requiring = await getRequiringWorkspaces(userId);
+  if (requiring.length > 0) {
+    throw new AuthorizationError(
+      `Two-factor authentication is required by: ${requiring.map(workspace => workspace.name).join(', ')}`
+    );
+  }
+
+  await User.disableTwoFactor(userId);
+  await UserRecoveryCode.deleteForUser(userId);
+}
+
+/**
+ * Sign a challenge for the second login step
+ * purpose 'verify': the user has 2FA and must enter a code
+ * purpose 'setup': a workspace requires 2FA and the user must enroll first
+ */
+function signChallenge(userId, purpose) {
+  return jwt.sign({ id: userId, purpose }, challengeSecret(), {
+    expiresIn: `${config.twoFactor.challengeMinutes}m`,
+  });
+}
+
+/**
+ * The user id a challenge token was issued to
+ * @throws {AuthenticationError} For invalid or expired challenges, or one for another purpose
+ */
+function verifyChallenge(token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), challengeSecret());
+  } catch (error) {
+    throw new AuthenticationError('Your sign-in attempt has expired. Please log in again.');
+  }
+
+  if (payload.purpose !== purpose) {
+    throw new AuthenticationError('Invalid sign-in challenge. Please log in again.');
+  }
+  return payload.id;
+}
+
+module.exports = {
+  getRequiringWorkspaces,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  issueRecoveryCodes,
+  disable,
+  signChallenge,
+  verifyChallenge,
+  // Building blocks, exported for tests
+  base32Encode,
+  generateTotp,
+  matchTotpStep,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+};
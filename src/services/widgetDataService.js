@@ -6,7 +6,10 @@
 
 const { query } = require('../config/database');
 const { getPlatformService } = require('./platforms');
+const metricsWarehouse = require('./metricsWarehouse');
 const CustomDataSource = require('../models/CustomDataSource');
+const { compileQuery } = require('./customDataQuery');
+const { ValidationError } = require('../utils/errors');
 const { getCache, setCache, isAvailable: isRedisAvailable } = require('../config/redis');
 const crypto = require('crypto');
 
@@ -74,6 +77,8 @@ async function fetchWidgetData(widget, dateRange = null) {
 
 /**
  * Fetch data from custom data source
+ * The value is either a metric column with an aggregation (sum, avg, count, min, max,
+ * median, p50-p99) or a formula over metric columns such as "revenue / spend"
  * @param {Object} dataSource - Data source configuration
  * @param {Object} dateRange - Date range
  * @returns {Object} Aggregated data
@@ -82,14 +87,13 @@ async function fetchCustomData(dataSource, dateRange) {
   const {
     customSourceId,
     metric,
+    formula,
     aggregation = 'sum',
     filters = {},
-    groupBy = [],
-    dateColumn,
   } = dataSource;
 
-  if (!customSourceId || !metric) {
-    throw new Error('customSourceId and metric are required for custom data source');
+  if (!customSourceId || (!metric && !formula)) {
+    throw new Error('customSourceId and metric (or formula) are required for custom data source');
   }
 
   // Get custom data source metadata
@@ -101,73 +105,22 @@ async function fetchCustomData(dataSource, dateRange) {
   // Parse date range
   const { startDate, endDate } = parseDateRange(dateRange);
 
-  // Determine the date column to use
-  const actualDateColumn = dateColumn || source.date_column || 'record_date';
-
-  // Build base query
-  let baseQuery = `
-    SELECT
-      ${actualDateColumn} as date,
-      ${buildAggregationExpression(metric, aggregation)} as value
-    FROM custom_data_records
-    WHERE source_id = $1
-      AND ${actualDateColumn} >= $2
-      AND ${actualDateColumn} <= $3
-  `;
-
-  const params = [customSourceId, startDate, endDate];
-  let paramIndex = 4;
-
-  // Add filters for dimensions
-  if (filters && Object.keys(filters).length > 0) {
-    const filterClauses = [];
-    for (const [key, value] of Object.entries(filters)) {
-      if (Array.isArray(value)) {
-        // IN clause for array values
-        filterClauses.push(`dimensions->>'${key}' = ANY($${paramIndex})`);
-        params.push(value);
-        paramIndex++;
-      } else {
-        // Equality for single values
-        filterClauses.push(`dimensions @> $${paramIndex}::jsonb`);
-        params.push(JSON.stringify({ [key]: value }));
-        paramIndex++;
-      }
-    }
-    baseQuery += ` AND ${filterClauses.join(' AND ')}`;
-  }
-
-  // Add GROUP BY if specified
-  if (groupBy.length > 0) {
-    const groupByColumns = groupBy.map(col => `dimensions->>'${col}'`).join(', ');
-    baseQuery += ` GROUP BY ${actualDateColumn}, ${groupByColumns}`;
-  } else {
-    baseQuery += ` GROUP BY ${actualDateColumn}`;
-  }
-
-  baseQuery += ` ORDER BY ${actualDateColumn} ASC`;
+  const { valueItem, seriesQuery, totalQuery } = compileCustomDataQueries(source, dataSource, { startDate, endDate });
 
-  // Execute query
-  const result = await query(baseQuery, params);
+  const [seriesResult, totalResult] = await Promise.all([
+    query(seriesQuery.text, seriesQuery.values),
+    query(totalQuery.text, totalQuery.values),
+  ]);
 
-  // Calculate total and time series
-  const timeSeries = result.rows.map(row => ({
-    date: row.date,
+  const timeSeries = seriesResult.rows.map(row => ({
+    ...row,
     value: parseFloat(row.value) || 0,
   }));
 
-  const totalValue = timeSeries.reduce((sum, item) => sum + item.value, 0);
+  const totalValue = parseFloat(totalResult.rows[0]?.value) || 0;
 
   // Calculate previous period for comparison
-  const previousValue = await fetchPreviousPeriodValue(
-    customSourceId,
-    metric,
-    aggregation,
-    startDate,
-    endDate,
-    actualDateColumn,
-    filters
-  );
+  const previousValue = await fetchPreviousPeriodValue(source, valueItem, filters, startDate, endDate);
 
   const changePercent = previousValue > 0
     ? ((totalValue - previousValue) / previousValue) * 100
@@ -177,7 +130,7 @@ async function fetchCustomData(dataSource, dateRange) {
     value: totalValue,
     previousValue,
     changePercent,
-    label: metric,
+    label: metric || formula,
     dateRange: { startDate, endDate },
     timeSeries,
     metadata: {
@@ -188,8 +141,51 @@ async function fetchCustomData(dataSource, dateRange) {
   };
 }
 
+/**
+ * Series and total queries of a custom data widget
+ * The total is aggregated separately; summing the series is wrong for avg, percentiles and ratios
+ * @throws {ValidationError} When the widget references columns the source does not have
+ */
+function compileCustomDataQueries(source, dataSource, dateRange) {
+  const { metric, formula, aggregation = 'sum', percentile, filters = {}, groupBy = [] } = dataSource;
+
+  const valueItem = formula
+    ? { formula, aggregation, as: 'value' }
+    : { column: metric, aggregation, percentile, as: 'value' };
+  const dimensions = [].concat(groupBy || []).filter(Boolean);
+
+  const seriesQuery = compileQuery(source, {
+    select: [valueItem],
+    filters,
+    groupBy: ['date', ...dimensions],
+    dateRange,
+  });
+  const totalQuery = compileQuery(source, {
+    select: [valueItem],
+    filters,
+    dateRange,
+  });
+
+  return { valueItem, seriesQuery, totalQuery };
+}
+
+/**
+ * Check a custom data widget config against a source's current columns
+ * @returns {string|null} Why the widget cannot be rendered, or null when it can
+ */
+function validateCustomDataWidget(source, dataSource) {
+  try {
+    compileCustomDataQueries(source, dataSource, null);
+    return null;
+  } catch (error) {
+    if (error instanceof ValidationError) return error.message;
+    throw error;
+  }
+}
+
 /**
  * Fetch data from platform source (Meta, Google Ads, etc.)
+ * Synced accounts are read from the metrics warehouse; everything else is fetched live
  * @param {Object} dataSource - Data source configuration
  * @param {Object} dateRange - Date range
  * @returns {Object} Platform data
@@ -217,6 +213,24 @@ async function fetchPlatformData(dataSource, dateRange) {
 
   const account = accountResult.rows[0];
 
+  // Parse date range
+  const { startDate, endDate } = parseDateRange(dateRange);
+
+  // Serve synced accounts from the local metrics warehouse
+  const warehouseData = await metricsWarehouse.getAccountMetric(account, metric, startDate, endDate);
+  if (warehouseData) {
+    return {
+      ...warehouseData,
+      metadata: {
+        sourceType: 'platform',
+        platform: account.platform,
+        accountName: account.account_name,
+        servedFrom: 'warehouse',
+        lastSyncAt: account.last_sync_at,
+      },
+    };
+  }
+
   // Check if token needs refresh
   const now = new Date();
   const expiresAt = new Date(account.expires_at);
@@ -228,9 +242,6 @@ async function fetchPlatformData(dataSource, dateRange) {
   // Get platform service
   const PlatformService = getPlatformService(account.platform);
 
-  // Parse date range
-  const { startDate, endDate } = parseDateRange(dateRange);
-
   // Fetch metrics from platform
   const platformData = await PlatformService.fetchMetrics(
     account.account_id,
@@ -247,6 +258,7 @@ async function fetchPlatformData(dataSource, dateRange) {
       sourceType: 'platform',
       platform: account.platform,
       accountName: account.account_name,
+      servedFrom: 'live',
     },
   };
 }
@@ -296,44 +308,16 @@ async function fetchMixedData(dataSource, dateRange) {
   };
 }
 
-/**
- * Build SQL aggregation expression for metrics
- * @param {string} metric - Metric column name
- * @param {string} aggregation - Aggregation type (sum, avg, count, min, max)
- * @returns {string} SQL expression
- */
-function buildAggregationExpression(metric, aggregation) {
-  const metricPath = `(metrics->>'${metric}')::numeric`;
-
-  switch (aggregation.toLowerCase()) {
-    case 'sum':
-      return `COALESCE(SUM(${metricPath}), 0)`;
-    case 'avg':
-    case 'average':
-      return `COALESCE(AVG(${metricPath}), 0)`;
-    case 'count':
-      return `COUNT(${metricPath})`;
-    case 'min':
-      return `COALESCE(MIN(${metricPath}), 0)`;
-    case 'max':
-      return `COALESCE(MAX(${metricPath}), 0)`;
-    default:
-      return `COALESCE(SUM(${metricPath}), 0)`;
-  }
-}
-
 /**
  * Fetch previous period value for comparison
- * @param {string} sourceId - Custom data source ID
- * @param {string} metric - Metric name
- * @param {string} aggregation - Aggregation type
+ * @param {Object} source - custom_data_sources row
+ * @param {Object} valueItem - Select item producing "value"
+ * @param {Object} filters - Filters of the widget
  * @param {string} startDate - Current period start date
  * @param {string} endDate - Current period end date
- * @param {string} dateColumn - Date column name
- * @param {Object} filters - Dimension filters
  * @returns {number} Previous period value
  */
-async function fetchPreviousPeriodValue(sourceId, metric, aggregation, startDate, endDate, dateColumn, filters = {}) {
+async function fetchPreviousPeriodValue(source, valueItem, filters, startDate, endDate) {
   try {
     // Calculate previous period dates
     const start = new Date(startDate);
@@ -345,33 +329,16 @@ async function fetchPreviousPeriodValue(sourceId, metric, aggregation, startDate
     const prevStart = new Date(prevEnd);
     prevStart.setDate(prevStart.getDate() - daysDiff);
 
-    // Build query
-    let baseQuery = `
-      SELECT ${buildAggregationExpression(metric, aggregation)} as value
-      FROM custom_data_records
-      WHERE source_id = $1
-        AND ${dateColumn} >= $2
-        AND ${dateColumn} <= $3
-    `;
-
-    const params = [sourceId, prevStart.toISOString().split('T')[0], prevEnd.toISOString().split('T')[0]];
-    let paramIndex = 4;
-
-    // Add filters
-    if (filters && Object.keys(filters).length > 0) {
-      for (const [key, value] of Object.entries(filters)) {
-        if (Array.isArray(value)) {
-          baseQuery += ` AND dimensions->>'${key}' = ANY($${paramIndex})`;
-          params.push(value);
-        } else {
-          baseQuery += ` AND dimensions @> $${paramIndex}::jsonb`;
-          params.push(JSON.stringify({ [key]: value }));
-        }
-        paramIndex++;
-      }
-    }
+    const { text, values } = compileQuery(source, {
+      select: [valueItem],
+      filters,
+      dateRange: {
+        startDate: prevStart.toISOString().split('T')[0],
+        endDate: prevEnd.toISOString().split('T')[0],
+      },
+    });
 
-    const result = await query(baseQuery, params);
+    const result = await query(text, values);
     return parseFloat(result.rows[0]?.value) || 0;
   } catch (error) {
     console.error('Error fetching previous period value:', error);
@@ -408,6 +375,12 @@ function parseDateRange(dateRange) {
   let startDate = new Date();
 
   switch (dateRange) {
+    case 'today':
+      break;
+    case 'yesterday':
+      startDate.setDate(startDate.getDate() - 1);
+      endDate.setDate(endDate.getDate() - 1);
+      break;
     case 'last_7_days':
       startDate.setDate(startDate.getDate() - 7);
       break;
@@ -458,9 +431,11 @@ function combineTimeSeries(timeSeriesArray) {
 
 /**
  * Query custom data with advanced filtering and grouping
+ * See customDataQuery for the accepted select, filter and groupBy forms
  * @param {string} sourceId - Custom data source ID
  * @param {Object} options - Query options
  * @returns {Array} Query results
+ * @throws {ValidationError} When the options reference unknown columns or operators
  */
 async function queryCustomData(sourceId, options = {}) {
   const {
@@ -479,76 +454,17 @@ async function queryCustomData(sourceId, options = {}) {
     throw new Error('Custom data source not found');
   }
 
-  // Build SELECT clause
-  const selectClauses = select.length > 0
-    ? select.map(col => {
-        if (col.includes('(')) {
-          // Already an expression
-          return col;
-        } else if (source.metric_columns?.includes(col)) {
-          return `(metrics->>'${col}')::numeric as ${col}`;
-        } else if (source.dimension_columns?.includes(col)) {
-          return `dimensions->>'${col}' as ${col}`;
-        } else {
-          return `raw_data->>'${col}' as ${col}`;
-        }
-      }).join(', ')
-    : 'raw_data';
-
-  // Build WHERE clause
-  const whereClauses = [`source_id = $1`];
-  const params = [sourceId];
-  let paramIndex = 2;
-
-  // Add date range filter
-  if (dateRange) {
-    const { startDate, endDate } = parseDateRange(dateRange);
-    whereClauses.push(`record_date >= $${paramIndex}`);
-    params.push(startDate);
-    paramIndex++;
-    whereClauses.push(`record_date <= $${paramIndex}`);
-    params.push(endDate);
-    paramIndex++;
-  }
-
-  // Add dimension filters
-  for (const [key, value] of Object.entries(filters)) {
-    if (Array.isArray(value)) {
-      whereClauses.push(`dimensions->>'${key}' = ANY($${paramIndex})`);
-      params.push(value);
-    } else if (value === null) {
-      whereClauses.push(`dimensions->>'${key}' IS NULL`);
-    } else {
-      whereClauses.push(`dimensions @> $${paramIndex}::jsonb`);
-      params.push(JSON.stringify({ [key]: value }));
-    }
-    paramIndex++;
-  }
+  const { text, values } = compileQuery(source, {
+    select,
+    filters,
+    groupBy,
+    orderBy,
+    limit,
+    offset,
+    dateRange: dateRange ? parseDateRange(dateRange) : null,
+  });
 
-  // Build GROUP BY clause
-  const groupByClause = groupBy.length > 0
-    ? `GROUP BY ${groupBy.map(col => `dimensions->>'${col}'`).join(', ')}`
-    : '';
-
-  // Build ORDER BY clause
-  const orderByClause = orderBy.length > 0
-    ? `ORDER BY ${orderBy.join(', ')}`
-    : 'ORDER BY record_date DESC';
-
-  // Build final query
-  const sqlQuery = `
-    SELECT ${selectClauses}
-    FROM custom_data_records
-    WHERE ${whereClauses.join(' AND ')}
-    ${groupByClause}
-    ${orderByClause}
-    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-  `;
-
-  params.push(limit, offset);
-
-  // Execute query
-  const result = await query(sqlQuery, params);
+  const result = await query(text, values);
   return result.rows;
 }
 
@@ -596,6 +512,7 @@ async function invalidateAllWidgetCache() {
 module.exports = {
   fetchWidgetData,
   fetchCustomData,
+  validateCustomDataWidget,
   fetchPlatformData,
   fetchMixedData,
   queryCustomData,
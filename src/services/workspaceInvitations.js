@@ -0,0 +1,169 @@
+/**
+ * Workspace Invitations
+ * Email invitations to a workspace. The link carries a signed token naming the
+ * invitation and the invited email; the invitation row holds the role to grant
+ * and whether it is still pending, so revoking takes effect immediately.
+ */
+
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const Workspace = require('../models/Workspace');
+const WorkspaceInvitation = require('../models/WorkspaceInvitation');
+const emailService = require('./emailService');
+const {
+  APIError,
+  ValidationError,
+  AuthorizationError,
+  NotFoundError,
+  ConflictError,
+} = require('../utils/errors');
+
+// Roles an invitation can grant; ownership is never granted by invitation
+const INVITE_ROLES = ['admin', 'member', 'viewer'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Invite tokens use their own key, so they are never accepted as login tokens
+const inviteSecret = () => `${config.jwtSecret}:workspace-invite`;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+function signInviteToken(invitation) {
+  const expiresIn = Math.max(Math.floor((new Date(invitation.expires_at) - Date.now()) / 1000), 1);
+  return jwt.sign({ inviteId: invitation.id, email: invitation.email }, inviteSecret(), { expiresIn });
+}
+
+/**
+ * Invite an email address to a workspace and send the invitation email.
+ * Re-inviting the same address replaces its pending invitation.
+ * @returns {Promise<{ invitation: Object, emailSent: boolean }>}
+ */
+async function inviteByEmail({ workspaceId, email, role = 'member', invitedBy }) {
+  const normalizedEmail = normalizeEmail(email);
+  const errors = [];
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    errors.push({ field: 'email', message: 'A valid email address is required' });
+  }
+  if (!INVITE_ROLES.includes(role)) {
+    errors.push({ field: 'role', message: `Must be one of: ${INVITE_ROLES.join(', ')}` });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid invitation', errors);
+  }
+
+  const members = await Workspace.getMembers(workspaceId);
+  if (members.some(member => normalizeEmail(member.email) === normalizedEmail)) {
+    throw new ConflictError(`${normalizedEmail} is already a member of this workspace`);
+  }
+
+  const expiresAt = new Date(Date.now() + config.invitations.expiryDays * 24 * 60 * 60 * 1000);
+  const invitation = await WorkspaceInvitation.create({
+    workspaceId,
+    email: normalizedEmail,
+    role,
+    invitedBy,
+    expiresAt,
+  });
+
+  let emailSent = true;
+  try {
+    await emailService.sendWorkspaceInvitation({
+      to: normalizedEmail,
+      workspaceName: invitation.workspace_name,
+      inviterName: invitation.invited_by_username,
+      role,
+      inviteToken: signInviteToken(invitation),
+      expiresAt,
+    });
+  } catch (error) {
+    console.error(`Error sending workspace invitation ${invitation.id}:`, error.message);
+    emailSent = false;
+  }
+
+  return { invitation, emailSent };
+}
+
+/**
+ * Look up the pending invitation an invite token refers to
+ * @throws {APIError} 404 for an unknown token, 410 once expired, 409 once answered or revoked
+ */
+async function resolveInviteToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), inviteSecret());
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new APIError('This invitation has expired. Ask the workspace admin for a new one.', 410);
+    }
+    throw new NotFoundError('Invitation');
+  }
+
+  const invitation = await WorkspaceInvitation.findById(payload.inviteId);
+  if (!invitation || invitation.email !== payload.email) {
+    throw new NotFoundError('Invitation');
+  }
+  if (invitation.status !== 'pending') {
+    throw new ConflictError(`This invitation has already been ${invitation.status}`);
+  }
+  if (new Date(invitation.expires_at) <= new Date()) {
+    throw new APIError('This invitation has expired. Ask the workspace admin for a new one.', 410);
+  }
+
+  return invitation;
+}
+
+/**
+ * Accept an invitation as a user whose email matches the invited address.
+ * A user who is already a member keeps their current role.
+ * Workspaces that require two-factor authentication only accept users who have it on.
+ * @returns {Promise<Object>} The workspace membership
+ */
+async function acceptInvitation(invitation, user) {
+  if (normalizeEmail(user.email) !== invitation.email) {
+    throw new AuthorizationError(`This invitation was sent to ${invitation.email}. Sign in with that email to accept it.`);
+  }
+
+  if (invitation.workspace_requires_two_factor && !user.two_factor_enabled) {
+    throw new AuthorizationError(`${invitation.workspace_name} requires two-factor authentication. Turn it on, then accept the invitation.`);
+  }
+
+  const accepted = await WorkspaceInvitation.respond(invitation.id, 'accepted', user.id);
+  if (!accepted) {
+    throw new ConflictError('This invitation is no longer pending');
+  }
+
+  const currentRole = await Workspace.isMember(invitation.workspace_id, user.id);
+  if (currentRole) {
+    return { workspace_id: invitation.workspace_id, user_id: user.id, role: currentRole };
+  }
+
+  return Workspace.addMember(invitation.workspace_id, user.id, invitation.role, invitation.invited_by);
+}
+
+/**
+ * Public view of an invitation for the invite landing and registration pages
+ */
+function formatInvitation(invitation) {
+  return {
+    id: invitation.id,
+    workspaceId: invitation.workspace_id,
+    workspaceName: invitation.workspace_name,
+    requiresTwoFactor: Boolean(invitation.workspace_requires_two_factor),
+    email: invitation.email,
+    role: invitation.role,
+    status: invitation.status,
+    invitedBy: invitation.invited_by_username || null,
+    expiresAt: invitation.expires_at,
+    respondedAt: invitation.responded_at,
+    createdAt: invitation.created_at,
+  };
+}
+
+module.exports = {
+  INVITE_ROLES,
+  normalizeEmail,
+  inviteByEmail,
+  resolveInviteToken,
+  acceptInvitation,
+  formatInvitation,
+};
@@ -0,0 +1,121 @@
+/**
+ * Workspace Permissions
+ * Central policy of what each workspace role may do. Controllers call
+ * authorizeWorkspace() once they know the workspace a request touches, and routes
+ * with the workspace in the URL can use middleware/workspacePermission instead.
+ *
+ * Roles, from most to least privileged: owner, admin, member, viewer.
+ * Viewers are read-only clients; they can still comment on what they see.
+ * Requests made with an API key act with the key creator's role, and only in the key's workspace.
+ */
+
+const { query } = require('../config/database');
+
+const ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ALL = ROLES;
+const EDITORS = ['owner', 'admin', 'member'];
+const ADMINS = ['owner', 'admin'];
+const OWNER = ['owner'];
+
+// resource -> action -> roles allowed
+const POLICY = {
+  // security covers workspace-wide sign-in rules such as requiring 2FA
+  workspace: { read: ALL, update: ADMINS, delete: OWNER, security: OWNER },
+  member: { read: ALL, invite: ADMINS, remove: ADMINS },
+  apiKey: { read: ADMINS, create: ADMINS, revoke: ADMINS },
+  // Ad platform connections (OAuth) and their ad accounts
+  integration: { read: ALL, connect: ADMINS, disconnect: ADMINS, sync: EDITORS },
+  dashboard: { read: ALL, create: EDITORS, update: EDITORS, delete: EDITORS, share: EDITORS },
+  // moderate covers deleting analyst threads other members started
+  analysis: { run: ALL, moderate: ADMINS },
+  widget: { read: ALL, create: EDITORS, update: EDITORS, delete: EDITORS, analyze: ALL },
+  anomaly: { read: ALL, update: EDITORS, configure: EDITORS, detect: EDITORS },
+  alert: { read: ALL, create: EDITORS, update: EDITORS, delete: EDITORS, acknowledge: EDITORS },
+  goal: { read: ALL, create: EDITORS, update: EDITORS, delete: EDITORS },
+  filter: { read: ALL, create: EDITORS, update: EDITORS, delete: EDITORS },
+  report: { read: ALL, create: EDITORS, update: EDITORS, delete: EDITORS, trigger: EDITORS },
+  customData: { read: ALL, create: EDITORS, update: EDITORS, delete: EDITORS, sync: EDITORS },
+  budget: { read: ALL, update: ADMINS, acknowledge: EDITORS },
+  metrics: { read: ALL, sync: EDITORS },
+  export: { read: ALL, create: ALL },
+  // Authors edit and delete their own comments; moderate covers other members' comments
+  comment: { read: ALL, create: ALL, update: ALL, resolve: ALL, delete: ALL, moderate: ADMINS },
+  websiteAudit: { read: ALL, run: EDITORS },
+};
+
+/**
+ * Whether a role may perform an action; unknown resources and actions are denied
+ */
+function can(role, resource, action) {
+  const allowed = POLICY[resource] && POLICY[resource][action];
+  return Boolean(role && allowed && allowed.includes(role));
+}
+
+/**
+ * The user's role in a workspace, or null if they are not a member
+ */
+async function getWorkspaceRole(workspaceId, userId) {
+  if (!UUID_PATTERN.test(String(workspaceId || '')) || !userId) return null;
+
+  const result = await query(
+    'SELECT role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+    [workspaceId, userId]
+  );
+  return result.rows[0] ? result.rows[0].role : null;
+}
+
+/**
+ * Send the 403 every permission check returns
+ * Non-members get no detail about the workspace; members see which permission they lack.
+ */
+function sendPermissionDenied(res, { role, resource, action }) {
+  if (!role) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied to this workspace',
+      code: 'WORKSPACE_ACCESS_DENIED',
+    });
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: `Your role (${role}) cannot ${action} ${resource} in this workspace`,
+    code: 'WORKSPACE_PERMISSION_DENIED',
+    permission: `${resource}:${action}`,
+    role,
+    allowedRoles: POLICY[resource]?.[action] || [],
+  });
+}
+
+/**
+ * Check the signed-in user's permission in a workspace
+ * Sends the 403 and resolves to null when denied, so callers can `if (!role) return;`.
+ * @returns {Promise<string|null>} The user's role when allowed
+ */
+async function authorizeWorkspace(req, res, workspaceId, resource, action) {
+  if (req.apiKey && req.apiKey.workspaceId !== workspaceId) {
+    sendPermissionDenied(res, { role: null, resource, action });
+    return null;
+  }
+
+  const role = await getWorkspaceRole(workspaceId, req.user && req.user.id);
+  if (!can(role, resource, action)) {
+    sendPermissionDenied(res, { role, resource, action });
+    return null;
+  }
+
+  req.workspaceRole = role;
+  return role;
+}
+
+module.exports = {
+  ROLES,
+  POLICY,
+  can,
+  getWorkspaceRole,
+  sendPermissionDenied,
+  authorizeWorkspace,
+};
@@ -0,0 +1,56 @@
+const { query } = require('../../config/database');
+const { InsufficientDataError } = require('../../utils/errors');
+
+const adMetrics = ['spend', 'revenue', 'conversions', 'clicks', 'impressions', 'roas', 'cpa', 'ctr', 'cpc'];
+
+// Resolve a scope identifier to a connected account and the token it was linked through.
+// identifiers may hold several spellings of the same account (e.g. encoded property URLs).
+async function findConnectedAccount(workspaceId, platform, identifiers, label) {
+  const candidates = (Array.isArray(identifiers) ? identifiers : [identifiers]).filter(Boolean);
+  if (candidates.length === 0) {
+    throw new InsufficientDataError(`No ${label} account selected`);
+  }
+
+  // workspaceId comes from the request body and is not guaranteed to be a UUID
+  const result = await query(
+    `SELECT aa.*, to_char(aa.synced_through, 'YYYY-MM-DD') as synced_through_date,
+            ot.access_token, ot.expires_at
+     FROM ad_accounts aa
+     JOIN oauth_tokens ot ON ot.id = aa.oauth_token_id
+     WHERE aa.workspace_id::text = $1 AND aa.platform = $2
+       AND (aa.account_id = ANY($3) OR aa.account_name = ANY($3))
+     ORDER BY aa.account_id = ANY($3) DESC, aa.updated_at DESC NULLS LAST
+     LIMIT 1`,
+    [workspaceId, platform, candidates]
+  );
+
+  const account = result.rows[0];
+  if (!account || !account.access_token) {
+    throw new InsufficientDataError(`${label} account ${candidates[0]} is not connected to this workspace`);
+  }
+  if (account.expires_at && new Date(account.expires_at) <= new Date()) {
+    throw new InsufficientDataError(`${label} access token has expired. Reconnect the account`);
+  }
+
+  return account;
+}
+
+// Map a platform report row ({ campaignName, conversionValue, ... }) to an agent row
+function fromReportRow(platform, row) {
+  return {
+    date: row.date,
+    platform,
+    campaign: row.campaignName || row.campaignId || null,
+    spend: row.spend || 0,
+    revenue: row.conversionValue || 0,
+    conversions: row.conversions || 0,
+    clicks: row.clicks || 0,
+    impressions: row.impressions || 0,
+  };
+}
+
+module.exports = {
+  adMetrics,
+  findConnectedAccount,
+  fromReportRow,
+};
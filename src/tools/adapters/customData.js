@@ -0,0 +1,54 @@
+const { query } = require('../../config/database');
+const { InsufficientDataError } = require('../../utils/errors');
+
+const label = 'Custom data';
+
+async function findSource(workspaceId, sourceId) {
+  if (!sourceId) {
+    throw new InsufficientDataError('No custom data source selected');
+  }
+
+  const result = await query(
+    `SELECT id, source_name, metric_columns, dimension_columns
+     FROM custom_data_sources
+     WHERE id::text = $1 AND workspace_id::text = $2`,
+    [String(sourceId), workspaceId]
+  );
+  if (result.rows.length === 0) {
+    throw new InsufficientDataError(`Custom data source ${sourceId} was not found in this workspace`);
+  }
+  return result.rows[0];
+}
+
+async function listMetrics(workspaceId, scope) {
+  const source = await findSource(workspaceId, scope.accountId);
+  return source.metric_columns || [];
+}
+
+// Each record becomes one row: its dimensions as row fields and its numeric metrics as values
+async function loadRows(workspaceId, scope, dateRange) {
+  const source = await findSource(workspaceId, scope.accountId);
+  const result = await query(
+    `SELECT to_char(record_date, 'YYYY-MM-DD') as date, dimensions, metrics
+     FROM custom_data_records
+     WHERE source_id = $1 AND record_date BETWEEN $2 AND $3
+     ORDER BY record_date ASC`,
+    [source.id, dateRange.start, dateRange.end]
+  );
+
+  return result.rows.map(record => {
+    const row = { date: record.date, platform: 'custom', ...(record.dimensions || {}) };
+    Object.entries(record.metrics || {}).forEach(([metric, value]) => {
+      const num = Number(value);
+      row[metric] = Number.isNaN(num) ? 0 : num;
+    });
+    return row;
+  });
+}
+
+module.exports = {
+  source: 'custom_data',
+  label,
+  listMetrics,
+  loadRows,
+};
@@ -0,0 +1,32 @@
+const config = require('../../config/config');
+const GoogleAdsService = require('../../services/platforms/googleAds');
+const metricsWarehouse = require('../../services/metricsWarehouse');
+const { adMetrics, findConnectedAccount, fromReportRow } = require('./common');
+
+const label = 'Google Ads';
+
+async function listMetrics() {
+  return adMetrics;
+}
+
+// Synced accounts are served from the warehouse; others fall back to a live campaign report
+async function loadRows(workspaceId, scope, dateRange) {
+  const account = await findConnectedAccount(workspaceId, 'google', scope.accountId, label);
+
+  const warehouseRows = await metricsWarehouse.getCampaignRows(account, dateRange.start, dateRange.end);
+  if (warehouseRows) {
+    return warehouseRows.map(row => ({ ...row, platform: 'google' }));
+  }
+
+  const rows = await GoogleAdsService.fetchInsightsReport(
+    account.account_id, account.access_token, 'campaign', dateRange.start, dateRange.end, {}, config
+  );
+  return rows.map(row => fromReportRow('google', row));
+}
+
+module.exports = {
+  source: 'google_ads',
+  label,
+  listMetrics,
+  loadRows,
+};
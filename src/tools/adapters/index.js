@@ -0,0 +1,26 @@
+// Data adapters load normalized rows for an analyst scope so the analytics tools can
+// run on real data. Every adapter exposes:
+//   source                                   scope.source it serves
+//   label                                    human-readable source name
+//   listMetrics(workspaceId, scope)          metrics its rows carry
+//   loadRows(workspaceId, scope, dateRange)  [{ date, platform, ...dimensions, ...metrics }]
+// Both functions throw InsufficientDataError when the scope cannot be resolved to data.
+const adapters = [
+  require('./metaAds'),
+  require('./googleAds'),
+  require('./tiktokAds'),
+  require('./linkedinAds'),
+  require('./searchConsole'),
+  require('./customData'),
+];
+
+const adaptersBySource = new Map(adapters.map(adapter => [adapter.source, adapter]));
+
+function getAdapter(source) {
+  return adaptersBySource.get(source) || null;
+}
+
+module.exports = {
+  getAdapter,
+  supportedSources: adapters.map(adapter => adapter.source),
+};
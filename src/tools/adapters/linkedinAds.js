@@ -0,0 +1,24 @@
+const LinkedInAdsService = require('../../services/platforms/linkedinAds');
+const { adMetrics, findConnectedAccount, fromReportRow } = require('./common');
+
+const label = 'LinkedIn Ads';
+
+async function listMetrics() {
+  return adMetrics;
+}
+
+// LinkedIn rows are account-level, so there is no campaign dimension
+async function loadRows(workspaceId, scope, dateRange) {
+  const account = await findConnectedAccount(workspaceId, 'linkedin', scope.accountId, label);
+  const rows = await LinkedInAdsService.fetchDailyReport(
+    account.account_id, account.access_token, dateRange.start, dateRange.end
+  );
+  return rows.map(row => fromReportRow('linkedin', row));
+}
+
+module.exports = {
+  source: 'linkedin_ads',
+  label,
+  listMetrics,
+  loadRows,
+};
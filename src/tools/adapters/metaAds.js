@@ -0,0 +1,31 @@
+const MetaAdsService = require('../../services/platforms/metaAds');
+const metricsWarehouse = require('../../services/metricsWarehouse');
+const { adMetrics, findConnectedAccount, fromReportRow } = require('./common');
+
+const label = 'Meta Ads';
+
+async function listMetrics() {
+  return adMetrics;
+}
+
+// Synced accounts are served from the warehouse; others fall back to a live campaign report
+async function loadRows(workspaceId, scope, dateRange) {
+  const account = await findConnectedAccount(workspaceId, 'meta', scope.accountId, label);
+
+  const warehouseRows = await metricsWarehouse.getCampaignRows(account, dateRange.start, dateRange.end);
+  if (warehouseRows) {
+    return warehouseRows.map(row => ({ ...row, platform: 'meta' }));
+  }
+
+  const rows = await MetaAdsService.fetchInsightsReport(
+    account.account_id, account.access_token, 'campaign', dateRange.start, dateRange.end
+  );
+  return rows.map(row => fromReportRow('meta', row));
+}
+
+module.exports = {
+  source: 'meta_ads',
+  label,
+  listMetrics,
+  loadRows,
+};
@@ -0,0 +1,43 @@
+const SearchConsoleService = require('../../services/platforms/searchConsole');
+const { findConnectedAccount } = require('./common');
+
+const label = 'Search Console';
+
+// Search Console row limit per request
+const ROW_LIMIT = 25000;
+
+async function listMetrics() {
+  return ['clicks', 'impressions', 'ctr', 'position'];
+}
+
+// Rows are per day and device. Average position is carried as position x impressions
+// so it can be re-averaged over any bucket.
+async function loadRows(workspaceId, scope, dateRange) {
+  const property = scope.propertyUrl || scope.accountId;
+  const account = await findConnectedAccount(
+    workspaceId, 'search_console', [property, property && encodeURIComponent(property), scope.accountId], label
+  );
+
+  const rows = await SearchConsoleService.fetchSearchAnalytics(decodeURIComponent(account.account_id), account.access_token, {
+    startDate: dateRange.start,
+    endDate: dateRange.end,
+    dimensions: ['date', 'device'],
+    rowLimit: ROW_LIMIT,
+  });
+
+  return rows.map(row => ({
+    date: row.keys[0],
+    platform: 'search_console',
+    device: String(row.keys[1] || '').toLowerCase(),
+    clicks: row.clicks || 0,
+    impressions: row.impressions || 0,
+    positionImpressions: (row.position || 0) * (row.impressions || 0),
+  }));
+}
+
+module.exports = {
+  source: 'search_console',
+  label,
+  listMetrics,
+  loadRows,
+};
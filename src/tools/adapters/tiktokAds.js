@@ -0,0 +1,24 @@
+const TikTokAdsService = require('../../services/platforms/tiktokAds');
+const { findConnectedAccount, fromReportRow } = require('./common');
+
+const label = 'TikTok Ads';
+
+// TikTok reports carry no purchase value, so revenue and ROAS are not offered
+async function listMetrics() {
+  return ['spend', 'conversions', 'clicks', 'impressions', 'cpa', 'ctr', 'cpc'];
+}
+
+async function loadRows(workspaceId, scope, dateRange) {
+  const account = await findConnectedAccount(workspaceId, 'tiktok', scope.accountId, label);
+  const rows = await TikTokAdsService.fetchDailyReport(
+    account.account_id, account.access_token, dateRange.start, dateRange.end
+  );
+  return rows.map(row => fromReportRow('tiktok', row));
+}
+
+module.exports = {
+  source: 'tiktok_ads',
+  label,
+  listMetrics,
+  loadRows,
+};
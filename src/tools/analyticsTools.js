@@ -1,6 +1,26 @@
 const { loadRows } = require('./sampleDataLoader');
 
-const availableMetrics = ['spend', 'revenue', 'conversions', 'clicks', 'impressions', 'roas'];
+const availableMetrics = ['spend', 'revenue', 'conversions', 'clicks', 'impressions', 'roas', 'cpa', 'ctr', 'cpc'];
+
+const granularities = ['hourly', 'daily', 'weekly', 'monthly'];
+
+// Ratio metrics are recomputed from summed inputs instead of being summed themselves
+const derivedMetrics = {
+  roas: { inputs: ['revenue', 'spend'], compute: t => (t.spend === 0 ? 0 : t.revenue / t.spend) },
+  cpa: { inputs: ['spend', 'conversions'], compute: t => (t.conversions === 0 ? 0 : t.spend / t.conversions) },
+  ctr: { inputs: ['clicks', 'impressions'], compute: t => (t.impressions === 0 ? 0 : (t.clicks / t.impressions) * 100) },
+  cpc: { inputs: ['spend', 'clicks'], compute: t => (t.clicks === 0 ? 0 : t.spend / t.clicks) },
+  position: { inputs: ['positionImpressions', 'impressions'], compute: t => (t.impressions === 0 ? 0 : t.positionImpressions / t.impressions) },
+};
+
+// Agent scope sources and the row platform they correspond to
+const scopeSourcePlatforms = {
+  meta_ads: 'meta',
+  google_ads: 'google',
+  tiktok_ads: 'tiktok',
+  linkedin_ads: 'linkedin',
+  search_console: 'search_console',
+};
 
 function filterByWorkspace(rows, workspaceId) {
   return rows.filter(row => row.workspaceId === workspaceId);
@@ -13,157 +33,380 @@ function withinDateRange(rowDate, range) {
   return date >= start && date <= end;
 }
 
+function toNumber(value) {
+  const num = Number(value);
+  return Number.isNaN(num) ? 0 : num;
+}
+
 function aggregate(rows, metrics) {
-  const total = {};
+  const baseMetrics = new Set();
   metrics.forEach(metric => {
-    total[metric] = 0;
+    if (derivedMetrics[metric]) {
+      derivedMetrics[metric].inputs.forEach(input => baseMetrics.add(input));
+    } else {
+      baseMetrics.add(metric);
+    }
+  });
+
+  const sums = {};
+  baseMetrics.forEach(metric => {
+    sums[metric] = 0;
   });
 
   rows.forEach(row => {
-    metrics.forEach(metric => {
-      total[metric] += Number(row[metric] || 0);
+    baseMetrics.forEach(metric => {
+      sums[metric] += toNumber(row[metric]);
     });
   });
 
+  const total = {};
+  metrics.forEach(metric => {
+    total[metric] = derivedMetrics[metric]
+      ? Number(derivedMetrics[metric].compute(sums).toFixed(2))
+      : sums[metric];
+  });
+
   return total;
 }
 
+// Normalize filters into [{ field, op, value }] expressions.
+// Accepted forms:
+//   { platform: 'meta' }                          eq
+//   { platform: ['meta', 'google'] }              in
+//   { spend: { gte: 100, lte: 500 } }             range (gt/gte/lt/lte)
+//   { campaign: { eq: 'X' } } / { in: [...] } / { range: [min, max] }
+//   [{ field, op: 'eq' | 'in' | 'range' | 'gt' | 'gte' | 'lt' | 'lte', value }]
+//   (array expressions may pass in/range operands as `values`)
+// Agent scope keys (source, accountId, propertyUrl) are translated to row dimensions.
+function normalizeFilters(filters) {
+  if (!filters) return [];
+
+  if (Array.isArray(filters)) {
+    // Elements without a field are object-form filters, so both styles can be combined
+    return filters.flatMap(f => {
+      if (!f) return [];
+      if (!f.field) return normalizeFilters(f);
+      return [{ field: f.field, op: f.op || 'eq', value: f.values !== undefined ? f.values : f.value }];
+    });
+  }
+
+  const expressions = [];
+  Object.entries(filters).forEach(([field, value]) => {
+    if (value === undefined || value === null) return;
+
+    if (field === 'source') {
+      if (scopeSourcePlatforms[value]) {
+        expressions.push({ field: 'platform', op: 'eq', value: scopeSourcePlatforms[value], scope: true });
+      }
+      return;
+    }
+    if (field === 'accountId' || field === 'propertyUrl') {
+      expressions.push({ field, op: 'eq', value, scope: true });
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      expressions.push({ field, op: 'in', value });
+    } else if (typeof value === 'object') {
+      Object.entries(value).forEach(([op, operand]) => {
+        expressions.push({ field, op, value: operand });
+      });
+    } else {
+      expressions.push({ field, op: 'eq', value });
+    }
+  });
+  return expressions;
+}
+
+function matchesFilter(row, { field, op, value }) {
+  const cell = row[field];
+  const numeric = typeof cell === 'number';
+  const operand = v => (numeric ? toNumber(v) : String(v));
+
+  switch (op) {
+    case 'eq':
+      return cell === operand(value);
+    case 'neq':
+      return cell !== operand(value);
+    case 'in':
+      return (Array.isArray(value) ? value : [value]).map(operand).includes(cell);
+    case 'range': {
+      const [min, max] = Array.isArray(value) ? value : [value.min, value.max];
+      return (min === undefined || min === null || cell >= operand(min))
+        && (max === undefined || max === null || cell <= operand(max));
+    }
+    case 'gt':
+      return cell > operand(value);
+    case 'gte':
+      return cell >= operand(value);
+    case 'lt':
+      return cell < operand(value);
+    case 'lte':
+      return cell <= operand(value);
+    default:
+      throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+// Apply filters before aggregation. Scope filters on a dimension the rows do not
+// carry (e.g. accountId on sample data) cannot be applied and are reported as ignored.
+function applyFilters(rows, filters) {
+  const expressions = normalizeFilters(filters);
+  const applied = [];
+  const ignored = [];
+
+  expressions.forEach(expression => {
+    if (expression.scope && rows.length > 0 && !(expression.field in rows[0])) {
+      ignored.push(expression);
+    } else {
+      applied.push(expression);
+    }
+  });
+
+  const strip = ({ field, op, value }) => ({ field, op, value });
+  return {
+    rows: rows.filter(row => applied.every(expression => matchesFilter(row, expression))),
+    appliedFilters: applied.map(strip),
+    ignoredFilters: ignored.map(strip),
+  };
+}
+
+function normalizeGroupBy(groupBy) {
+  if (!groupBy) return [];
+  return (Array.isArray(groupBy) ? groupBy : [groupBy]).filter(Boolean);
+}
+
+function groupRows(rows, dimensions) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = dimensions.map(dimension => row[dimension]).join('::');
+    if (!groups.has(key)) {
+      const dims = {};
+      dimensions.forEach(dimension => {
+        dims[dimension] = row[dimension] === undefined ? null : row[dimension];
+      });
+      groups.set(key, { dimensions: dims, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  });
+  return Array.from(groups.values());
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Bucket key for a row. Dates are treated as UTC calendar days; weeks start on Monday.
+function bucketFor(row, granularity) {
+  const day = String(row.date).slice(0, 10);
+  const date = new Date(`${day}T00:00:00Z`);
+
+  switch (granularity) {
+    case 'hourly': {
+      const hour = row.hour !== undefined && row.hour !== null
+        ? Number(row.hour)
+        : (String(row.date).length > 10 ? new Date(row.date).getUTCHours() : 0);
+      return `${day}T${pad(hour)}:00`;
+    }
+    case 'weekly': {
+      const offset = (date.getUTCDay() + 6) % 7;
+      date.setUTCDate(date.getUTCDate() - offset);
+      return date.toISOString().split('T')[0];
+    }
+    case 'monthly':
+      return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-01`;
+    case 'daily':
+    default:
+      return day;
+  }
+}
+
 function getUniqueCampaigns(rows) {
   const map = new Map();
-  rows.forEach(row => {
+  // Sources without a campaign dimension (e.g. Search Console) have no contribution
+  rows.filter(row => row.campaign !== undefined && row.campaign !== null).forEach(row => {
     const key = `${row.campaign}::${row.platform}`;
     if (!map.has(key)) {
       map.set(key, { campaign: row.campaign, platform: row.platform, spend: 0, revenue: 0, conversions: 0 });
     }
     const entry = map.get(key);
-    entry.spend += row.spend;
-    entry.revenue += row.revenue;
-    entry.conversions += row.conversions;
+    entry.spend += toNumber(row.spend);
+    entry.revenue += toNumber(row.revenue);
+    entry.conversions += toNumber(row.conversions);
   });
   return Array.from(map.values());
 }
 
-function formatTimeseries(rows, granularity = 'daily', metrics) {
-  const grouped = {};
+function formatTimeseries(rows, granularity = 'daily', metrics, groupBy = null) {
+  const dimensions = normalizeGroupBy(groupBy);
+  const buckets = new Map();
+
   rows.forEach(row => {
-    const key = row.date;
-    if (!grouped[key]) {
-      grouped[key] = { date: row.date };
-      metrics.forEach(metric => {
-        grouped[key][metric] = 0;
+    const date = bucketFor(row, granularity);
+    const key = [date, ...dimensions.map(dimension => row[dimension])].join('::');
+    if (!buckets.has(key)) {
+      const point = { date };
+      dimensions.forEach(dimension => {
+        point[dimension] = row[dimension] === undefined ? null : row[dimension];
       });
+      buckets.set(key, { point, rows: [] });
     }
-    metrics.forEach(metric => {
-      grouped[key][metric] += Number(row[metric] || 0);
-    });
+    buckets.get(key).rows.push(row);
   });
-  return Object.values(grouped).sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  return Array.from(buckets.values())
+    .map(({ point, rows: bucketRows }) => ({ ...point, ...aggregate(bucketRows, metrics) }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
 }
 
-function computeAnomaly(rows, metric, sensitivity = 1.5) {
-  if (!rows.length) {
+function computeAnomaly(points, metric, sensitivity = 1.5) {
+  if (!points.length) {
     return [];
   }
 
-  const values = rows.map(row => Number(row[metric] || 0));
+  const values = points.map(point => Number(point[metric] || 0));
   const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
   const variance = values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / values.length;
   const stdDev = Math.sqrt(variance);
   const threshold = avg + sensitivity * stdDev;
 
-  return rows
-    .filter(row => Number(row[metric] || 0) > threshold)
-    .map(row => ({
-      date: row.date,
-      campaign: row.campaign,
+  return points
+    .filter(point => Number(point[metric] || 0) > threshold)
+    .map(point => ({
+      ...point,
+      type: 'spike',
       metric,
-      value: Number(row[metric] || 0),
+      value: Number(point[metric] || 0),
       threshold: Number(threshold.toFixed(2)),
     }));
 }
 
-async function get_kpis(workspaceId, dateRange, filters = {}, groupBy = null, metrics = ['spend', 'revenue', 'conversions']) {
-  const rows = loadRows();
-  const filtered = filterByWorkspace(rows, workspaceId).filter(row => withinDateRange(row.date, dateRange));
-  const aggregated = aggregate(filtered, metrics);
-  aggregated.roas = aggregated.spend === 0 ? 0 : Number((aggregated.revenue / aggregated.spend).toFixed(2));
+function validateGranularity(granularity) {
+  if (!granularities.includes(granularity)) {
+    throw new Error(`Unsupported granularity: ${granularity}. Use one of ${granularities.join(', ')}`);
+  }
+}
 
-  const kpis = {
-    workspaceId,
-    dateRange,
-    metrics: aggregated,
-    rowCount: filtered.length,
-    contribution: getUniqueCampaigns(filtered)
-      .sort((a, b) => b.spend - a.spend)
-      .slice(0, 3),
-  };
+// Build the analytics tools over a row source. loadRangeRows(workspaceId, dateRange)
+// resolves to the rows of one workspace within the range; the default tools use sample data.
+function createTools(loadRangeRows) {
+  async function get_kpis(workspaceId, dateRange, filters = {}, groupBy = null, metrics = ['spend', 'revenue', 'conversions']) {
+    const inRange = await loadRangeRows(workspaceId, dateRange);
+    const { rows: filtered, appliedFilters, ignoredFilters } = applyFilters(inRange, filters);
+    const aggregated = aggregate(filtered, [...new Set([...metrics, 'roas'])]);
 
-  return kpis;
-}
+    const kpis = {
+      workspaceId,
+      dateRange,
+      metrics: aggregated,
+      rowCount: filtered.length,
+      appliedFilters,
+      ignoredFilters,
+      contribution: getUniqueCampaigns(filtered)
+        .sort((a, b) => b.spend - a.spend)
+        .slice(0, 3),
+    };
 
-async function compare_periods(workspaceId, currentRange, previousRange, metrics = ['spend', 'revenue'], contributionDimension = 'campaign') {
-  const rows = loadRows();
-  const currentRows = filterByWorkspace(rows, workspaceId).filter(row => withinDateRange(row.date, currentRange));
-  const priorRows = filterByWorkspace(rows, workspaceId).filter(row => withinDateRange(row.date, previousRange));
+    const dimensions = normalizeGroupBy(groupBy);
+    if (dimensions.length > 0) {
+      kpis.groupBy = dimensions;
+      kpis.groups = groupRows(filtered, dimensions)
+        .map(group => ({
+          ...group.dimensions,
+          metrics: aggregate(group.rows, metrics),
+          rowCount: group.rows.length,
+        }))
+        .sort((a, b) => Number(b.metrics[metrics[0]] || 0) - Number(a.metrics[metrics[0]] || 0));
+    }
 
-  const current = aggregate(currentRows, metrics);
-  const previous = aggregate(priorRows, metrics);
+    return kpis;
+  }
 
-  const contributions = getUniqueCampaigns(currentRows)
-    .sort((a, b) => b.spend - a.spend)
-    .map(entry => ({
-      campaign: entry.campaign,
-      platform: entry.platform,
-      spendContribution: Number(entry.spend.toFixed(2)),
-      revenueContribution: Number(entry.revenue.toFixed(2)),
-    }))
-    .slice(0, 5);
+  async function compare_periods(workspaceId, currentRange, previousRange, metrics = ['spend', 'revenue'], contributionDimension = 'campaign', filters = {}) {
+    const [currentRows, priorRows] = await Promise.all([
+      loadRangeRows(workspaceId, currentRange).then(rows => applyFilters(rows, filters).rows),
+      loadRangeRows(workspaceId, previousRange).then(rows => applyFilters(rows, filters).rows),
+    ]);
 
-  return {
-    workspaceId,
-    currentRange,
-    previousRange,
-    metrics: { current, previous },
-    contributions,
-  };
-}
+    const current = aggregate(currentRows, metrics);
+    const previous = aggregate(priorRows, metrics);
 
-async function get_timeseries(workspaceId, dateRange, granularity = 'daily', metrics = ['spend', 'revenue'], groupBy = null, filters = {}) {
-  const rows = loadRows();
-  const filtered = filterByWorkspace(rows, workspaceId).filter(row => withinDateRange(row.date, dateRange));
-  const series = formatTimeseries(filtered, granularity, metrics);
-  series.forEach(point => {
-    const spend = Number(point.spend || 0);
-    const revenue = Number(point.revenue || 0);
-    point.roas = spend === 0 ? 0 : Number((revenue / spend).toFixed(2));
-  });
+    const contributions = getUniqueCampaigns(currentRows)
+      .sort((a, b) => b.spend - a.spend)
+      .map(entry => ({
+        campaign: entry.campaign,
+        platform: entry.platform,
+        spendContribution: Number(entry.spend.toFixed(2)),
+        revenueContribution: Number(entry.revenue.toFixed(2)),
+      }))
+      .slice(0, 5);
 
-  return {
-    workspaceId,
-    dateRange,
-    granularity,
-    data: series,
-  };
-}
+    return {
+      workspaceId,
+      currentRange,
+      previousRange,
+      metrics: { current, previous },
+      contributions,
+    };
+  }
+
+  async function get_timeseries(workspaceId, dateRange, granularity = 'daily', metrics = ['spend', 'revenue'], groupBy = null, filters = {}) {
+    validateGranularity(granularity);
+    const inRange = await loadRangeRows(workspaceId, dateRange);
+    const { rows: filtered, appliedFilters, ignoredFilters } = applyFilters(inRange, filters);
+    const series = formatTimeseries(filtered, granularity, [...new Set([...metrics, 'roas'])], groupBy);
+
+    return {
+      workspaceId,
+      dateRange,
+      granularity,
+      groupBy: normalizeGroupBy(groupBy),
+      appliedFilters,
+      ignoredFilters,
+      data: series,
+    };
+  }
 
-async function detect_anomalies(workspaceId, dateRange, metric = 'spend', granularity = 'daily', groupBy = null, sensitivity = 1.5) {
-  const rows = loadRows();
-  const filtered = filterByWorkspace(rows, workspaceId).filter(row => withinDateRange(row.date, dateRange));
-  const anomalies = computeAnomaly(filtered, metric, sensitivity);
+  async function detect_anomalies(workspaceId, dateRange, metric = 'spend', granularity = 'daily', groupBy = null, sensitivity = 1.5, filters = {}) {
+    validateGranularity(granularity);
+    const inRange = await loadRangeRows(workspaceId, dateRange);
+    const { rows: filtered, appliedFilters, ignoredFilters } = applyFilters(inRange, filters);
+
+    // Each group gets its own baseline so a large campaign does not mask a small one
+    const dimensions = normalizeGroupBy(groupBy);
+    const groups = dimensions.length > 0 ? groupRows(filtered, dimensions) : [{ dimensions: {}, rows: filtered }];
+    const anomalies = groups
+      .flatMap(group => computeAnomaly(formatTimeseries(group.rows, granularity, [metric], dimensions), metric, sensitivity))
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+    return {
+      workspaceId,
+      dateRange,
+      metric,
+      granularity,
+      groupBy: dimensions,
+      appliedFilters,
+      ignoredFilters,
+      anomalies,
+      sensitivity,
+    };
+  }
 
   return {
-    workspaceId,
-    dateRange,
-    metric,
-    anomalies,
-    sensitivity,
+    get_kpis,
+    compare_periods,
+    get_timeseries,
+    detect_anomalies,
   };
 }
 
+const sampleTools = createTools(async (workspaceId, dateRange) =>
+  filterByWorkspace(loadRows(), workspaceId).filter(row => withinDateRange(row.date, dateRange))
+);
+
 module.exports = {
-  get_kpis,
-  compare_periods,
-  get_timeseries,
-  detect_anomalies,
+  ...sampleTools,
+  createTools,
   availableMetrics,
+  granularities,
 };
@@ -109,6 +109,16 @@ class SyncError extends APIError {
   }
 }
 
+/**
+ * Insufficient Data Error (422)
+ * The requested scope cannot be resolved to real data (no adapter, account or credentials)
+ */
+class InsufficientDataError extends APIError {
+  constructor(message = 'Insufficient data for the selected scope') {
+    super(message, 422);
+  }
+}
+
 /**
  * Error handler utility
  * Wraps async route handlers to catch errors
@@ -232,6 +242,7 @@ module.exports = {
   DatabaseError,
   FileProcessingError,
   SyncError,
+  InsufficientDataError,
 
   // Utilities
   asyncHandler,
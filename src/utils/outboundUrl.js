@@ -0,0 +1,103 @@
+/**
+ * Outbound requests to user-supplied URLs (alert webhooks)
+ * Only https is allowed, and the host must resolve to public addresses. The
+ * addresses are checked when the connection is made, so a DNS change after the
+ * URL was saved cannot point a webhook at localhost, the private network or a
+ * cloud metadata endpoint.
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+// Loopback, private, link-local (incl. 169.254.169.254 metadata), CGNAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable; IPv4-mapped IPv6 addresses are checked as IPv4
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup that fails when the host resolves to any non-public address
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(new Error(`${hostname} does not resolve to a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Check a user-supplied URL before it is saved or called
+ * @param {Object} [options]
+ * @param {string[]} [options.hosts] - The only host names allowed
+ * @returns {string|null} Why the URL is not allowed, or null when it is
+ */
+function validateOutboundUrl(url, { hosts } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch (error) {
+    return 'must be a valid URL';
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return 'must use https';
+  }
+  if (parsed.username || parsed.password) {
+    return 'must not contain credentials';
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (hosts && !hosts.includes(hostname)) {
+    return `must be on ${hosts.join(' or ')}`;
+  }
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && !isPublicAddress(hostname))) {
+    return 'must not point to a local or private address';
+  }
+  return null;
+}
+
+/**
+ * POST to a user-supplied URL, refusing private destinations and redirects
+ * @throws {Error} When the URL is not allowed or the host resolves to a private address
+ */
+async function postToPublicUrl(url, body, { hosts, ...requestOptions } = {}) {
+  const problem = validateOutboundUrl(url, { hosts });
+  if (problem) {
+    throw new Error(`URL ${problem}`);
+  }
+
+  return axios.post(url, body, {
+    ...requestOptions,
+    httpsAgent: publicAgent,
+    proxy: false,
+    maxRedirects: 0,
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  validateOutboundUrl,
+  postToPublicUrl,
+};
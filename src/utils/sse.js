@@ -0,0 +1,51 @@
+/**
+ * Server-Sent Events helpers
+ * Streams named JSON events over a long-lived response. A heartbeat comment keeps
+ * proxies (e.g. the Heroku router's 55s idle timeout) from closing the connection.
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Switch a response into an event stream
+ * @returns {Object} { send(event, data), close(), isClosed() }
+ */
+const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  // Fires when the client disconnects as well as after res.end()
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    },
+    isClosed() {
+      return closed;
+    },
+  };
+};
+
+module.exports = {
+  openEventStream,
+};
@@ -0,0 +1,65 @@
+// Widget analysis through the LLM provider registry, offline with the mock provider
+process.env.LLM_PROVIDERS = 'mock';
+
+const { test, beforeEach, mock: nodeMock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const database = require('../src/config/database');
+
+// Usage rows the registry stores in llm_usage
+const usageRows = [];
+nodeMock.method(database, 'query', async (sql, params) => {
+  if (sql.includes('INSERT INTO llm_usage')) usageRows.push(params);
+  return { rows: [] };
+});
+
+const mock = require('../src/ai/providers/mock');
+const aiWidgetAnalysis = require('../src/services/aiWidgetAnalysis');
+
+const widget = { title: 'Spend', metric: 'spend', widgetType: 'kpi_card' };
+const metricsData = { value: 1200, previousValue: 1000, changePercent: 20 };
+
+beforeEach(() => {
+  mock.clearResponses();
+  usageRows.length = 0;
+});
+
+test('is available with only the mock provider configured', () => {
+  assert.equal(aiWidgetAnalysis.isAvailable(), true);
+});
+
+test('returns the mock analysis and the provider that answered', async () => {
+  const analysis = await aiWidgetAnalysis.analyzeWidget(widget, metricsData);
+
+  assert.equal(analysis.provider, 'mock');
+  assert.equal(analysis.status, 'good');
+  assert.deepEqual(analysis.recommendations, []);
+});
+
+test('parses a scripted response', async () => {
+  mock.setResponse('widgetAnalysis', {
+    status: 'warning',
+    statusDescription: 'Spend is up 20% without more conversions',
+    criticalInsights: [{ title: 'Spend up', description: 'Spend rose from 1000 to 1200' }],
+    riskAlerts: [],
+    recommendations: [],
+  });
+
+  const analysis = await aiWidgetAnalysis.analyzeWidget(widget, metricsData);
+
+  assert.equal(analysis.status, 'warning');
+  assert.equal(analysis.criticalInsights[0].title, 'Spend up');
+});
+
+test('stores the call in usage accounting against its workspace', async () => {
+  const workspaceId = '11111111-2222-4333-8444-555555555555';
+  await aiWidgetAnalysis.analyzeWidget(widget, metricsData, { workspaceId });
+
+  assert.equal(usageRows.length, 1);
+  const [storedWorkspaceId, feature, provider, , succeeded, , , costUsd] = usageRows[0];
+  assert.equal(storedWorkspaceId, workspaceId);
+  assert.equal(feature, 'widgetAnalysis');
+  assert.equal(provider, 'mock');
+  assert.equal(succeeded, true);
+  assert.equal(costUsd, 0);
+});
@@ -0,0 +1,173 @@
+// Endpoints open to workspace API keys, per scope, and the key check in the auth middleware
+const { test, describe, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const database = require('../src/config/database');
+
+const KEY = `rsk_0123456789ab_${'A'.repeat(32)}`;
+let storedKey = null;
+
+mock.method(database, 'query', async (sql) => {
+  if (sql.includes('FROM workspace_api_keys')) return { rows: storedKey ? [storedKey] : [] };
+  return { rows: [] };
+});
+
+// The rate limiter schedules an hourly cleanup when it loads; keep it from holding the process open
+mock.timers.enable({ apis: ['setInterval'] });
+const { scopesForRoute } = require('../src/services/apiKeys');
+const authenticate = require('../src/middleware/auth');
+mock.timers.reset();
+
+const W = '/api/workspaces/11111111-2222-4333-8444-555555555555';
+
+describe('scopesForRoute', () => {
+  const READ = ['metrics:read'];
+  const READ_OR_DATA = ['metrics:read', 'custom_data:write'];
+  const DATA = ['custom_data:write'];
+  const DASHBOARDS = ['dashboards:manage'];
+  const READ_OR_DASHBOARDS = ['metrics:read', 'dashboards:manage'];
+
+  const allowed = [
+    // [method, path, scopes that open it]
+    ['GET', '/api/dashboards/d1', READ_OR_DASHBOARDS],
+    ['GET', '/api/dashboards/workspace/w1', READ_OR_DASHBOARDS],
+    ['GET', '/api/metrics/account/a1', READ],
+    ['GET', '/api/metrics/widget/wd1', READ],
+    ['GET', `${W}/accounts`, READ],
+    ['GET', `${W}/dashboards`, READ],
+    ['GET', `${W}/custom-data/sources`, READ_OR_DATA],
+    ['GET', `${W}/custom-data/sources/s1`, READ_OR_DATA],
+    ['GET', `${W}/custom-data/sources/s1/quality`, READ_OR_DATA],
+    ['POST', `${W}/custom-data/sources/s1/query`, READ_OR_DATA],
+    ['POST', `${W}/custom-data/upload`, DATA],
+    ['POST', `${W}/custom-data/uploads/u1/complete`, DATA],
+    ['PUT', `${W}/custom-data/uploads/u1/chunks/0`, DATA],
+    ['GET', `${W}/custom-data/import-jobs/j1`, DATA],
+    ['POST', `${W}/custom-data/sources/s1/sync`, DATA],
+    ['POST', '/api/dashboards', DASHBOARDS],
+    ['POST', '/api/dashboards/d1/widgets', DASHBOARDS],
+    ['PUT', '/api/dashboards/d1', DASHBOARDS],
+    ['DELETE', '/api/dashboards/widgets/wd1', DASHBOARDS],
+    // Trailing slashes are ignored
+    ['GET', `${W}/accounts/`, READ],
+  ];
+
+  for (const [method, path, scopes] of allowed) {
+    test(`${method} ${path} is open to ${scopes.join(' or ')}`, () => {
+      assert.deepEqual(scopesForRoute(method, path), scopes);
+    });
+  }
+
+  const denied = [
+    // Key management, account and member administration are never open to keys
+    ['GET', `${W}/api-keys`],
+    ['POST', `${W}/api-keys`],
+    ['DELETE', `${W}/api-keys/k1`],
+    ['GET', '/api/auth/me'],
+    ['POST', '/api/auth/change-password'],
+    ['POST', `${W}/members`],
+    ['PUT', '/api/workspaces/w1'],
+    ['DELETE', '/api/workspaces/w1'],
+    ['GET', '/api/admin/ai-usage'],
+    ['POST', '/api/ai/analyze'],
+    // Opened paths with a method the scopes do not cover
+    ['DELETE', `${W}/custom-data/sources/s1`],
+    ['PUT', `${W}/custom-data/sources/s1`],
+    ['POST', `${W}/accounts`],
+    ['DELETE', '/api/dashboards'],
+    ['PATCH', '/api/dashboards/d1'],
+    // Deeper or different paths under an opened prefix
+    ['GET', '/api/dashboards/d1/share'],
+    ['GET', `${W}/custom-data/sources/s1/records`],
+    ['POST', `${W}/custom-data/sources/s1/query/extra`],
+    ['GET', `${W}/accounts/a1/tokens`],
+    ['GET', `${W}/custom-data/uploadsx`],
+  ];
+
+  for (const [method, path] of denied) {
+    test(`${method} ${path} is closed to API keys`, () => {
+      assert.deepEqual(scopesForRoute(method, path), []);
+    });
+  }
+});
+
+describe('authenticate with an API key', () => {
+  function keyRow(overrides = {}) {
+    return {
+      id: 'key-1',
+      workspace_id: 'workspace-1',
+      key_prefix: 'rsk_0123456789ab',
+      key_hash: crypto.createHash('sha256').update(KEY).digest('hex'),
+      scopes: ['metrics:read'],
+      created_by: 'user-1',
+      username: 'etl',
+      email: 'etl@example.com',
+      revoked_at: null,
+      expires_at: new Date(Date.now() + 60000),
+      ...overrides,
+    };
+  }
+
+  async function call(method, url, key = KEY) {
+    const req = { method, originalUrl: url, path: url.split('?')[0], headers: { 'x-api-key': key }, ip: '127.0.0.1' };
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+      setHeader() {},
+    };
+    const next = mock.fn();
+    await authenticate(req, res, next);
+    return { req, res, next };
+  }
+
+  test('lets a key call an endpoint its scopes open, as its creator in its workspace', async () => {
+    storedKey = keyRow();
+
+    const { req, res, next } = await call('GET', `${W}/accounts?from=2026-10-01`);
+
+    assert.equal(res.body, null);
+    assert.equal(next.mock.callCount(), 1);
+    assert.deepEqual(req.user, { id: 'user-1', username: 'etl', email: 'etl@example.com', role: 'user' });
+    assert.equal(req.apiKey.workspaceId, 'workspace-1');
+  });
+
+  test('names the scopes a key is missing', async () => {
+    storedKey = keyRow();
+
+    const { res, next } = await call('POST', '/api/dashboards');
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'API_KEY_SCOPE_DENIED');
+    assert.deepEqual(res.body.requiredScopes, ['dashboards:manage']);
+  });
+
+  test('closes endpoints no scope opens', async () => {
+    storedKey = keyRow({ scopes: ['metrics:read', 'custom_data:write', 'dashboards:manage'] });
+
+    const { res } = await call('POST', `${W}/api-keys`);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.message, 'This endpoint cannot be called with an API key');
+  });
+
+  test('rejects unknown, revoked and expired keys', async () => {
+    storedKey = keyRow();
+    assert.equal((await call('GET', `${W}/accounts`, `rsk_0123456789ab_${'B'.repeat(32)}`)).res.statusCode, 401);
+
+    storedKey = keyRow({ revoked_at: new Date() });
+    assert.equal((await call('GET', `${W}/accounts`)).res.body.message, 'This API key has been revoked.');
+
+    storedKey = keyRow({ expires_at: new Date(Date.now() - 1000) });
+    assert.equal((await call('GET', `${W}/accounts`)).res.body.message, 'This API key has expired.');
+  });
+});
@@ -0,0 +1,58 @@
+// Custom alert condition evaluation, with the metric lookups stubbed
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const customAlertEngine = require('../src/services/customAlertEngine');
+
+const below = { source: 'custom_data', customSourceId: 'source', metric: 'revenue', operator: 'below', value: 100 };
+const decrease = { ...below, compare: 'change_percent', operator: '<', value: -20 };
+
+function evaluateWith(t, data, condition) {
+  t.mock.method(customAlertEngine, 'fetchConditionMetric', async () => data);
+  return customAlertEngine.evaluateCondition('workspace', condition, new Map());
+}
+
+test('compares the observed value with the threshold', async (t) => {
+  const result = await evaluateWith(t, { value: 40, timeSeries: [{ date: '2026-10-18', value: 40 }] }, below);
+
+  assert.equal(result.observed, 40);
+  assert.equal(result.passed, true);
+});
+
+test('does not fire when the period has no rows', async (t) => {
+  const result = await evaluateWith(t, { value: 0, previousValue: 0, changePercent: 0, timeSeries: [] }, below);
+
+  assert.equal(result.noData, true);
+  assert.equal(result.passed, false);
+});
+
+test('does not fire when the value is missing or not a number', async (t) => {
+  for (const value of [undefined, null, '', 'n/a']) {
+    const result = await evaluateWith(t, { value }, below);
+    assert.equal(result.noData, true, String(value));
+    assert.equal(result.passed, false, String(value));
+  }
+});
+
+test('does not fire a change rule without a previous period to compare with', async (t) => {
+  const data = { value: 50, previousValue: 0, changePercent: 0, timeSeries: [{ date: '2026-10-18', value: 50 }] };
+  const result = await evaluateWith(t, data, decrease);
+
+  assert.equal(result.noData, true);
+  assert.equal(result.passed, false);
+});
+
+test('fires a change rule on a real decrease', async (t) => {
+  const data = { value: 50, previousValue: 100, changePercent: -50, timeSeries: [{ date: '2026-10-18', value: 50 }] };
+  const result = await evaluateWith(t, data, decrease);
+
+  assert.equal(result.observed, -50);
+  assert.equal(result.passed, true);
+});
+
+test('reports fetch errors without firing', async (t) => {
+  const result = await evaluateWith(t, { value: 0, error: 'Access token expired' }, below);
+
+  assert.equal(result.error, 'Access token expired');
+  assert.equal(result.passed, false);
+});
@@ -0,0 +1,105 @@
+// Custom data query compiler: parameterized keys, the operator allowlist and limits
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compileQuery, MAX_LIMIT } = require('../src/services/customDataQuery');
+const { ValidationError } = require('../src/utils/errors');
+
+const source = {
+  id: 'source-1',
+  detected_schema: {
+    columns: [
+      { name: 'date', role: 'date' },
+      { name: 'spend', role: 'metric' },
+      { name: 'revenue', role: 'metric' },
+      { name: "region'); DROP TABLE users; --", role: 'dimension' },
+      { name: 'campaign', role: 'dimension' },
+    ],
+    primaryDateColumn: 'date',
+  },
+};
+const hostileColumn = "region'); DROP TABLE users; --";
+
+test('binds column names and filter values as parameters', () => {
+  const { text, values, columns } = compileQuery(source, {
+    select: ['sum(spend)'],
+    groupBy: [hostileColumn],
+    filters: { campaign: "x' OR '1'='1" },
+  });
+
+  // The name only reaches the SQL text as a quoted output alias
+  const alias = `AS "${hostileColumn}"`;
+  assert.ok(text.includes(alias));
+  assert.ok(!text.replace(alias, '').includes('DROP TABLE'), text);
+  assert.ok(!text.includes("x' OR"), text);
+  assert.ok(values.includes(hostileColumn));
+  assert.ok(values.includes("x' OR '1'='1"));
+  assert.deepEqual(columns, [hostileColumn, 'spend']);
+});
+
+test('reuses one parameter per JSON key', () => {
+  const { text, values } = compileQuery(source, {
+    select: [{ column: 'spend', aggregation: 'sum', as: 'total' }, { column: 'spend', aggregation: 'max', as: 'peak' }],
+    filters: { spend: { gt: 10 } },
+  });
+
+  assert.equal(values.filter(value => value === 'spend').length, 1);
+  const keyParam = `$${values.indexOf('spend') + 1}::text`;
+  assert.equal(text.split(keyParam).length - 1, 3);
+});
+
+test('rejects columns that are not part of the source', () => {
+  assert.throws(() => compileQuery(source, { select: ['password'] }), ValidationError);
+  assert.throws(() => compileQuery(source, { select: ['sum(spend)'], groupBy: ['email'] }), ValidationError);
+  assert.throws(() => compileQuery(source, { filters: { email: 'a@b.c' } }), ValidationError);
+  assert.throws(() => compileQuery(source, { select: ['spend'], orderBy: ['email desc'] }), ValidationError);
+});
+
+test('accepts only allowlisted operators and aggregations', () => {
+  for (const operator of ['equals', '=', '!=', 'gt', '>=', 'lt', 'in', 'not_in', 'between', 'is_null']) {
+    const value = operator === 'between' ? [1, 2] : 1;
+    assert.doesNotThrow(() => compileQuery(source, { filters: [{ column: 'spend', operator, value }] }), operator);
+  }
+
+  for (const operator of ['; DROP TABLE users', 'like', '~', 'OR 1=1 --']) {
+    assert.throws(
+      () => compileQuery(source, { filters: [{ column: 'spend', operator, value: 1 }] }),
+      { name: 'ValidationError', message: `Unsupported filter operator "${operator}"` }
+    );
+  }
+
+  assert.throws(() => compileQuery(source, { select: ['sleep(spend)'] }), /Unsupported aggregation "sleep"/);
+  assert.throws(() => compileQuery(source, { select: [{ formula: 'spend; DROP TABLE users' }] }), /Invalid formula/);
+});
+
+test('escapes LIKE wildcards in contains filters', () => {
+  const { values } = compileQuery(source, { filters: [{ column: 'campaign', operator: 'contains', value: '50%_off' }] });
+
+  assert.ok(values.includes('%50\\%\\_off%'));
+});
+
+test('binds the limit and offset and clamps large limits', () => {
+  const limited = compileQuery(source, { select: ['spend'], limit: 25, offset: '50' });
+  assert.match(limited.text, /LIMIT \$\d+::int OFFSET \$\d+::int$/);
+  assert.deepEqual(limited.values.slice(-2), [25, 50]);
+
+  const clamped = compileQuery(source, { select: ['spend'], limit: 50000 });
+  assert.deepEqual(clamped.values.slice(-2), [MAX_LIMIT, 0]);
+
+  const unlimited = compileQuery(source, { select: ['spend'] });
+  assert.ok(!unlimited.text.includes('LIMIT'));
+});
+
+test('rejects a limit or offset that is not a whole number of 0 or more', () => {
+  for (const limit of ['abc', '', 'ten', -1, 2.5, '10; DROP TABLE users', {}, true]) {
+    assert.throws(
+      () => compileQuery(source, { select: ['spend'], limit }),
+      { name: 'ValidationError', message: 'limit must be a whole number of 0 or more' },
+      JSON.stringify(limit)
+    );
+  }
+  assert.throws(
+    () => compileQuery(source, { select: ['spend'], limit: 10, offset: 'x' }),
+    { name: 'ValidationError', message: 'offset must be a whole number of 0 or more' }
+  );
+});
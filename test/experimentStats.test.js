@@ -0,0 +1,174 @@
+// Experiment statistics against reference values (normal and chi-square tables,
+// textbook two-proportion and Welch tests, exact Beta posteriors)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const stats = require('../src/services/experimentStats');
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label || ''} expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+// 10% vs 13% conversion on 1000 units each
+const control = { units: 1000, sum: 100, sumSq: 100 };
+const treatment = { units: 1000, sum: 130, sumSq: 130 };
+
+test('normal CDF and quantile match the standard normal table', () => {
+  assertClose(stats.normalCdf(0), 0.5, 1e-7);
+  assertClose(stats.normalCdf(1.96), 0.9750021, 1e-7);
+  assertClose(stats.normalCdf(-1.96), 0.0249979, 1e-7);
+  assertClose(stats.normalQuantile(0.975), 1.9599640, 1e-6);
+  assertClose(stats.normalQuantile(0.8), 0.8416212, 1e-6);
+  assertClose(stats.normalQuantile(0.001), -3.0902323, 1e-6);
+  assert.equal(stats.normalQuantile(0), -Infinity);
+  assert.equal(stats.normalQuantile(1), Infinity);
+});
+
+test('chi-square survival matches the critical values', () => {
+  assertClose(stats.chiSquareSurvival(3.841459, 1), 0.05, 1e-6);
+  assertClose(stats.chiSquareSurvival(5.991465, 2), 0.05, 1e-6);
+  assertClose(stats.chiSquareSurvival(10, 3), 0.0185661, 1e-6);
+  assert.equal(stats.chiSquareSurvival(0, 1), 1);
+});
+
+test('Wilson interval for 10 successes in 100 trials', () => {
+  const [low, high] = stats.wilsonInterval(10, 100);
+
+  assertClose(low, 0.0552291, 1e-6);
+  assertClose(high, 0.1743657, 1e-6);
+  assert.deepEqual(stats.wilsonInterval(0, 0), [0, 0]);
+});
+
+test('two-proportion z-test: z, p-value and confidence interval of the difference', () => {
+  const result = stats.compareVariants(control, treatment);
+
+  assertClose(result.difference, 0.03, 1e-12);
+  assertClose(result.relativeLift, 0.3, 1e-12);
+  // Pooled standard error sqrt(0.115 * 0.885 * (2 / 1000))
+  assertClose(result.zScore, 2.1027406, 1e-6);
+  assertClose(result.pValue, 0.0354885, 1e-6);
+  // Unpooled standard error for the interval
+  assertClose(result.interval[0], 0.0020679, 1e-6);
+  assertClose(result.interval[1], 0.0579321, 1e-6);
+  // Exact P(Beta(131, 871) > Beta(101, 901)) is 0.98217; the normal approximation is close
+  assertClose(result.probabilityToBeatControl, 0.98217, 0.001);
+});
+
+test('significance flips around alpha', () => {
+  const weaker = stats.compareVariants(control, { units: 1000, sum: 120, sumSq: 120 });
+
+  assert.ok(stats.compareVariants(control, treatment).pValue < 0.05);
+  assert.ok(weaker.pValue > 0.05);
+  assert.ok(weaker.interval[0] < 0 && weaker.interval[1] > 0);
+});
+
+test('Welch test on means', () => {
+  // Control mean 20, variance 25 over 500 units; treatment mean 21, variance 36 over 400 units
+  const meanControl = { units: 500, sum: 500 * 20, sumSq: 500 * 400 + 499 * 25 };
+  const meanTreatment = { units: 400, sum: 400 * 21, sumSq: 400 * 441 + 399 * 36 };
+
+  const result = stats.compareVariants(meanControl, meanTreatment, { type: 'mean' });
+
+  assertClose(result.zScore, 2.6726124, 1e-6);
+  assertClose(result.pValue, 0.0075263, 1e-6);
+  assertClose(result.interval[0], 0.2666486, 1e-6);
+  assertClose(result.interval[1], 1.7333514, 1e-6);
+  assertClose(stats.meanInterval(meanControl)[0], 20 - 1.9599640 * Math.sqrt(25 / 500), 1e-6);
+});
+
+test('sequential p-value follows the mixture SPRT formula and stays conservative', () => {
+  const result = stats.compareVariants(control, treatment, { mde: 0.1 });
+  const fourTimesTheData = stats.compareVariants(
+    { units: 4000, sum: 400, sumSq: 400 },
+    { units: 4000, sum: 520, sumSq: 520 },
+    { mde: 0.1 }
+  );
+
+  // tau² = (0.1 × 0.1)², V = 0.1·0.9/1000 + 0.13·0.87/1000
+  assertClose(result.sequentialPValue, 0.5881245, 1e-6);
+  assert.ok(result.sequentialPValue > result.pValue);
+  assert.ok(fourTimesTheData.sequentialPValue < 0.01);
+  assert.equal(stats.sequentialPValue(0.1, 0, 0.01), 1);
+});
+
+test('too few units give no test', () => {
+  const result = stats.compareVariants({ units: 1, sum: 1, sumSq: 1 }, treatment);
+
+  assert.equal(result.pValue, null);
+  assert.equal(result.interval, null);
+});
+
+test('sample size and detectable effect for a 10% baseline', () => {
+  // (1.95996 + 0.84162)² × (0.1·0.9 + 0.11·0.89) / 0.01² = 14748.05
+  assert.equal(stats.requiredSampleSize(0.1, { mde: 0.1 }), 14749);
+  assert.equal(stats.requiredSampleSize(0), null);
+
+  const detectable = stats.minimumDetectableEffect(0.1, 5000);
+  assertClose(detectable.absolute, 0.0168095, 1e-6);
+  assertClose(detectable.relative, 0.168095, 1e-5);
+});
+
+test('sample-ratio mismatch against the configured weights', () => {
+  const split = (a, b) => stats.sampleRatioMismatch([
+    { key: 'control', weight: 50, units: a },
+    { key: 'treatment', weight: 50, units: b },
+  ]);
+
+  const balanced = split(5000, 5050);
+  assertClose(balanced.statistic, 0.2487562, 1e-6);
+  assertClose(balanced.pValue, 0.6179522, 1e-6);
+  assert.equal(balanced.detected, false);
+
+  // p = 0.0031 is unusual but above the strict 0.001 threshold
+  const skewed = split(5000, 5300);
+  assertClose(skewed.statistic, 8.7378641, 1e-6);
+  assertClose(skewed.pValue, 0.0031167, 1e-6);
+  assert.equal(skewed.detected, false);
+
+  const mismatched = split(5000, 5500);
+  assertClose(mismatched.statistic, 23.8095238, 1e-6);
+  assertClose(mismatched.pValue, 1.0635e-6, 1e-9);
+  assert.equal(mismatched.detected, true);
+
+  const uneven = stats.sampleRatioMismatch([
+    { key: 'control', weight: 50, units: 5000 },
+    { key: 'a', weight: 25, units: 2500 },
+    { key: 'b', weight: 25, units: 2600 },
+  ]);
+  assertClose(uneven.statistic, 2.970297, 1e-6);
+  assertClose(uneven.pValue, 0.2264687, 1e-6);
+  assert.deepEqual(uneven.expected, { control: 5050, a: 2525, b: 2525 });
+});
+
+test('analyzeExperiment stops on a sample-ratio mismatch before reading the metric', () => {
+  const experiment = {
+    target_event: 'signup',
+    variants: [{ key: 'control', weight: 50 }, { key: 'treatment', weight: 50 }],
+  };
+  const rows = [
+    { variant: 'control', units: 5000, converted: 500 },
+    { variant: 'treatment', units: 5500, converted: 800 },
+  ];
+
+  const analysis = stats.analyzeExperiment(experiment, rows);
+
+  assert.equal(analysis.sampleRatioMismatch.detected, true);
+  assert.equal(analysis.decision.status, 'sample_ratio_mismatch');
+});
+
+test('analyzeExperiment declares a clear winner', () => {
+  const experiment = {
+    target_event: 'signup',
+    variants: [{ key: 'control', weight: 50 }, { key: 'treatment', weight: 50 }],
+  };
+  const rows = [
+    { variant: 'control', units: 20000, converted: 2000 },
+    { variant: 'treatment', units: 20000, converted: 2400 },
+  ];
+
+  const analysis = stats.analyzeExperiment(experiment, rows);
+
+  assert.equal(analysis.primary.variants.treatment.comparison.significant, true);
+  assert.equal(analysis.decision.status, 'significant_improvement');
+  assert.equal(analysis.decision.variant, 'treatment');
+});
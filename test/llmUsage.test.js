@@ -0,0 +1,90 @@
+// LLM usage accounting against the llm_usage table, with the database stubbed
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const database = require('../src/config/database');
+
+const queries = [];
+let aggregateRows = [];
+mock.method(database, 'query', async (sql, params = []) => {
+  queries.push({ sql, params });
+  return { rows: sql.includes('GROUP BY') ? aggregateRows : [] };
+});
+
+const usage = require('../src/ai/providers/usage');
+
+const WORKSPACE_ID = '11111111-2222-4333-8444-555555555555';
+
+beforeEach(() => {
+  queries.length = 0;
+  aggregateRows = [];
+});
+
+test('stores each call with its workspace, tokens and estimated cost', async () => {
+  const costUsd = await usage.recordSuccess(
+    'dashboard', 'gemini', 'gemini-2.5-pro', { inputTokens: 1000, outputTokens: 500 }, 1200, WORKSPACE_ID
+  );
+  await usage.recordFailure('dashboard', 'anthropic', 'claude-haiku-4-5-20251001', 300, WORKSPACE_ID);
+
+  assert.equal(costUsd, 0.00625);
+  assert.deepEqual(queries[0].params, [WORKSPACE_ID, 'dashboard', 'gemini', 'gemini-2.5-pro', true, 1000, 500, 0.00625, 1200]);
+  assert.deepEqual(queries[1].params, [WORKSPACE_ID, 'dashboard', 'anthropic', 'claude-haiku-4-5-20251001', false, 0, 0, 0, 300]);
+});
+
+test('stores calls outside a real workspace without one', async () => {
+  await usage.recordSuccess('analyst', 'mock', 'mock', { inputTokens: 1, outputTokens: 1 }, 5, 'demo');
+
+  assert.equal(queries[0].params[0], null);
+});
+
+test('does not fail the call when the usage cannot be stored', async () => {
+  database.query.mock.mockImplementationOnce(async () => {
+    throw new Error('connection refused');
+  });
+
+  assert.equal(await usage.recordSuccess('analyst', 'mock', 'mock', { inputTokens: 1, outputTokens: 1 }, 5), 0);
+});
+
+test('sums the stored rows per workspace, feature, provider and model', async () => {
+  aggregateRows = [
+    {
+      workspace_id: WORKSPACE_ID, feature: 'dashboard', provider: 'gemini', model: 'gemini-2.5-pro',
+      requests: '3', failures: '1', input_tokens: '3000', output_tokens: '1500', cost_usd: '0.018750',
+      avg_duration_ms: '1100.5', first_call_at: new Date('2026-10-01T08:00:00Z'),
+    },
+    {
+      workspace_id: null, feature: 'analyst', provider: 'mock', model: 'mock',
+      requests: '2', failures: '0', input_tokens: '10', output_tokens: '20', cost_usd: '0.000000',
+      avg_duration_ms: '4', first_call_at: new Date('2026-09-30T08:00:00Z'),
+    },
+  ];
+
+  const summary = await usage.getUsageSummary();
+
+  assert.equal(summary.since, '2026-09-30T08:00:00.000Z');
+  assert.deepEqual(summary.totals, { requests: 5, failures: 1, inputTokens: 3010, outputTokens: 1520, costUsd: 0.01875 });
+  assert.deepEqual(summary.breakdown[0], {
+    workspaceId: WORKSPACE_ID,
+    feature: 'dashboard',
+    provider: 'gemini',
+    model: 'gemini-2.5-pro',
+    requests: 3,
+    failures: 1,
+    inputTokens: 3000,
+    outputTokens: 1500,
+    costUsd: 0.01875,
+    avgDurationMs: 1101,
+  });
+});
+
+test('filters the totals by period and workspace', async () => {
+  const from = new Date('2026-10-01T00:00:00Z');
+  const to = new Date('2026-11-01T00:00:00Z');
+
+  const summary = await usage.getUsageSummary({ from, to, workspaceId: WORKSPACE_ID });
+
+  assert.match(queries[0].sql, /WHERE created_at >= \$1 AND created_at < \$2 AND workspace_id = \$3/);
+  assert.deepEqual(queries[0].params, [from, to, WORKSPACE_ID]);
+  assert.equal(summary.since, '2026-10-01T00:00:00.000Z');
+  assert.deepEqual(summary.totals, { requests: 0, failures: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+});
@@ -0,0 +1,132 @@
+// TOTP, recovery codes and secret encryption, with the user models stubbed
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const config = require('../src/config/config');
+const User = require('../src/models/User');
+const UserRecoveryCode = require('../src/models/UserRecoveryCode');
+const twoFactor = require('../src/services/twoFactor');
+
+// RFC 6238 appendix B uses the ASCII key "12345678901234567890" for SHA-1
+const RFC_SECRET = twoFactor.base32Encode(Buffer.from('12345678901234567890'));
+
+function stubUser(t, user) {
+  t.mock.method(User, 'countTwoFactorAttempt', async () => 1);
+  t.mock.method(User, 'resetTwoFactorAttempts', async () => {});
+  t.mock.method(User, 'getTwoFactor', async () => user);
+  // Like the UPDATE ... WHERE two_factor_last_step < $2: each step is accepted once
+  t.mock.method(User, 'recordTwoFactorStep', async (userId, step) => {
+    if (user.two_factor_last_step !== null && user.two_factor_last_step >= step) return false;
+    user.two_factor_last_step = step;
+    return true;
+  });
+}
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+test('encodes base32 as in RFC 4648', () => {
+  assert.equal(twoFactor.base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+});
+
+test('generates the RFC 6238 SHA-1 test vectors (last six digits)', () => {
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130'],
+  ];
+
+  for (const [seconds, code] of vectors) {
+    assert.equal(twoFactor.generateTotp(RFC_SECRET, Math.floor(seconds / 30)), code, `T = ${seconds}`);
+  }
+});
+
+test('accepts codes from one step before or after, and no further', () => {
+  const now = 1111111111 * 1000;
+  const step = Math.floor(now / 1000 / 30);
+
+  assert.equal(twoFactor.matchTotpStep(RFC_SECRET, '050471', now), step);
+  assert.equal(twoFactor.matchTotpStep(RFC_SECRET, '050471', now + 30000), step);
+  assert.equal(twoFactor.matchTotpStep(RFC_SECRET, '050471', now - 30000), step);
+  assert.equal(twoFactor.matchTotpStep(RFC_SECRET, '050471', now + 60000), null);
+  assert.equal(twoFactor.matchTotpStep(RFC_SECRET, '050471', now - 60000), null);
+});
+
+test('ignores spaces and rejects malformed codes', () => {
+  const now = 1111111111 * 1000;
+
+  assert.equal(twoFactor.matchTotpStep(RFC_SECRET, '050 471', now), Math.floor(now / 1000 / 30));
+  for (const code of ['', null, '05047', '0504711', 'abcdef', '050471a']) {
+    assert.equal(twoFactor.matchTotpStep(RFC_SECRET, code, now), null, String(code));
+  }
+});
+
+test('accepts a TOTP code once and refuses the replay', async (t) => {
+  const user = { two_factor_enabled: true, two_factor_secret: twoFactor.encryptSecret(RFC_SECRET), two_factor_last_step: null };
+  stubUser(t, user);
+  const code = twoFactor.generateTotp(RFC_SECRET, currentStep());
+
+  assert.deepEqual(await twoFactor.verifySecondFactor('user', { code }), { method: 'totp', recoveryCodesRemaining: null });
+  await assert.rejects(twoFactor.verifySecondFactor('user', { code }), { name: 'ValidationError', message: 'Invalid two-factor code' });
+  // An older code within the drift window is refused too, once a later step was used
+  const previous = twoFactor.generateTotp(RFC_SECRET, user.two_factor_last_step - 1);
+  await assert.rejects(twoFactor.verifySecondFactor('user', { code: previous }), { name: 'ValidationError' });
+});
+
+test('refuses codes once the account has used up its attempts', async (t) => {
+  const user = { two_factor_enabled: true, two_factor_secret: twoFactor.encryptSecret(RFC_SECRET), two_factor_last_step: null };
+  stubUser(t, user);
+  User.countTwoFactorAttempt.mock.mockImplementation(async () => config.twoFactor.maxFailedAttempts + 1);
+
+  await assert.rejects(
+    twoFactor.verifySecondFactor('user', { code: twoFactor.generateTotp(RFC_SECRET, currentStep()) }),
+    { name: 'RateLimitError' }
+  );
+  assert.equal(User.recordTwoFactorStep.mock.callCount(), 0);
+});
+
+test('stores only hashes of recovery codes and matches them however they are typed', async (t) => {
+  const replaceForUser = t.mock.method(UserRecoveryCode, 'replaceForUser', async () => {});
+
+  const codes = await twoFactor.issueRecoveryCodes('user');
+  const [, storedHashes] = replaceForUser.mock.calls[0].arguments;
+
+  assert.equal(codes.length, config.twoFactor.recoveryCodeCount);
+  assert.equal(new Set(codes).size, codes.length);
+  codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+  assert.deepEqual(storedHashes, codes.map(code => crypto.createHash('sha256').update(code.replace('-', '')).digest('hex')));
+
+  const [first] = codes;
+  assert.equal(twoFactor.hashRecoveryCode(` ${first.toUpperCase().replace('-', ' - ')} `), storedHashes[0]);
+});
+
+test('uses a recovery code through its hash', async (t) => {
+  stubUser(t, { two_factor_enabled: true, two_factor_secret: twoFactor.encryptSecret(RFC_SECRET), two_factor_last_step: null });
+  const use = t.mock.method(UserRecoveryCode, 'use', async () => true);
+  t.mock.method(UserRecoveryCode, 'countUnused', async () => 9);
+
+  const result = await twoFactor.verifySecondFactor('user', { recoveryCode: 'ABCDE-12345' });
+
+  assert.deepEqual(result, { method: 'recovery_code', recoveryCodesRemaining: 9 });
+  assert.deepEqual(use.mock.calls[0].arguments, ['user', twoFactor.hashRecoveryCode('abcde12345')]);
+});
+
+test('encrypts secrets with a fresh IV and detects tampering', () => {
+  const first = twoFactor.encryptSecret(RFC_SECRET);
+  const second = twoFactor.encryptSecret(RFC_SECRET);
+
+  assert.notEqual(first, second);
+  assert.ok(!first.includes(RFC_SECRET));
+  assert.equal(first.split(':').length, 3);
+  assert.equal(twoFactor.decryptSecret(first), RFC_SECRET);
+  assert.equal(twoFactor.decryptSecret(second), RFC_SECRET);
+
+  const [iv, tag, encrypted] = first.split(':');
+  const flipped = Buffer.from(encrypted, 'base64');
+  flipped[0] ^= 1;
+  assert.throws(() => twoFactor.decryptSecret([iv, tag, flipped.toString('base64')].join(':')));
+});
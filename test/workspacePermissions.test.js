@@ -0,0 +1,269 @@
+// Workspace role policy, authorizeWorkspace and the permission middleware, with the database stubbed
+const { test, describe, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const database = require('../src/config/database');
+
+const WORKSPACE_ID = '11111111-2222-4333-8444-555555555555';
+const OTHER_WORKSPACE_ID = '99999999-2222-4333-8444-555555555555';
+
+// user id -> role in WORKSPACE_ID; anyone else is not a member
+const members = { owner: 'owner', admin: 'admin', member: 'member', viewer: 'viewer' };
+
+const queries = [];
+mock.method(database, 'query', async (sql, params = []) => {
+  queries.push(sql);
+  if (sql.includes('FROM workspace_members')) {
+    const [workspaceId, userId] = params;
+    const role = workspaceId === WORKSPACE_ID ? members[userId] : undefined;
+    return { rows: role ? [{ role }] : [] };
+  }
+  return { rows: [] };
+});
+
+// Signed in as the user named in the x-test-user header; loaded before the route modules
+const authPath = require.resolve('../src/middleware/auth');
+require.cache[authPath] = {
+  id: authPath,
+  filename: authPath,
+  loaded: true,
+  exports: (req, res, next) => {
+    req.user = { id: req.get('x-test-user') };
+    next();
+  },
+};
+
+const { can, ROLES, authorizeWorkspace } = require('../src/services/workspacePermissions');
+const requireWorkspacePermission = require('../src/middleware/workspacePermission');
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+beforeEach(() => {
+  queries.length = 0;
+});
+
+describe('can', () => {
+  // [resource, action, roles allowed]
+  const matrix = [
+    ['workspace', 'read', ['owner', 'admin', 'member', 'viewer']],
+    ['workspace', 'update', ['owner', 'admin']],
+    ['workspace', 'delete', ['owner']],
+    ['workspace', 'security', ['owner']],
+    ['member', 'invite', ['owner', 'admin']],
+    ['apiKey', 'read', ['owner', 'admin']],
+    ['integration', 'read', ['owner', 'admin', 'member', 'viewer']],
+    ['integration', 'connect', ['owner', 'admin']],
+    ['integration', 'disconnect', ['owner', 'admin']],
+    ['integration', 'sync', ['owner', 'admin', 'member']],
+    ['dashboard', 'create', ['owner', 'admin', 'member']],
+    ['widget', 'analyze', ['owner', 'admin', 'member', 'viewer']],
+    ['analysis', 'run', ['owner', 'admin', 'member', 'viewer']],
+    ['analysis', 'moderate', ['owner', 'admin']],
+    ['anomaly', 'read', ['owner', 'admin', 'member', 'viewer']],
+    ['anomaly', 'configure', ['owner', 'admin', 'member']],
+    ['anomaly', 'detect', ['owner', 'admin', 'member']],
+    ['customData', 'create', ['owner', 'admin', 'member']],
+    ['budget', 'update', ['owner', 'admin']],
+    ['budget', 'acknowledge', ['owner', 'admin', 'member']],
+    ['metrics', 'sync', ['owner', 'admin', 'member']],
+    ['export', 'create', ['owner', 'admin', 'member', 'viewer']],
+    ['comment', 'create', ['owner', 'admin', 'member', 'viewer']],
+    ['comment', 'moderate', ['owner', 'admin']],
+    ['websiteAudit', 'run', ['owner', 'admin', 'member']],
+  ];
+
+  for (const [resource, action, allowed] of matrix) {
+    test(`${resource}:${action}`, () => {
+      for (const role of ROLES) {
+        assert.equal(can(role, resource, action), allowed.includes(role), `${role} on ${resource}:${action}`);
+      }
+    });
+  }
+
+  test('denies unknown roles, resources and actions', () => {
+    assert.equal(can(null, 'dashboard', 'read'), false);
+    assert.equal(can('guest', 'dashboard', 'read'), false);
+    assert.equal(can('owner', 'nothing', 'read'), false);
+    assert.equal(can('owner', 'dashboard', 'nothing'), false);
+  });
+});
+
+describe('authorizeWorkspace', () => {
+  test('returns the role and leaves it on the request when allowed', async () => {
+    const req = { user: { id: 'member' } };
+    const res = fakeResponse();
+
+    assert.equal(await authorizeWorkspace(req, res, WORKSPACE_ID, 'dashboard', 'create'), 'member');
+    assert.equal(req.workspaceRole, 'member');
+    assert.equal(res.body, null);
+  });
+
+  test('tells a member which permission they lack', async () => {
+    const res = fakeResponse();
+
+    assert.equal(await authorizeWorkspace({ user: { id: 'viewer' } }, res, WORKSPACE_ID, 'dashboard', 'create'), null);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, {
+      success: false,
+      message: 'Your role (viewer) cannot create dashboard in this workspace',
+      code: 'WORKSPACE_PERMISSION_DENIED',
+      permission: 'dashboard:create',
+      role: 'viewer',
+      allowedRoles: ['owner', 'admin', 'member'],
+    });
+  });
+
+  test('gives non-members no detail', async () => {
+    const res = fakeResponse();
+
+    assert.equal(await authorizeWorkspace({ user: { id: 'stranger' } }, res, WORKSPACE_ID, 'dashboard', 'read'), null);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, {
+      success: false,
+      message: 'Access denied to this workspace',
+      code: 'WORKSPACE_ACCESS_DENIED',
+    });
+  });
+
+  test('treats a member of another workspace as a non-member', async () => {
+    const res = fakeResponse();
+
+    assert.equal(await authorizeWorkspace({ user: { id: 'owner' } }, res, OTHER_WORKSPACE_ID, 'dashboard', 'read'), null);
+    assert.equal(res.body.code, 'WORKSPACE_ACCESS_DENIED');
+  });
+
+  test('rejects workspace ids that are not UUIDs without querying', async () => {
+    const res = fakeResponse();
+
+    assert.equal(await authorizeWorkspace({ user: { id: 'owner' } }, res, 'not-a-uuid', 'dashboard', 'read'), null);
+    assert.equal(res.body.code, 'WORKSPACE_ACCESS_DENIED');
+    assert.equal(queries.length, 0);
+  });
+
+  test('limits an API key to its own workspace', async () => {
+    const req = { user: { id: 'owner' }, apiKey: { workspaceId: OTHER_WORKSPACE_ID } };
+    const res = fakeResponse();
+
+    assert.equal(await authorizeWorkspace(req, res, WORKSPACE_ID, 'dashboard', 'read'), null);
+    assert.equal(res.body.code, 'WORKSPACE_ACCESS_DENIED');
+    assert.equal(queries.length, 0);
+  });
+
+  test('lets an API key act with its creator\'s role in its workspace', async () => {
+    const req = { user: { id: 'viewer' }, apiKey: { workspaceId: WORKSPACE_ID } };
+
+    assert.equal(await authorizeWorkspace(req, fakeResponse(), WORKSPACE_ID, 'dashboard', 'read'), 'viewer');
+    assert.equal(await authorizeWorkspace(req, fakeResponse(), WORKSPACE_ID, 'dashboard', 'create'), null);
+  });
+});
+
+describe('requireWorkspacePermission', () => {
+  async function run(req, resource, action) {
+    const request = { params: {}, query: {}, ...req };
+    const res = fakeResponse();
+    const next = mock.fn();
+    await requireWorkspacePermission(resource, action)(request, res, next);
+    return { req: request, res, next };
+  }
+
+  test('reads the workspace id from the params, query string or body', async () => {
+    const sources = [
+      { params: { workspaceId: WORKSPACE_ID } },
+      { query: { workspaceId: WORKSPACE_ID } },
+      { body: { workspaceId: WORKSPACE_ID } },
+      { body: { workspace_id: WORKSPACE_ID } },
+    ];
+
+    for (const source of sources) {
+      const { req, res, next } = await run({ user: { id: 'member' }, ...source }, 'goal', 'create');
+      assert.equal(next.mock.callCount(), 1, JSON.stringify(source));
+      assert.equal(res.body, null);
+      assert.equal(req.workspaceRole, 'member');
+    }
+  });
+
+  test('sends the 403 and stops when denied', async () => {
+    const { res, next } = await run({ user: { id: 'viewer' }, params: { workspaceId: WORKSPACE_ID } }, 'goal', 'create');
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'WORKSPACE_PERMISSION_DENIED');
+  });
+
+  test('denies requests without a workspace id', async () => {
+    const { res, next } = await run({ user: { id: 'owner' } }, 'goal', 'read');
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.body.code, 'WORKSPACE_ACCESS_DENIED');
+  });
+
+  test('passes database errors to the error handler', async () => {
+    database.query.mock.mockImplementationOnce(async () => {
+      throw new Error('connection refused');
+    });
+
+    const { res, next } = await run({ user: { id: 'owner' }, params: { workspaceId: WORKSPACE_ID } }, 'goal', 'read');
+
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(next.mock.calls[0].arguments[0].message, 'connection refused');
+    assert.equal(res.body, null);
+  });
+});
+
+describe('routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', require('../src/routes/goalRoutes'));
+  app.use('/api/workspaces/:workspaceId/custom-data', require('../src/routes/customDataRoutes'));
+
+  const server = app.listen(0);
+  after(() => server.close());
+
+  async function request(method, path, user) {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-test-user': user },
+      body: method === 'GET' ? undefined : '{}',
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  }
+
+  const cases = [
+    // [method, path, user, denied with]
+    ['GET', `/workspaces/${WORKSPACE_ID}/goals`, 'viewer', null],
+    ['POST', `/workspaces/${WORKSPACE_ID}/goals`, 'viewer', 'WORKSPACE_PERMISSION_DENIED'],
+    ['POST', `/workspaces/${WORKSPACE_ID}/goals`, 'member', null],
+    ['GET', `/workspaces/${WORKSPACE_ID}/goals`, 'stranger', 'WORKSPACE_ACCESS_DENIED'],
+    ['POST', `/workspaces/${WORKSPACE_ID}/custom-data/uploads`, 'viewer', 'WORKSPACE_PERMISSION_DENIED'],
+    ['POST', `/workspaces/${WORKSPACE_ID}/custom-data/uploads`, 'member', null],
+    ['POST', `/workspaces/${OTHER_WORKSPACE_ID}/custom-data/uploads`, 'owner', 'WORKSPACE_ACCESS_DENIED'],
+  ];
+
+  for (const [method, path, user, deniedWith] of cases) {
+    test(`${method} ${path.replace(/[0-9a-f-]{36}/g, ':id')} as ${user}`, async () => {
+      const { status, body } = await request(method, path, user);
+
+      if (deniedWith) {
+        assert.equal(status, 403);
+        assert.equal(body.code, deniedWith);
+      } else {
+        // Past the permission check; the handler answers against the empty stub database
+        assert.notEqual(status, 403);
+      }
+    });
+  }
+});